@@ -33,13 +33,18 @@ flags = [
 
 options = ['start', 'lexer']
 
+# Options added by Lark after 1.0, which the Javascript runtime rejects as unknown
+unsupported_options = ['strict', 'cache_grammar', 'ordered_sets', '_plugins']
+
 lalr_argparser = ArgumentParser(add_help=False, epilog='Look at the Lark documentation for more info on the options')
 lalr_argparser.add_argument('-v', '--verbose', action='count', default=0, help="Increase Logger output level, up to three times")
 lalr_argparser.add_argument('-s', '--start', action='append', default=[])
 lalr_argparser.add_argument('-l', '--lexer', default='contextual', choices=('standard', 'contextual'))
 k = {'encoding': 'utf-8'}
 lalr_argparser.add_argument('-o', '--out', type=FileType('w', **k), default=sys.stdout, help='the output file (default=stdout)')
-lalr_argparser.add_argument('grammar_file', type=FileType('r', **k), help='A valid .lark file')
+lalr_argparser.add_argument('-b', '--banner', type=FileType('r', **k), help='a comment to use instead of the Lark.js header')
+lalr_argparser.add_argument('-t', '--tables', action='store_true', help='only write the parse tables, as a module exporting DATA and MEMO, to load with the Lark.js runtime of another build')
+lalr_argparser.add_argument('grammar_file', type=FileType('r', **k), nargs='+', help='A valid .lark file. Later files are appended to the first, and can %%override or %%extend its rules')
 
 for f in flags:
     if isinstance(f, tuple):
@@ -50,7 +55,7 @@ for f in flags:
         lalr_argparser.add_argument('--' + f, action='store_true')
 
 
-def generate_js_standalone(lark_inst):
+def generate_js_standalone(lark_inst, banner=None):
     """Returns a string containing the Javascript standalone parser, for the given Lark instance
 
     """
@@ -58,22 +63,43 @@ def generate_js_standalone(lark_inst):
         raise NotImplementedError("Lark.js only works with LALR parsers for now")
 
     data, memo = lark_inst.memo_serialize([TerminalDef, Rule])
+    for name in unsupported_options:
+        data['options'].pop(name, None)
     data_json = json.dumps(data, indent=2)
     memo_json = json.dumps(memo, indent=2)
 
-    with open(__dir__ / 'lark.js') as lark_js:
+    with open(__dir__.parent / 'lib' / 'lark.js') as lark_js:
         output = lark_js.read()
+        if banner is not None:
+            # Replace the leading `//` comment block
+            output = banner.read() + output.split('\n\n', 1)[1]
         output += '\nvar DATA=%s;\n' % data_json
         output += '\nvar MEMO=%s;\n' % memo_json
     return output
 
 
+def generate_js_tables(lark_inst, sources):
+    """Returns a string containing a Javascript module with the parse tables of the given Lark instance
+
+    """
+    data, memo = lark_inst.memo_serialize([TerminalDef, Rule])
+    for name in unsupported_options:
+        data['options'].pop(name, None)
+    output = '// Parse tables generated by build-utils from %s\n' % ' + '.join(sources)
+    output += '"use strict";\n'
+    output += '\nvar DATA=%s;\n' % json.dumps(data, indent=2)
+    output += '\nvar MEMO=%s;\n' % json.dumps(memo, indent=2)
+    output += '\nmodule.exports = { DATA, MEMO };\n'
+    return output
+
+
 def build_lalr(namespace):
     logger.setLevel((ERROR, WARN, INFO, DEBUG)[min(namespace.verbose, 3)])
     if len(namespace.start) == 0:
         namespace.start.append('start')
     kwargs = {n: getattr(namespace, n) for n in options}
-    return Lark(namespace.grammar_file, parser='lalr', **kwargs), namespace.out
+    grammar = '\n'.join(f.read() for f in namespace.grammar_file)
+    return Lark(grammar, parser='lalr', **kwargs), namespace.out
 
 
 def main():
@@ -87,7 +113,10 @@ def main():
 
     lark_inst, out = build_lalr(ns)
 
-    output = generate_js_standalone(lark_inst)
+    if ns.tables:
+        output = generate_js_tables(lark_inst, [f.name for f in ns.grammar_file])
+    else:
+        output = generate_js_standalone(lark_inst, ns.banner)
 
     out.write(output)
 
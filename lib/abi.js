@@ -0,0 +1,269 @@
+"use strict";
+
+const { Tree } = require("./vyper");
+const ast = require("./ast");
+
+class AbiError extends Error {}
+
+const MUTABILITY_DECORATORS = ["pure", "view", "nonpayable", "payable"];
+
+/**
+  The value of an integer literal, decimal (`3`) or hex (`0x3`), or null.
+*/
+function integer_value(node) {
+  if (node instanceof ast.Int) {
+    return node.value;
+  }
+  if (node instanceof ast.Hex && /^0x[\da-f]+$/i.test(node.value)) {
+    return BigInt(node.value);
+  }
+  return null;
+}
+
+/**
+  Resolves type annotations of a module into ABI parameters, knowing its
+  structs, enums, interfaces and integer constants.
+*/
+class AbiTypes {
+  constructor(module) {
+    this.structs = new Map();
+    this.enums = new Set();
+    this.interfaces = new Set();
+    this.constants = new Map();
+    for (const node of module.body) {
+      if (node instanceof ast.StructDef) {
+        this.structs.set(node.name, node);
+      } else if (node instanceof ast.EnumDef || node instanceof ast.FlagDef) {
+        this.enums.add(node.name);
+      } else if (node instanceof ast.InterfaceDef) {
+        this.interfaces.add(node.name);
+      } else if (node instanceof ast.Import) {
+        this.interfaces.add(node.alias || node.name.split(".").pop());
+      } else if (node instanceof ast.ImportFrom) {
+        for (const alias of node.names) {
+          this.interfaces.add(alias.asname || alias.name);
+        }
+      } else if (
+        node instanceof ast.VariableDecl &&
+        node.is_constant &&
+        integer_value(node.value) !== null
+      ) {
+        this.constants.set(node.target.id, integer_value(node.value));
+      }
+    }
+  }
+
+  /**
+    Returns `{ type, components? }` for a type annotation.
+  */
+  param(annotation) {
+    if (annotation instanceof ast.Name) {
+      return this.named(annotation.id);
+    }
+    if (annotation instanceof ast.Tuple) {
+      return {
+        type: "tuple",
+        components: annotation.elements.map((e) => ({ name: "", ...this.param(e) })),
+      };
+    }
+    if (annotation instanceof ast.Subscript) {
+      const base = subscript_base(annotation);
+      if (base === "Bytes" || base === "bytes") {
+        return { type: "bytes" };
+      }
+      if (base === "String" || base === "string") {
+        return { type: "string" };
+      }
+      if (base === "HashMap") {
+        throw new AbiError("HashMap can't be used as an ABI type");
+      }
+      if (base === "DynArray") {
+        const [item] = annotation.slice.elements;
+        return this.array_of(this.param(item), "[]");
+      }
+      const size = this.size(annotation.slice);
+      return this.array_of(this.param(annotation.value), `[${size}]`);
+    }
+    throw new AbiError(`Unsupported type annotation: ${annotation.ast_type}`);
+  }
+
+  named(name) {
+    if (name === "decimal") {
+      return { type: "fixed168x10" };
+    }
+    if (this.structs.has(name)) {
+      return {
+        type: "tuple",
+        components: this.structs
+          .get(name)
+          .body.filter((m) => m instanceof ast.StructMember)
+          .map((m) => ({ name: m.name, ...this.param(m.annotation) })),
+      };
+    }
+    if (this.interfaces.has(name)) {
+      return { type: "address" };
+    }
+    if (this.enums.has(name)) {
+      return { type: "uint256" };
+    }
+    return { type: name };
+  }
+
+  array_of(item, suffix) {
+    return { ...item, type: item.type + suffix };
+  }
+
+  size(node) {
+    const value = integer_value(node);
+    if (value !== null) {
+      return value;
+    }
+    if (node instanceof ast.Name && this.constants.has(node.id)) {
+      return this.constants.get(node.id);
+    }
+    throw new AbiError("Array size must be an integer or an integer constant");
+  }
+
+  /**
+    Splits the annotation of a public variable into the getter's index types
+    and its return type: `HashMap[K, V]` takes a `K`, arrays take a `uint256`.
+  */
+  getter(annotation) {
+    const inputs = [];
+    let node = annotation;
+    for (;;) {
+      const base = subscript_base(node);
+      if (base === "HashMap") {
+        const [key, value] = node.slice.elements;
+        inputs.push(this.param(key));
+        node = value;
+      } else if (base === "DynArray") {
+        inputs.push({ type: "uint256" });
+        node = node.slice.elements[0];
+      } else if (base !== null && !BYTES_AND_STRINGS.includes(base)) {
+        inputs.push({ type: "uint256" });
+        node = node.value;
+      } else {
+        break;
+      }
+    }
+    return {
+      inputs: inputs.map((p, i) => ({ name: `arg${i}`, ...p })),
+      output: this.param(node),
+    };
+  }
+}
+
+const BYTES_AND_STRINGS = ["Bytes", "bytes", "String", "string"];
+
+/**
+  Returns what a subscripted type is built on (`HashMap`, `Bytes`, `uint256`
+  for `uint256[3]`, `[]` for `uint256[3][4]`...), or null if `node` isn't
+  subscripted.
+*/
+function subscript_base(node) {
+  if (!(node instanceof ast.Subscript)) {
+    return null;
+  }
+  return node.value instanceof ast.Name ? node.value.id : "[]";
+}
+
+function decorator_names(fn) {
+  return fn.decorator_list.map((d) => (d instanceof ast.Call ? d.func.id : d.id));
+}
+
+function outputs(types, returns) {
+  if (returns === null) {
+    return [];
+  }
+  if (returns instanceof ast.Tuple) {
+    return returns.elements.map((e) => ({ name: "", ...types.param(e) }));
+  }
+  return [{ name: "", ...types.param(returns) }];
+}
+
+function function_abi(types, fn) {
+  const decorators = decorator_names(fn);
+  const stateMutability =
+    decorators.find((d) => MUTABILITY_DECORATORS.includes(d)) || "nonpayable";
+  const inputs = fn.args.map((a) => ({ name: a.name, ...types.param(a.annotation) }));
+
+  if (fn.name === "__init__") {
+    return [{ type: "constructor", inputs, outputs: [], stateMutability }];
+  }
+  if (!decorators.includes("external")) {
+    return [];
+  }
+  if (fn.name === "__default__") {
+    return [{ type: "fallback", stateMutability }];
+  }
+
+  // Like the compiler, emit one overload per number of defaulted arguments
+  const required = fn.args.filter((a) => a.default === null).length;
+  const result = [];
+  for (let n = required; n <= inputs.length; n++) {
+    result.push({
+      type: "function",
+      name: fn.name,
+      inputs: inputs.slice(0, n),
+      outputs: outputs(types, fn.returns),
+      stateMutability,
+    });
+  }
+  return result;
+}
+
+function getter_abi(types, decl) {
+  const { inputs, output } = types.getter(decl.annotation);
+  return {
+    type: "function",
+    name: decl.target.id,
+    inputs,
+    outputs: [{ name: "", ...output }],
+    stateMutability: "view",
+  };
+}
+
+function event_abi(types, event) {
+  return {
+    type: "event",
+    name: event.name,
+    inputs: event.body
+      .filter((arg) => arg instanceof ast.EventArg)
+      .map((arg) => ({
+        name: arg.name,
+        ...types.param(arg.annotation),
+        indexed: arg.indexed,
+      })),
+    anonymous: false,
+  };
+}
+
+/**
+  Returns the Ethereum ABI of a contract: its external functions, the getters
+  of its public variables and its events, in source order.
+
+  Structs become `tuple` parameters with `components`, enums and flags
+  become `uint256`, interfaces become `address`, `Bytes[N]` / `String[N]`
+  become `bytes` / `string`, and `decimal` becomes `fixed168x10`.
+
+  @param {Tree|Module} tree A `module` tree from the parser, or its typed AST.
+  @returns {object[]}
+*/
+function abi(tree) {
+  const module = tree instanceof Tree ? ast.toAst(tree) : tree;
+  const types = new AbiTypes(module);
+  const result = [];
+  for (const node of module.body) {
+    if (node instanceof ast.FunctionDef) {
+      result.push(...function_abi(types, node));
+    } else if (node instanceof ast.VariableDecl && node.is_public) {
+      result.push(getter_abi(types, node));
+    } else if (node instanceof ast.EventDef) {
+      result.push(event_abi(types, node));
+    }
+  }
+  return result;
+}
+
+module.exports = { abi, function_abi, AbiTypes, AbiError };
@@ -0,0 +1,1276 @@
+"use strict";
+
+const { Transformer, Token } = require("./vyper");
+const { literal_value, LiteralError } = require("./literals");
+
+//
+// Nodes
+//
+
+/**
+  Base class of the typed Vyper AST.
+
+  Every node lists its fields in `_fields` (child nodes, lists of nodes and
+  plain values alike), carries a `span` with the same properties as a Lark
+  `meta` (`line`, `column`, `end_line`, `end_column`, `start_pos`, `end_pos`),
+  and points to its `parent` once the tree is built by {@link toAst}.
+
+  `parent` is not enumerable, so nodes can be compared and serialized without
+  following the cycle.
+*/
+class Node {
+  static get _fields() {
+    return [];
+  }
+
+  constructor(fields = {}, span = null) {
+    Object.defineProperty(this, "parent", {
+      value: null,
+      writable: true,
+      enumerable: false,
+    });
+    for (const name of this.constructor._fields) {
+      this[name] = fields[name] === undefined ? null : fields[name];
+    }
+    this.span = span;
+  }
+
+  get ast_type() {
+    return this.constructor.name;
+  }
+
+  /**
+    Iterates over the direct child nodes, in field order.
+  */
+  *iter_children() {
+    for (const name of this.constructor._fields) {
+      const value = this[name];
+      if (value instanceof Node) {
+        yield value;
+      } else if (Array.isArray(value)) {
+        for (const item of value) {
+          if (item instanceof Node) {
+            yield item;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+    Pre-order iteration over this node and all its descendants.
+  */
+  *walk() {
+    yield this;
+    for (const child of this.iter_children()) {
+      yield* child.walk();
+    }
+  }
+
+  /**
+    Returns all descendants (including this node) that are instances of `cls`.
+  */
+  find_all(cls) {
+    return [...this.walk()].filter((n) => n instanceof cls);
+  }
+
+  /**
+    Returns the closest ancestor that is an instance of `cls`, or null.
+  */
+  get_ancestor(cls) {
+    let node = this.parent;
+    while (node !== null && !(node instanceof cls)) {
+      node = node.parent;
+    }
+    return node;
+  }
+}
+
+class Stmt extends Node {}
+class ExprNode extends Node {}
+class Operator extends Node {}
+
+// Top level
+
+class Module extends Node {
+  static get _fields() {
+    return ["body", "doc_string"];
+  }
+}
+
+class Import extends Stmt {
+  static get _fields() {
+    return ["name", "alias"];
+  }
+}
+
+class ImportFrom extends Stmt {
+  static get _fields() {
+    return ["module", "level", "names"];
+  }
+}
+
+class Alias extends Node {
+  static get _fields() {
+    return ["name", "asname"];
+  }
+}
+
+/**
+  `implements: ERC20`, with the interface's `Name` (or an `Attribute`, for
+  one from a module) as `annotation`.
+*/
+class ImplementsDecl extends Stmt {
+  static get _fields() {
+    return ["annotation"];
+  }
+}
+
+/**
+  `initializes: lib`. The `annotation` is the module's `Name`, or a
+  `Subscript` of it whose slice lists its dependencies as `NamedExpr`s
+  (a `Tuple` of them when there are several).
+*/
+class InitializesDecl extends Stmt {
+  static get _fields() {
+    return ["annotation"];
+  }
+}
+
+/**
+  `uses: lib`, with a `Name`, or a `Tuple` of them.
+*/
+class UsesDecl extends Stmt {
+  static get _fields() {
+    return ["annotation"];
+  }
+}
+
+/**
+  `exports: lib.foo`, with an `Attribute` (or `Name`), or a `Tuple` of them.
+*/
+class ExportsDecl extends Stmt {
+  static get _fields() {
+    return ["annotation"];
+  }
+}
+
+class VariableDecl extends Stmt {
+  static get _fields() {
+    return [
+      "target",
+      "annotation",
+      "value",
+      "is_constant",
+      "is_public",
+      "is_immutable",
+      "is_transient",
+    ];
+  }
+}
+
+/**
+  A function. A docstring opening its body is taken out of `body` into
+  `doc_string`, as the compiler does.
+*/
+class FunctionDef extends Stmt {
+  static get _fields() {
+    return ["name", "args", "returns", "decorator_list", "body", "doc_string"];
+  }
+}
+
+class Arg extends Node {
+  static get _fields() {
+    return ["name", "annotation", "default"];
+  }
+}
+
+class EventDef extends Stmt {
+  static get _fields() {
+    return ["name", "body", "doc_string"];
+  }
+}
+
+class EventArg extends Node {
+  static get _fields() {
+    return ["name", "annotation", "indexed"];
+  }
+}
+
+class StructDef extends Stmt {
+  static get _fields() {
+    return ["name", "body"];
+  }
+}
+
+class StructMember extends Node {
+  static get _fields() {
+    return ["name", "annotation"];
+  }
+}
+
+/**
+  An `enum` block. Its members are `Expr` statements of their `Name`, as in
+  the compiler's AST.
+*/
+class EnumDef extends Stmt {
+  static get _fields() {
+    return ["name", "body"];
+  }
+}
+
+/**
+  A `flag` block, the Vyper 0.4 name of `enum`.
+*/
+class FlagDef extends Stmt {
+  static get _fields() {
+    return ["name", "body"];
+  }
+}
+
+class InterfaceDef extends Stmt {
+  static get _fields() {
+    return ["name", "body"];
+  }
+}
+
+class InterfaceFunction extends Node {
+  static get _fields() {
+    return ["name", "args", "returns", "mutability"];
+  }
+}
+
+// Statements
+
+class AnnAssign extends Stmt {
+  static get _fields() {
+    return ["target", "annotation", "value"];
+  }
+}
+
+class Assign extends Stmt {
+  static get _fields() {
+    return ["target", "value"];
+  }
+}
+
+class AugAssign extends Stmt {
+  static get _fields() {
+    return ["target", "op", "value"];
+  }
+}
+
+class Return extends Stmt {
+  static get _fields() {
+    return ["value"];
+  }
+}
+
+class Pass extends Stmt {}
+class Break extends Stmt {}
+class Continue extends Stmt {}
+
+class Log extends Stmt {
+  static get _fields() {
+    return ["value"];
+  }
+}
+
+class Raise extends Stmt {
+  static get _fields() {
+    return ["exc"];
+  }
+}
+
+class Assert extends Stmt {
+  static get _fields() {
+    return ["test", "msg"];
+  }
+}
+
+class If extends Stmt {
+  static get _fields() {
+    return ["test", "body", "orelse"];
+  }
+}
+
+/**
+  A `for` loop. When `iter` is a `range()` call, its arguments can also be
+  read by name from `range_start`, `range_end` and `range_bound`.
+*/
+class For extends Stmt {
+  static get _fields() {
+    return ["target", "annotation", "iter", "body"];
+  }
+
+  /**
+    Does the loop iterate over `range()`?
+  */
+  get is_range() {
+    const { iter } = this;
+    return iter instanceof Call && iter.func instanceof Name && iter.func.id === "range";
+  }
+
+  /**
+    The start of the range, or null for `range(end)` (and other iterators).
+  */
+  get range_start() {
+    return this.is_range && this.iter.args.length > 1 ? this.iter.args[0] : null;
+  }
+
+  get range_end() {
+    return this.is_range ? this.iter.args[this.iter.args.length - 1] : null;
+  }
+
+  /**
+    The value of `bound=`, or null.
+  */
+  get range_bound() {
+    const bound = this.is_range ? this.iter.keywords.find((k) => k.arg === "bound") : null;
+    return bound ? bound.value : null;
+  }
+}
+
+/**
+  An expression used as a statement, e.g. a bare function call.
+*/
+class Expr extends Stmt {
+  static get _fields() {
+    return ["value"];
+  }
+}
+
+/**
+  What error recovery skipped (see the `recover` option of `parseVyper()`):
+  the `tokens` of a broken statement, or of a broken line and the block after
+  it.
+*/
+class ErrorNode extends Stmt {
+  static get _fields() {
+    return ["tokens"];
+  }
+}
+
+// Expressions
+
+class Name extends ExprNode {
+  static get _fields() {
+    return ["id"];
+  }
+}
+
+class Attribute extends ExprNode {
+  static get _fields() {
+    return ["value", "attr"];
+  }
+}
+
+class Subscript extends ExprNode {
+  static get _fields() {
+    return ["value", "slice"];
+  }
+}
+
+/**
+  `target := value`, as in the dependencies of `initializes: lib[dep := dep]`.
+*/
+class NamedExpr extends ExprNode {
+  static get _fields() {
+    return ["target", "value"];
+  }
+}
+
+class Call extends ExprNode {
+  static get _fields() {
+    return ["func", "args", "keywords"];
+  }
+}
+
+/**
+  An `extcall` or `staticcall` of `value`, a `Call` whose `func` is an
+  `Attribute` of the interface.
+*/
+class ExternalCall extends ExprNode {
+  static get _fields() {
+    return ["value"];
+  }
+
+  /**
+    `"extcall"` or `"staticcall"`.
+  */
+  get kind() {
+    return this instanceof StaticCall ? "staticcall" : "extcall";
+  }
+
+  /**
+    The interface being called: a cast like `Token(addr)`, or a variable.
+  */
+  get target() {
+    return this.value.func.value;
+  }
+
+  /**
+    The name of the method being called.
+  */
+  get method() {
+    return this.value.func.attr;
+  }
+}
+
+class ExtCall extends ExternalCall {}
+class StaticCall extends ExternalCall {}
+
+/**
+  A struct built by calling it: `Point(x=1, y=2)`, or the older
+  `Point({x: 1, y: 2})`, where `args` holds the `Dict`. The compiler sees a
+  `Call` either way.
+*/
+class StructLiteral extends ExprNode {
+  static get _fields() {
+    return ["func", "args", "keywords"];
+  }
+
+  /**
+    The name of the struct.
+  */
+  get name() {
+    return this.func.id;
+  }
+
+  /**
+    Whether the members are given as a `Dict`.
+  */
+  get is_dict() {
+    return this.args.length === 1 && this.args[0] instanceof Dict;
+  }
+
+  /**
+    The members given, in either form, as `{ name, value, span }`.
+  */
+  get members() {
+    if (this.is_dict) {
+      const { keys, values } = this.args[0];
+      return keys.map((key, i) => ({ name: key.id, value: values[i], span: key.span }));
+    }
+    return this.keywords.map((k) => ({ name: k.arg, value: k.value, span: k.span }));
+  }
+}
+
+class Keyword extends Node {
+  static get _fields() {
+    return ["arg", "value"];
+  }
+}
+
+class Tuple extends ExprNode {
+  static get _fields() {
+    return ["elements"];
+  }
+}
+
+class List extends ExprNode {
+  static get _fields() {
+    return ["elements"];
+  }
+}
+
+class Dict extends ExprNode {
+  static get _fields() {
+    return ["keys", "values"];
+  }
+}
+
+class BinOp extends ExprNode {
+  static get _fields() {
+    return ["left", "op", "right"];
+  }
+}
+
+class BoolOp extends ExprNode {
+  static get _fields() {
+    return ["op", "values"];
+  }
+}
+
+class Compare extends ExprNode {
+  static get _fields() {
+    return ["left", "op", "right"];
+  }
+}
+
+class UnaryOp extends ExprNode {
+  static get _fields() {
+    return ["op", "operand"];
+  }
+}
+
+/**
+  `body if test else orelse`.
+*/
+class IfExp extends ExprNode {
+  static get _fields() {
+    return ["test", "body", "orelse"];
+  }
+}
+
+// Literals
+
+/**
+  A literal. Its `value` is a BigInt for `Int`, the text as written for `Hex`
+  and `Decimal`, the decoded string for `Str`, a `Uint8Array` for `Bytes`
+  and `HexBytes` (`x"..."`) and a boolean for `NameConstant`.
+*/
+class Constant extends ExprNode {
+  static get _fields() {
+    return ["value"];
+  }
+}
+
+class Int extends Constant {}
+class Hex extends Constant {}
+class Decimal extends Constant {}
+class Str extends Constant {}
+class Bytes extends Constant {}
+class HexBytes extends Constant {}
+class NameConstant extends Constant {}
+
+// Operators
+
+class Add extends Operator {}
+class Sub extends Operator {}
+class Mult extends Operator {}
+class Div extends Operator {}
+class FloorDiv extends Operator {}
+class Mod extends Operator {}
+class Pow extends Operator {}
+class LShift extends Operator {}
+class RShift extends Operator {}
+class BitAnd extends Operator {}
+class BitOr extends Operator {}
+class BitXor extends Operator {}
+class And extends Operator {}
+class Or extends Operator {}
+class Eq extends Operator {}
+class NotEq extends Operator {}
+class Lt extends Operator {}
+class LtE extends Operator {}
+class Gt extends Operator {}
+class GtE extends Operator {}
+class In extends Operator {}
+class NotIn extends Operator {}
+class UAdd extends Operator {}
+class USub extends Operator {}
+class Invert extends Operator {}
+class Not extends Operator {}
+
+//
+// Lark tree -> typed AST
+//
+
+const SPAN_FIELDS = [
+  "line",
+  "column",
+  "end_line",
+  "end_column",
+  "start_pos",
+  "end_pos",
+];
+
+function _span_of_item(item) {
+  if (item instanceof Token) {
+    return item.line === null ? null : pick_span(item);
+  }
+  if (Array.isArray(item)) {
+    return merge_spans(item.map(_span_of_item));
+  }
+  return (item && item.span) || null;
+}
+
+function pick_span(obj) {
+  return Object.fromEntries(SPAN_FIELDS.map((f) => [f, obj[f]]));
+}
+
+/**
+  Returns a span covering the first and last of the given spans.
+*/
+function merge_spans(spans) {
+  const present = spans.filter(Boolean);
+  if (!present.length) {
+    return null;
+  }
+  const first = present[0];
+  const last = present[present.length - 1];
+  return {
+    line: first.line,
+    column: first.column,
+    end_line: last.end_line,
+    end_column: last.end_column,
+    start_pos: first.start_pos,
+    end_pos: last.end_pos,
+  };
+}
+
+/**
+  Builds the constant of a literal token, decoded with `literal_value()`. A
+  malformed literal has a null `value`, and the `LiteralError` as `error`.
+*/
+function constant_of(cls, item, span) {
+  try {
+    return new cls({ value: literal_value(item) }, span);
+  } catch (e) {
+    if (!(e instanceof LiteralError)) {
+      throw e;
+    }
+    const node = new cls({ value: null }, span);
+    node.error = e;
+    return node;
+  }
+}
+
+/**
+  Converts a token standing for an expression (names and literals).
+*/
+function expr_of(item) {
+  if (!(item instanceof Token)) {
+    return item;
+  }
+  const span = _span_of_item(item);
+  const text = item.value;
+  switch (item.type) {
+    case "NAME":
+      return new Name({ id: text }, span);
+    case "DEC_NUMBER":
+    case "OCT_NUMBER":
+    case "BIN_NUMBER":
+      return constant_of(Int, item, span);
+    case "HEX_NUMBER":
+      return new Hex({ value: text }, span);
+    case "FLOAT_NUMBER":
+      // Kept as written, like the compiler does
+      return new Decimal({ value: text }, span);
+    case "BOOL":
+      return new NameConstant({ value: text === "True" }, span);
+    case "HEX_STRING":
+      return constant_of(HexBytes, item, span);
+    case "DOCSTRING":
+    case "STRING": {
+      // Bytes literals start with `b`
+      const cls = /^b/i.test(text) ? Bytes : Str;
+      return constant_of(cls, item, span);
+    }
+    default:
+      throw new TypeError(`Unexpected token ${item.type} in expression`);
+  }
+}
+
+function as_stmt(item) {
+  if (item instanceof Stmt) {
+    return item;
+  }
+  const value = expr_of(item);
+  return new Expr({ value }, value.span);
+}
+
+/**
+  Splits the docstring, a `Str` expression, off the start of a body.
+*/
+function split_docstring(body) {
+  if (body.length && body[0] instanceof Expr && body[0].value instanceof Str) {
+    return { doc_string: body[0].value, body: body.slice(1) };
+  }
+  return { doc_string: null, body };
+}
+
+function nodes(children) {
+  return children.filter((c) => !(c instanceof Token) || c.type !== "COMMENT");
+}
+
+function call_parts(args) {
+  args = args || [];
+  return {
+    args: args.filter((a) => !(a instanceof Keyword)),
+    keywords: args.filter((a) => a instanceof Keyword),
+  };
+}
+
+function binop(op_cls) {
+  return (c, span) =>
+    c.length === 0
+      ? new op_cls({}, span) // from `aug_operator`
+      : new BinOp(
+          { left: expr_of(c[0]), op: new op_cls(), right: expr_of(c[1]) },
+          span
+        );
+}
+
+function boolop(op_cls) {
+  return (c, span) => {
+    if (c.length === 0) {
+      return new op_cls({}, span);
+    }
+    // `a and b and c` is a single BoolOp, as in Python
+    const values = [];
+    for (const operand of c.map(expr_of)) {
+      if (operand instanceof BoolOp && operand.op instanceof op_cls) {
+        values.push(...operand.values);
+      } else {
+        values.push(operand);
+      }
+    }
+    return new BoolOp({ op: new op_cls(), values }, span);
+  };
+}
+
+function compare(op_cls) {
+  return (c, span) =>
+    new Compare(
+      { left: expr_of(c[0]), op: new op_cls(), right: expr_of(c[1]) },
+      span
+    );
+}
+
+function unaryop(op_cls) {
+  return (c, span) =>
+    new UnaryOp({ op: new op_cls(), operand: expr_of(c[0]) }, span);
+}
+
+/**
+  The `Name` of a keyword the grammar leaves out of the tree, such as
+  `DynArray` or `range`, at the start of `span`.
+*/
+function keyword_name(keyword, span) {
+  return new Name(
+    { id: keyword },
+    span && {
+      ...span,
+      end_line: span.line,
+      end_column: span.column + keyword.length,
+      end_pos: span.start_pos + keyword.length,
+    }
+  );
+}
+
+/**
+  Builds `Keyword[a]` or `Keyword[a, b]` (as a `Tuple` slice), like the
+  Python AST of the same annotation.
+*/
+function keyword_subscript(keyword, c, span) {
+  const elements = c.map(expr_of);
+  const value = keyword_name(keyword, span);
+  return new Subscript({ value, slice: one_or_tuple(elements) }, span);
+}
+
+/**
+  A single expression, or a `Tuple` of several.
+*/
+function one_or_tuple(elements) {
+  return elements.length === 1
+    ? elements[0]
+    : new Tuple({ elements }, merge_spans(elements.map((e) => e.span)));
+}
+
+function variable_decl(c, span, flags = {}) {
+  return new VariableDecl(
+    {
+      target: expr_of(c[0]),
+      annotation: c[1],
+      value: c.length > 2 ? expr_of(c[2]) : null,
+      is_constant: false,
+      is_public: false,
+      is_immutable: false,
+      is_transient: false,
+      ...flags,
+    },
+    span
+  );
+}
+
+/**
+  One function per rule (or alias) of `source/vyper.lark`, called with the
+  already converted children and the span of the tree.
+
+  Intermediate rules return plain objects or arrays, consumed by their parent.
+*/
+const builders = {
+  module(c) {
+    let doc_string = null;
+    const body = [];
+    for (const item of nodes(c)) {
+      if (item instanceof Token && item.type === "DOCSTRING") {
+        if (doc_string === null && body.length === 0) {
+          doc_string = expr_of(item);
+          continue;
+        }
+      }
+      body.push(as_stmt(item));
+    }
+    return new Module({ body, doc_string });
+  },
+
+  // Imports
+
+  import(c, span) {
+    const from = c.find((x) => x && x.import_from);
+    if (!from) {
+      const names = c.filter((x) => x instanceof Token && x.type === "NAME");
+      const alias = c.find((x) => typeof x === "string") || null;
+      return new Import({ name: names.map((t) => t.value).join("."), alias }, span);
+    }
+    let names;
+    const last = c[c.length - 1];
+    if (Array.isArray(last)) {
+      names = last;
+    } else if (last instanceof Token && last.type === "WILDCARD") {
+      names = [new Alias({ name: "*", asname: null }, _span_of_item(last))];
+    } else {
+      const name = c.find((x) => x instanceof Token && x.type === "NAME");
+      const asname = typeof last === "string" ? last : null;
+      names = [new Alias({ name: name.value, asname }, _span_of_item(name))];
+    }
+    return new ImportFrom({ module: from.module, level: from.level, names }, span);
+  },
+  import_from(c) {
+    const path = c.filter((t) => t.type === "NAME").map((t) => t.value);
+    return {
+      import_from: true,
+      module: path.length ? path.join(".") : null,
+      level: c.filter((t) => t.type === "DOT").length,
+    };
+  },
+  import_alias(c) {
+    return c[0].value;
+  },
+  import_list(c) {
+    const names = [];
+    for (const item of c) {
+      if (typeof item === "string") {
+        names[names.length - 1].asname = item;
+      } else {
+        names.push(new Alias({ name: item.value, asname: null }, _span_of_item(item)));
+      }
+    }
+    return names;
+  },
+
+  implements: (c, span) => new ImplementsDecl({ annotation: c[0] }, span),
+
+  // Module system
+
+  module_dependency: (c, span) =>
+    new NamedExpr({ target: expr_of(c[0]), value: expr_of(c[1]) }, span),
+  initializes_decl(c, span) {
+    let annotation = expr_of(c[0]);
+    if (c.length > 1) {
+      // The subscript ends with the statement, at its "]"
+      const slice = one_or_tuple(c.slice(1));
+      annotation = new Subscript(
+        { value: annotation, slice },
+        merge_spans([annotation.span, span])
+      );
+    }
+    return new InitializesDecl({ annotation }, span);
+  },
+  uses_decl: (c, span) => new UsesDecl({ annotation: one_or_tuple(c.map(expr_of)) }, span),
+  dotted_name: (c) =>
+    c
+      .slice(1)
+      .reduce(
+        (value, name) =>
+          new Attribute(
+            { value, attr: name.value },
+            merge_spans([value.span, _span_of_item(name)])
+          ),
+        expr_of(c[0])
+      ),
+  exports_decl: (c, span) => new ExportsDecl({ annotation: one_or_tuple(c) }, span),
+
+  // Storage, constants and types
+
+  variable: (c, span) => variable_decl(c, span),
+  variable_def(c, span) {
+    const flags = c.filter((x) => x && x.flag).map((x) => [x.flag, true]);
+    return variable_decl(
+      c.filter((x) => !(x && x.flag)),
+      span,
+      Object.fromEntries(flags)
+    );
+  },
+  is_constant: () => ({ flag: "is_constant" }),
+  is_immutable: () => ({ flag: "is_immutable" }),
+  is_public: () => ({ flag: "is_public" }),
+  is_transient: () => ({ flag: "is_transient" }),
+
+  type: (c) => expr_of(c[0]),
+  static_array: (c, span) =>
+    new Subscript({ value: expr_of(c[0]), slice: expr_of(c[1]) }, span),
+  dyn_array: (c, span) => keyword_subscript("DynArray", c, span),
+  bytes_type: (c, span) => keyword_subscript("Bytes", c, span),
+  string_type: (c, span) => keyword_subscript("String", c, span),
+  hashmap: (c, span) => keyword_subscript("HashMap", c, span),
+  tuple_type: (c, span) => new Tuple({ elements: c.map(expr_of) }, span),
+
+  // Functions
+
+  decorator(c, span) {
+    const func = expr_of(c[0]);
+    return c.length > 1 ? new Call({ func, ...call_parts(c[1]) }, span) : func;
+  },
+  decorators: (c) => c,
+  parameter: (c, span) =>
+    new Arg(
+      {
+        name: c[0].value,
+        annotation: c[1],
+        default: c.length > 2 ? expr_of(c[2]) : null,
+      },
+      span
+    ),
+  parameters: (c) => c,
+  returns: (c) => c[0],
+  function_sig(c, span) {
+    return {
+      name: c[0].value,
+      args: c.find(Array.isArray) || [],
+      returns: c.slice(1).find((x) => x instanceof Node) || null,
+      span,
+    };
+  },
+  function_def(c, span) {
+    const decorator_list = c.length > 2 ? c[0] : [];
+    const { name, args, returns } = c[c.length - 2];
+    return new FunctionDef(
+      { name, args, returns, decorator_list, ...split_docstring(c[c.length - 1]) },
+      span
+    );
+  },
+
+  // Events, structs and interfaces
+
+  event_def: (c, span) =>
+    new EventDef({ name: c[0].value, body: [], doc_string: null, ...c[1] }, span),
+  event_body: (c) =>
+    split_docstring(
+      c.map((arg) =>
+        arg instanceof Token
+          ? as_stmt(arg)
+          : arg instanceof EventArg || arg instanceof ErrorNode
+          ? arg
+          : new EventArg(
+              { name: arg.target.id, annotation: arg.annotation, indexed: false },
+              arg.span
+            )
+      )
+    ),
+  indexed_event_arg: (c, span) =>
+    new EventArg({ name: c[0].value, annotation: c[1], indexed: true }, span),
+
+  struct_def: (c, span) =>
+    new StructDef({ name: c[0].value, body: c.slice(1) }, span),
+  struct_member: (c, span) =>
+    new StructMember({ name: c[0].value, annotation: c[1] }, span),
+  enum_def: (c, span) => new EnumDef({ name: c[0].value, body: c.slice(1) }, span),
+  enum_member: (c, span) => new Expr({ value: expr_of(c[0]) }, span),
+  flag_def: (c, span) => new FlagDef({ name: c[0].value, body: c.slice(1) }, span),
+  flag_member: (c, span) => new Expr({ value: expr_of(c[0]) }, span),
+
+  interface_def: (c, span) =>
+    new InterfaceDef({ name: c[0].value, body: c.slice(1) }, span),
+  interface_function(c, span) {
+    const { name, args, returns } = c[0];
+    return new InterfaceFunction({ name, args, returns, mutability: c[1] }, span);
+  },
+  mutability: (c) => c[0].value,
+
+  // Error recovery
+
+  error: (c, span) => new ErrorNode({ tokens: c }, span),
+
+  // Statements
+
+  body: (c) => nodes(c).map(as_stmt),
+  declaration(c, span) {
+    const { target, annotation } = c[0];
+    const value = c.length > 1 ? expr_of(c[1]) : null;
+    return new AnnAssign({ target, annotation, value }, span);
+  },
+  skip_assign: (c, span) => new Name({ id: "_" }, span),
+  multiple_assign: (c, span) => new Tuple({ elements: c.map(expr_of) }, span),
+  assign: (c, span) =>
+    new Assign({ target: expr_of(c[0]), value: expr_of(c[1]) }, span),
+  aug_assign: (c, span) =>
+    new AugAssign({ target: expr_of(c[0]), op: c[1], value: expr_of(c[2]) }, span),
+  return_stmt(c, span) {
+    let value = null;
+    if (c.length === 1) {
+      value = expr_of(c[0]);
+    } else if (c.length > 1) {
+      value = new Tuple({ elements: c.map(expr_of) }, merge_spans(c.map(_span_of_item)));
+    }
+    return new Return({ value }, span);
+  },
+  pass_stmt: (c, span) => new Pass({}, span),
+  break_stmt: (c, span) => new Break({}, span),
+  continue_stmt: (c, span) => new Continue({}, span),
+  log_stmt: (c, span) =>
+    new Log(
+      { value: new Call({ func: expr_of(c[0]), ...call_parts(c[1]) }, span) },
+      span
+    ),
+  raise: (c, span) => new Raise({ exc: null }, span),
+  raise_with_reason: (c, span) => new Raise({ exc: expr_of(c[0]) }, span),
+  raise_unreachable: (c, span) =>
+    new Raise({ exc: new Name({ id: "UNREACHABLE" }) }, span),
+  assert: (c, span) => new Assert({ test: expr_of(c[0]), msg: null }, span),
+  assert_with_reason: (c, span) =>
+    new Assert({ test: expr_of(c[0]), msg: expr_of(c[1]) }, span),
+  assert_unreachable: (c, span) =>
+    new Assert(
+      { test: expr_of(c[0]), msg: new Name({ id: "UNREACHABLE" }) },
+      span
+    ),
+
+  cond_exec: (c, span) => ({ test: expr_of(c[0]), body: c[1], span }),
+  default_exec: (c) => c[0],
+  if_stmt(c, span) {
+    const orelse = Array.isArray(c[c.length - 1]) ? c.pop() : [];
+    // `elif` branches become nested `If` nodes in `orelse`
+    return c.reduceRight(
+      (orelse, { test, body, span: branch_span }, i) => [
+        new If({ test, body, orelse }, i === 0 ? span : branch_span),
+      ],
+      orelse
+    )[0];
+  },
+  loop_variable: (c) => ({
+    target: expr_of(c[0]),
+    annotation: c.length > 1 ? c[1] : null,
+  }),
+  range_bound: (c, span) => new Keyword({ arg: "bound", value: expr_of(c[0]) }, span),
+  range_iterator(c, span) {
+    const func = keyword_name("range", span);
+    return new Call({ func, ...call_parts(c.map(expr_of)) }, span);
+  },
+  loop_iterator: (c) => expr_of(c[0]),
+  for_stmt: (c, span) =>
+    new For({ ...c[0], iter: c[1], body: c[2] }, span),
+
+  // Expressions
+
+  get_var: (c, span) => new Name({ id: c[0].value }, span),
+  get_attr: (c, span) =>
+    new Attribute({ value: expr_of(c[0]), attr: c[1].value }, span),
+  get_item: (c, span) =>
+    new Subscript({ value: expr_of(c[0]), slice: expr_of(c[1]) }, span),
+  call: (c, span) =>
+    new Call({ func: expr_of(c[0]), ...call_parts(c[1]) }, span),
+  external_call(c, span) {
+    const [kind, target, method, args] = c;
+    const func = new Attribute(
+      { value: expr_of(target), attr: method.value },
+      merge_spans([_span_of_item(target), _span_of_item(method)])
+    );
+    const call = new Call(
+      { func, ...call_parts(args) },
+      merge_spans([_span_of_item(target), span])
+    );
+    const cls = kind.type === "STATICCALL" ? StaticCall : ExtCall;
+    return new cls({ value: call }, span);
+  },
+  struct_literal: (c, span) =>
+    new StructLiteral({ func: expr_of(c[0]), ...call_parts(c[1]) }, span),
+  arg: (c) => expr_of(c[0]),
+  kwarg: (c, span) => new Keyword({ arg: c[0].value, value: expr_of(c[1]) }, span),
+  arguments: (c) => c,
+
+  tuple: (c, span) => new Tuple({ elements: c.map(expr_of) }, span),
+  list: (c, span) => new List({ elements: c.map(expr_of) }, span),
+  dict(c, span) {
+    const keys = [];
+    const values = [];
+    for (let i = 0; i < c.length; i += 2) {
+      keys.push(expr_of(c[i]));
+      values.push(expr_of(c[i + 1]));
+    }
+    return new Dict({ keys, values }, span);
+  },
+
+  add: binop(Add),
+  sub: binop(Sub),
+  mul: binop(Mult),
+  div: binop(Div),
+  floordiv: binop(FloorDiv),
+  mod: binop(Mod),
+  pow: binop(Pow),
+  shl: binop(LShift),
+  shr: binop(RShift),
+  bit_and: binop(BitAnd),
+  bit_or: binop(BitOr),
+  bit_xor: binop(BitXor),
+  xor: binop(BitXor),
+  and: boolop(And),
+  or: boolop(Or),
+
+  lt: compare(Lt),
+  gt: compare(Gt),
+  eq: compare(Eq),
+  ne: compare(NotEq),
+  le: compare(LtE),
+  ge: compare(GtE),
+  in: compare(In),
+  not_in: compare(NotIn),
+
+  uadd: unaryop(UAdd),
+  usub: unaryop(USub),
+  invert: unaryop(Invert),
+  not: unaryop(Not),
+
+  ternary: (c, span) =>
+    new IfExp({ body: expr_of(c[0]), test: expr_of(c[1]), orelse: expr_of(c[2]) }, span),
+};
+
+/**
+  Transformer from the Lark parse tree to the typed AST.
+
+  The builders live in a table rather than in methods, because the Lark
+  transformer calls rule methods without `this` and without `meta`.
+*/
+class AstBuilder extends Transformer {
+  constructor() {
+    super(false);
+  }
+
+  __default__(data, children, meta) {
+    const build = builders[data];
+    if (build === undefined) {
+      throw new TypeError(`No AST node for rule '${data}'`);
+    }
+    const span = meta.empty
+      ? merge_spans(children.map(_span_of_item))
+      : pick_span(meta);
+    const node = build(children, span);
+    if (node instanceof Node && node.span === null) {
+      node.span = span;
+    }
+    return node;
+  }
+}
+
+/**
+  Sets the `parent` pointer of every node below `root`.
+*/
+function set_parents(root) {
+  for (const node of root.walk()) {
+    for (const child of node.iter_children()) {
+      child.parent = node;
+    }
+  }
+  return root;
+}
+
+/**
+  Converts a `module` tree, as returned by `get_parser().parse()` or
+  `parseVyper()`, into a typed {@link Module}.
+
+  Spans come from the tree's `meta` when the parser was created with
+  `propagate_positions`, and from the tokens otherwise.
+
+  @param {Tree} tree
+  @returns {Module}
+*/
+function toAst(tree) {
+  return set_parents(new AstBuilder().transform(tree));
+}
+
+module.exports = {
+  toAst,
+  AstBuilder,
+  Node,
+  Stmt,
+  ExprNode,
+  Operator,
+  Module,
+  Import,
+  ImportFrom,
+  Alias,
+  ImplementsDecl,
+  InitializesDecl,
+  UsesDecl,
+  ExportsDecl,
+  VariableDecl,
+  FunctionDef,
+  Arg,
+  EventDef,
+  EventArg,
+  StructDef,
+  StructMember,
+  EnumDef,
+  FlagDef,
+  InterfaceDef,
+  InterfaceFunction,
+  AnnAssign,
+  Assign,
+  AugAssign,
+  Return,
+  Pass,
+  Break,
+  Continue,
+  Log,
+  Raise,
+  Assert,
+  If,
+  For,
+  Expr,
+  ErrorNode,
+  Name,
+  Attribute,
+  Subscript,
+  NamedExpr,
+  Call,
+  ExternalCall,
+  ExtCall,
+  StaticCall,
+  StructLiteral,
+  Keyword,
+  Tuple,
+  List,
+  Dict,
+  BinOp,
+  BoolOp,
+  Compare,
+  UnaryOp,
+  IfExp,
+  Constant,
+  Int,
+  Hex,
+  Decimal,
+  Str,
+  Bytes,
+  HexBytes,
+  NameConstant,
+  Add,
+  Sub,
+  Mult,
+  Div,
+  FloorDiv,
+  Mod,
+  Pow,
+  LShift,
+  RShift,
+  BitAnd,
+  BitOr,
+  BitXor,
+  And,
+  Or,
+  Eq,
+  NotEq,
+  Lt,
+  LtE,
+  Gt,
+  GtE,
+  In,
+  NotIn,
+  UAdd,
+  USub,
+  Invert,
+  Not,
+};
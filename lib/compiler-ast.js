@@ -0,0 +1,333 @@
+"use strict";
+
+const { Tree } = require("./vyper");
+const ast = require("./ast");
+
+/**
+  Numbers nodes, converts positions and renames fields into the JSON layout
+  of the Vyper compiler's `-f ast` output (as of 0.3.x).
+*/
+class CompilerAstExporter {
+  constructor({ filename = "<unknown>", source_id = 0 } = {}) {
+    this.filename = filename;
+    this.source_id = source_id;
+    this.next_id = 0;
+  }
+
+  /**
+    Returns the JSON object for `node`. `span` is used when the node has none
+    of its own (nodes synthesized for the compiler layout, or operators).
+  */
+  node(ast_type, fields, span) {
+    const result = { ast_type, node_id: this.next_id++ };
+    // Convert children after taking our id, so ids follow a pre-order walk
+    for (const [key, value] of Object.entries(fields)) {
+      result[key] = this.value(value, span);
+    }
+    return Object.assign(result, this.position(span));
+  }
+
+  value(value, span) {
+    if (value instanceof ast.Node) {
+      return this.convert(value, span);
+    }
+    if (Array.isArray(value)) {
+      return value.flatMap((v) => {
+        const converted = this.value(v, span);
+        return Array.isArray(converted) ? converted : [converted];
+      });
+    }
+    if (typeof value === "bigint") {
+      return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+    }
+    if (value instanceof Uint8Array) {
+      return "0x" + Array.from(value, (b) => b.toString(16).padStart(2, "0")).join("");
+    }
+    return value;
+  }
+
+  position(span) {
+    if (!span) {
+      return {
+        lineno: null,
+        col_offset: null,
+        end_lineno: null,
+        end_col_offset: null,
+        src: null,
+      };
+    }
+    return {
+      lineno: span.line,
+      col_offset: span.column - 1,
+      end_lineno: span.end_line,
+      end_col_offset: span.end_column - 1,
+      src: `${span.start_pos}:${span.end_pos - span.start_pos}:${this.source_id}`,
+    };
+  }
+
+  convert(node, parent_span = null) {
+    const span = node.span || parent_span;
+    const convert = converters[node.ast_type];
+    if (convert) {
+      return convert.call(this, node, span);
+    }
+    const fields = {};
+    for (const name of node.constructor._fields) {
+      fields[name] = node[name];
+    }
+    return this.node(node.ast_type, fields, span);
+  }
+
+  function_def(node, body, span) {
+    const args_span = node.args.length
+      ? {
+          ...node.args[0].span,
+          end_line: node.args[node.args.length - 1].span.end_line,
+          end_column: node.args[node.args.length - 1].span.end_column,
+          end_pos: node.args[node.args.length - 1].span.end_pos,
+        }
+      : span;
+    return this.node(
+      "FunctionDef",
+      {
+        args: new Arguments(
+          {
+            args: node.args,
+            defaults: node.args.map((a) => a.default).filter((d) => d !== null),
+          },
+          args_span
+        ),
+        body,
+        decorator_list: node.decorator_list || [],
+        doc_string: node.doc_string || null,
+        name: node.name,
+        returns: node.returns,
+      },
+      span
+    );
+  }
+}
+
+/**
+  The `arguments` node of a compiler `FunctionDef`.
+*/
+class Arguments extends ast.Node {
+  static get _fields() {
+    return ["args", "defaults"];
+  }
+
+  get ast_type() {
+    return "arguments";
+  }
+}
+
+/**
+  The compiler wraps the slice of a `Subscript` in an `Index` node.
+*/
+class Index extends ast.Node {
+  static get _fields() {
+    return ["value"];
+  }
+}
+
+/**
+  A `name: annotation` member of a struct or event, which the compiler
+  represents as an `AnnAssign`.
+*/
+function member(name, annotation, span) {
+  return new ast.AnnAssign(
+    { target: new ast.Name({ id: name }, name_span(span, name)), annotation, value: null },
+    span
+  );
+}
+
+function name_span(span, name) {
+  return (
+    span && {
+      ...span,
+      end_line: span.line,
+      end_column: span.column + name.length,
+      end_pos: span.start_pos + name.length,
+    }
+  );
+}
+
+function is_docstring(stmt) {
+  return stmt instanceof ast.Expr && stmt.value instanceof ast.Str;
+}
+
+/**
+  Conversions for nodes whose compiler layout differs from ours, called with
+  the exporter as `this`. Other nodes keep their type and fields.
+*/
+const converters = {
+  Module(node, span) {
+    return this.node(
+      "Module",
+      { body: node.body, doc_string: node.doc_string, name: this.filename },
+      span
+    );
+  },
+
+  // `from a import b, c` is one `ImportFrom` per name in the compiler
+  ImportFrom(node, span) {
+    return node.names.map((alias) =>
+      this.node(
+        "ImportFrom",
+        { alias: alias.asname, level: node.level, module: node.module, name: alias.name },
+        span
+      )
+    );
+  },
+
+  VariableDecl(node, span) {
+    const fields = {
+      target: node.target,
+      annotation: node.annotation,
+      value: node.value,
+      is_constant: node.is_constant,
+      is_public: node.is_public,
+      is_immutable: node.is_immutable,
+    };
+    if (node.is_transient) {
+      fields.is_transient = true;
+    }
+    return this.node("VariableDecl", fields, span);
+  },
+
+  FunctionDef(node, span) {
+    let body = node.body;
+    let doc_string = node.doc_string;
+    // The compiler moves a leading docstring out of the body
+    if (!doc_string && body.length && is_docstring(body[0])) {
+      doc_string = body[0].value;
+      body = body.slice(1);
+    }
+    return this.function_def({ ...node, doc_string }, body, span);
+  },
+
+  Arg(node, span) {
+    return this.node("arg", { arg: node.name, annotation: node.annotation }, span);
+  },
+
+  Keyword(node, span) {
+    return this.node("keyword", { arg: node.arg, value: node.value }, span);
+  },
+
+  StructLiteral(node, span) {
+    return this.node(
+      "Call",
+      { func: node.func, args: node.args, keywords: node.keywords },
+      span
+    );
+  },
+
+  StructDef(node, span) {
+    return this.node(
+      "StructDef",
+      {
+        name: node.name,
+        body: node.body.map((m) =>
+          m instanceof ast.ErrorNode ? m : member(m.name, m.annotation, m.span)
+        ),
+      },
+      span
+    );
+  },
+
+  EventDef(node, span) {
+    const body = node.body.length
+      ? node.body.map((arg) => {
+          if (arg instanceof ast.ErrorNode) {
+            return arg;
+          }
+          let annotation = arg.annotation;
+          if (arg.indexed) {
+            annotation = new ast.Call(
+              {
+                func: new ast.Name({ id: "indexed" }, arg.span),
+                args: [annotation],
+                keywords: [],
+              },
+              arg.span
+            );
+          }
+          return member(arg.name, annotation, arg.span);
+        })
+      : [new ast.Pass({}, span)];
+    return this.node("EventDef", { name: node.name, body }, span);
+  },
+
+  ErrorNode(node, span) {
+    return this.node("ErrorNode", { tokens: node.tokens.map((t) => t.value) }, span);
+  },
+
+  InterfaceDef(node, span) {
+    return this.node("InterfaceDef", { name: node.name, body: node.body }, span);
+  },
+
+  InterfaceFunction(node, span) {
+    const mutability = new ast.Expr(
+      { value: new ast.Name({ id: node.mutability }, span) },
+      span
+    );
+    return this.function_def(node, [mutability], span);
+  },
+
+  AnnAssign(node, span) {
+    return this.node(
+      "AnnAssign",
+      { target: node.target, annotation: node.annotation, value: node.value, simple: 1 },
+      span
+    );
+  },
+
+  For(node, span) {
+    let target = node.target;
+    if (node.annotation) {
+      target = new ast.AnnAssign(
+        { target: node.target, annotation: node.annotation, value: null },
+        { ...node.target.span, ...pick_end(node.annotation.span) }
+      );
+    }
+    return this.node("For", { target, iter: node.iter, body: node.body }, span);
+  },
+
+  Subscript(node, span) {
+    const slice = new Index({ value: node.slice }, node.slice.span);
+    return this.node("Subscript", { slice, value: node.value }, span);
+  },
+};
+
+function pick_end(span) {
+  return (
+    span && {
+      end_line: span.end_line,
+      end_column: span.end_column,
+      end_pos: span.end_pos,
+    }
+  );
+}
+
+/**
+  Exports a contract as the JSON printed by `vyper -f ast`.
+
+  @param {Tree|Module} tree A `module` tree from the parser, or its typed AST.
+  @param {object} options An object with the following optional properties:
+
+    - filename (string): the contract path, used as `contract_name` and `Module.name`
+    - source_id (number): the source index used in `src` fields (default 0)
+
+  @returns {object} `{ contract_name, ast }`, where integers that don't fit in
+    a double are given as decimal strings, and bytes as `0x`-prefixed hex.
+*/
+function toCompilerAst(tree, options = {}) {
+  const module = tree instanceof Tree ? ast.toAst(tree) : tree;
+  const exporter = new CompilerAstExporter(options);
+  return {
+    contract_name: exporter.filename,
+    ast: exporter.convert(module),
+  };
+}
+
+module.exports = { toCompilerAst, CompilerAstExporter };
@@ -0,0 +1,78 @@
+"use strict";
+
+const { Tree, Token } = require("./vyper");
+
+/**
+  Yields the tokens of a tree, in source order.
+*/
+function* leaves(tree) {
+  for (const child of tree.children) {
+    if (child instanceof Tree) {
+      yield* leaves(child);
+    } else if (child instanceof Token) {
+      yield child;
+    }
+  }
+}
+
+/**
+  Gives every token of a concrete syntax tree `leading` and `trailing`
+  arrays of trivia tokens (whitespace, comments, line continuations and the
+  line breaks the indenter drops inside brackets).
+
+  Trivia up to and including the first line break after a token trails it,
+  the rest leads the next token. Tokens that take no room in the source
+  (`_INDENT`, `_DEDENT`) get no trivia.
+
+  @param {Tree} tree A tree parsed with `keep_all_tokens`.
+  @param {Token[]} trivia The tokens skipped by the parser, in any order.
+*/
+function attach_trivia(tree, trivia) {
+  const pending = [...trivia].sort((a, b) => a.start_pos - b.start_pos);
+  let i = 0;
+  let previous = null;
+  for (const token of leaves(tree)) {
+    token.leading = [];
+    token.trailing = [];
+    if (token.value === "") {
+      continue;
+    }
+    let line_ended = false;
+    while (i < pending.length && pending[i].start_pos < token.start_pos) {
+      const piece = pending[i++];
+      if (previous && !line_ended) {
+        previous.trailing.push(piece);
+      } else {
+        token.leading.push(piece);
+      }
+      line_ended = line_ended || piece.value.includes("\n");
+    }
+    previous = token;
+  }
+  if (previous) {
+    previous.trailing.push(...pending.slice(i));
+  }
+}
+
+/**
+  Prints a concrete syntax tree back: its tokens and their trivia, in order.
+  For a tree from `parseVyper(source, { cst: true })`, this is `source`.
+
+  @param {Tree} tree
+  @returns {string}
+*/
+function cstToSource(tree) {
+  let text = "";
+  for (const token of leaves(tree)) {
+    for (const piece of token.leading || []) {
+      text += piece.value;
+    }
+    text += token.value;
+    for (const piece of token.trailing || []) {
+      text += piece.value;
+    }
+  }
+  return text;
+}
+
+module.exports = { attach_trivia, cstToSource, leaves };
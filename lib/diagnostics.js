@@ -0,0 +1,406 @@
+"use strict";
+
+const vyper = require("./vyper");
+const { VyperIndenter } = require("./indenter");
+const { get_dialect_parser } = require("./dialects");
+
+const {
+  DedentError,
+  UnexpectedInput,
+  UnexpectedCharacters,
+  UnexpectedToken,
+} = vyper;
+
+const TOKEN_DESCRIPTIONS = {
+  NAME: "a name",
+  DEC_NUMBER: "a number",
+  HEX_NUMBER: "a number",
+  OCT_NUMBER: "a number",
+  BIN_NUMBER: "a number",
+  FLOAT_NUMBER: "a number",
+  STRING: "a string",
+  DOCSTRING: "a docstring",
+  BOOL: "True or False",
+  COMMENT: "a comment",
+  _NEWLINE: "the end of the line",
+  _INDENT: "an indented block",
+  _DEDENT: "the end of the block",
+  $END: "the end of the file",
+};
+
+// How the token an error is about is named, when it isn't its text
+const UNEXPECTED_DESCRIPTIONS = {
+  _NEWLINE: "end of line",
+  _INDENT: "indent",
+  _DEDENT: "end of block",
+  $END: "end of file",
+};
+
+// Tokens that take no room, or whose text is only whitespace: errors about
+// them point between two characters
+const EMPTY_TOKENS = new Set(["_NEWLINE", "_DEDENT", "$END"]);
+
+// Beyond this, listing what was expected doesn't help
+const MAX_EXPECTED = 6;
+
+// Statements that can come before the mistake at module level. The parser
+// stack is one item deeper after the first definition, and
+// `match_examples()` compares stack depths.
+const MODULE_PREFIXES = ["", "x: uint256\n"];
+
+function module_examples(...lines) {
+  return MODULE_PREFIXES.flatMap((prefix) => lines.map((line) => prefix + line));
+}
+
+function function_examples(...signatures) {
+  const decorated = ["", "@external\n", "@external\n@view\n"];
+  return module_examples(
+    ...decorated.flatMap((decorators) =>
+      signatures.map((signature) => `${decorators}${signature}\n    pass\n`)
+    )
+  );
+}
+
+/**
+  Common mistakes, recognized with `UnexpectedInput.match_examples()`. Each
+  entry has a stable `code`, a `message` and a `hint`, and can narrow the
+  match down with `when(exception, source)` and suggest an edit with
+  `fix(exception, source)`.
+*/
+const CATALOGUE = [
+  {
+    code: "E101",
+    message: "Missing `:` after the function signature",
+    hint: "End the `def` line with a colon.",
+    examples: function_examples(
+      "def f()",
+      "def f(a: uint256)",
+      "def f() -> uint256",
+      "def f(a: uint256) -> uint256"
+    ),
+    when: (e) => e.token.type === "_NEWLINE",
+    fix: (e, source) => {
+      const pos = _skip_back(source, e.token.start_pos);
+      return { start_pos: pos, end_pos: pos, text: ":" };
+    },
+  },
+  {
+    code: "E102",
+    message: "A decorator must be on its own line",
+    hint: "Put a line break between the decorator and what it decorates.",
+    examples: module_examples(
+      "@external def f():\n    pass\n",
+      "@external\n@view def f():\n    pass\n",
+      '@nonreentrant("lock") def f():\n    pass\n',
+      '@external\n@nonreentrant("lock") def f():\n    pass\n'
+    ),
+    fix: (e, source) => {
+      const start = _skip_back(source, e.token.start_pos);
+      const line_start = source.lastIndexOf("\n", start - 1) + 1;
+      const indent = /^[\t ]*/.exec(source.slice(line_start))[0];
+      return { start_pos: start, end_pos: e.token.start_pos, text: "\n" + indent };
+    },
+  },
+  {
+    code: "E103",
+    message: "`constant` goes around the type of a constant",
+    hint: "Declare constants as `NAME: constant(type) = value`.",
+    examples: module_examples(
+      "constant X: uint256 = 1\n",
+      "X: constant uint256 = 1\n"
+    ),
+    when: (e, source) =>
+      _line_before(e.token, source).trim().split(/[\s:]+/).includes("constant"),
+  },
+  {
+    code: "E104",
+    message: "A constant needs a value",
+    hint: "Give it one, as in `NAME: constant(type) = value`.",
+    examples: module_examples("X: constant(uint256)\n"),
+  },
+  {
+    code: "E105",
+    message: "State variables can't be given a value",
+    hint:
+      "Set them in `__init__`, or declare a constant with " +
+      "`NAME: constant(type) = value`.",
+    examples: module_examples("X: uint256 = 1\n", "X: public(uint256) = 1\n"),
+    when: (e) => e.token.type === "EQUAL",
+  },
+];
+
+/**
+  The `code`s of the diagnostics that don't come from the catalogue.
+*/
+const CODES = {
+  UNEXPECTED_TOKEN: "E100",
+  MIXED_INDENTATION: "E106",
+  BAD_DEDENT: "E107",
+  UNEXPECTED_INDENT: "E108",
+  INVALID_CHARACTER: "E109",
+};
+
+// By dialect, null for the default grammar
+const _examples = new Map();
+
+/**
+  Returns a function that parses an example with a parser of its own (the
+  ones `parseVyper()` uses collect tokens as they go), and remembers the
+  exception it raised. Examples must be parsed with the grammar of the
+  error, as `match_examples()` compares parser states.
+*/
+function _example_parser(dialect) {
+  if (!_examples.has(dialect)) {
+    const postlex = new VyperIndenter();
+    _examples.set(dialect, {
+      parser:
+        dialect === null
+          ? vyper.get_parser({ postlex })
+          : get_dialect_parser(dialect, { postlex }),
+      errors: new Map(),
+    });
+  }
+  const { parser, errors } = _examples.get(dialect);
+  return (example) => {
+    if (!errors.has(example)) {
+      let error = null;
+      try {
+        parser.parse(example);
+      } catch (e) {
+        if (!(e instanceof UnexpectedInput)) {
+          throw e;
+        }
+        error = e;
+      }
+      errors.set(example, error);
+    }
+    const error = errors.get(example);
+    if (error) {
+      throw error;
+    }
+  };
+}
+
+/**
+  The text of the token's line up to the token.
+*/
+function _line_before(token, source) {
+  return source.slice(source.lastIndexOf("\n", token.start_pos - 1) + 1, token.start_pos);
+}
+
+/**
+  Steps back over spaces and tabs from `pos`.
+*/
+function _skip_back(source, pos) {
+  while (pos > 0 && (source[pos - 1] === " " || source[pos - 1] === "\t")) {
+    pos -= 1;
+  }
+  return pos;
+}
+
+function _describe(type, terminals_by_name) {
+  if (type in TOKEN_DESCRIPTIONS) {
+    return TOKEN_DESCRIPTIONS[type];
+  }
+  const terminal = terminals_by_name[type];
+  if (terminal && terminal.pattern.type === "str") {
+    return `"${terminal.pattern.value}"`;
+  }
+  return type;
+}
+
+function _describe_token(token, terminals_by_name) {
+  if (token.type === "NAME") {
+    return `name "${token.value}"`;
+  }
+  if (token.type in UNEXPECTED_DESCRIPTIONS) {
+    return UNEXPECTED_DESCRIPTIONS[token.type];
+  }
+  return _describe(token.type, terminals_by_name);
+}
+
+/**
+  The terminals the parser would have accepted. Read from the parse table
+  rather than `exception.expected`, which only has the terminals of the
+  contextual lexer's state when the lexer raised the error.
+*/
+function _expected(exception) {
+  const { state } = exception;
+  if (!state || !state.parse_conf) {
+    return [...(exception.expected || [])];
+  }
+  return Object.keys(state.parse_conf.states[state.position]).filter((name) =>
+    /^[A-Z_$][A-Z0-9_]*$/.test(name) && !/^__/.test(name)
+  );
+}
+
+/**
+  Does the indentation of a line use tabs where others use spaces, or the
+  other way round?
+*/
+function _mixes_indentation(indent, source) {
+  const indents = source.match(/^[\t ]+(?=\S)/gm) || [];
+  return (
+    (indent.includes("\t") && indents.some((i) => i.includes(" "))) ||
+    (indent.includes(" ") && indents.some((i) => i.includes("\t")))
+  );
+}
+
+function _indentation_diagnostic(token, source, fallback) {
+  const line_start = source.lastIndexOf("\n", token.end_pos - 1) + 1;
+  const indent = /^[\t ]*/.exec(source.slice(line_start))[0];
+  const mixed = _mixes_indentation(indent, source);
+  return {
+    code: mixed ? CODES.MIXED_INDENTATION : fallback.code,
+    message: mixed ? "Tabs and spaces are mixed in the indentation" : fallback.message,
+    hint: mixed
+      ? "Indent with spaces only, 4 per level."
+      : fallback.hint,
+    range: [line_start, line_start + indent.length],
+  };
+}
+
+function _position(source, pos) {
+  const before = source.slice(0, pos);
+  const line = before.split("\n").length;
+  return { line, column: pos - before.lastIndexOf("\n") };
+}
+
+/**
+  Turns a syntax error into a diagnostic for contract authors.
+
+  Errors that look like a mistake from the catalogue (checked with
+  `UnexpectedInput.match_examples()`) get its code, message and hint.
+  Others are described in terms of the source (`"("`, `a name`, `the end of
+  the line`) instead of terminal names.
+
+  @param {LarkError} exception An `UnexpectedInput` or `DedentError`.
+  @param {string} source The text that was parsed.
+  @param {object} options An object with the following optional properties:
+
+    - terminals_by_name (object): the terminals of the parser, to describe
+      expected tokens
+    - last_token (Token): the last token read, for errors without a
+      position (`DedentError`, or the end of the input)
+    - dialect (string): the dialect of the parser that raised the error
+      (see {@link get_parser}), or null for the default grammar
+
+  @returns {object} `{ code, message, hint, fix, line, column, end_line,
+    end_column, context }`, where `fix` is an edit
+    (`{ start_pos, end_pos, text }`) or null, and `context` shows the line
+    with a caret under the error.
+*/
+function diagnose(
+  exception,
+  source,
+  { terminals_by_name = {}, last_token = null, dialect = null } = {}
+) {
+  let diagnostic = null;
+  let fix = null;
+  let range = null;
+
+  if (exception instanceof DedentError && last_token) {
+    diagnostic = _indentation_diagnostic(last_token, source, {
+      code: CODES.BAD_DEDENT,
+      message: "This line's indentation doesn't match any outer block",
+      hint: "Indent it like the lines of the block it belongs to.",
+    });
+    // At the start of the line's code, unless the indentation itself is wrong
+    range =
+      diagnostic.code === CODES.BAD_DEDENT
+        ? [diagnostic.range[1], diagnostic.range[1]]
+        : diagnostic.range;
+  } else if (exception instanceof UnexpectedCharacters) {
+    const char = source[exception.pos_in_stream];
+    diagnostic = {
+      code: CODES.INVALID_CHARACTER,
+      message: `Invalid character ${JSON.stringify(char)}`,
+      hint: null,
+    };
+    range = [exception.pos_in_stream, exception.pos_in_stream + 1];
+  } else if (exception instanceof UnexpectedToken) {
+    const { token } = exception;
+    if (token.start_pos === null || token.start_pos === undefined) {
+      // The dedents at the end of the input have no position: the error is
+      // after the last token read
+      const pos = !last_token
+        ? source.length
+        : last_token.type === "_NEWLINE"
+          ? last_token.start_pos
+          : last_token.end_pos;
+      range = [pos, pos];
+    } else if (EMPTY_TOKENS.has(token.type)) {
+      // A `_DEDENT` has the position of the line break before it: the error
+      // is at the end of the line that was cut short
+      const pos = token.type === "$END" ? token.end_pos : token.start_pos;
+      range = [pos, pos];
+    } else {
+      range = [token.start_pos, token.end_pos];
+    }
+    if (token.type === "_INDENT") {
+      diagnostic = _indentation_diagnostic(token, source, {
+        code: CODES.UNEXPECTED_INDENT,
+        message: "Unexpected indent",
+        hint: "Only the lines of a block (after a line ending with `:`) are indented.",
+      });
+      range = diagnostic.range;
+    } else {
+      const label =
+        exception.state &&
+        exception.match_examples(
+          _example_parser(dialect),
+          CATALOGUE.map((entry) => [entry, entry.examples]),
+          true
+        );
+      if (label && (!label.when || label.when(exception, source))) {
+        diagnostic = label;
+        fix = label.fix ? label.fix(exception, source) : null;
+      } else {
+        const expected = [
+          ...new Set(
+            _expected(exception)
+              .filter((type) => type !== "COMMENT")
+              .map((type) => _describe(type, terminals_by_name))
+          ),
+        ].sort();
+        diagnostic = {
+          code: CODES.UNEXPECTED_TOKEN,
+          message:
+            `Unexpected ${_describe_token(token, terminals_by_name)}` +
+            (expected.length && expected.length <= MAX_EXPECTED
+              ? `, expected ${_or(expected)}`
+              : ""),
+          hint: null,
+        };
+      }
+    }
+  }
+
+  if (diagnostic === null) {
+    return null;
+  }
+  const start = _position(source, range[0]);
+  const end = _position(source, range[1]);
+  return {
+    code: diagnostic.code,
+    message: diagnostic.message,
+    hint: diagnostic.hint,
+    fix,
+    line: start.line,
+    column: start.column,
+    end_line: end.line,
+    end_column: end.column,
+    context: UnexpectedInput.prototype.get_context.call(
+      { pos_in_stream: range[0] },
+      source
+    ),
+  };
+}
+
+function _or(items) {
+  return items.length === 1
+    ? items[0]
+    : `${items.slice(0, -1).join(", ")} or ${items[items.length - 1]}`;
+}
+
+module.exports = { diagnose, CATALOGUE, CODES };
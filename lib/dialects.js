@@ -0,0 +1,85 @@
+"use strict";
+
+const { Lark, Transformer, ConfigurationError } = require("./vyper");
+const { SemverRange } = require("./pragmas");
+
+/**
+  The Vyper release series with a grammar of their own. Each one's parse
+  tables are built from `source/vyper.lark` and
+  `source/dialects/vyper-<series>.lark` into `lib/dialects/`, by
+  `npm run build:dialects`.
+*/
+const DIALECTS = ["0.2", "0.3", "0.4"];
+
+const _tables = new Map();
+
+/**
+  Returns the dialect of a Vyper version: a release series (`"0.3"`), a
+  release (`"0.3.10"`), or a range as written in a version pragma
+  (`"^0.3.9"`, or a {@link SemverRange}), for which the newest series with a
+  release in the range is picked.
+
+  @param {string|SemverRange} version
+  @returns {string|null} One of {@link DIALECTS}, or null if none matches.
+  @throws {SyntaxError} If `version` isn't a version or a range.
+*/
+function dialect_for(version) {
+  if (DIALECTS.includes(version)) {
+    return version;
+  }
+  const range = version instanceof SemverRange ? version : new SemverRange(String(version));
+  for (const dialect of [...DIALECTS].reverse()) {
+    for (let patch = 0; patch < 100; patch++) {
+      if (range.test(`${dialect}.${patch}`)) {
+        return dialect;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+  Same as {@link dialect_for}, but fails for versions without a dialect.
+
+  @throws {ConfigurationError}
+*/
+function resolve_dialect(version) {
+  let dialect = null;
+  try {
+    dialect = dialect_for(version);
+  } catch (e) {
+    if (!(e instanceof SyntaxError)) {
+      throw e;
+    }
+  }
+  if (dialect === null) {
+    throw new ConfigurationError(
+      `No grammar for Vyper ${version}, only for ${DIALECTS.join(", ")}`
+    );
+  }
+  return dialect;
+}
+
+/**
+  Returns a Lark parser for a dialect, as the generated `get_parser()` does
+  for the default grammar.
+
+  @param {string} dialect One of {@link DIALECTS}.
+  @param {object} options Any option accepted by the generated `get_parser()`.
+  @returns {Lark}
+*/
+function get_dialect_parser(dialect, options = {}) {
+  if (!DIALECTS.includes(dialect)) {
+    throw new ConfigurationError(`Unknown dialect: ${dialect}`);
+  }
+  if (!_tables.has(dialect)) {
+    _tables.set(dialect, require(`./dialects/vyper-${dialect}.js`));
+  }
+  const { DATA, MEMO } = _tables.get(dialect);
+  if (options.transformer && options.transformer.constructor.name === "Object") {
+    options = { ...options, transformer: Transformer.fromObj(options.transformer) };
+  }
+  return Lark._load_from_dict({ data: DATA, memo: MEMO, ...options });
+}
+
+module.exports = { DIALECTS, dialect_for, resolve_dialect, get_dialect_parser };
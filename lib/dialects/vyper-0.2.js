@@ -0,0 +1,54925 @@
+// Parse tables generated by build-utils from source/vyper.lark + source/dialects/vyper-0.2.lark
+"use strict";
+
+var DATA={
+  "parser": {
+    "lexer_conf": {
+      "terminals": [
+        {
+          "@": 0
+        },
+        {
+          "@": 1
+        },
+        {
+          "@": 2
+        },
+        {
+          "@": 3
+        },
+        {
+          "@": 4
+        },
+        {
+          "@": 5
+        },
+        {
+          "@": 6
+        },
+        {
+          "@": 7
+        },
+        {
+          "@": 8
+        },
+        {
+          "@": 9
+        },
+        {
+          "@": 10
+        },
+        {
+          "@": 11
+        },
+        {
+          "@": 12
+        },
+        {
+          "@": 13
+        },
+        {
+          "@": 14
+        },
+        {
+          "@": 15
+        },
+        {
+          "@": 16
+        },
+        {
+          "@": 17
+        },
+        {
+          "@": 18
+        },
+        {
+          "@": 19
+        },
+        {
+          "@": 20
+        },
+        {
+          "@": 21
+        },
+        {
+          "@": 22
+        },
+        {
+          "@": 23
+        },
+        {
+          "@": 24
+        },
+        {
+          "@": 25
+        },
+        {
+          "@": 26
+        },
+        {
+          "@": 27
+        },
+        {
+          "@": 28
+        },
+        {
+          "@": 29
+        },
+        {
+          "@": 30
+        },
+        {
+          "@": 31
+        },
+        {
+          "@": 32
+        },
+        {
+          "@": 33
+        },
+        {
+          "@": 34
+        },
+        {
+          "@": 35
+        },
+        {
+          "@": 36
+        },
+        {
+          "@": 37
+        },
+        {
+          "@": 38
+        },
+        {
+          "@": 39
+        },
+        {
+          "@": 40
+        },
+        {
+          "@": 41
+        },
+        {
+          "@": 42
+        },
+        {
+          "@": 43
+        },
+        {
+          "@": 44
+        },
+        {
+          "@": 45
+        },
+        {
+          "@": 46
+        },
+        {
+          "@": 47
+        },
+        {
+          "@": 48
+        },
+        {
+          "@": 49
+        },
+        {
+          "@": 50
+        },
+        {
+          "@": 51
+        },
+        {
+          "@": 52
+        },
+        {
+          "@": 53
+        },
+        {
+          "@": 54
+        },
+        {
+          "@": 55
+        },
+        {
+          "@": 56
+        },
+        {
+          "@": 57
+        },
+        {
+          "@": 58
+        },
+        {
+          "@": 59
+        },
+        {
+          "@": 60
+        },
+        {
+          "@": 61
+        },
+        {
+          "@": 62
+        },
+        {
+          "@": 63
+        },
+        {
+          "@": 64
+        },
+        {
+          "@": 65
+        },
+        {
+          "@": 66
+        },
+        {
+          "@": 67
+        },
+        {
+          "@": 68
+        },
+        {
+          "@": 69
+        },
+        {
+          "@": 70
+        },
+        {
+          "@": 71
+        },
+        {
+          "@": 72
+        }
+      ],
+      "ignore": [
+        "WS",
+        "LINE_CONT",
+        "COMMENT"
+      ],
+      "g_regex_flags": 0,
+      "use_bytes": false,
+      "lexer_type": "contextual",
+      "__type__": "LexerConf"
+    },
+    "parser_conf": {
+      "rules": [
+        {
+          "@": 73
+        },
+        {
+          "@": 74
+        },
+        {
+          "@": 75
+        },
+        {
+          "@": 76
+        },
+        {
+          "@": 77
+        },
+        {
+          "@": 78
+        },
+        {
+          "@": 79
+        },
+        {
+          "@": 80
+        },
+        {
+          "@": 81
+        },
+        {
+          "@": 82
+        },
+        {
+          "@": 83
+        },
+        {
+          "@": 84
+        },
+        {
+          "@": 85
+        },
+        {
+          "@": 86
+        },
+        {
+          "@": 87
+        },
+        {
+          "@": 88
+        },
+        {
+          "@": 89
+        },
+        {
+          "@": 90
+        },
+        {
+          "@": 91
+        },
+        {
+          "@": 92
+        },
+        {
+          "@": 93
+        },
+        {
+          "@": 94
+        },
+        {
+          "@": 95
+        },
+        {
+          "@": 96
+        },
+        {
+          "@": 97
+        },
+        {
+          "@": 98
+        },
+        {
+          "@": 99
+        },
+        {
+          "@": 100
+        },
+        {
+          "@": 101
+        },
+        {
+          "@": 102
+        },
+        {
+          "@": 103
+        },
+        {
+          "@": 104
+        },
+        {
+          "@": 105
+        },
+        {
+          "@": 106
+        },
+        {
+          "@": 107
+        },
+        {
+          "@": 108
+        },
+        {
+          "@": 109
+        },
+        {
+          "@": 110
+        },
+        {
+          "@": 111
+        },
+        {
+          "@": 112
+        },
+        {
+          "@": 113
+        },
+        {
+          "@": 114
+        },
+        {
+          "@": 115
+        },
+        {
+          "@": 116
+        },
+        {
+          "@": 117
+        },
+        {
+          "@": 118
+        },
+        {
+          "@": 119
+        },
+        {
+          "@": 120
+        },
+        {
+          "@": 121
+        },
+        {
+          "@": 122
+        },
+        {
+          "@": 123
+        },
+        {
+          "@": 124
+        },
+        {
+          "@": 125
+        },
+        {
+          "@": 126
+        },
+        {
+          "@": 127
+        },
+        {
+          "@": 128
+        },
+        {
+          "@": 129
+        },
+        {
+          "@": 130
+        },
+        {
+          "@": 131
+        },
+        {
+          "@": 132
+        },
+        {
+          "@": 133
+        },
+        {
+          "@": 134
+        },
+        {
+          "@": 135
+        },
+        {
+          "@": 136
+        },
+        {
+          "@": 137
+        },
+        {
+          "@": 138
+        },
+        {
+          "@": 139
+        },
+        {
+          "@": 140
+        },
+        {
+          "@": 141
+        },
+        {
+          "@": 142
+        },
+        {
+          "@": 143
+        },
+        {
+          "@": 144
+        },
+        {
+          "@": 145
+        },
+        {
+          "@": 146
+        },
+        {
+          "@": 147
+        },
+        {
+          "@": 148
+        },
+        {
+          "@": 149
+        },
+        {
+          "@": 150
+        },
+        {
+          "@": 151
+        },
+        {
+          "@": 152
+        },
+        {
+          "@": 153
+        },
+        {
+          "@": 154
+        },
+        {
+          "@": 155
+        },
+        {
+          "@": 156
+        },
+        {
+          "@": 157
+        },
+        {
+          "@": 158
+        },
+        {
+          "@": 159
+        },
+        {
+          "@": 160
+        },
+        {
+          "@": 161
+        },
+        {
+          "@": 162
+        },
+        {
+          "@": 163
+        },
+        {
+          "@": 164
+        },
+        {
+          "@": 165
+        },
+        {
+          "@": 166
+        },
+        {
+          "@": 167
+        },
+        {
+          "@": 168
+        },
+        {
+          "@": 169
+        },
+        {
+          "@": 170
+        },
+        {
+          "@": 171
+        },
+        {
+          "@": 172
+        },
+        {
+          "@": 173
+        },
+        {
+          "@": 174
+        },
+        {
+          "@": 175
+        },
+        {
+          "@": 176
+        },
+        {
+          "@": 177
+        },
+        {
+          "@": 178
+        },
+        {
+          "@": 179
+        },
+        {
+          "@": 180
+        },
+        {
+          "@": 181
+        },
+        {
+          "@": 182
+        },
+        {
+          "@": 183
+        },
+        {
+          "@": 184
+        },
+        {
+          "@": 185
+        },
+        {
+          "@": 186
+        },
+        {
+          "@": 187
+        },
+        {
+          "@": 188
+        },
+        {
+          "@": 189
+        },
+        {
+          "@": 190
+        },
+        {
+          "@": 191
+        },
+        {
+          "@": 192
+        },
+        {
+          "@": 193
+        },
+        {
+          "@": 194
+        },
+        {
+          "@": 195
+        },
+        {
+          "@": 196
+        },
+        {
+          "@": 197
+        },
+        {
+          "@": 198
+        },
+        {
+          "@": 199
+        },
+        {
+          "@": 200
+        },
+        {
+          "@": 201
+        },
+        {
+          "@": 202
+        },
+        {
+          "@": 203
+        },
+        {
+          "@": 204
+        },
+        {
+          "@": 205
+        },
+        {
+          "@": 206
+        },
+        {
+          "@": 207
+        },
+        {
+          "@": 208
+        },
+        {
+          "@": 209
+        },
+        {
+          "@": 210
+        },
+        {
+          "@": 211
+        },
+        {
+          "@": 212
+        },
+        {
+          "@": 213
+        },
+        {
+          "@": 214
+        },
+        {
+          "@": 215
+        },
+        {
+          "@": 216
+        },
+        {
+          "@": 217
+        },
+        {
+          "@": 218
+        },
+        {
+          "@": 219
+        },
+        {
+          "@": 220
+        },
+        {
+          "@": 221
+        },
+        {
+          "@": 222
+        },
+        {
+          "@": 223
+        },
+        {
+          "@": 224
+        },
+        {
+          "@": 225
+        },
+        {
+          "@": 226
+        },
+        {
+          "@": 227
+        },
+        {
+          "@": 228
+        },
+        {
+          "@": 229
+        },
+        {
+          "@": 230
+        },
+        {
+          "@": 231
+        },
+        {
+          "@": 232
+        },
+        {
+          "@": 233
+        },
+        {
+          "@": 234
+        },
+        {
+          "@": 235
+        },
+        {
+          "@": 236
+        },
+        {
+          "@": 237
+        },
+        {
+          "@": 238
+        },
+        {
+          "@": 239
+        },
+        {
+          "@": 240
+        },
+        {
+          "@": 241
+        },
+        {
+          "@": 242
+        },
+        {
+          "@": 243
+        },
+        {
+          "@": 244
+        },
+        {
+          "@": 245
+        },
+        {
+          "@": 246
+        },
+        {
+          "@": 247
+        },
+        {
+          "@": 248
+        },
+        {
+          "@": 249
+        },
+        {
+          "@": 250
+        },
+        {
+          "@": 251
+        },
+        {
+          "@": 252
+        },
+        {
+          "@": 253
+        },
+        {
+          "@": 254
+        },
+        {
+          "@": 255
+        },
+        {
+          "@": 256
+        },
+        {
+          "@": 257
+        },
+        {
+          "@": 258
+        },
+        {
+          "@": 259
+        },
+        {
+          "@": 260
+        },
+        {
+          "@": 261
+        },
+        {
+          "@": 262
+        },
+        {
+          "@": 263
+        },
+        {
+          "@": 264
+        },
+        {
+          "@": 265
+        },
+        {
+          "@": 266
+        },
+        {
+          "@": 267
+        },
+        {
+          "@": 268
+        },
+        {
+          "@": 269
+        },
+        {
+          "@": 270
+        },
+        {
+          "@": 271
+        },
+        {
+          "@": 272
+        },
+        {
+          "@": 273
+        },
+        {
+          "@": 274
+        },
+        {
+          "@": 275
+        },
+        {
+          "@": 276
+        },
+        {
+          "@": 277
+        },
+        {
+          "@": 278
+        },
+        {
+          "@": 279
+        },
+        {
+          "@": 280
+        },
+        {
+          "@": 281
+        },
+        {
+          "@": 282
+        },
+        {
+          "@": 283
+        },
+        {
+          "@": 284
+        },
+        {
+          "@": 285
+        },
+        {
+          "@": 286
+        },
+        {
+          "@": 287
+        },
+        {
+          "@": 288
+        },
+        {
+          "@": 289
+        },
+        {
+          "@": 290
+        },
+        {
+          "@": 291
+        },
+        {
+          "@": 292
+        },
+        {
+          "@": 293
+        },
+        {
+          "@": 294
+        },
+        {
+          "@": 295
+        },
+        {
+          "@": 296
+        },
+        {
+          "@": 297
+        },
+        {
+          "@": 298
+        },
+        {
+          "@": 299
+        },
+        {
+          "@": 300
+        },
+        {
+          "@": 301
+        },
+        {
+          "@": 302
+        },
+        {
+          "@": 303
+        },
+        {
+          "@": 304
+        },
+        {
+          "@": 305
+        },
+        {
+          "@": 306
+        },
+        {
+          "@": 307
+        },
+        {
+          "@": 308
+        },
+        {
+          "@": 309
+        },
+        {
+          "@": 310
+        },
+        {
+          "@": 311
+        },
+        {
+          "@": 312
+        },
+        {
+          "@": 313
+        },
+        {
+          "@": 314
+        },
+        {
+          "@": 315
+        },
+        {
+          "@": 316
+        },
+        {
+          "@": 317
+        },
+        {
+          "@": 318
+        },
+        {
+          "@": 319
+        },
+        {
+          "@": 320
+        },
+        {
+          "@": 321
+        },
+        {
+          "@": 322
+        },
+        {
+          "@": 323
+        },
+        {
+          "@": 324
+        },
+        {
+          "@": 325
+        },
+        {
+          "@": 326
+        },
+        {
+          "@": 327
+        },
+        {
+          "@": 328
+        },
+        {
+          "@": 329
+        },
+        {
+          "@": 330
+        },
+        {
+          "@": 331
+        },
+        {
+          "@": 332
+        },
+        {
+          "@": 333
+        },
+        {
+          "@": 334
+        },
+        {
+          "@": 335
+        },
+        {
+          "@": 336
+        },
+        {
+          "@": 337
+        },
+        {
+          "@": 338
+        },
+        {
+          "@": 339
+        },
+        {
+          "@": 340
+        },
+        {
+          "@": 341
+        },
+        {
+          "@": 342
+        },
+        {
+          "@": 343
+        },
+        {
+          "@": 344
+        },
+        {
+          "@": 345
+        },
+        {
+          "@": 346
+        },
+        {
+          "@": 347
+        },
+        {
+          "@": 348
+        },
+        {
+          "@": 349
+        },
+        {
+          "@": 350
+        },
+        {
+          "@": 351
+        },
+        {
+          "@": 352
+        },
+        {
+          "@": 353
+        },
+        {
+          "@": 354
+        },
+        {
+          "@": 355
+        },
+        {
+          "@": 356
+        },
+        {
+          "@": 357
+        },
+        {
+          "@": 358
+        },
+        {
+          "@": 359
+        },
+        {
+          "@": 360
+        },
+        {
+          "@": 361
+        },
+        {
+          "@": 362
+        },
+        {
+          "@": 363
+        },
+        {
+          "@": 364
+        },
+        {
+          "@": 365
+        },
+        {
+          "@": 366
+        },
+        {
+          "@": 367
+        },
+        {
+          "@": 368
+        },
+        {
+          "@": 369
+        },
+        {
+          "@": 370
+        },
+        {
+          "@": 371
+        },
+        {
+          "@": 372
+        },
+        {
+          "@": 373
+        },
+        {
+          "@": 374
+        },
+        {
+          "@": 375
+        },
+        {
+          "@": 376
+        },
+        {
+          "@": 377
+        },
+        {
+          "@": 378
+        },
+        {
+          "@": 379
+        },
+        {
+          "@": 380
+        },
+        {
+          "@": 381
+        },
+        {
+          "@": 382
+        },
+        {
+          "@": 383
+        },
+        {
+          "@": 384
+        },
+        {
+          "@": 385
+        },
+        {
+          "@": 386
+        }
+      ],
+      "start": [
+        "module"
+      ],
+      "parser_type": "lalr",
+      "__type__": "ParserConf"
+    },
+    "parser": {
+      "tokens": {
+        "0": "EQUAL",
+        "1": "RPAR",
+        "2": "LSQB",
+        "3": "COMMA",
+        "4": "_IMPLEMENTS",
+        "5": "_NEWLINE",
+        "6": "_IMPORT",
+        "7": "$END",
+        "8": "DOCSTRING",
+        "9": "_STRUCT_DECL",
+        "10": "NAME",
+        "11": "_INTERFACE_DECL",
+        "12": "_FROM",
+        "13": "AT",
+        "14": "_EVENT_DECL",
+        "15": "COMMENT",
+        "16": "_FUNC_DECL",
+        "17": "COLON",
+        "18": "RSQB",
+        "19": "LPAR",
+        "20": "operation",
+        "21": "variable_access",
+        "22": "bitwise_and",
+        "23": "bitwise_xor",
+        "24": "call",
+        "25": "FLOAT_NUMBER",
+        "26": "DEC_NUMBER",
+        "27": "_expr",
+        "28": "LBRACE",
+        "29": "bitwise_or",
+        "30": "comparison",
+        "31": "get_attr",
+        "32": "atom",
+        "33": "BIN_NUMBER",
+        "34": "HEX_NUMBER",
+        "35": "term",
+        "36": "not_test",
+        "37": "dict",
+        "38": "factor",
+        "39": "sum",
+        "40": "PLUS",
+        "41": "_number",
+        "42": "_NOT",
+        "43": "shift",
+        "44": "tuple",
+        "45": "or_test",
+        "46": "power",
+        "47": "and_test",
+        "48": "get_item",
+        "49": "STRING",
+        "50": "literal",
+        "51": "OCT_NUMBER",
+        "52": "BOOL",
+        "53": "MINUS",
+        "54": "list",
+        "55": "_import_name",
+        "56": "WILDCARD",
+        "57": "_BREAK",
+        "58": "_LOG",
+        "59": "_DEDENT",
+        "60": "FOR",
+        "61": "_RAISE",
+        "62": "_PASS",
+        "63": "_CONTINUE",
+        "64": "_ASSERT",
+        "65": "IF",
+        "66": "_RETURN",
+        "67": "UNDERSCORE",
+        "68": "decorator",
+        "69": "argument",
+        "70": "arguments",
+        "71": "arg",
+        "72": "kwarg",
+        "73": "__decorators_plus_8",
+        "74": "import_from",
+        "75": "decorators",
+        "76": "function_sig",
+        "77": "variable_def",
+        "78": "interface_def",
+        "79": "event_def",
+        "80": "struct_def",
+        "81": "function_def",
+        "82": "import",
+        "83": "implements",
+        "84": "_BYTES",
+        "85": "_PUBLIC",
+        "86": "static_array",
+        "87": "is_immutable",
+        "88": "bytes_type",
+        "89": "is_public",
+        "90": "string_type",
+        "91": "hashmap",
+        "92": "tuple_type",
+        "93": "_MAP",
+        "94": "_STRING",
+        "95": "type",
+        "96": "_IMMUTABLE",
+        "97": "_storage_type",
+        "98": "_type",
+        "99": "RBRACE",
+        "100": "MORETHAN",
+        "101": "_GE",
+        "102": "_SHR",
+        "103": "_NE",
+        "104": "_LE",
+        "105": "_AND",
+        "106": "_EQ",
+        "107": "_XOR",
+        "108": "LESSTHAN",
+        "109": "_SHL",
+        "110": "_OR",
+        "111": "_IN",
+        "112": "indexed_event_arg",
+        "113": "variable",
+        "114": "parameter",
+        "115": "DOT",
+        "116": "PERCENT",
+        "117": "SLASH",
+        "118": "_POW",
+        "119": "__event_body_plus_10",
+        "120": "if_stmt",
+        "121": "__body_plus_18",
+        "122": "raise_stmt",
+        "123": "log_stmt",
+        "124": "declaration",
+        "125": "assert_stmt",
+        "126": "assign",
+        "127": "aug_assign",
+        "128": "break_stmt",
+        "129": "skip_assign",
+        "130": "for_stmt",
+        "131": "continue_stmt",
+        "132": "_stmt",
+        "133": "multiple_assign",
+        "134": "pass_stmt",
+        "135": "return_stmt",
+        "136": "__dict_star_21",
+        "137": "_AS",
+        "138": "import_alias",
+        "139": "_CONSTANT",
+        "140": "is_constant",
+        "141": "_constant_type",
+        "142": "struct_member",
+        "143": "__import_list_star_2",
+        "144": "import_list",
+        "145": "ELIF",
+        "146": "ELSE",
+        "147": "INDEXED",
+        "148": "default_exec",
+        "149": "body",
+        "150": "__return_stmt_star_17",
+        "151": "_import_path",
+        "152": "___import_path_star_1",
+        "153": "returns",
+        "154": "_RETURN_TYPE",
+        "155": "_bound",
+        "156": "_INDENT",
+        "157": "loop_variable",
+        "158": "__multiple_assign_plus_16",
+        "159": "mutability",
+        "160": "__arguments_star_20",
+        "161": "interface_function",
+        "162": "__if_stmt_star_19",
+        "163": "__dotted_name_star_6",
+        "164": "dotted_name",
+        "165": "cond_exec",
+        "166": "loop_iterator",
+        "167": "range_iterator",
+        "168": "_RANGE",
+        "169": "__module_star_0",
+        "170": "module",
+        "171": "subscript",
+        "172": "aug_operator",
+        "173": "event_body",
+        "174": "__parameters_star_9",
+        "175": "_UNREACHABLE",
+        "176": "__struct_def_plus_12",
+        "177": "__interface_def_plus_15",
+        "178": "__tuple_type_star_11",
+        "179": "__import_from_star_3",
+        "180": "parameters"
+      },
+      "states": {
+        "0": {
+          "0": [
+            1,
+            {
+              "@": 199
+            }
+          ]
+        },
+        "1": {
+          "1": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 136
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 136
+            }
+          ]
+        },
+        "2": {
+          "19": [
+            0,
+            44
+          ]
+        },
+        "3": {
+          "17": [
+            1,
+            {
+              "@": 228
+            }
+          ]
+        },
+        "4": {
+          "1": [
+            0,
+            109
+          ],
+          "3": [
+            0,
+            317
+          ]
+        },
+        "5": {
+          "1": [
+            1,
+            {
+              "@": 347
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 347
+            }
+          ]
+        },
+        "6": {
+          "5": [
+            1,
+            {
+              "@": 214
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 214
+            }
+          ]
+        },
+        "7": {
+          "0": [
+            0,
+            445
+          ],
+          "1": [
+            1,
+            {
+              "@": 117
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 117
+            }
+          ]
+        },
+        "8": {
+          "1": [
+            0,
+            3
+          ],
+          "3": [
+            0,
+            22
+          ]
+        },
+        "9": {
+          "2": [
+            0,
+            479
+          ],
+          "1": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 147
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 147
+            }
+          ]
+        },
+        "10": {
+          "20": [
+            0,
+            236
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "27": [
+            0,
+            420
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "18": [
+            0,
+            496
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "54": [
+            0,
+            396
+          ]
+        },
+        "11": {
+          "7": [
+            1,
+            {
+              "@": 78
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 78
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 78
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 78
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 78
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 78
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 78
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 78
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 78
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 78
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 78
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 78
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 78
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 78
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 78
+            }
+          ]
+        },
+        "12": {
+          "5": [
+            1,
+            {
+              "@": 209
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 209
+            }
+          ]
+        },
+        "13": {
+          "55": [
+            0,
+            83
+          ],
+          "19": [
+            0,
+            102
+          ],
+          "10": [
+            0,
+            158
+          ],
+          "56": [
+            0,
+            129
+          ]
+        },
+        "14": {
+          "26": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 172
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 172
+            }
+          ]
+        },
+        "15": {
+          "59": [
+            1,
+            {
+              "@": 359
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 359
+            }
+          ]
+        },
+        "16": {
+          "55": [
+            0,
+            528
+          ],
+          "10": [
+            0,
+            158
+          ],
+          "1": [
+            1,
+            {
+              "@": 83
+            }
+          ]
+        },
+        "17": {
+          "5": [
+            1,
+            {
+              "@": 204
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 204
+            }
+          ]
+        },
+        "18": {
+          "4": [
+            1,
+            {
+              "@": 329
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 329
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 329
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 329
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 329
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 329
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 329
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 329
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 329
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 329
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 329
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 329
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 329
+            }
+          ]
+        },
+        "19": {
+          "0": [
+            1,
+            {
+              "@": 196
+            }
+          ]
+        },
+        "20": {
+          "68": [
+            0,
+            242
+          ],
+          "13": [
+            0,
+            426
+          ],
+          "16": [
+            1,
+            {
+              "@": 115
+            }
+          ]
+        },
+        "21": {
+          "20": [
+            0,
+            236
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "69": [
+            0,
+            232
+          ],
+          "27": [
+            0,
+            33
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "70": [
+            0,
+            90
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "71": [
+            0,
+            512
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "10": [
+            0,
+            492
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "1": [
+            0,
+            12
+          ],
+          "72": [
+            0,
+            491
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "54": [
+            0,
+            396
+          ]
+        },
+        "22": {
+          "1": [
+            0,
+            47
+          ]
+        },
+        "23": {
+          "17": [
+            1,
+            {
+              "@": 229
+            }
+          ]
+        },
+        "24": {
+          "73": [
+            0,
+            20
+          ],
+          "4": [
+            0,
+            249
+          ],
+          "12": [
+            0,
+            457
+          ],
+          "13": [
+            0,
+            426
+          ],
+          "74": [
+            0,
+            442
+          ],
+          "6": [
+            0,
+            440
+          ],
+          "75": [
+            0,
+            454
+          ],
+          "76": [
+            0,
+            458
+          ],
+          "14": [
+            0,
+            483
+          ],
+          "77": [
+            0,
+            181
+          ],
+          "9": [
+            0,
+            475
+          ],
+          "16": [
+            0,
+            555
+          ],
+          "11": [
+            0,
+            435
+          ],
+          "78": [
+            0,
+            185
+          ],
+          "8": [
+            0,
+            196
+          ],
+          "79": [
+            0,
+            363
+          ],
+          "80": [
+            0,
+            344
+          ],
+          "10": [
+            0,
+            545
+          ],
+          "81": [
+            0,
+            336
+          ],
+          "82": [
+            0,
+            329
+          ],
+          "83": [
+            0,
+            323
+          ],
+          "15": [
+            0,
+            316
+          ],
+          "5": [
+            0,
+            307
+          ],
+          "68": [
+            0,
+            297
+          ],
+          "7": [
+            1,
+            {
+              "@": 73
+            }
+          ]
+        },
+        "25": {
+          "0": [
+            1,
+            {
+              "@": 108
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 108
+            }
+          ]
+        },
+        "26": {
+          "0": [
+            1,
+            {
+              "@": 203
+            }
+          ]
+        },
+        "27": {
+          "0": [
+            0,
+            322
+          ]
+        },
+        "28": {
+          "1": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 143
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 143
+            }
+          ]
+        },
+        "29": {
+          "17": [
+            1,
+            {
+              "@": 233
+            }
+          ]
+        },
+        "30": {
+          "4": [
+            1,
+            {
+              "@": 125
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 125
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 125
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 125
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 125
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 125
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 125
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 125
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 125
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 125
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 125
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 125
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 125
+            }
+          ]
+        },
+        "31": {
+          "3": [
+            0,
+            381
+          ],
+          "0": [
+            1,
+            {
+              "@": 188
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 188
+            }
+          ]
+        },
+        "32": {
+          "26": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 161
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 161
+            }
+          ]
+        },
+        "33": {
+          "1": [
+            1,
+            {
+              "@": 252
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 252
+            }
+          ]
+        },
+        "34": {
+          "1": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 138
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 138
+            }
+          ]
+        },
+        "35": {
+          "2": [
+            0,
+            218
+          ],
+          "1": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 150
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 150
+            }
+          ]
+        },
+        "36": {
+          "84": [
+            0,
+            451
+          ],
+          "85": [
+            0,
+            452
+          ],
+          "86": [
+            0,
+            490
+          ],
+          "19": [
+            0,
+            433
+          ],
+          "87": [
+            0,
+            418
+          ],
+          "88": [
+            0,
+            423
+          ],
+          "89": [
+            0,
+            379
+          ],
+          "90": [
+            0,
+            35
+          ],
+          "10": [
+            0,
+            9
+          ],
+          "91": [
+            0,
+            228
+          ],
+          "92": [
+            0,
+            174
+          ],
+          "93": [
+            0,
+            127
+          ],
+          "94": [
+            0,
+            53
+          ],
+          "95": [
+            0,
+            62
+          ],
+          "96": [
+            0,
+            72
+          ],
+          "97": [
+            0,
+            382
+          ],
+          "98": [
+            0,
+            333
+          ]
+        },
+        "37": {
+          "1": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 145
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 145
+            }
+          ]
+        },
+        "38": {
+          "17": [
+            1,
+            {
+              "@": 235
+            }
+          ]
+        },
+        "39": {
+          "1": [
+            0,
+            27
+          ]
+        },
+        "40": {
+          "0": [
+            1,
+            {
+              "@": 195
+            }
+          ]
+        },
+        "41": {
+          "26": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 165
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 165
+            }
+          ]
+        },
+        "42": {
+          "99": [
+            0,
+            124
+          ],
+          "10": [
+            0,
+            355
+          ]
+        },
+        "43": {
+          "5": [
+            0,
+            172
+          ]
+        },
+        "44": {
+          "84": [
+            0,
+            451
+          ],
+          "86": [
+            0,
+            490
+          ],
+          "19": [
+            0,
+            433
+          ],
+          "95": [
+            0,
+            306
+          ],
+          "88": [
+            0,
+            423
+          ],
+          "90": [
+            0,
+            35
+          ],
+          "10": [
+            0,
+            9
+          ],
+          "91": [
+            0,
+            228
+          ],
+          "92": [
+            0,
+            174
+          ],
+          "93": [
+            0,
+            127
+          ],
+          "94": [
+            0,
+            53
+          ],
+          "98": [
+            0,
+            333
+          ]
+        },
+        "45": {
+          "59": [
+            1,
+            {
+              "@": 366
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 366
+            }
+          ]
+        },
+        "46": {
+          "3": [
+            0,
+            268
+          ],
+          "5": [
+            1,
+            {
+              "@": 210
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 210
+            }
+          ]
+        },
+        "47": {
+          "17": [
+            1,
+            {
+              "@": 227
+            }
+          ]
+        },
+        "48": {
+          "84": [
+            0,
+            451
+          ],
+          "86": [
+            0,
+            490
+          ],
+          "19": [
+            0,
+            433
+          ],
+          "1": [
+            0,
+            28
+          ],
+          "88": [
+            0,
+            423
+          ],
+          "90": [
+            0,
+            35
+          ],
+          "10": [
+            0,
+            9
+          ],
+          "91": [
+            0,
+            228
+          ],
+          "98": [
+            0,
+            202
+          ],
+          "92": [
+            0,
+            174
+          ],
+          "93": [
+            0,
+            127
+          ],
+          "94": [
+            0,
+            53
+          ]
+        },
+        "49": {
+          "26": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 181
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 181
+            }
+          ]
+        },
+        "50": {
+          "17": [
+            1,
+            {
+              "@": 236
+            }
+          ]
+        },
+        "51": {
+          "53": [
+            0,
+            182
+          ],
+          "40": [
+            0,
+            416
+          ],
+          "100": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 296
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 296
+            }
+          ]
+        },
+        "52": {
+          "3": [
+            0,
+            354
+          ],
+          "18": [
+            1,
+            {
+              "@": 242
+            }
+          ]
+        },
+        "53": {
+          "2": [
+            0,
+            548
+          ]
+        },
+        "54": {
+          "111": [
+            1,
+            {
+              "@": 226
+            }
+          ]
+        },
+        "55": {
+          "10": [
+            0,
+            330
+          ],
+          "112": [
+            0,
+            119
+          ],
+          "113": [
+            0,
+            58
+          ],
+          "59": [
+            0,
+            273
+          ]
+        },
+        "56": {
+          "19": [
+            0,
+            254
+          ]
+        },
+        "57": {
+          "10": [
+            0,
+            408
+          ],
+          "114": [
+            0,
+            283
+          ],
+          "1": [
+            1,
+            {
+              "@": 358
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 358
+            }
+          ]
+        },
+        "58": {
+          "5": [
+            0,
+            447
+          ]
+        },
+        "59": {
+          "4": [
+            1,
+            {
+              "@": 331
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 331
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 331
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 331
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 331
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 331
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 331
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 331
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 331
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 331
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 331
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 331
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 331
+            }
+          ]
+        },
+        "60": {
+          "0": [
+            1,
+            {
+              "@": 198
+            }
+          ]
+        },
+        "61": {
+          "1": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 135
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 135
+            }
+          ]
+        },
+        "62": {
+          "1": [
+            1,
+            {
+              "@": 104
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 104
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 104
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 104
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 104
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 104
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 104
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 104
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 104
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 104
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 104
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 104
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 104
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 104
+            }
+          ]
+        },
+        "63": {
+          "26": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 379
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 379
+            }
+          ]
+        },
+        "64": {
+          "26": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 166
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 166
+            }
+          ]
+        },
+        "65": {
+          "19": [
+            0,
+            529
+          ],
+          "115": [
+            0,
+            387
+          ],
+          "2": [
+            0,
+            373
+          ],
+          "116": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 309
+            }
+          ]
+        },
+        "66": {
+          "99": [
+            1,
+            {
+              "@": 385
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 385
+            }
+          ]
+        },
+        "67": {
+          "55": [
+            0,
+            453
+          ],
+          "10": [
+            0,
+            158
+          ],
+          "1": [
+            1,
+            {
+              "@": 81
+            }
+          ]
+        },
+        "68": {
+          "26": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 182
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 182
+            }
+          ]
+        },
+        "69": {
+          "1": [
+            1,
+            {
+              "@": 105
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 105
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 105
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 105
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 105
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 105
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 105
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 105
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 105
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 105
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 105
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 105
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 105
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 105
+            }
+          ]
+        },
+        "70": {
+          "100": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 285
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 285
+            }
+          ]
+        },
+        "71": {
+          "119": [
+            0,
+            55
+          ],
+          "10": [
+            0,
+            330
+          ],
+          "112": [
+            0,
+            342
+          ],
+          "113": [
+            0,
+            231
+          ]
+        },
+        "72": {
+          "19": [
+            1,
+            {
+              "@": 102
+            }
+          ]
+        },
+        "73": {
+          "120": [
+            0,
+            546
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "21": [
+            0,
+            402
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "61": [
+            0,
+            508
+          ],
+          "65": [
+            0,
+            501
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "64": [
+            0,
+            398
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "121": [
+            0,
+            518
+          ],
+          "122": [
+            0,
+            80
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "123": [
+            0,
+            152
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "124": [
+            0,
+            128
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            143
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "58": [
+            0,
+            207
+          ],
+          "10": [
+            0,
+            156
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "27": [
+            0,
+            125
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "62": [
+            0,
+            159
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "125": [
+            0,
+            191
+          ],
+          "126": [
+            0,
+            199
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "57": [
+            0,
+            208
+          ],
+          "66": [
+            0,
+            206
+          ],
+          "127": [
+            0,
+            280
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "128": [
+            0,
+            219
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "129": [
+            0,
+            209
+          ],
+          "130": [
+            0,
+            290
+          ],
+          "131": [
+            0,
+            264
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "60": [
+            0,
+            203
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "132": [
+            0,
+            239
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "5": [
+            0,
+            296
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "15": [
+            0,
+            282
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "133": [
+            0,
+            285
+          ],
+          "134": [
+            0,
+            225
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "135": [
+            0,
+            204
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "63": [
+            0,
+            215
+          ],
+          "67": [
+            0,
+            272
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "113": [
+            0,
+            246
+          ]
+        },
+        "74": {
+          "111": [
+            0,
+            313
+          ]
+        },
+        "75": {
+          "3": [
+            0,
+            450
+          ],
+          "1": [
+            0,
+            259
+          ]
+        },
+        "76": {
+          "17": [
+            0,
+            405
+          ]
+        },
+        "77": {
+          "136": [
+            0,
+            96
+          ],
+          "3": [
+            0,
+            179
+          ],
+          "99": [
+            0,
+            217
+          ]
+        },
+        "78": {
+          "10": [
+            0,
+            293
+          ],
+          "99": [
+            0,
+            542
+          ]
+        },
+        "79": {
+          "26": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 167
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 167
+            }
+          ]
+        },
+        "80": {
+          "15": [
+            0,
+            107
+          ],
+          "5": [
+            0,
+            147
+          ]
+        },
+        "81": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "27": [
+            0,
+            136
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "82": {
+          "137": [
+            0,
+            97
+          ],
+          "138": [
+            0,
+            84
+          ],
+          "4": [
+            1,
+            {
+              "@": 93
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 93
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 93
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 93
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 93
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 93
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 93
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 93
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 93
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 93
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 93
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 93
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 93
+            }
+          ]
+        },
+        "83": {
+          "138": [
+            0,
+            334
+          ],
+          "137": [
+            0,
+            97
+          ],
+          "4": [
+            1,
+            {
+              "@": 96
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 96
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 96
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 96
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 96
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 96
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 96
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 96
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 96
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 96
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 96
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 96
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 96
+            }
+          ]
+        },
+        "84": {
+          "4": [
+            1,
+            {
+              "@": 92
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 92
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 92
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 92
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 92
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 92
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 92
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 92
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 92
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 92
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 92
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 92
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 92
+            }
+          ]
+        },
+        "85": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "27": [
+            0,
+            359
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "86": {
+          "84": [
+            0,
+            451
+          ],
+          "85": [
+            0,
+            452
+          ],
+          "86": [
+            0,
+            490
+          ],
+          "19": [
+            0,
+            433
+          ],
+          "139": [
+            0,
+            368
+          ],
+          "140": [
+            0,
+            419
+          ],
+          "141": [
+            0,
+            443
+          ],
+          "87": [
+            0,
+            418
+          ],
+          "88": [
+            0,
+            423
+          ],
+          "89": [
+            0,
+            392
+          ],
+          "90": [
+            0,
+            35
+          ],
+          "10": [
+            0,
+            9
+          ],
+          "91": [
+            0,
+            228
+          ],
+          "92": [
+            0,
+            174
+          ],
+          "93": [
+            0,
+            127
+          ],
+          "94": [
+            0,
+            53
+          ],
+          "95": [
+            0,
+            62
+          ],
+          "96": [
+            0,
+            72
+          ],
+          "97": [
+            0,
+            188
+          ],
+          "98": [
+            0,
+            333
+          ]
+        },
+        "87": {
+          "1": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 137
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 137
+            }
+          ]
+        },
+        "88": {
+          "18": [
+            0,
+            173
+          ]
+        },
+        "89": {
+          "142": [
+            0,
+            145
+          ],
+          "59": [
+            0,
+            98
+          ],
+          "10": [
+            0,
+            183
+          ]
+        },
+        "90": {
+          "1": [
+            0,
+            243
+          ]
+        },
+        "91": {
+          "19": [
+            0,
+            461
+          ]
+        },
+        "92": {
+          "5": [
+            0,
+            170
+          ]
+        },
+        "93": {
+          "10": [
+            1,
+            {
+              "@": 343
+            }
+          ]
+        },
+        "94": {
+          "138": [
+            0,
+            463
+          ],
+          "143": [
+            0,
+            541
+          ],
+          "3": [
+            0,
+            525
+          ],
+          "137": [
+            0,
+            97
+          ],
+          "1": [
+            1,
+            {
+              "@": 86
+            }
+          ]
+        },
+        "95": {
+          "3": [
+            0,
+            552
+          ],
+          "1": [
+            0,
+            234
+          ]
+        },
+        "96": {
+          "99": [
+            0,
+            177
+          ],
+          "3": [
+            0,
+            42
+          ]
+        },
+        "97": {
+          "10": [
+            0,
+            11
+          ]
+        },
+        "98": {
+          "4": [
+            1,
+            {
+              "@": 155
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 155
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 155
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 155
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 155
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 155
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 155
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 155
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 155
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 155
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 155
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 155
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 155
+            }
+          ]
+        },
+        "99": {
+          "5": [
+            1,
+            {
+              "@": 157
+            }
+          ]
+        },
+        "100": {
+          "26": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 222
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 222
+            }
+          ]
+        },
+        "101": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "36": [
+            0,
+            304
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "102": {
+          "55": [
+            0,
+            94
+          ],
+          "10": [
+            0,
+            158
+          ],
+          "144": [
+            0,
+            274
+          ]
+        },
+        "103": {
+          "115": [
+            0,
+            441
+          ],
+          "7": [
+            1,
+            {
+              "@": 76
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 76
+            }
+          ],
+          "137": [
+            1,
+            {
+              "@": 76
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 76
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 76
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 76
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 76
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 76
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 76
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 76
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 76
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 76
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 76
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 76
+            }
+          ]
+        },
+        "104": {
+          "1": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 144
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 144
+            }
+          ]
+        },
+        "105": {
+          "5": [
+            1,
+            {
+              "@": 154
+            }
+          ]
+        },
+        "106": {
+          "5": [
+            1,
+            {
+              "@": 156
+            }
+          ]
+        },
+        "107": {
+          "5": [
+            0,
+            356
+          ]
+        },
+        "108": {
+          "5": [
+            0,
+            41
+          ]
+        },
+        "109": {
+          "17": [
+            1,
+            {
+              "@": 232
+            }
+          ]
+        },
+        "110": {
+          "20": [
+            0,
+            236
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "69": [
+            0,
+            232
+          ],
+          "27": [
+            0,
+            33
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "71": [
+            0,
+            512
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "10": [
+            0,
+            492
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "1": [
+            0,
+            521
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "72": [
+            0,
+            491
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "70": [
+            0,
+            533
+          ],
+          "54": [
+            0,
+            396
+          ]
+        },
+        "111": {
+          "105": [
+            0,
+            101
+          ],
+          "110": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 276
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 276
+            }
+          ]
+        },
+        "112": {
+          "26": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "145": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "146": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 219
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 219
+            }
+          ]
+        },
+        "113": {
+          "84": [
+            0,
+            451
+          ],
+          "86": [
+            0,
+            490
+          ],
+          "19": [
+            0,
+            433
+          ],
+          "95": [
+            0,
+            241
+          ],
+          "88": [
+            0,
+            423
+          ],
+          "90": [
+            0,
+            35
+          ],
+          "10": [
+            0,
+            9
+          ],
+          "91": [
+            0,
+            228
+          ],
+          "92": [
+            0,
+            174
+          ],
+          "93": [
+            0,
+            127
+          ],
+          "94": [
+            0,
+            53
+          ],
+          "147": [
+            0,
+            2
+          ],
+          "98": [
+            0,
+            333
+          ]
+        },
+        "114": {
+          "148": [
+            0,
+            189
+          ],
+          "5": [
+            0,
+            429
+          ],
+          "149": [
+            0,
+            235
+          ]
+        },
+        "115": {
+          "5": [
+            0,
+            49
+          ]
+        },
+        "116": {
+          "5": [
+            0,
+            499
+          ]
+        },
+        "117": {
+          "1": [
+            1,
+            {
+              "@": 116
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 116
+            }
+          ]
+        },
+        "118": {
+          "5": [
+            0,
+            498
+          ]
+        },
+        "119": {
+          "5": [
+            0,
+            343
+          ]
+        },
+        "120": {
+          "4": [
+            1,
+            {
+              "@": 98
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 98
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 98
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 98
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 98
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 98
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 98
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 98
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 98
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 98
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 98
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 98
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 98
+            }
+          ]
+        },
+        "121": {
+          "26": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 375
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 375
+            }
+          ]
+        },
+        "122": {
+          "148": [
+            0,
+            100
+          ],
+          "5": [
+            0,
+            429
+          ],
+          "149": [
+            0,
+            235
+          ]
+        },
+        "123": {
+          "18": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 272
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 272
+            }
+          ]
+        },
+        "124": {
+          "18": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 270
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 270
+            }
+          ]
+        },
+        "125": {
+          "5": [
+            0,
+            193
+          ],
+          "15": [
+            0,
+            462
+          ]
+        },
+        "126": {
+          "26": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 176
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 176
+            }
+          ]
+        },
+        "127": {
+          "2": [
+            0,
+            532
+          ]
+        },
+        "128": {
+          "5": [
+            0,
+            497
+          ],
+          "15": [
+            0,
+            409
+          ]
+        },
+        "129": {
+          "4": [
+            1,
+            {
+              "@": 94
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 94
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 94
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 94
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 94
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 94
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 94
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 94
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 94
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 94
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 94
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 94
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 94
+            }
+          ]
+        },
+        "130": {
+          "17": [
+            1,
+            {
+              "@": 121
+            }
+          ]
+        },
+        "131": {
+          "13": [
+            1,
+            {
+              "@": 113
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 113
+            }
+          ]
+        },
+        "132": {
+          "10": [
+            0,
+            142
+          ],
+          "1": [
+            0,
+            23
+          ],
+          "72": [
+            0,
+            8
+          ]
+        },
+        "133": {
+          "17": [
+            0,
+            271
+          ]
+        },
+        "134": {
+          "4": [
+            1,
+            {
+              "@": 158
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 158
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 158
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 158
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 158
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 158
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 158
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 158
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 158
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 158
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 158
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 158
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 158
+            }
+          ]
+        },
+        "135": {
+          "84": [
+            0,
+            451
+          ],
+          "86": [
+            0,
+            490
+          ],
+          "19": [
+            0,
+            433
+          ],
+          "95": [
+            0,
+            241
+          ],
+          "88": [
+            0,
+            423
+          ],
+          "90": [
+            0,
+            35
+          ],
+          "10": [
+            0,
+            9
+          ],
+          "91": [
+            0,
+            228
+          ],
+          "92": [
+            0,
+            174
+          ],
+          "93": [
+            0,
+            127
+          ],
+          "94": [
+            0,
+            53
+          ],
+          "98": [
+            0,
+            333
+          ]
+        },
+        "136": {
+          "5": [
+            1,
+            {
+              "@": 191
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 191
+            }
+          ]
+        },
+        "137": {
+          "3": [
+            0,
+            511
+          ],
+          "1": [
+            1,
+            {
+              "@": 80
+            }
+          ]
+        },
+        "138": {
+          "26": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "145": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "146": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 382
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 382
+            }
+          ]
+        },
+        "139": {
+          "17": [
+            0,
+            506
+          ]
+        },
+        "140": {
+          "116": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 261
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 261
+            }
+          ]
+        },
+        "141": {
+          "3": [
+            0,
+            212
+          ],
+          "150": [
+            0,
+            46
+          ],
+          "5": [
+            1,
+            {
+              "@": 211
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 211
+            }
+          ]
+        },
+        "142": {
+          "0": [
+            0,
+            403
+          ]
+        },
+        "143": {
+          "27": [
+            0,
+            540
+          ],
+          "20": [
+            0,
+            495
+          ],
+          "21": [
+            0,
+            432
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "3": [
+            0,
+            446
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "129": [
+            0,
+            209
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "67": [
+            0,
+            272
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "133": [
+            0,
+            39
+          ]
+        },
+        "144": {
+          "151": [
+            0,
+            399
+          ],
+          "152": [
+            0,
+            168
+          ],
+          "55": [
+            0,
+            279
+          ],
+          "10": [
+            0,
+            158
+          ],
+          "115": [
+            0,
+            277
+          ]
+        },
+        "145": {
+          "5": [
+            0,
+            45
+          ]
+        },
+        "146": {
+          "84": [
+            0,
+            451
+          ],
+          "86": [
+            0,
+            490
+          ],
+          "19": [
+            0,
+            433
+          ],
+          "95": [
+            0,
+            105
+          ],
+          "88": [
+            0,
+            423
+          ],
+          "90": [
+            0,
+            35
+          ],
+          "10": [
+            0,
+            9
+          ],
+          "91": [
+            0,
+            228
+          ],
+          "92": [
+            0,
+            174
+          ],
+          "93": [
+            0,
+            127
+          ],
+          "94": [
+            0,
+            53
+          ],
+          "98": [
+            0,
+            333
+          ]
+        },
+        "147": {
+          "26": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 180
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 180
+            }
+          ]
+        },
+        "148": {
+          "4": [
+            1,
+            {
+              "@": 330
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 330
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 330
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 330
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 330
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 330
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 330
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 330
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 330
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 330
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 330
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 330
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 330
+            }
+          ]
+        },
+        "149": {
+          "19": [
+            0,
+            529
+          ],
+          "115": [
+            0,
+            387
+          ],
+          "2": [
+            0,
+            373
+          ],
+          "0": [
+            1,
+            {
+              "@": 371
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 371
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 371
+            }
+          ]
+        },
+        "150": {
+          "1": [
+            1,
+            {
+              "@": 363
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 363
+            }
+          ]
+        },
+        "151": {
+          "4": [
+            1,
+            {
+              "@": 328
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 328
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 328
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 328
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 328
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 328
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 328
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 328
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 328
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 328
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 328
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 328
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 328
+            }
+          ]
+        },
+        "152": {
+          "5": [
+            0,
+            244
+          ],
+          "15": [
+            0,
+            468
+          ]
+        },
+        "153": {
+          "153": [
+            0,
+            130
+          ],
+          "154": [
+            0,
+            247
+          ],
+          "17": [
+            1,
+            {
+              "@": 122
+            }
+          ]
+        },
+        "154": {
+          "1": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 139
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 139
+            }
+          ]
+        },
+        "155": {
+          "5": [
+            0,
+            429
+          ],
+          "149": [
+            0,
+            391
+          ]
+        },
+        "156": {
+          "17": [
+            0,
+            135
+          ],
+          "116": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "115": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 247
+            }
+          ]
+        },
+        "157": {
+          "116": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "115": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 245
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 245
+            }
+          ]
+        },
+        "158": {
+          "7": [
+            1,
+            {
+              "@": 75
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 75
+            }
+          ],
+          "137": [
+            1,
+            {
+              "@": 75
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 75
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 75
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 75
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 75
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 75
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 75
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 75
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 75
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 75
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 75
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 75
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 75
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 75
+            }
+          ],
+          "115": [
+            1,
+            {
+              "@": 75
+            }
+          ]
+        },
+        "159": {
+          "5": [
+            1,
+            {
+              "@": 205
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 205
+            }
+          ]
+        },
+        "160": {
+          "17": [
+            0,
+            122
+          ]
+        },
+        "161": {
+          "1": [
+            1,
+            {
+              "@": 384
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 384
+            }
+          ]
+        },
+        "162": {
+          "6": [
+            1,
+            {
+              "@": 88
+            }
+          ]
+        },
+        "163": {
+          "17": [
+            0,
+            520
+          ]
+        },
+        "164": {
+          "18": [
+            0,
+            194
+          ]
+        },
+        "165": {
+          "100": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 288
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 288
+            }
+          ]
+        },
+        "166": {
+          "26": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 159
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 159
+            }
+          ]
+        },
+        "167": {
+          "17": [
+            0,
+            114
+          ]
+        },
+        "168": {
+          "55": [
+            0,
+            103
+          ],
+          "10": [
+            0,
+            158
+          ]
+        },
+        "169": {
+          "5": [
+            0,
+            294
+          ]
+        },
+        "170": {
+          "26": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 173
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 173
+            }
+          ]
+        },
+        "171": {
+          "26": [
+            0,
+            478
+          ],
+          "10": [
+            0,
+            523
+          ],
+          "34": [
+            0,
+            534
+          ],
+          "155": [
+            0,
+            526
+          ]
+        },
+        "172": {
+          "26": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 171
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 171
+            }
+          ]
+        },
+        "173": {
+          "1": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 142
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 142
+            }
+          ]
+        },
+        "174": {
+          "2": [
+            0,
+            510
+          ],
+          "1": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 152
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 152
+            }
+          ]
+        },
+        "175": {
+          "26": [
+            0,
+            478
+          ],
+          "10": [
+            0,
+            523
+          ],
+          "34": [
+            0,
+            534
+          ],
+          "155": [
+            0,
+            395
+          ]
+        },
+        "176": {
+          "100": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 289
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 289
+            }
+          ]
+        },
+        "177": {
+          "18": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 271
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 271
+            }
+          ]
+        },
+        "178": {
+          "59": [
+            1,
+            {
+              "@": 367
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 367
+            }
+          ]
+        },
+        "179": {
+          "10": [
+            0,
+            184
+          ],
+          "99": [
+            0,
+            123
+          ]
+        },
+        "180": {
+          "100": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 284
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 284
+            }
+          ]
+        },
+        "181": {
+          "4": [
+            1,
+            {
+              "@": 339
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 339
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 339
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 339
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 339
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 339
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 339
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 339
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 339
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 339
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 339
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 339
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 339
+            }
+          ]
+        },
+        "182": {
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "35": [
+            0,
+            310
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "183": {
+          "17": [
+            0,
+            146
+          ]
+        },
+        "184": {
+          "17": [
+            0,
+            276
+          ]
+        },
+        "185": {
+          "4": [
+            1,
+            {
+              "@": 338
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 338
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 338
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 338
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 338
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 338
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 338
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 338
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 338
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 338
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 338
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 338
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 338
+            }
+          ]
+        },
+        "186": {
+          "3": [
+            0,
+            57
+          ],
+          "1": [
+            1,
+            {
+              "@": 118
+            }
+          ]
+        },
+        "187": {
+          "117": [
+            0,
+            288
+          ],
+          "116": [
+            0,
+            415
+          ],
+          "56": [
+            0,
+            404
+          ],
+          "101": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 298
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 298
+            }
+          ]
+        },
+        "188": {
+          "4": [
+            1,
+            {
+              "@": 109
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 109
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 109
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 109
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 109
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 109
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 109
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 109
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 109
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 109
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 109
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 109
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 109
+            }
+          ]
+        },
+        "189": {
+          "26": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 224
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 224
+            }
+          ]
+        },
+        "190": {
+          "151": [
+            0,
+            301
+          ],
+          "152": [
+            0,
+            168
+          ],
+          "55": [
+            0,
+            279
+          ],
+          "10": [
+            0,
+            158
+          ],
+          "115": [
+            0,
+            277
+          ],
+          "6": [
+            1,
+            {
+              "@": 89
+            }
+          ]
+        },
+        "191": {
+          "5": [
+            0,
+            68
+          ],
+          "15": [
+            0,
+            115
+          ]
+        },
+        "192": {
+          "17": [
+            0,
+            155
+          ]
+        },
+        "193": {
+          "26": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 184
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 184
+            }
+          ]
+        },
+        "194": {
+          "1": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 140
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 140
+            }
+          ]
+        },
+        "195": {
+          "5": [
+            1,
+            {
+              "@": 373
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 373
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 373
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 373
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 373
+            }
+          ]
+        },
+        "196": {
+          "4": [
+            1,
+            {
+              "@": 333
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 333
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 333
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 333
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 333
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 333
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 333
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 333
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 333
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 333
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 333
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 333
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 333
+            }
+          ]
+        },
+        "197": {
+          "26": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 174
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 174
+            }
+          ]
+        },
+        "198": {
+          "116": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 318
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 318
+            }
+          ]
+        },
+        "199": {
+          "5": [
+            0,
+            64
+          ],
+          "15": [
+            0,
+            108
+          ]
+        },
+        "200": {
+          "107": [
+            0,
+            417
+          ],
+          "100": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 290
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 290
+            }
+          ]
+        },
+        "201": {
+          "156": [
+            0,
+            422
+          ]
+        },
+        "202": {
+          "1": [
+            1,
+            {
+              "@": 364
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 364
+            }
+          ]
+        },
+        "203": {
+          "157": [
+            0,
+            74
+          ],
+          "10": [
+            0,
+            54
+          ]
+        },
+        "204": {
+          "5": [
+            0,
+            205
+          ],
+          "15": [
+            0,
+            245
+          ]
+        },
+        "205": {
+          "26": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 170
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 170
+            }
+          ]
+        },
+        "206": {
+          "20": [
+            0,
+            236
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "27": [
+            0,
+            141
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "5": [
+            1,
+            {
+              "@": 212
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 212
+            }
+          ]
+        },
+        "207": {
+          "10": [
+            0,
+            456
+          ]
+        },
+        "208": {
+          "5": [
+            1,
+            {
+              "@": 206
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 206
+            }
+          ]
+        },
+        "209": {
+          "158": [
+            0,
+            352
+          ],
+          "3": [
+            0,
+            372
+          ]
+        },
+        "210": {
+          "5": [
+            1,
+            {
+              "@": 192
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 192
+            }
+          ]
+        },
+        "211": {
+          "115": [
+            1,
+            {
+              "@": 349
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 349
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 349
+            }
+          ]
+        },
+        "212": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "27": [
+            0,
+            195
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "213": {
+          "17": [
+            1,
+            {
+              "@": 230
+            }
+          ]
+        },
+        "214": {
+          "0": [
+            1,
+            {
+              "@": 107
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 107
+            }
+          ]
+        },
+        "215": {
+          "5": [
+            1,
+            {
+              "@": 207
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 207
+            }
+          ]
+        },
+        "216": {
+          "59": [
+            1,
+            {
+              "@": 365
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 365
+            }
+          ]
+        },
+        "217": {
+          "18": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 273
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 273
+            }
+          ]
+        },
+        "218": {
+          "155": [
+            0,
+            505
+          ],
+          "26": [
+            0,
+            478
+          ],
+          "10": [
+            0,
+            523
+          ],
+          "34": [
+            0,
+            534
+          ]
+        },
+        "219": {
+          "5": [
+            0,
+            197
+          ],
+          "15": [
+            0,
+            92
+          ]
+        },
+        "220": {
+          "116": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 301
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 301
+            }
+          ]
+        },
+        "221": {
+          "10": [
+            0,
+            330
+          ],
+          "112": [
+            0,
+            119
+          ],
+          "59": [
+            0,
+            299
+          ],
+          "113": [
+            0,
+            58
+          ]
+        },
+        "222": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "18": [
+            0,
+            287
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "27": [
+            0,
+            314
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "223": {
+          "19": [
+            0,
+            529
+          ],
+          "115": [
+            0,
+            387
+          ],
+          "2": [
+            0,
+            373
+          ],
+          "0": [
+            1,
+            {
+              "@": 369
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 369
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 369
+            }
+          ]
+        },
+        "224": {
+          "150": [
+            0,
+            52
+          ],
+          "3": [
+            0,
+            212
+          ],
+          "18": [
+            1,
+            {
+              "@": 240
+            }
+          ]
+        },
+        "225": {
+          "15": [
+            0,
+            43
+          ],
+          "5": [
+            0,
+            14
+          ]
+        },
+        "226": {
+          "116": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 266
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 266
+            }
+          ]
+        },
+        "227": {
+          "19": [
+            0,
+            110
+          ],
+          "5": [
+            0,
+            325
+          ]
+        },
+        "228": {
+          "1": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 151
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 151
+            }
+          ]
+        },
+        "229": {
+          "1": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 141
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 141
+            }
+          ]
+        },
+        "230": {
+          "159": [
+            0,
+            99
+          ],
+          "10": [
+            0,
+            106
+          ]
+        },
+        "231": {
+          "5": [
+            0,
+            15
+          ]
+        },
+        "232": {
+          "160": [
+            0,
+            474
+          ],
+          "3": [
+            0,
+            531
+          ],
+          "1": [
+            1,
+            {
+              "@": 259
+            }
+          ]
+        },
+        "233": {
+          "1": [
+            1,
+            {
+              "@": 253
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 253
+            }
+          ]
+        },
+        "234": {
+          "116": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 262
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 262
+            }
+          ]
+        },
+        "235": {
+          "26": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 221
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 221
+            }
+          ]
+        },
+        "236": {
+          "18": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 238
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 238
+            }
+          ]
+        },
+        "237": {
+          "5": [
+            0,
+            71
+          ]
+        },
+        "238": {
+          "5": [
+            1,
+            {
+              "@": 127
+            }
+          ]
+        },
+        "239": {
+          "26": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 377
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 377
+            }
+          ]
+        },
+        "240": {
+          "10": [
+            0,
+            537
+          ],
+          "21": [
+            0,
+            326
+          ],
+          "19": [
+            0,
+            240
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "241": {
+          "5": [
+            1,
+            {
+              "@": 111
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 111
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 111
+            }
+          ]
+        },
+        "242": {
+          "13": [
+            1,
+            {
+              "@": 354
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 354
+            }
+          ]
+        },
+        "243": {
+          "5": [
+            1,
+            {
+              "@": 208
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 208
+            }
+          ]
+        },
+        "244": {
+          "26": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 178
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 178
+            }
+          ]
+        },
+        "245": {
+          "5": [
+            0,
+            291
+          ]
+        },
+        "246": {
+          "0": [
+            0,
+            270
+          ],
+          "5": [
+            1,
+            {
+              "@": 186
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 186
+            }
+          ]
+        },
+        "247": {
+          "84": [
+            0,
+            451
+          ],
+          "86": [
+            0,
+            490
+          ],
+          "95": [
+            0,
+            311
+          ],
+          "19": [
+            0,
+            433
+          ],
+          "88": [
+            0,
+            423
+          ],
+          "90": [
+            0,
+            35
+          ],
+          "10": [
+            0,
+            9
+          ],
+          "91": [
+            0,
+            228
+          ],
+          "92": [
+            0,
+            174
+          ],
+          "93": [
+            0,
+            127
+          ],
+          "94": [
+            0,
+            53
+          ],
+          "98": [
+            0,
+            333
+          ]
+        },
+        "248": {
+          "116": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "115": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 243
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 243
+            }
+          ]
+        },
+        "249": {
+          "17": [
+            0,
+            278
+          ]
+        },
+        "250": {
+          "84": [
+            0,
+            451
+          ],
+          "85": [
+            0,
+            452
+          ],
+          "86": [
+            0,
+            490
+          ],
+          "19": [
+            0,
+            433
+          ],
+          "87": [
+            0,
+            418
+          ],
+          "88": [
+            0,
+            423
+          ],
+          "89": [
+            0,
+            379
+          ],
+          "90": [
+            0,
+            35
+          ],
+          "10": [
+            0,
+            9
+          ],
+          "91": [
+            0,
+            228
+          ],
+          "92": [
+            0,
+            174
+          ],
+          "93": [
+            0,
+            127
+          ],
+          "94": [
+            0,
+            53
+          ],
+          "97": [
+            0,
+            380
+          ],
+          "95": [
+            0,
+            62
+          ],
+          "96": [
+            0,
+            72
+          ],
+          "98": [
+            0,
+            333
+          ]
+        },
+        "251": {
+          "100": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 292
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 292
+            }
+          ]
+        },
+        "252": {
+          "161": [
+            0,
+            116
+          ],
+          "16": [
+            0,
+            555
+          ],
+          "59": [
+            0,
+            134
+          ],
+          "76": [
+            0,
+            286
+          ]
+        },
+        "253": {
+          "162": [
+            0,
+            353
+          ],
+          "146": [
+            0,
+            167
+          ],
+          "145": [
+            0,
+            358
+          ],
+          "26": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 225
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 225
+            }
+          ]
+        },
+        "254": {
+          "20": [
+            0,
+            236
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "27": [
+            0,
+            75
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "54": [
+            0,
+            396
+          ]
+        },
+        "255": {
+          "100": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 283
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 283
+            }
+          ]
+        },
+        "256": {
+          "5": [
+            0,
+            429
+          ],
+          "149": [
+            0,
+            365
+          ]
+        },
+        "257": {
+          "17": [
+            0,
+            256
+          ]
+        },
+        "258": {
+          "5": [
+            1,
+            {
+              "@": 217
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 217
+            }
+          ]
+        },
+        "259": {
+          "17": [
+            1,
+            {
+              "@": 234
+            }
+          ]
+        },
+        "260": {
+          "163": [
+            0,
+            449
+          ],
+          "115": [
+            0,
+            503
+          ],
+          "7": [
+            1,
+            {
+              "@": 100
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 100
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 100
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 100
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 100
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 100
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 100
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 100
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 100
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 100
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 100
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 100
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 100
+            }
+          ]
+        },
+        "261": {
+          "116": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 267
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 267
+            }
+          ]
+        },
+        "262": {
+          "116": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 308
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 308
+            }
+          ]
+        },
+        "263": {
+          "53": [
+            0,
+            182
+          ],
+          "40": [
+            0,
+            416
+          ],
+          "100": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 295
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 295
+            }
+          ]
+        },
+        "264": {
+          "15": [
+            0,
+            169
+          ],
+          "5": [
+            0,
+            126
+          ]
+        },
+        "265": {
+          "84": [
+            0,
+            451
+          ],
+          "86": [
+            0,
+            490
+          ],
+          "19": [
+            0,
+            433
+          ],
+          "98": [
+            0,
+            88
+          ],
+          "88": [
+            0,
+            423
+          ],
+          "90": [
+            0,
+            35
+          ],
+          "10": [
+            0,
+            9
+          ],
+          "91": [
+            0,
+            228
+          ],
+          "92": [
+            0,
+            174
+          ],
+          "93": [
+            0,
+            127
+          ],
+          "94": [
+            0,
+            53
+          ]
+        },
+        "266": {
+          "100": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 291
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 291
+            }
+          ]
+        },
+        "267": {
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "38": [
+            0,
+            262
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "268": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "27": [
+            0,
+            314
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "269": {
+          "13": [
+            1,
+            {
+              "@": 112
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 112
+            }
+          ]
+        },
+        "270": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "27": [
+            0,
+            302
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "271": {
+          "5": [
+            0,
+            429
+          ],
+          "149": [
+            0,
+            30
+          ]
+        },
+        "272": {
+          "3": [
+            1,
+            {
+              "@": 187
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 187
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 187
+            }
+          ]
+        },
+        "273": {
+          "7": [
+            1,
+            {
+              "@": 128
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 128
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 128
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 128
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 128
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 128
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 128
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 128
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 128
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 128
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 128
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 128
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 128
+            }
+          ]
+        },
+        "274": {
+          "1": [
+            0,
+            295
+          ]
+        },
+        "275": {
+          "116": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 302
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 302
+            }
+          ]
+        },
+        "276": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "27": [
+            0,
+            66
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "277": {
+          "115": [
+            1,
+            {
+              "@": 350
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 350
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 350
+            }
+          ]
+        },
+        "278": {
+          "10": [
+            0,
+            260
+          ],
+          "164": [
+            0,
+            120
+          ]
+        },
+        "279": {
+          "115": [
+            0,
+            93
+          ],
+          "7": [
+            1,
+            {
+              "@": 77
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 77
+            }
+          ],
+          "137": [
+            1,
+            {
+              "@": 77
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 77
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 77
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 77
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 77
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 77
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 77
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 77
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 77
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 77
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 77
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 77
+            }
+          ]
+        },
+        "280": {
+          "15": [
+            0,
+            507
+          ],
+          "5": [
+            0,
+            319
+          ]
+        },
+        "281": {
+          "4": [
+            1,
+            {
+              "@": 327
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 327
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 327
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 327
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 327
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 327
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 327
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 327
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 327
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 327
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 327
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 327
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 327
+            }
+          ]
+        },
+        "282": {
+          "5": [
+            0,
+            121
+          ]
+        },
+        "283": {
+          "1": [
+            1,
+            {
+              "@": 357
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 357
+            }
+          ]
+        },
+        "284": {
+          "26": [
+            0,
+            478
+          ],
+          "10": [
+            0,
+            523
+          ],
+          "34": [
+            0,
+            534
+          ],
+          "155": [
+            0,
+            164
+          ]
+        },
+        "285": {
+          "0": [
+            0,
+            81
+          ]
+        },
+        "286": {
+          "17": [
+            0,
+            230
+          ]
+        },
+        "287": {
+          "116": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 265
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 265
+            }
+          ]
+        },
+        "288": {
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "38": [
+            0,
+            275
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "289": {
+          "1": [
+            1,
+            {
+              "@": 345
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 345
+            }
+          ]
+        },
+        "290": {
+          "15": [
+            0,
+            32
+          ],
+          "26": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 162
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 162
+            }
+          ]
+        },
+        "291": {
+          "26": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 169
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 169
+            }
+          ]
+        },
+        "292": {
+          "100": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 282
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 282
+            }
+          ]
+        },
+        "293": {
+          "17": [
+            0,
+            476
+          ]
+        },
+        "294": {
+          "26": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 175
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 175
+            }
+          ]
+        },
+        "295": {
+          "4": [
+            1,
+            {
+              "@": 97
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 97
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 97
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 97
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 97
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 97
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 97
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 97
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 97
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 97
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 97
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 97
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 97
+            }
+          ]
+        },
+        "296": {
+          "26": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 376
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 376
+            }
+          ]
+        },
+        "297": {
+          "13": [
+            1,
+            {
+              "@": 353
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 353
+            }
+          ]
+        },
+        "298": {
+          "5": [
+            1,
+            {
+              "@": 215
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 215
+            }
+          ]
+        },
+        "299": {
+          "7": [
+            1,
+            {
+              "@": 129
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 129
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 129
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 129
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 129
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 129
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 129
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 129
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 129
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 129
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 129
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 129
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 129
+            }
+          ]
+        },
+        "300": {
+          "0": [
+            1,
+            {
+              "@": 372
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 372
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 372
+            }
+          ]
+        },
+        "301": {
+          "6": [
+            1,
+            {
+              "@": 87
+            }
+          ]
+        },
+        "302": {
+          "5": [
+            1,
+            {
+              "@": 185
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 185
+            }
+          ]
+        },
+        "303": {
+          "4": [
+            1,
+            {
+              "@": 90
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 90
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 90
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 90
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 90
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 90
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 90
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 90
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 90
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 90
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 90
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 90
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 90
+            }
+          ]
+        },
+        "304": {
+          "105": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 278
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 278
+            }
+          ]
+        },
+        "305": {
+          "26": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 163
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 163
+            }
+          ]
+        },
+        "306": {
+          "1": [
+            0,
+            238
+          ]
+        },
+        "307": {
+          "4": [
+            1,
+            {
+              "@": 342
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 342
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 342
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 342
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 342
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 342
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 342
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 342
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 342
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 342
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 342
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 342
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 342
+            }
+          ]
+        },
+        "308": {
+          "1": [
+            1,
+            {
+              "@": 106
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 106
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 106
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 106
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 106
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 106
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 106
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 106
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 106
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 106
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 106
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 106
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 106
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 106
+            }
+          ]
+        },
+        "309": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "27": [
+            0,
+            192
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "165": [
+            0,
+            138
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "310": {
+          "117": [
+            0,
+            288
+          ],
+          "116": [
+            0,
+            415
+          ],
+          "56": [
+            0,
+            404
+          ],
+          "101": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 299
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 299
+            }
+          ]
+        },
+        "311": {
+          "17": [
+            1,
+            {
+              "@": 120
+            }
+          ]
+        },
+        "312": {
+          "149": [
+            0,
+            524
+          ],
+          "5": [
+            0,
+            429
+          ]
+        },
+        "313": {
+          "20": [
+            0,
+            236
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "166": [
+            0,
+            257
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "167": [
+            0,
+            38
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "168": [
+            0,
+            56
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "27": [
+            0,
+            50
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "54": [
+            0,
+            396
+          ]
+        },
+        "314": {
+          "5": [
+            1,
+            {
+              "@": 374
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 374
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 374
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 374
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 374
+            }
+          ]
+        },
+        "315": {
+          "17": [
+            1,
+            {
+              "@": 231
+            }
+          ]
+        },
+        "316": {
+          "4": [
+            1,
+            {
+              "@": 334
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 334
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 334
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 334
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 334
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 334
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 334
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 334
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 334
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 334
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 334
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 334
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 334
+            }
+          ]
+        },
+        "317": {
+          "1": [
+            0,
+            315
+          ]
+        },
+        "318": {
+          "1": [
+            0,
+            157
+          ]
+        },
+        "319": {
+          "26": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 168
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 168
+            }
+          ]
+        },
+        "320": {
+          "26": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 177
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 177
+            }
+          ]
+        },
+        "321": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "27": [
+            0,
+            397
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "322": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "27": [
+            0,
+            210
+          ]
+        },
+        "323": {
+          "4": [
+            1,
+            {
+              "@": 336
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 336
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 336
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 336
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 336
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 336
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 336
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 336
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 336
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 336
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 336
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 336
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 336
+            }
+          ]
+        },
+        "324": {
+          "3": [
+            0,
+            132
+          ],
+          "1": [
+            0,
+            213
+          ]
+        },
+        "325": {
+          "13": [
+            1,
+            {
+              "@": 114
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 114
+            }
+          ]
+        },
+        "326": {
+          "19": [
+            0,
+            529
+          ],
+          "115": [
+            0,
+            387
+          ],
+          "1": [
+            0,
+            361
+          ],
+          "2": [
+            0,
+            373
+          ]
+        },
+        "327": {
+          "5": [
+            1,
+            {
+              "@": 190
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 190
+            }
+          ]
+        },
+        "328": {
+          "5": [
+            1,
+            {
+              "@": 218
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 218
+            }
+          ]
+        },
+        "329": {
+          "4": [
+            1,
+            {
+              "@": 335
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 335
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 335
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 335
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 335
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 335
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 335
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 335
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 335
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 335
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 335
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 335
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 335
+            }
+          ]
+        },
+        "330": {
+          "17": [
+            0,
+            113
+          ]
+        },
+        "331": {
+          "116": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "115": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 250
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 250
+            }
+          ]
+        },
+        "332": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "27": [
+            0,
+            195
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "18": [
+            0,
+            261
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "333": {
+          "1": [
+            1,
+            {
+              "@": 153
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 153
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 153
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 153
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 153
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 153
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 153
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 153
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 153
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 153
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 153
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 153
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 153
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 153
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 153
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 153
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 153
+            }
+          ]
+        },
+        "334": {
+          "4": [
+            1,
+            {
+              "@": 95
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 95
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 95
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 95
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 95
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 95
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 95
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 95
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 95
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 95
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 95
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 95
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 95
+            }
+          ]
+        },
+        "335": {
+          "116": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 268
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 268
+            }
+          ]
+        },
+        "336": {
+          "4": [
+            1,
+            {
+              "@": 341
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 341
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 341
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 341
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 341
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 341
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 341
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 341
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 341
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 341
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 341
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 341
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 341
+            }
+          ]
+        },
+        "337": {
+          "0": [
+            1,
+            {
+              "@": 194
+            }
+          ]
+        },
+        "338": {
+          "5": [
+            0,
+            178
+          ]
+        },
+        "339": {
+          "116": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 314
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 314
+            }
+          ]
+        },
+        "340": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "27": [
+            0,
+            195
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "1": [
+            0,
+            341
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "341": {
+          "116": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 263
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 263
+            }
+          ]
+        },
+        "342": {
+          "5": [
+            0,
+            516
+          ]
+        },
+        "343": {
+          "59": [
+            1,
+            {
+              "@": 362
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 362
+            }
+          ]
+        },
+        "344": {
+          "4": [
+            1,
+            {
+              "@": 337
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 337
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 337
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 337
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 337
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 337
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 337
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 337
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 337
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 337
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 337
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 337
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 337
+            }
+          ]
+        },
+        "345": {
+          "84": [
+            0,
+            451
+          ],
+          "86": [
+            0,
+            490
+          ],
+          "19": [
+            0,
+            433
+          ],
+          "88": [
+            0,
+            423
+          ],
+          "90": [
+            0,
+            35
+          ],
+          "95": [
+            0,
+            504
+          ],
+          "10": [
+            0,
+            9
+          ],
+          "91": [
+            0,
+            228
+          ],
+          "92": [
+            0,
+            174
+          ],
+          "93": [
+            0,
+            127
+          ],
+          "94": [
+            0,
+            53
+          ],
+          "98": [
+            0,
+            333
+          ]
+        },
+        "346": {
+          "116": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 303
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 303
+            }
+          ]
+        },
+        "347": {
+          "18": [
+            0,
+            248
+          ]
+        },
+        "348": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "29": [
+            0,
+            362
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "349": {
+          "81": [
+            0,
+            59
+          ],
+          "78": [
+            0,
+            151
+          ],
+          "73": [
+            0,
+            20
+          ],
+          "4": [
+            0,
+            249
+          ],
+          "169": [
+            0,
+            24
+          ],
+          "12": [
+            0,
+            457
+          ],
+          "13": [
+            0,
+            426
+          ],
+          "74": [
+            0,
+            442
+          ],
+          "170": [
+            0,
+            448
+          ],
+          "6": [
+            0,
+            440
+          ],
+          "75": [
+            0,
+            454
+          ],
+          "76": [
+            0,
+            458
+          ],
+          "14": [
+            0,
+            483
+          ],
+          "9": [
+            0,
+            475
+          ],
+          "82": [
+            0,
+            558
+          ],
+          "11": [
+            0,
+            435
+          ],
+          "16": [
+            0,
+            555
+          ],
+          "5": [
+            0,
+            467
+          ],
+          "83": [
+            0,
+            470
+          ],
+          "15": [
+            0,
+            473
+          ],
+          "10": [
+            0,
+            545
+          ],
+          "8": [
+            0,
+            481
+          ],
+          "77": [
+            0,
+            18
+          ],
+          "80": [
+            0,
+            281
+          ],
+          "68": [
+            0,
+            297
+          ],
+          "79": [
+            0,
+            148
+          ],
+          "7": [
+            1,
+            {
+              "@": 74
+            }
+          ]
+        },
+        "350": {
+          "100": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 287
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 287
+            }
+          ]
+        },
+        "351": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "27": [
+            0,
+            17
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "352": {
+          "3": [
+            0,
+            381
+          ],
+          "0": [
+            1,
+            {
+              "@": 189
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 189
+            }
+          ]
+        },
+        "353": {
+          "146": [
+            0,
+            160
+          ],
+          "145": [
+            0,
+            309
+          ],
+          "26": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 223
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 223
+            }
+          ]
+        },
+        "354": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "27": [
+            0,
+            314
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "18": [
+            1,
+            {
+              "@": 241
+            }
+          ]
+        },
+        "355": {
+          "17": [
+            0,
+            85
+          ]
+        },
+        "356": {
+          "26": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 179
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 179
+            }
+          ]
+        },
+        "357": {
+          "0": [
+            1,
+            {
+              "@": 197
+            }
+          ]
+        },
+        "358": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "27": [
+            0,
+            192
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "165": [
+            0,
+            360
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "359": {
+          "99": [
+            1,
+            {
+              "@": 386
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 386
+            }
+          ]
+        },
+        "360": {
+          "26": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "145": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "146": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 381
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 381
+            }
+          ]
+        },
+        "361": {
+          "116": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "115": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 251
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 251
+            }
+          ]
+        },
+        "362": {
+          "100": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 286
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 286
+            }
+          ]
+        },
+        "363": {
+          "4": [
+            1,
+            {
+              "@": 340
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 340
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 340
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 340
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 340
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 340
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 340
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 340
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 340
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 340
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 340
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 340
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 340
+            }
+          ]
+        },
+        "364": {
+          "5": [
+            0,
+            216
+          ]
+        },
+        "365": {
+          "26": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 237
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 237
+            }
+          ]
+        },
+        "366": {
+          "116": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 322
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 322
+            }
+          ]
+        },
+        "367": {
+          "3": [
+            0,
+            265
+          ]
+        },
+        "368": {
+          "19": [
+            1,
+            {
+              "@": 101
+            }
+          ]
+        },
+        "369": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "29": [
+            0,
+            350
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "370": {
+          "116": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "115": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 244
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 244
+            }
+          ]
+        },
+        "371": {
+          "4": [
+            1,
+            {
+              "@": 352
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 352
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 352
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 352
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 352
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 352
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 352
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 352
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 352
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 352
+            }
+          ],
+          "115": [
+            1,
+            {
+              "@": 352
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 352
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 352
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 352
+            }
+          ]
+        },
+        "372": {
+          "129": [
+            0,
+            444
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "21": [
+            0,
+            223
+          ],
+          "19": [
+            0,
+            240
+          ],
+          "67": [
+            0,
+            272
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "373": {
+          "20": [
+            0,
+            236
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "171": [
+            0,
+            347
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "27": [
+            0,
+            224
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "54": [
+            0,
+            396
+          ]
+        },
+        "374": {
+          "20": [
+            0,
+            236
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "27": [
+            0,
+            33
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "69": [
+            0,
+            161
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "71": [
+            0,
+            512
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "10": [
+            0,
+            492
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "72": [
+            0,
+            491
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "1": [
+            1,
+            {
+              "@": 256
+            }
+          ]
+        },
+        "375": {
+          "18": [
+            0,
+            154
+          ]
+        },
+        "376": {
+          "18": [
+            0,
+            226
+          ],
+          "3": [
+            0,
+            222
+          ]
+        },
+        "377": {
+          "1": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 146
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 146
+            }
+          ]
+        },
+        "378": {
+          "18": [
+            0,
+            229
+          ]
+        },
+        "379": {
+          "19": [
+            0,
+            36
+          ]
+        },
+        "380": {
+          "1": [
+            0,
+            308
+          ]
+        },
+        "381": {
+          "10": [
+            0,
+            537
+          ],
+          "129": [
+            0,
+            300
+          ],
+          "21": [
+            0,
+            149
+          ],
+          "19": [
+            0,
+            240
+          ],
+          "67": [
+            0,
+            272
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "382": {
+          "1": [
+            0,
+            69
+          ]
+        },
+        "383": {
+          "84": [
+            0,
+            451
+          ],
+          "86": [
+            0,
+            490
+          ],
+          "19": [
+            0,
+            433
+          ],
+          "1": [
+            0,
+            37
+          ],
+          "88": [
+            0,
+            423
+          ],
+          "90": [
+            0,
+            35
+          ],
+          "10": [
+            0,
+            9
+          ],
+          "91": [
+            0,
+            228
+          ],
+          "92": [
+            0,
+            174
+          ],
+          "93": [
+            0,
+            127
+          ],
+          "94": [
+            0,
+            53
+          ],
+          "98": [
+            0,
+            150
+          ]
+        },
+        "384": {
+          "10": [
+            0,
+            371
+          ]
+        },
+        "385": {
+          "18": [
+            0,
+            61
+          ]
+        },
+        "386": {
+          "1": [
+            0,
+            25
+          ]
+        },
+        "387": {
+          "10": [
+            0,
+            370
+          ]
+        },
+        "388": {
+          "4": [
+            1,
+            {
+              "@": 131
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 131
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 131
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 131
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 131
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 131
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 131
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 131
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 131
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 131
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 131
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 131
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 131
+            }
+          ]
+        },
+        "389": {
+          "156": [
+            0,
+            477
+          ]
+        },
+        "390": {
+          "3": [
+            0,
+            48
+          ],
+          "1": [
+            0,
+            104
+          ]
+        },
+        "391": {
+          "26": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "145": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "146": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 220
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 220
+            }
+          ]
+        },
+        "392": {
+          "19": [
+            0,
+            411
+          ]
+        },
+        "393": {
+          "4": [
+            1,
+            {
+              "@": 130
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 130
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 130
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 130
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 130
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 130
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 130
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 130
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 130
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 130
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 130
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 130
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 130
+            }
+          ]
+        },
+        "394": {
+          "0": [
+            1,
+            {
+              "@": 193
+            }
+          ]
+        },
+        "395": {
+          "18": [
+            0,
+            1
+          ]
+        },
+        "396": {
+          "116": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 312
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 312
+            }
+          ]
+        },
+        "397": {
+          "4": [
+            1,
+            {
+              "@": 110
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 110
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 110
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 110
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 110
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 110
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 110
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 110
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 110
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 110
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 110
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 110
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 110
+            }
+          ]
+        },
+        "398": {
+          "20": [
+            0,
+            236
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "27": [
+            0,
+            437
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "54": [
+            0,
+            396
+          ]
+        },
+        "399": {
+          "138": [
+            0,
+            303
+          ],
+          "137": [
+            0,
+            97
+          ],
+          "4": [
+            1,
+            {
+              "@": 91
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 91
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 91
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 91
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 91
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 91
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 91
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 91
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 91
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 91
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 91
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 91
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 91
+            }
+          ]
+        },
+        "400": {
+          "116": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "115": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 246
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 246
+            }
+          ]
+        },
+        "401": {
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "38": [
+            0,
+            465
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "402": {
+          "107": [
+            0,
+            26
+          ],
+          "118": [
+            0,
+            60
+          ],
+          "109": [
+            0,
+            0
+          ],
+          "2": [
+            0,
+            373
+          ],
+          "158": [
+            0,
+            31
+          ],
+          "117": [
+            0,
+            19
+          ],
+          "56": [
+            0,
+            40
+          ],
+          "53": [
+            0,
+            337
+          ],
+          "116": [
+            0,
+            357
+          ],
+          "105": [
+            0,
+            547
+          ],
+          "102": [
+            0,
+            466
+          ],
+          "19": [
+            0,
+            529
+          ],
+          "115": [
+            0,
+            387
+          ],
+          "40": [
+            0,
+            394
+          ],
+          "3": [
+            0,
+            372
+          ],
+          "110": [
+            0,
+            554
+          ],
+          "0": [
+            0,
+            551
+          ],
+          "172": [
+            0,
+            464
+          ],
+          "101": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 309
+            }
+          ]
+        },
+        "403": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "27": [
+            0,
+            233
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "404": {
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "38": [
+            0,
+            220
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "405": {
+          "173": [
+            0,
+            393
+          ],
+          "5": [
+            0,
+            389
+          ],
+          "62": [
+            0,
+            388
+          ]
+        },
+        "406": {
+          "111": [
+            0,
+            487
+          ]
+        },
+        "407": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "29": [
+            0,
+            180
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "408": {
+          "17": [
+            0,
+            538
+          ]
+        },
+        "409": {
+          "5": [
+            0,
+            305
+          ]
+        },
+        "410": {
+          "174": [
+            0,
+            186
+          ],
+          "3": [
+            0,
+            486
+          ],
+          "1": [
+            1,
+            {
+              "@": 119
+            }
+          ]
+        },
+        "411": {
+          "84": [
+            0,
+            451
+          ],
+          "85": [
+            0,
+            452
+          ],
+          "86": [
+            0,
+            490
+          ],
+          "19": [
+            0,
+            433
+          ],
+          "139": [
+            0,
+            368
+          ],
+          "140": [
+            0,
+            419
+          ],
+          "87": [
+            0,
+            418
+          ],
+          "88": [
+            0,
+            423
+          ],
+          "89": [
+            0,
+            392
+          ],
+          "90": [
+            0,
+            35
+          ],
+          "10": [
+            0,
+            9
+          ],
+          "91": [
+            0,
+            228
+          ],
+          "92": [
+            0,
+            174
+          ],
+          "93": [
+            0,
+            127
+          ],
+          "94": [
+            0,
+            53
+          ],
+          "95": [
+            0,
+            62
+          ],
+          "141": [
+            0,
+            386
+          ],
+          "96": [
+            0,
+            72
+          ],
+          "97": [
+            0,
+            382
+          ],
+          "98": [
+            0,
+            333
+          ]
+        },
+        "412": {
+          "153": [
+            0,
+            471
+          ],
+          "154": [
+            0,
+            247
+          ],
+          "17": [
+            1,
+            {
+              "@": 124
+            }
+          ]
+        },
+        "413": {
+          "156": [
+            0,
+            431
+          ]
+        },
+        "414": {
+          "1": [
+            0,
+            153
+          ]
+        },
+        "415": {
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "38": [
+            0,
+            346
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "416": {
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "35": [
+            0,
+            187
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "417": {
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "22": [
+            0,
+            251
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "418": {
+          "19": [
+            0,
+            250
+          ]
+        },
+        "419": {
+          "19": [
+            0,
+            345
+          ]
+        },
+        "420": {
+          "150": [
+            0,
+            376
+          ],
+          "3": [
+            0,
+            332
+          ],
+          "18": [
+            0,
+            335
+          ]
+        },
+        "421": {
+          "49": [
+            0,
+            258
+          ],
+          "175": [
+            0,
+            328
+          ]
+        },
+        "422": {
+          "176": [
+            0,
+            89
+          ],
+          "10": [
+            0,
+            183
+          ],
+          "142": [
+            0,
+            364
+          ]
+        },
+        "423": {
+          "2": [
+            0,
+            171
+          ],
+          "1": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 149
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 149
+            }
+          ]
+        },
+        "424": {
+          "116": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 305
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 305
+            }
+          ]
+        },
+        "425": {
+          "27": [
+            0,
+            540
+          ],
+          "20": [
+            0,
+            495
+          ],
+          "21": [
+            0,
+            482
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "3": [
+            0,
+            446
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "54": [
+            0,
+            396
+          ]
+        },
+        "426": {
+          "10": [
+            0,
+            227
+          ]
+        },
+        "427": {
+          "100": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 281
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 281
+            }
+          ]
+        },
+        "428": {
+          "105": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 280
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 280
+            }
+          ]
+        },
+        "429": {
+          "156": [
+            0,
+            73
+          ]
+        },
+        "430": {
+          "116": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 316
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 316
+            }
+          ]
+        },
+        "431": {
+          "16": [
+            0,
+            555
+          ],
+          "177": [
+            0,
+            252
+          ],
+          "161": [
+            0,
+            338
+          ],
+          "76": [
+            0,
+            286
+          ]
+        },
+        "432": {
+          "19": [
+            0,
+            529
+          ],
+          "115": [
+            0,
+            387
+          ],
+          "3": [
+            0,
+            372
+          ],
+          "2": [
+            0,
+            373
+          ],
+          "158": [
+            0,
+            31
+          ],
+          "1": [
+            0,
+            361
+          ],
+          "116": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 309
+            }
+          ]
+        },
+        "433": {
+          "84": [
+            0,
+            451
+          ],
+          "86": [
+            0,
+            490
+          ],
+          "19": [
+            0,
+            433
+          ],
+          "98": [
+            0,
+            434
+          ],
+          "88": [
+            0,
+            423
+          ],
+          "90": [
+            0,
+            35
+          ],
+          "10": [
+            0,
+            9
+          ],
+          "91": [
+            0,
+            228
+          ],
+          "92": [
+            0,
+            174
+          ],
+          "93": [
+            0,
+            127
+          ],
+          "94": [
+            0,
+            53
+          ]
+        },
+        "434": {
+          "3": [
+            0,
+            383
+          ],
+          "178": [
+            0,
+            390
+          ],
+          "1": [
+            0,
+            377
+          ]
+        },
+        "435": {
+          "10": [
+            0,
+            163
+          ]
+        },
+        "436": {
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "39": [
+            0,
+            263
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "437": {
+          "3": [
+            0,
+            421
+          ],
+          "5": [
+            1,
+            {
+              "@": 216
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 216
+            }
+          ]
+        },
+        "438": {
+          "26": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 380
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 380
+            }
+          ]
+        },
+        "439": {
+          "116": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 313
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 313
+            }
+          ]
+        },
+        "440": {
+          "152": [
+            0,
+            168
+          ],
+          "115": [
+            0,
+            211
+          ],
+          "55": [
+            0,
+            279
+          ],
+          "10": [
+            0,
+            158
+          ],
+          "179": [
+            0,
+            144
+          ],
+          "151": [
+            0,
+            82
+          ]
+        },
+        "441": {
+          "10": [
+            1,
+            {
+              "@": 344
+            }
+          ]
+        },
+        "442": {
+          "6": [
+            0,
+            13
+          ]
+        },
+        "443": {
+          "0": [
+            0,
+            321
+          ]
+        },
+        "444": {
+          "0": [
+            1,
+            {
+              "@": 370
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 370
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 370
+            }
+          ]
+        },
+        "445": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "27": [
+            0,
+            117
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "446": {
+          "1": [
+            0,
+            480
+          ]
+        },
+        "447": {
+          "59": [
+            1,
+            {
+              "@": 361
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 361
+            }
+          ]
+        },
+        "448": {},
+        "449": {
+          "115": [
+            0,
+            384
+          ],
+          "7": [
+            1,
+            {
+              "@": 99
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 99
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 99
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 99
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 99
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 99
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 99
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 99
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 99
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 99
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 99
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 99
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 99
+            }
+          ]
+        },
+        "450": {
+          "27": [
+            0,
+            324
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "10": [
+            0,
+            492
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "1": [
+            0,
+            29
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "72": [
+            0,
+            4
+          ],
+          "54": [
+            0,
+            396
+          ]
+        },
+        "451": {
+          "2": [
+            0,
+            284
+          ]
+        },
+        "452": {
+          "19": [
+            1,
+            {
+              "@": 103
+            }
+          ]
+        },
+        "453": {
+          "138": [
+            0,
+            289
+          ],
+          "137": [
+            0,
+            97
+          ],
+          "1": [
+            1,
+            {
+              "@": 346
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 346
+            }
+          ]
+        },
+        "454": {
+          "16": [
+            0,
+            555
+          ],
+          "76": [
+            0,
+            133
+          ]
+        },
+        "455": {
+          "42": [
+            0,
+            406
+          ],
+          "101": [
+            0,
+            369
+          ],
+          "104": [
+            0,
+            348
+          ],
+          "103": [
+            0,
+            530
+          ],
+          "106": [
+            0,
+            407
+          ],
+          "111": [
+            0,
+            517
+          ],
+          "100": [
+            0,
+            536
+          ],
+          "108": [
+            0,
+            550
+          ],
+          "105": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 279
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 279
+            }
+          ]
+        },
+        "456": {
+          "19": [
+            0,
+            21
+          ]
+        },
+        "457": {
+          "152": [
+            0,
+            168
+          ],
+          "115": [
+            0,
+            211
+          ],
+          "55": [
+            0,
+            279
+          ],
+          "10": [
+            0,
+            158
+          ],
+          "179": [
+            0,
+            190
+          ],
+          "151": [
+            0,
+            162
+          ]
+        },
+        "458": {
+          "17": [
+            0,
+            312
+          ]
+        },
+        "459": {
+          "5": [
+            0,
+            269
+          ]
+        },
+        "460": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "47": [
+            0,
+            111
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "461": {
+          "1": [
+            0,
+            412
+          ],
+          "10": [
+            0,
+            408
+          ],
+          "114": [
+            0,
+            410
+          ],
+          "180": [
+            0,
+            414
+          ]
+        },
+        "462": {
+          "5": [
+            0,
+            469
+          ]
+        },
+        "463": {
+          "143": [
+            0,
+            137
+          ],
+          "3": [
+            0,
+            67
+          ],
+          "1": [
+            1,
+            {
+              "@": 82
+            }
+          ]
+        },
+        "464": {
+          "0": [
+            0,
+            351
+          ]
+        },
+        "465": {
+          "116": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 306
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 306
+            }
+          ]
+        },
+        "466": {
+          "0": [
+            1,
+            {
+              "@": 200
+            }
+          ]
+        },
+        "467": {
+          "4": [
+            1,
+            {
+              "@": 332
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 332
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 332
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 332
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 332
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 332
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 332
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 332
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 332
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 332
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 332
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 332
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 332
+            }
+          ]
+        },
+        "468": {
+          "5": [
+            0,
+            320
+          ]
+        },
+        "469": {
+          "26": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 183
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 183
+            }
+          ]
+        },
+        "470": {
+          "4": [
+            1,
+            {
+              "@": 326
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 326
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 326
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 326
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 326
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 326
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 326
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 326
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 326
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 326
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 326
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 326
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 326
+            }
+          ]
+        },
+        "471": {
+          "17": [
+            1,
+            {
+              "@": 123
+            }
+          ]
+        },
+        "472": {
+          "118": [
+            0,
+            267
+          ],
+          "116": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 307
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 307
+            }
+          ]
+        },
+        "473": {
+          "4": [
+            1,
+            {
+              "@": 324
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 324
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 324
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 324
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 324
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 324
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 324
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 324
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 324
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 324
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 324
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 324
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 324
+            }
+          ]
+        },
+        "474": {
+          "3": [
+            0,
+            374
+          ],
+          "1": [
+            1,
+            {
+              "@": 257
+            }
+          ]
+        },
+        "475": {
+          "10": [
+            0,
+            139
+          ]
+        },
+        "476": {
+          "20": [
+            0,
+            236
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "27": [
+            0,
+            77
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "54": [
+            0,
+            396
+          ]
+        },
+        "477": {
+          "10": [
+            0,
+            330
+          ],
+          "112": [
+            0,
+            342
+          ],
+          "8": [
+            0,
+            237
+          ],
+          "119": [
+            0,
+            221
+          ],
+          "113": [
+            0,
+            231
+          ]
+        },
+        "478": {
+          "18": [
+            1,
+            {
+              "@": 132
+            }
+          ]
+        },
+        "479": {
+          "155": [
+            0,
+            385
+          ],
+          "26": [
+            0,
+            478
+          ],
+          "10": [
+            0,
+            523
+          ],
+          "34": [
+            0,
+            534
+          ]
+        },
+        "480": {
+          "116": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 260
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 260
+            }
+          ]
+        },
+        "481": {
+          "4": [
+            1,
+            {
+              "@": 323
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 323
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 323
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 323
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 323
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 323
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 323
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 323
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 323
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 323
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 323
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 323
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 323
+            }
+          ]
+        },
+        "482": {
+          "19": [
+            0,
+            529
+          ],
+          "115": [
+            0,
+            387
+          ],
+          "1": [
+            0,
+            361
+          ],
+          "2": [
+            0,
+            373
+          ],
+          "116": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 309
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 309
+            }
+          ]
+        },
+        "483": {
+          "10": [
+            0,
+            76
+          ]
+        },
+        "484": {
+          "116": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 300
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 300
+            }
+          ]
+        },
+        "485": {
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "39": [
+            0,
+            51
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "486": {
+          "10": [
+            0,
+            408
+          ],
+          "114": [
+            0,
+            514
+          ],
+          "1": [
+            1,
+            {
+              "@": 356
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 356
+            }
+          ]
+        },
+        "487": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "29": [
+            0,
+            176
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "488": {
+          "4": [
+            1,
+            {
+              "@": 351
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 351
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 351
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 351
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 351
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 351
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 351
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 351
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 351
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 351
+            }
+          ],
+          "115": [
+            1,
+            {
+              "@": 351
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 351
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 351
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 351
+            }
+          ]
+        },
+        "489": {
+          "116": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "115": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 249
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 249
+            }
+          ]
+        },
+        "490": {
+          "2": [
+            0,
+            175
+          ],
+          "1": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 148
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 148
+            }
+          ]
+        },
+        "491": {
+          "1": [
+            1,
+            {
+              "@": 255
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 255
+            }
+          ]
+        },
+        "492": {
+          "0": [
+            0,
+            403
+          ],
+          "116": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "115": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 247
+            }
+          ]
+        },
+        "493": {
+          "53": [
+            0,
+            182
+          ],
+          "40": [
+            0,
+            416
+          ],
+          "100": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 294
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 294
+            }
+          ]
+        },
+        "494": {
+          "18": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 239
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 239
+            }
+          ]
+        },
+        "495": {
+          "1": [
+            0,
+            439
+          ],
+          "3": [
+            1,
+            {
+              "@": 238
+            }
+          ]
+        },
+        "496": {
+          "116": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 264
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 264
+            }
+          ]
+        },
+        "497": {
+          "26": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 164
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 164
+            }
+          ]
+        },
+        "498": {
+          "26": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 378
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 378
+            }
+          ]
+        },
+        "499": {
+          "59": [
+            1,
+            {
+              "@": 368
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 368
+            }
+          ]
+        },
+        "500": {
+          "105": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 277
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 277
+            }
+          ]
+        },
+        "501": {
+          "20": [
+            0,
+            236
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "165": [
+            0,
+            253
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "27": [
+            0,
+            192
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "54": [
+            0,
+            396
+          ]
+        },
+        "502": {
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "38": [
+            0,
+            424
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "503": {
+          "10": [
+            0,
+            488
+          ]
+        },
+        "504": {
+          "1": [
+            0,
+            214
+          ]
+        },
+        "505": {
+          "18": [
+            0,
+            34
+          ]
+        },
+        "506": {
+          "5": [
+            0,
+            201
+          ]
+        },
+        "507": {
+          "5": [
+            0,
+            79
+          ]
+        },
+        "508": {
+          "49": [
+            0,
+            6
+          ],
+          "175": [
+            0,
+            298
+          ],
+          "5": [
+            1,
+            {
+              "@": 213
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 213
+            }
+          ]
+        },
+        "509": {
+          "1": [
+            1,
+            {
+              "@": 383
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 383
+            }
+          ]
+        },
+        "510": {
+          "26": [
+            0,
+            478
+          ],
+          "155": [
+            0,
+            375
+          ],
+          "10": [
+            0,
+            523
+          ],
+          "34": [
+            0,
+            534
+          ]
+        },
+        "511": {
+          "55": [
+            0,
+            528
+          ],
+          "10": [
+            0,
+            158
+          ],
+          "1": [
+            1,
+            {
+              "@": 79
+            }
+          ]
+        },
+        "512": {
+          "1": [
+            1,
+            {
+              "@": 254
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 254
+            }
+          ]
+        },
+        "513": {
+          "109": [
+            0,
+            436
+          ],
+          "102": [
+            0,
+            485
+          ],
+          "100": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 293
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 293
+            }
+          ]
+        },
+        "514": {
+          "1": [
+            1,
+            {
+              "@": 355
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 355
+            }
+          ]
+        },
+        "515": {
+          "116": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 319
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 319
+            }
+          ]
+        },
+        "516": {
+          "59": [
+            1,
+            {
+              "@": 360
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 360
+            }
+          ]
+        },
+        "517": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "29": [
+            0,
+            165
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "518": {
+          "120": [
+            0,
+            546
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "21": [
+            0,
+            402
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "61": [
+            0,
+            508
+          ],
+          "65": [
+            0,
+            501
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "64": [
+            0,
+            398
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "122": [
+            0,
+            80
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "123": [
+            0,
+            152
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "124": [
+            0,
+            128
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            143
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "58": [
+            0,
+            207
+          ],
+          "10": [
+            0,
+            156
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "27": [
+            0,
+            125
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "62": [
+            0,
+            159
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "132": [
+            0,
+            438
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "125": [
+            0,
+            191
+          ],
+          "126": [
+            0,
+            199
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "57": [
+            0,
+            208
+          ],
+          "66": [
+            0,
+            206
+          ],
+          "127": [
+            0,
+            280
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "128": [
+            0,
+            219
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "129": [
+            0,
+            209
+          ],
+          "130": [
+            0,
+            290
+          ],
+          "131": [
+            0,
+            264
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "60": [
+            0,
+            203
+          ],
+          "59": [
+            0,
+            112
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "5": [
+            0,
+            63
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "133": [
+            0,
+            285
+          ],
+          "15": [
+            0,
+            118
+          ],
+          "134": [
+            0,
+            225
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "135": [
+            0,
+            204
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "63": [
+            0,
+            215
+          ],
+          "67": [
+            0,
+            272
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "113": [
+            0,
+            246
+          ]
+        },
+        "519": {
+          "117": [
+            0,
+            288
+          ],
+          "116": [
+            0,
+            415
+          ],
+          "56": [
+            0,
+            404
+          ],
+          "101": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 297
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 297
+            }
+          ]
+        },
+        "520": {
+          "5": [
+            0,
+            413
+          ]
+        },
+        "521": {
+          "5": [
+            0,
+            131
+          ]
+        },
+        "522": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "36": [
+            0,
+            428
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "523": {
+          "18": [
+            1,
+            {
+              "@": 134
+            }
+          ]
+        },
+        "524": {
+          "4": [
+            1,
+            {
+              "@": 126
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 126
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 126
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 126
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 126
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 126
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 126
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 126
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 126
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 126
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 126
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 126
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 126
+            }
+          ]
+        },
+        "525": {
+          "55": [
+            0,
+            453
+          ],
+          "10": [
+            0,
+            158
+          ],
+          "1": [
+            1,
+            {
+              "@": 85
+            }
+          ]
+        },
+        "526": {
+          "18": [
+            0,
+            87
+          ]
+        },
+        "527": {
+          "116": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 315
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 315
+            }
+          ]
+        },
+        "528": {
+          "138": [
+            0,
+            5
+          ],
+          "137": [
+            0,
+            97
+          ],
+          "1": [
+            1,
+            {
+              "@": 348
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 348
+            }
+          ]
+        },
+        "529": {
+          "20": [
+            0,
+            236
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "69": [
+            0,
+            232
+          ],
+          "27": [
+            0,
+            33
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "71": [
+            0,
+            512
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "10": [
+            0,
+            492
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "1": [
+            0,
+            400
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "72": [
+            0,
+            491
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "70": [
+            0,
+            318
+          ],
+          "54": [
+            0,
+            396
+          ]
+        },
+        "530": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "29": [
+            0,
+            70
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "531": {
+          "20": [
+            0,
+            236
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "23": [
+            0,
+            200
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "27": [
+            0,
+            33
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "71": [
+            0,
+            512
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "10": [
+            0,
+            492
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "69": [
+            0,
+            509
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "72": [
+            0,
+            491
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "1": [
+            1,
+            {
+              "@": 258
+            }
+          ]
+        },
+        "532": {
+          "84": [
+            0,
+            451
+          ],
+          "86": [
+            0,
+            490
+          ],
+          "98": [
+            0,
+            367
+          ],
+          "19": [
+            0,
+            433
+          ],
+          "88": [
+            0,
+            423
+          ],
+          "90": [
+            0,
+            35
+          ],
+          "10": [
+            0,
+            9
+          ],
+          "91": [
+            0,
+            228
+          ],
+          "92": [
+            0,
+            174
+          ],
+          "93": [
+            0,
+            127
+          ],
+          "94": [
+            0,
+            53
+          ]
+        },
+        "533": {
+          "1": [
+            0,
+            459
+          ]
+        },
+        "534": {
+          "18": [
+            1,
+            {
+              "@": 133
+            }
+          ]
+        },
+        "535": {
+          "116": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 321
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 321
+            }
+          ]
+        },
+        "536": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "29": [
+            0,
+            255
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "537": {
+          "116": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "115": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 247
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 247
+            }
+          ]
+        },
+        "538": {
+          "84": [
+            0,
+            451
+          ],
+          "86": [
+            0,
+            490
+          ],
+          "19": [
+            0,
+            433
+          ],
+          "95": [
+            0,
+            7
+          ],
+          "88": [
+            0,
+            423
+          ],
+          "90": [
+            0,
+            35
+          ],
+          "10": [
+            0,
+            9
+          ],
+          "91": [
+            0,
+            228
+          ],
+          "92": [
+            0,
+            174
+          ],
+          "93": [
+            0,
+            127
+          ],
+          "94": [
+            0,
+            53
+          ],
+          "98": [
+            0,
+            333
+          ]
+        },
+        "539": {
+          "105": [
+            0,
+            101
+          ],
+          "110": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 275
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 275
+            }
+          ]
+        },
+        "540": {
+          "3": [
+            0,
+            340
+          ],
+          "150": [
+            0,
+            95
+          ]
+        },
+        "541": {
+          "3": [
+            0,
+            16
+          ],
+          "1": [
+            1,
+            {
+              "@": 84
+            }
+          ]
+        },
+        "542": {
+          "18": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 269
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 269
+            }
+          ]
+        },
+        "543": {
+          "116": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 304
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 304
+            }
+          ]
+        },
+        "544": {
+          "116": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "115": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "0": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 248
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 248
+            }
+          ]
+        },
+        "545": {
+          "17": [
+            0,
+            86
+          ]
+        },
+        "546": {
+          "15": [
+            0,
+            166
+          ],
+          "26": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "19": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "57": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "58": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "59": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "2": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "60": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "61": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "33": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "52": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "25": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "62": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "63": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "49": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "34": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "64": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "65": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "66": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "28": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "67": [
+            1,
+            {
+              "@": 160
+            }
+          ],
+          "51": [
+            1,
+            {
+              "@": 160
+            }
+          ]
+        },
+        "547": {
+          "0": [
+            1,
+            {
+              "@": 201
+            }
+          ]
+        },
+        "548": {
+          "26": [
+            0,
+            478
+          ],
+          "155": [
+            0,
+            378
+          ],
+          "10": [
+            0,
+            523
+          ],
+          "34": [
+            0,
+            534
+          ]
+        },
+        "549": {
+          "116": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 320
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 320
+            }
+          ]
+        },
+        "550": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "29": [
+            0,
+            292
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ],
+          "48": [
+            0,
+            544
+          ]
+        },
+        "551": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "27": [
+            0,
+            327
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "552": {
+          "23": [
+            0,
+            200
+          ],
+          "2": [
+            0,
+            10
+          ],
+          "32": [
+            0,
+            472
+          ],
+          "20": [
+            0,
+            236
+          ],
+          "49": [
+            0,
+            549
+          ],
+          "21": [
+            0,
+            65
+          ],
+          "30": [
+            0,
+            455
+          ],
+          "34": [
+            0,
+            527
+          ],
+          "35": [
+            0,
+            519
+          ],
+          "33": [
+            0,
+            430
+          ],
+          "22": [
+            0,
+            266
+          ],
+          "19": [
+            0,
+            425
+          ],
+          "47": [
+            0,
+            539
+          ],
+          "50": [
+            0,
+            557
+          ],
+          "24": [
+            0,
+            331
+          ],
+          "51": [
+            0,
+            556
+          ],
+          "36": [
+            0,
+            500
+          ],
+          "28": [
+            0,
+            78
+          ],
+          "26": [
+            0,
+            339
+          ],
+          "25": [
+            0,
+            198
+          ],
+          "1": [
+            0,
+            140
+          ],
+          "10": [
+            0,
+            537
+          ],
+          "44": [
+            0,
+            559
+          ],
+          "37": [
+            0,
+            494
+          ],
+          "45": [
+            0,
+            553
+          ],
+          "27": [
+            0,
+            314
+          ],
+          "48": [
+            0,
+            544
+          ],
+          "52": [
+            0,
+            366
+          ],
+          "53": [
+            0,
+            401
+          ],
+          "46": [
+            0,
+            543
+          ],
+          "38": [
+            0,
+            484
+          ],
+          "29": [
+            0,
+            427
+          ],
+          "39": [
+            0,
+            493
+          ],
+          "8": [
+            0,
+            535
+          ],
+          "43": [
+            0,
+            513
+          ],
+          "40": [
+            0,
+            502
+          ],
+          "41": [
+            0,
+            515
+          ],
+          "42": [
+            0,
+            522
+          ],
+          "54": [
+            0,
+            396
+          ],
+          "31": [
+            0,
+            489
+          ]
+        },
+        "553": {
+          "110": [
+            0,
+            460
+          ],
+          "18": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 274
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 274
+            }
+          ]
+        },
+        "554": {
+          "0": [
+            1,
+            {
+              "@": 202
+            }
+          ]
+        },
+        "555": {
+          "10": [
+            0,
+            91
+          ]
+        },
+        "556": {
+          "116": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 317
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 317
+            }
+          ]
+        },
+        "557": {
+          "116": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 310
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 310
+            }
+          ]
+        },
+        "558": {
+          "4": [
+            1,
+            {
+              "@": 325
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 325
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 325
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 325
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 325
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 325
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 325
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 325
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 325
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 325
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 325
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 325
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 325
+            }
+          ]
+        },
+        "559": {
+          "116": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "101": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "102": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "18": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "42": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "108": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "53": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "109": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "111": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "100": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "40": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "103": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "56": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "104": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "105": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "117": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "106": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "118": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "107": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "110": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "3": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "1": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "15": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "5": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "99": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "4": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "6": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "10": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "11": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "14": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "7": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "9": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "17": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "8": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "12": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "13": [
+            1,
+            {
+              "@": 311
+            }
+          ],
+          "16": [
+            1,
+            {
+              "@": 311
+            }
+          ]
+        }
+      },
+      "start_states": {
+        "module": 349
+      },
+      "end_states": {
+        "module": 448
+      }
+    },
+    "__type__": "ParsingFrontend"
+  },
+  "rules": [
+    {
+      "@": 73
+    },
+    {
+      "@": 74
+    },
+    {
+      "@": 75
+    },
+    {
+      "@": 76
+    },
+    {
+      "@": 77
+    },
+    {
+      "@": 78
+    },
+    {
+      "@": 79
+    },
+    {
+      "@": 80
+    },
+    {
+      "@": 81
+    },
+    {
+      "@": 82
+    },
+    {
+      "@": 83
+    },
+    {
+      "@": 84
+    },
+    {
+      "@": 85
+    },
+    {
+      "@": 86
+    },
+    {
+      "@": 87
+    },
+    {
+      "@": 88
+    },
+    {
+      "@": 89
+    },
+    {
+      "@": 90
+    },
+    {
+      "@": 91
+    },
+    {
+      "@": 92
+    },
+    {
+      "@": 93
+    },
+    {
+      "@": 94
+    },
+    {
+      "@": 95
+    },
+    {
+      "@": 96
+    },
+    {
+      "@": 97
+    },
+    {
+      "@": 98
+    },
+    {
+      "@": 99
+    },
+    {
+      "@": 100
+    },
+    {
+      "@": 101
+    },
+    {
+      "@": 102
+    },
+    {
+      "@": 103
+    },
+    {
+      "@": 104
+    },
+    {
+      "@": 105
+    },
+    {
+      "@": 106
+    },
+    {
+      "@": 107
+    },
+    {
+      "@": 108
+    },
+    {
+      "@": 109
+    },
+    {
+      "@": 110
+    },
+    {
+      "@": 111
+    },
+    {
+      "@": 112
+    },
+    {
+      "@": 113
+    },
+    {
+      "@": 114
+    },
+    {
+      "@": 115
+    },
+    {
+      "@": 116
+    },
+    {
+      "@": 117
+    },
+    {
+      "@": 118
+    },
+    {
+      "@": 119
+    },
+    {
+      "@": 120
+    },
+    {
+      "@": 121
+    },
+    {
+      "@": 122
+    },
+    {
+      "@": 123
+    },
+    {
+      "@": 124
+    },
+    {
+      "@": 125
+    },
+    {
+      "@": 126
+    },
+    {
+      "@": 127
+    },
+    {
+      "@": 128
+    },
+    {
+      "@": 129
+    },
+    {
+      "@": 130
+    },
+    {
+      "@": 131
+    },
+    {
+      "@": 132
+    },
+    {
+      "@": 133
+    },
+    {
+      "@": 134
+    },
+    {
+      "@": 135
+    },
+    {
+      "@": 136
+    },
+    {
+      "@": 137
+    },
+    {
+      "@": 138
+    },
+    {
+      "@": 139
+    },
+    {
+      "@": 140
+    },
+    {
+      "@": 141
+    },
+    {
+      "@": 142
+    },
+    {
+      "@": 143
+    },
+    {
+      "@": 144
+    },
+    {
+      "@": 145
+    },
+    {
+      "@": 146
+    },
+    {
+      "@": 147
+    },
+    {
+      "@": 148
+    },
+    {
+      "@": 149
+    },
+    {
+      "@": 150
+    },
+    {
+      "@": 151
+    },
+    {
+      "@": 152
+    },
+    {
+      "@": 153
+    },
+    {
+      "@": 154
+    },
+    {
+      "@": 155
+    },
+    {
+      "@": 156
+    },
+    {
+      "@": 157
+    },
+    {
+      "@": 158
+    },
+    {
+      "@": 159
+    },
+    {
+      "@": 160
+    },
+    {
+      "@": 161
+    },
+    {
+      "@": 162
+    },
+    {
+      "@": 163
+    },
+    {
+      "@": 164
+    },
+    {
+      "@": 165
+    },
+    {
+      "@": 166
+    },
+    {
+      "@": 167
+    },
+    {
+      "@": 168
+    },
+    {
+      "@": 169
+    },
+    {
+      "@": 170
+    },
+    {
+      "@": 171
+    },
+    {
+      "@": 172
+    },
+    {
+      "@": 173
+    },
+    {
+      "@": 174
+    },
+    {
+      "@": 175
+    },
+    {
+      "@": 176
+    },
+    {
+      "@": 177
+    },
+    {
+      "@": 178
+    },
+    {
+      "@": 179
+    },
+    {
+      "@": 180
+    },
+    {
+      "@": 181
+    },
+    {
+      "@": 182
+    },
+    {
+      "@": 183
+    },
+    {
+      "@": 184
+    },
+    {
+      "@": 185
+    },
+    {
+      "@": 186
+    },
+    {
+      "@": 187
+    },
+    {
+      "@": 188
+    },
+    {
+      "@": 189
+    },
+    {
+      "@": 190
+    },
+    {
+      "@": 191
+    },
+    {
+      "@": 192
+    },
+    {
+      "@": 193
+    },
+    {
+      "@": 194
+    },
+    {
+      "@": 195
+    },
+    {
+      "@": 196
+    },
+    {
+      "@": 197
+    },
+    {
+      "@": 198
+    },
+    {
+      "@": 199
+    },
+    {
+      "@": 200
+    },
+    {
+      "@": 201
+    },
+    {
+      "@": 202
+    },
+    {
+      "@": 203
+    },
+    {
+      "@": 204
+    },
+    {
+      "@": 205
+    },
+    {
+      "@": 206
+    },
+    {
+      "@": 207
+    },
+    {
+      "@": 208
+    },
+    {
+      "@": 209
+    },
+    {
+      "@": 210
+    },
+    {
+      "@": 211
+    },
+    {
+      "@": 212
+    },
+    {
+      "@": 213
+    },
+    {
+      "@": 214
+    },
+    {
+      "@": 215
+    },
+    {
+      "@": 216
+    },
+    {
+      "@": 217
+    },
+    {
+      "@": 218
+    },
+    {
+      "@": 219
+    },
+    {
+      "@": 220
+    },
+    {
+      "@": 221
+    },
+    {
+      "@": 222
+    },
+    {
+      "@": 223
+    },
+    {
+      "@": 224
+    },
+    {
+      "@": 225
+    },
+    {
+      "@": 226
+    },
+    {
+      "@": 227
+    },
+    {
+      "@": 228
+    },
+    {
+      "@": 229
+    },
+    {
+      "@": 230
+    },
+    {
+      "@": 231
+    },
+    {
+      "@": 232
+    },
+    {
+      "@": 233
+    },
+    {
+      "@": 234
+    },
+    {
+      "@": 235
+    },
+    {
+      "@": 236
+    },
+    {
+      "@": 237
+    },
+    {
+      "@": 238
+    },
+    {
+      "@": 239
+    },
+    {
+      "@": 240
+    },
+    {
+      "@": 241
+    },
+    {
+      "@": 242
+    },
+    {
+      "@": 243
+    },
+    {
+      "@": 244
+    },
+    {
+      "@": 245
+    },
+    {
+      "@": 246
+    },
+    {
+      "@": 247
+    },
+    {
+      "@": 248
+    },
+    {
+      "@": 249
+    },
+    {
+      "@": 250
+    },
+    {
+      "@": 251
+    },
+    {
+      "@": 252
+    },
+    {
+      "@": 253
+    },
+    {
+      "@": 254
+    },
+    {
+      "@": 255
+    },
+    {
+      "@": 256
+    },
+    {
+      "@": 257
+    },
+    {
+      "@": 258
+    },
+    {
+      "@": 259
+    },
+    {
+      "@": 260
+    },
+    {
+      "@": 261
+    },
+    {
+      "@": 262
+    },
+    {
+      "@": 263
+    },
+    {
+      "@": 264
+    },
+    {
+      "@": 265
+    },
+    {
+      "@": 266
+    },
+    {
+      "@": 267
+    },
+    {
+      "@": 268
+    },
+    {
+      "@": 269
+    },
+    {
+      "@": 270
+    },
+    {
+      "@": 271
+    },
+    {
+      "@": 272
+    },
+    {
+      "@": 273
+    },
+    {
+      "@": 274
+    },
+    {
+      "@": 275
+    },
+    {
+      "@": 276
+    },
+    {
+      "@": 277
+    },
+    {
+      "@": 278
+    },
+    {
+      "@": 279
+    },
+    {
+      "@": 280
+    },
+    {
+      "@": 281
+    },
+    {
+      "@": 282
+    },
+    {
+      "@": 283
+    },
+    {
+      "@": 284
+    },
+    {
+      "@": 285
+    },
+    {
+      "@": 286
+    },
+    {
+      "@": 287
+    },
+    {
+      "@": 288
+    },
+    {
+      "@": 289
+    },
+    {
+      "@": 290
+    },
+    {
+      "@": 291
+    },
+    {
+      "@": 292
+    },
+    {
+      "@": 293
+    },
+    {
+      "@": 294
+    },
+    {
+      "@": 295
+    },
+    {
+      "@": 296
+    },
+    {
+      "@": 297
+    },
+    {
+      "@": 298
+    },
+    {
+      "@": 299
+    },
+    {
+      "@": 300
+    },
+    {
+      "@": 301
+    },
+    {
+      "@": 302
+    },
+    {
+      "@": 303
+    },
+    {
+      "@": 304
+    },
+    {
+      "@": 305
+    },
+    {
+      "@": 306
+    },
+    {
+      "@": 307
+    },
+    {
+      "@": 308
+    },
+    {
+      "@": 309
+    },
+    {
+      "@": 310
+    },
+    {
+      "@": 311
+    },
+    {
+      "@": 312
+    },
+    {
+      "@": 313
+    },
+    {
+      "@": 314
+    },
+    {
+      "@": 315
+    },
+    {
+      "@": 316
+    },
+    {
+      "@": 317
+    },
+    {
+      "@": 318
+    },
+    {
+      "@": 319
+    },
+    {
+      "@": 320
+    },
+    {
+      "@": 321
+    },
+    {
+      "@": 322
+    },
+    {
+      "@": 323
+    },
+    {
+      "@": 324
+    },
+    {
+      "@": 325
+    },
+    {
+      "@": 326
+    },
+    {
+      "@": 327
+    },
+    {
+      "@": 328
+    },
+    {
+      "@": 329
+    },
+    {
+      "@": 330
+    },
+    {
+      "@": 331
+    },
+    {
+      "@": 332
+    },
+    {
+      "@": 333
+    },
+    {
+      "@": 334
+    },
+    {
+      "@": 335
+    },
+    {
+      "@": 336
+    },
+    {
+      "@": 337
+    },
+    {
+      "@": 338
+    },
+    {
+      "@": 339
+    },
+    {
+      "@": 340
+    },
+    {
+      "@": 341
+    },
+    {
+      "@": 342
+    },
+    {
+      "@": 343
+    },
+    {
+      "@": 344
+    },
+    {
+      "@": 345
+    },
+    {
+      "@": 346
+    },
+    {
+      "@": 347
+    },
+    {
+      "@": 348
+    },
+    {
+      "@": 349
+    },
+    {
+      "@": 350
+    },
+    {
+      "@": 351
+    },
+    {
+      "@": 352
+    },
+    {
+      "@": 353
+    },
+    {
+      "@": 354
+    },
+    {
+      "@": 355
+    },
+    {
+      "@": 356
+    },
+    {
+      "@": 357
+    },
+    {
+      "@": 358
+    },
+    {
+      "@": 359
+    },
+    {
+      "@": 360
+    },
+    {
+      "@": 361
+    },
+    {
+      "@": 362
+    },
+    {
+      "@": 363
+    },
+    {
+      "@": 364
+    },
+    {
+      "@": 365
+    },
+    {
+      "@": 366
+    },
+    {
+      "@": 367
+    },
+    {
+      "@": 368
+    },
+    {
+      "@": 369
+    },
+    {
+      "@": 370
+    },
+    {
+      "@": 371
+    },
+    {
+      "@": 372
+    },
+    {
+      "@": 373
+    },
+    {
+      "@": 374
+    },
+    {
+      "@": 375
+    },
+    {
+      "@": 376
+    },
+    {
+      "@": 377
+    },
+    {
+      "@": 378
+    },
+    {
+      "@": 379
+    },
+    {
+      "@": 380
+    },
+    {
+      "@": 381
+    },
+    {
+      "@": 382
+    },
+    {
+      "@": 383
+    },
+    {
+      "@": 384
+    },
+    {
+      "@": 385
+    },
+    {
+      "@": 386
+    }
+  ],
+  "options": {
+    "debug": false,
+    "keep_all_tokens": false,
+    "tree_class": null,
+    "cache": false,
+    "postlex": null,
+    "parser": "lalr",
+    "lexer": "contextual",
+    "transformer": null,
+    "start": [
+      "module"
+    ],
+    "priority": "normal",
+    "ambiguity": "auto",
+    "regex": false,
+    "propagate_positions": false,
+    "lexer_callbacks": {},
+    "maybe_placeholders": false,
+    "edit_terminals": null,
+    "g_regex_flags": 0,
+    "use_bytes": false,
+    "import_paths": [],
+    "source_path": null
+  },
+  "__type__": "Lark"
+};
+
+var MEMO={
+  "0": {
+    "name": "_AS",
+    "pattern": {
+      "value": "as",
+      "flags": [],
+      "raw": "\"as\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "1": {
+    "name": "_FROM",
+    "pattern": {
+      "value": "from",
+      "flags": [],
+      "raw": "\"from\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "2": {
+    "name": "_IMPORT",
+    "pattern": {
+      "value": "import",
+      "flags": [],
+      "raw": "\"import\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "3": {
+    "name": "DOT",
+    "pattern": {
+      "value": ".",
+      "flags": [],
+      "raw": "\".\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "4": {
+    "name": "WILDCARD",
+    "pattern": {
+      "value": "*",
+      "flags": [],
+      "raw": "\"*\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "5": {
+    "name": "_IMPLEMENTS",
+    "pattern": {
+      "value": "implements",
+      "flags": [],
+      "raw": "\"implements\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "6": {
+    "name": "_CONSTANT",
+    "pattern": {
+      "value": "constant",
+      "flags": [],
+      "raw": "\"constant\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "7": {
+    "name": "_IMMUTABLE",
+    "pattern": {
+      "value": "immutable",
+      "flags": [],
+      "raw": "\"immutable\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "8": {
+    "name": "_PUBLIC",
+    "pattern": {
+      "value": "public",
+      "flags": [],
+      "raw": "\"public\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "9": {
+    "name": "_FUNC_DECL",
+    "pattern": {
+      "value": "def",
+      "flags": [],
+      "raw": "\"def\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "10": {
+    "name": "_RETURN_TYPE",
+    "pattern": {
+      "value": "->",
+      "flags": [],
+      "raw": "\"->\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "11": {
+    "name": "_EVENT_DECL",
+    "pattern": {
+      "value": "event",
+      "flags": [],
+      "raw": "\"event\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "12": {
+    "name": "_BYTES",
+    "pattern": {
+      "value": "Bytes",
+      "flags": [],
+      "raw": "\"Bytes\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "13": {
+    "name": "_STRING",
+    "pattern": {
+      "value": "String",
+      "flags": [],
+      "raw": "\"String\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "14": {
+    "name": "_MAP",
+    "pattern": {
+      "value": "HashMap",
+      "flags": [],
+      "raw": "\"HashMap\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "15": {
+    "name": "_STRUCT_DECL",
+    "pattern": {
+      "value": "struct",
+      "flags": [],
+      "raw": "\"struct\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "16": {
+    "name": "_INTERFACE_DECL",
+    "pattern": {
+      "value": "interface",
+      "flags": [],
+      "raw": "\"interface\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "17": {
+    "name": "_PASS",
+    "pattern": {
+      "value": "pass",
+      "flags": [],
+      "raw": "\"pass\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "18": {
+    "name": "_BREAK",
+    "pattern": {
+      "value": "break",
+      "flags": [],
+      "raw": "\"break\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "19": {
+    "name": "_CONTINUE",
+    "pattern": {
+      "value": "continue",
+      "flags": [],
+      "raw": "\"continue\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "20": {
+    "name": "_LOG",
+    "pattern": {
+      "value": "log",
+      "flags": [],
+      "raw": "\"log\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "21": {
+    "name": "_RETURN",
+    "pattern": {
+      "value": "return",
+      "flags": [],
+      "raw": "\"return\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "22": {
+    "name": "_RAISE",
+    "pattern": {
+      "value": "raise",
+      "flags": [],
+      "raw": "\"raise\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "23": {
+    "name": "_ASSERT",
+    "pattern": {
+      "value": "assert",
+      "flags": [],
+      "raw": "\"assert\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "24": {
+    "name": "_UNREACHABLE",
+    "pattern": {
+      "value": "UNREACHABLE",
+      "flags": [],
+      "raw": "\"UNREACHABLE\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "25": {
+    "name": "_RANGE",
+    "pattern": {
+      "value": "range",
+      "flags": [],
+      "raw": "\"range\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "26": {
+    "name": "_AND",
+    "pattern": {
+      "value": "and",
+      "flags": [],
+      "raw": "\"and\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "27": {
+    "name": "_OR",
+    "pattern": {
+      "value": "or",
+      "flags": [],
+      "raw": "\"or\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "28": {
+    "name": "_NOT",
+    "pattern": {
+      "value": "not",
+      "flags": [],
+      "raw": "\"not\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "29": {
+    "name": "_EQ",
+    "pattern": {
+      "value": "==",
+      "flags": [],
+      "raw": "\"==\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "30": {
+    "name": "_NE",
+    "pattern": {
+      "value": "!=",
+      "flags": [],
+      "raw": "\"!=\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "31": {
+    "name": "_LE",
+    "pattern": {
+      "value": "<=",
+      "flags": [],
+      "raw": "\"<=\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "32": {
+    "name": "_GE",
+    "pattern": {
+      "value": ">=",
+      "flags": [],
+      "raw": "\">=\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "33": {
+    "name": "_IN",
+    "pattern": {
+      "value": "in",
+      "flags": [],
+      "raw": "\"in\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "34": {
+    "name": "_POW",
+    "pattern": {
+      "value": "**",
+      "flags": [],
+      "raw": "\"**\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "35": {
+    "name": "_SHL",
+    "pattern": {
+      "value": "<<",
+      "flags": [],
+      "raw": "\"<<\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "36": {
+    "name": "_SHR",
+    "pattern": {
+      "value": ">>",
+      "flags": [],
+      "raw": "\">>\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "37": {
+    "name": "_XOR",
+    "pattern": {
+      "value": "xor",
+      "flags": [],
+      "raw": "\"xor\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "38": {
+    "name": "NAME",
+    "pattern": {
+      "value": "[a-zA-Z_]\\w*",
+      "flags": [],
+      "raw": "/[a-zA-Z_]\\w*/",
+      "_width": [
+        1,
+        18446744073709551616
+      ],
+      "__type__": "PatternRE"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "39": {
+    "name": "COMMENT",
+    "pattern": {
+      "value": "#[^\n]*",
+      "flags": [],
+      "raw": "/#[^\\n]*/",
+      "_width": [
+        1,
+        18446744073709551616
+      ],
+      "__type__": "PatternRE"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "40": {
+    "name": "_NEWLINE",
+    "pattern": {
+      "value": "(?:(?:\r?\n[\t ]*|#[^\n]*))+",
+      "flags": [],
+      "raw": null,
+      "_width": [
+        1,
+        18446744073709551616
+      ],
+      "__type__": "PatternRE"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "41": {
+    "name": "STRING",
+    "pattern": {
+      "value": "b?(\"(?!\"\").*?(?<!\\\\)(\\\\\\\\)*?\"|'(?!'').*?(?<!\\\\)(\\\\\\\\)*?')",
+      "flags": [
+        "i"
+      ],
+      "raw": "/b?(\"(?!\"\").*?(?<!\\\\)(\\\\\\\\)*?\"|'(?!'').*?(?<!\\\\)(\\\\\\\\)*?')/i",
+      "_width": [
+        2,
+        18446744073709551616
+      ],
+      "__type__": "PatternRE"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "42": {
+    "name": "DOCSTRING",
+    "pattern": {
+      "value": "(\"\"\".*?(?<!\\\\)(\\\\\\\\)*?\"\"\"|'''.*?(?<!\\\\)(\\\\\\\\)*?''')",
+      "flags": [
+        "s",
+        "i"
+      ],
+      "raw": "/(\"\"\".*?(?<!\\\\)(\\\\\\\\)*?\"\"\"|'''.*?(?<!\\\\)(\\\\\\\\)*?''')/is",
+      "_width": [
+        6,
+        18446744073709551616
+      ],
+      "__type__": "PatternRE"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "43": {
+    "name": "DEC_NUMBER",
+    "pattern": {
+      "value": "0|[1-9]\\d*",
+      "flags": [
+        "i"
+      ],
+      "raw": "/0|[1-9]\\d*/i",
+      "_width": [
+        1,
+        18446744073709551616
+      ],
+      "__type__": "PatternRE"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "44": {
+    "name": "HEX_NUMBER",
+    "pattern": {
+      "value": "0x[\\da-f]*",
+      "flags": [
+        "i"
+      ],
+      "raw": "/0x[\\da-f]*/i",
+      "_width": [
+        2,
+        18446744073709551616
+      ],
+      "__type__": "PatternRE"
+    },
+    "priority": 2,
+    "__type__": "TerminalDef"
+  },
+  "45": {
+    "name": "OCT_NUMBER",
+    "pattern": {
+      "value": "0o[0-7]*",
+      "flags": [
+        "i"
+      ],
+      "raw": "/0o[0-7]*/i",
+      "_width": [
+        2,
+        18446744073709551616
+      ],
+      "__type__": "PatternRE"
+    },
+    "priority": 2,
+    "__type__": "TerminalDef"
+  },
+  "46": {
+    "name": "BIN_NUMBER",
+    "pattern": {
+      "value": "0b[0-1]*",
+      "flags": [
+        "i"
+      ],
+      "raw": "/0b[0-1]*/i",
+      "_width": [
+        2,
+        18446744073709551616
+      ],
+      "__type__": "PatternRE"
+    },
+    "priority": 2,
+    "__type__": "TerminalDef"
+  },
+  "47": {
+    "name": "FLOAT_NUMBER",
+    "pattern": {
+      "value": "((\\d+\\.\\d*|\\.\\d+)(e[-+]?\\d+)?|\\d+(e[-+]?\\d+))",
+      "flags": [
+        "i"
+      ],
+      "raw": "/((\\d+\\.\\d*|\\.\\d+)(e[-+]?\\d+)?|\\d+(e[-+]?\\d+))/i",
+      "_width": [
+        2,
+        18446744073709551616
+      ],
+      "__type__": "PatternRE"
+    },
+    "priority": 2,
+    "__type__": "TerminalDef"
+  },
+  "48": {
+    "name": "BOOL",
+    "pattern": {
+      "value": "(?:False|True)",
+      "flags": [],
+      "raw": null,
+      "_width": [
+        4,
+        5
+      ],
+      "__type__": "PatternRE"
+    },
+    "priority": 2,
+    "__type__": "TerminalDef"
+  },
+  "49": {
+    "name": "WS",
+    "pattern": {
+      "value": "[\t \f]+",
+      "flags": [],
+      "raw": "/[\\t \\f]+/",
+      "_width": [
+        1,
+        18446744073709551616
+      ],
+      "__type__": "PatternRE"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "50": {
+    "name": "LINE_CONT",
+    "pattern": {
+      "value": "\\\\[\t \f]*\r?\n",
+      "flags": [],
+      "raw": "/\\\\[\\t \\f]*\\r?\\n/",
+      "_width": [
+        2,
+        18446744073709551616
+      ],
+      "__type__": "PatternRE"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "51": {
+    "name": "COMMA",
+    "pattern": {
+      "value": ",",
+      "flags": [],
+      "raw": "\",\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "52": {
+    "name": "LPAR",
+    "pattern": {
+      "value": "(",
+      "flags": [],
+      "raw": "\"(\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "53": {
+    "name": "RPAR",
+    "pattern": {
+      "value": ")",
+      "flags": [],
+      "raw": "\")\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "54": {
+    "name": "COLON",
+    "pattern": {
+      "value": ":",
+      "flags": [],
+      "raw": "\":\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "55": {
+    "name": "LSQB",
+    "pattern": {
+      "value": "[",
+      "flags": [],
+      "raw": "\"[\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "56": {
+    "name": "RSQB",
+    "pattern": {
+      "value": "]",
+      "flags": [],
+      "raw": "\"]\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "57": {
+    "name": "EQUAL",
+    "pattern": {
+      "value": "=",
+      "flags": [],
+      "raw": "\"=\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "58": {
+    "name": "AT",
+    "pattern": {
+      "value": "@",
+      "flags": [],
+      "raw": "\"@\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "59": {
+    "name": "INDEXED",
+    "pattern": {
+      "value": "indexed",
+      "flags": [],
+      "raw": "\"indexed\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "60": {
+    "name": "UNDERSCORE",
+    "pattern": {
+      "value": "_",
+      "flags": [],
+      "raw": "\"_\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "61": {
+    "name": "PLUS",
+    "pattern": {
+      "value": "+",
+      "flags": [],
+      "raw": "\"+\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "62": {
+    "name": "MINUS",
+    "pattern": {
+      "value": "-",
+      "flags": [],
+      "raw": "\"-\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "63": {
+    "name": "SLASH",
+    "pattern": {
+      "value": "/",
+      "flags": [],
+      "raw": "\"/\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "64": {
+    "name": "PERCENT",
+    "pattern": {
+      "value": "%",
+      "flags": [],
+      "raw": "\"%\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "65": {
+    "name": "ELIF",
+    "pattern": {
+      "value": "elif",
+      "flags": [],
+      "raw": "\"elif\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "66": {
+    "name": "ELSE",
+    "pattern": {
+      "value": "else",
+      "flags": [],
+      "raw": "\"else\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "67": {
+    "name": "IF",
+    "pattern": {
+      "value": "if",
+      "flags": [],
+      "raw": "\"if\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "68": {
+    "name": "FOR",
+    "pattern": {
+      "value": "for",
+      "flags": [],
+      "raw": "\"for\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "69": {
+    "name": "LBRACE",
+    "pattern": {
+      "value": "{",
+      "flags": [],
+      "raw": "\"{\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "70": {
+    "name": "RBRACE",
+    "pattern": {
+      "value": "}",
+      "flags": [],
+      "raw": "\"}\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "71": {
+    "name": "LESSTHAN",
+    "pattern": {
+      "value": "<",
+      "flags": [],
+      "raw": "\"<\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "72": {
+    "name": "MORETHAN",
+    "pattern": {
+      "value": ">",
+      "flags": [],
+      "raw": "\">\"",
+      "__type__": "PatternStr"
+    },
+    "priority": 0,
+    "__type__": "TerminalDef"
+  },
+  "73": {
+    "origin": {
+      "name": "module",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__module_star_0",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "74": {
+    "origin": {
+      "name": "module",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "75": {
+    "origin": {
+      "name": "_import_name",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "76": {
+    "origin": {
+      "name": "_import_path",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "___import_path_star_1",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "77": {
+    "origin": {
+      "name": "_import_path",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "78": {
+    "origin": {
+      "name": "import_alias",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_AS",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "79": {
+    "origin": {
+      "name": "import_list",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "import_alias",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__import_list_star_2",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "80": {
+    "origin": {
+      "name": "import_list",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "import_alias",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__import_list_star_2",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "81": {
+    "origin": {
+      "name": "import_list",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "import_alias",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "82": {
+    "origin": {
+      "name": "import_list",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "import_alias",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "83": {
+    "origin": {
+      "name": "import_list",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__import_list_star_2",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 4,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true,
+        false,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "84": {
+    "origin": {
+      "name": "import_list",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__import_list_star_2",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 5,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "85": {
+    "origin": {
+      "name": "import_list",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 6,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "86": {
+    "origin": {
+      "name": "import_list",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 7,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "87": {
+    "origin": {
+      "name": "import_from",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_FROM",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "__import_from_star_3",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_import_path",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "88": {
+    "origin": {
+      "name": "import_from",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_FROM",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_import_path",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "89": {
+    "origin": {
+      "name": "import_from",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_FROM",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "__import_from_star_3",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "90": {
+    "origin": {
+      "name": "import",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_IMPORT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "__import_from_star_3",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_import_path",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "import_alias",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "91": {
+    "origin": {
+      "name": "import",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_IMPORT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "__import_from_star_3",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_import_path",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        false,
+        true
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "92": {
+    "origin": {
+      "name": "import",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_IMPORT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_import_path",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "import_alias",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "93": {
+    "origin": {
+      "name": "import",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_IMPORT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_import_path",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        true
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "94": {
+    "origin": {
+      "name": "import",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "import_from",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_IMPORT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "WILDCARD",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 4,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "95": {
+    "origin": {
+      "name": "import",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "import_from",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_IMPORT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "import_alias",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 5,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "96": {
+    "origin": {
+      "name": "import",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "import_from",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_IMPORT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 6,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        false,
+        true
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "97": {
+    "origin": {
+      "name": "import",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "import_from",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_IMPORT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "import_list",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 7,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "98": {
+    "origin": {
+      "name": "implements",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_IMPLEMENTS",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "dotted_name",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "99": {
+    "origin": {
+      "name": "dotted_name",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "__dotted_name_star_6",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "100": {
+    "origin": {
+      "name": "dotted_name",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "101": {
+    "origin": {
+      "name": "is_constant",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_CONSTANT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "102": {
+    "origin": {
+      "name": "is_immutable",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_IMMUTABLE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "103": {
+    "origin": {
+      "name": "is_public",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_PUBLIC",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "104": {
+    "origin": {
+      "name": "_storage_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "type",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "105": {
+    "origin": {
+      "name": "_storage_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "is_public",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_storage_type",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "106": {
+    "origin": {
+      "name": "_storage_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "is_immutable",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_storage_type",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "107": {
+    "origin": {
+      "name": "_constant_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "is_constant",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "type",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "108": {
+    "origin": {
+      "name": "_constant_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "is_public",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_constant_type",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "109": {
+    "origin": {
+      "name": "variable_def",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_storage_type",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "110": {
+    "origin": {
+      "name": "variable_def",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_constant_type",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "EQUAL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "111": {
+    "origin": {
+      "name": "variable",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "type",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "112": {
+    "origin": {
+      "name": "decorator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "AT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "arguments",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "113": {
+    "origin": {
+      "name": "decorator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "AT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        false,
+        true,
+        false,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "114": {
+    "origin": {
+      "name": "decorator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "AT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "115": {
+    "origin": {
+      "name": "decorators",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__decorators_plus_8",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "116": {
+    "origin": {
+      "name": "parameter",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "type",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "EQUAL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "117": {
+    "origin": {
+      "name": "parameter",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "type",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "118": {
+    "origin": {
+      "name": "parameters",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "parameter",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__parameters_star_9",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "119": {
+    "origin": {
+      "name": "parameters",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "parameter",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "120": {
+    "origin": {
+      "name": "returns",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_RETURN_TYPE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "type",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "121": {
+    "origin": {
+      "name": "function_sig",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_FUNC_DECL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "parameters",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "returns",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "122": {
+    "origin": {
+      "name": "function_sig",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_FUNC_DECL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "parameters",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        false,
+        false,
+        false,
+        true
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "123": {
+    "origin": {
+      "name": "function_sig",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_FUNC_DECL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "returns",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        false,
+        true,
+        false,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "124": {
+    "origin": {
+      "name": "function_sig",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_FUNC_DECL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        false,
+        true,
+        false,
+        true
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "125": {
+    "origin": {
+      "name": "function_def",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "decorators",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "function_sig",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "body",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "126": {
+    "origin": {
+      "name": "function_def",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "function_sig",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "body",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        true,
+        false,
+        false,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "127": {
+    "origin": {
+      "name": "indexed_event_arg",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "INDEXED",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "type",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "128": {
+    "origin": {
+      "name": "event_body",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_INDENT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "DOCSTRING",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "__event_body_plus_10",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_DEDENT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "129": {
+    "origin": {
+      "name": "event_body",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_INDENT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "__event_body_plus_10",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_DEDENT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        true,
+        false,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "130": {
+    "origin": {
+      "name": "event_def",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_EVENT_DECL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "event_body",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "131": {
+    "origin": {
+      "name": "event_def",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_EVENT_DECL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_PASS",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "132": {
+    "origin": {
+      "name": "_bound",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "DEC_NUMBER",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "133": {
+    "origin": {
+      "name": "_bound",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "HEX_NUMBER",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "134": {
+    "origin": {
+      "name": "_bound",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "135": {
+    "origin": {
+      "name": "static_array",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_bound",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "136": {
+    "origin": {
+      "name": "static_array",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "static_array",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "LSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_bound",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "137": {
+    "origin": {
+      "name": "static_array",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "bytes_type",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "LSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_bound",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "138": {
+    "origin": {
+      "name": "static_array",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "string_type",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "LSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_bound",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "139": {
+    "origin": {
+      "name": "static_array",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "tuple_type",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "LSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_bound",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 4,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "140": {
+    "origin": {
+      "name": "bytes_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_BYTES",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_bound",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "141": {
+    "origin": {
+      "name": "string_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_STRING",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_bound",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "142": {
+    "origin": {
+      "name": "hashmap",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_MAP",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_type",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_type",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "143": {
+    "origin": {
+      "name": "tuple_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_type",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__tuple_type_star_11",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "144": {
+    "origin": {
+      "name": "tuple_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_type",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__tuple_type_star_11",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "145": {
+    "origin": {
+      "name": "tuple_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_type",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "146": {
+    "origin": {
+      "name": "tuple_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_type",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "147": {
+    "origin": {
+      "name": "_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "148": {
+    "origin": {
+      "name": "_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "static_array",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "149": {
+    "origin": {
+      "name": "_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "bytes_type",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "150": {
+    "origin": {
+      "name": "_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "string_type",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "151": {
+    "origin": {
+      "name": "_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "hashmap",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 4,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "152": {
+    "origin": {
+      "name": "_type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "tuple_type",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 5,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "153": {
+    "origin": {
+      "name": "type",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_type",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "154": {
+    "origin": {
+      "name": "struct_member",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "type",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "155": {
+    "origin": {
+      "name": "struct_def",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_STRUCT_DECL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_INDENT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "__struct_def_plus_12",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_DEDENT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "156": {
+    "origin": {
+      "name": "mutability",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "157": {
+    "origin": {
+      "name": "interface_function",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "function_sig",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "mutability",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "158": {
+    "origin": {
+      "name": "interface_def",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_INTERFACE_DECL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_INDENT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "__interface_def_plus_15",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_DEDENT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "159": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "if_stmt",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "160": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "if_stmt",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "161": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "for_stmt",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "162": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "for_stmt",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "163": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "declaration",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 4,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "164": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "declaration",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 5,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "165": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "assign",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 6,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "166": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "assign",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 7,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "167": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "aug_assign",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 8,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "168": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "aug_assign",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 9,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "169": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "return_stmt",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 10,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "170": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "return_stmt",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 11,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "171": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "pass_stmt",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 12,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "172": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "pass_stmt",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 13,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "173": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "break_stmt",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 14,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "174": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "break_stmt",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 15,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "175": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "continue_stmt",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 16,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "176": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "continue_stmt",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 17,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "177": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "log_stmt",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 18,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "178": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "log_stmt",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 19,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "179": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "raise_stmt",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 20,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "180": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "raise_stmt",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 21,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "181": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "assert_stmt",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 22,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "182": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "assert_stmt",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 23,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "183": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 24,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "184": {
+    "origin": {
+      "name": "_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 25,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "185": {
+    "origin": {
+      "name": "declaration",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "variable",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "EQUAL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "186": {
+    "origin": {
+      "name": "declaration",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "variable",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "187": {
+    "origin": {
+      "name": "skip_assign",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "UNDERSCORE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "188": {
+    "origin": {
+      "name": "multiple_assign",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "variable_access",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__multiple_assign_plus_16",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "189": {
+    "origin": {
+      "name": "multiple_assign",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "skip_assign",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__multiple_assign_plus_16",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "190": {
+    "origin": {
+      "name": "assign",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "variable_access",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "EQUAL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "191": {
+    "origin": {
+      "name": "assign",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "multiple_assign",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "EQUAL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "192": {
+    "origin": {
+      "name": "assign",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "multiple_assign",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "EQUAL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "193": {
+    "origin": {
+      "name": "aug_operator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "PLUS",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": "add",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "194": {
+    "origin": {
+      "name": "aug_operator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "MINUS",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": "sub",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "195": {
+    "origin": {
+      "name": "aug_operator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "WILDCARD",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": "mul",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "196": {
+    "origin": {
+      "name": "aug_operator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "SLASH",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 3,
+    "alias": "div",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "197": {
+    "origin": {
+      "name": "aug_operator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "PERCENT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 4,
+    "alias": "mod",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "198": {
+    "origin": {
+      "name": "aug_operator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_POW",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 5,
+    "alias": "pow",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "199": {
+    "origin": {
+      "name": "aug_operator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_SHL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 6,
+    "alias": "shl",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "200": {
+    "origin": {
+      "name": "aug_operator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_SHR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 7,
+    "alias": "shr",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "201": {
+    "origin": {
+      "name": "aug_operator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_AND",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 8,
+    "alias": "and",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "202": {
+    "origin": {
+      "name": "aug_operator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_OR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 9,
+    "alias": "or",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "203": {
+    "origin": {
+      "name": "aug_operator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_XOR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 10,
+    "alias": "xor",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "204": {
+    "origin": {
+      "name": "aug_assign",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "variable_access",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "aug_operator",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "EQUAL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "205": {
+    "origin": {
+      "name": "pass_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_PASS",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "206": {
+    "origin": {
+      "name": "break_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_BREAK",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "207": {
+    "origin": {
+      "name": "continue_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_CONTINUE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "208": {
+    "origin": {
+      "name": "log_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_LOG",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "arguments",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "209": {
+    "origin": {
+      "name": "log_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_LOG",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "210": {
+    "origin": {
+      "name": "return_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_RETURN",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__return_stmt_star_17",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "211": {
+    "origin": {
+      "name": "return_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_RETURN",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "212": {
+    "origin": {
+      "name": "return_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_RETURN",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "213": {
+    "origin": {
+      "name": "raise_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_RAISE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": "raise",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "214": {
+    "origin": {
+      "name": "raise_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_RAISE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "STRING",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": "raise_with_reason",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "215": {
+    "origin": {
+      "name": "raise_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_RAISE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_UNREACHABLE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": "raise_unreachable",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "216": {
+    "origin": {
+      "name": "assert_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_ASSERT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": "assert",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "217": {
+    "origin": {
+      "name": "assert_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_ASSERT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "STRING",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": "assert_with_reason",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "218": {
+    "origin": {
+      "name": "assert_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_ASSERT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_UNREACHABLE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": "assert_unreachable",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "219": {
+    "origin": {
+      "name": "body",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_INDENT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "__body_plus_18",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_DEDENT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "220": {
+    "origin": {
+      "name": "cond_exec",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "body",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "221": {
+    "origin": {
+      "name": "default_exec",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "body",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "222": {
+    "origin": {
+      "name": "if_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "IF",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "cond_exec",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__if_stmt_star_19",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "ELSE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "default_exec",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "223": {
+    "origin": {
+      "name": "if_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "IF",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "cond_exec",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__if_stmt_star_19",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        false,
+        true
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "224": {
+    "origin": {
+      "name": "if_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "IF",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "cond_exec",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "ELSE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "default_exec",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "225": {
+    "origin": {
+      "name": "if_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "IF",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "cond_exec",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        true
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "226": {
+    "origin": {
+      "name": "loop_variable",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "227": {
+    "origin": {
+      "name": "range_iterator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_RANGE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "kwarg",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "228": {
+    "origin": {
+      "name": "range_iterator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_RANGE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "kwarg",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "229": {
+    "origin": {
+      "name": "range_iterator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_RANGE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        false,
+        false,
+        false,
+        true,
+        false,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "230": {
+    "origin": {
+      "name": "range_iterator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_RANGE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        false,
+        false,
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "231": {
+    "origin": {
+      "name": "range_iterator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_RANGE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "kwarg",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 4,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "232": {
+    "origin": {
+      "name": "range_iterator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_RANGE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "kwarg",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 5,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "233": {
+    "origin": {
+      "name": "range_iterator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_RANGE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 6,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        false,
+        true,
+        false,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "234": {
+    "origin": {
+      "name": "range_iterator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_RANGE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 7,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "235": {
+    "origin": {
+      "name": "loop_iterator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "range_iterator",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "236": {
+    "origin": {
+      "name": "loop_iterator",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "237": {
+    "origin": {
+      "name": "for_stmt",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "FOR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "loop_variable",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_IN",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "loop_iterator",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "body",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "238": {
+    "origin": {
+      "name": "_expr",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "operation",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "239": {
+    "origin": {
+      "name": "_expr",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "dict",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "240": {
+    "origin": {
+      "name": "subscript",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "241": {
+    "origin": {
+      "name": "subscript",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__return_stmt_star_17",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": "tuple",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "242": {
+    "origin": {
+      "name": "subscript",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__return_stmt_star_17",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": "tuple",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "243": {
+    "origin": {
+      "name": "get_item",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "variable_access",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "LSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "subscript",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "244": {
+    "origin": {
+      "name": "get_attr",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "variable_access",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "DOT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "245": {
+    "origin": {
+      "name": "call",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "variable_access",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "arguments",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "246": {
+    "origin": {
+      "name": "call",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "variable_access",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "247": {
+    "origin": {
+      "name": "variable_access",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": "get_var",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "248": {
+    "origin": {
+      "name": "variable_access",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "get_item",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "249": {
+    "origin": {
+      "name": "variable_access",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "get_attr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "250": {
+    "origin": {
+      "name": "variable_access",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "call",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "251": {
+    "origin": {
+      "name": "variable_access",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "variable_access",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 4,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "252": {
+    "origin": {
+      "name": "arg",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "253": {
+    "origin": {
+      "name": "kwarg",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "EQUAL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "254": {
+    "origin": {
+      "name": "argument",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "arg",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "255": {
+    "origin": {
+      "name": "argument",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "kwarg",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "256": {
+    "origin": {
+      "name": "arguments",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "argument",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__arguments_star_20",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "257": {
+    "origin": {
+      "name": "arguments",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "argument",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__arguments_star_20",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "258": {
+    "origin": {
+      "name": "arguments",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "argument",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "259": {
+    "origin": {
+      "name": "arguments",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "argument",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "260": {
+    "origin": {
+      "name": "tuple",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "261": {
+    "origin": {
+      "name": "tuple",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__return_stmt_star_17",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "262": {
+    "origin": {
+      "name": "tuple",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__return_stmt_star_17",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "263": {
+    "origin": {
+      "name": "tuple",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "264": {
+    "origin": {
+      "name": "list",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "265": {
+    "origin": {
+      "name": "list",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__return_stmt_star_17",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "266": {
+    "origin": {
+      "name": "list",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__return_stmt_star_17",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "267": {
+    "origin": {
+      "name": "list",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "268": {
+    "origin": {
+      "name": "list",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RSQB",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 4,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "269": {
+    "origin": {
+      "name": "dict",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LBRACE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RBRACE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "270": {
+    "origin": {
+      "name": "dict",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LBRACE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__dict_star_21",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RBRACE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "271": {
+    "origin": {
+      "name": "dict",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LBRACE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "__dict_star_21",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RBRACE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "272": {
+    "origin": {
+      "name": "dict",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LBRACE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "RBRACE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "273": {
+    "origin": {
+      "name": "dict",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LBRACE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RBRACE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 4,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "274": {
+    "origin": {
+      "name": "operation",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "or_test",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "275": {
+    "origin": {
+      "name": "or_test",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "and_test",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "276": {
+    "origin": {
+      "name": "or_test",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "or_test",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_OR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "and_test",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": "or",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "277": {
+    "origin": {
+      "name": "and_test",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "not_test",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "278": {
+    "origin": {
+      "name": "and_test",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "and_test",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_AND",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "not_test",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": "and",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "279": {
+    "origin": {
+      "name": "not_test",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "comparison",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "280": {
+    "origin": {
+      "name": "not_test",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_NOT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "not_test",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": "not",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "281": {
+    "origin": {
+      "name": "comparison",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "bitwise_or",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "282": {
+    "origin": {
+      "name": "comparison",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "comparison",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "LESSTHAN",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "bitwise_or",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": "lt",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "283": {
+    "origin": {
+      "name": "comparison",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "comparison",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "MORETHAN",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "bitwise_or",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": "gt",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "284": {
+    "origin": {
+      "name": "comparison",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "comparison",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_EQ",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "bitwise_or",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 3,
+    "alias": "eq",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "285": {
+    "origin": {
+      "name": "comparison",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "comparison",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "bitwise_or",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 4,
+    "alias": "ne",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "286": {
+    "origin": {
+      "name": "comparison",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "comparison",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_LE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "bitwise_or",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 5,
+    "alias": "le",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "287": {
+    "origin": {
+      "name": "comparison",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "comparison",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_GE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "bitwise_or",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 6,
+    "alias": "ge",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "288": {
+    "origin": {
+      "name": "comparison",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "comparison",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_IN",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "bitwise_or",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 7,
+    "alias": "in",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "289": {
+    "origin": {
+      "name": "comparison",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "comparison",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NOT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_IN",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "bitwise_or",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 8,
+    "alias": "not_in",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "290": {
+    "origin": {
+      "name": "bitwise_or",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "bitwise_xor",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "291": {
+    "origin": {
+      "name": "bitwise_xor",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "bitwise_and",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "292": {
+    "origin": {
+      "name": "bitwise_xor",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "bitwise_xor",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_XOR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "bitwise_and",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": "xor",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "293": {
+    "origin": {
+      "name": "bitwise_and",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "shift",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "294": {
+    "origin": {
+      "name": "shift",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "sum",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "295": {
+    "origin": {
+      "name": "shift",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "shift",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_SHL",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "sum",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": "shl",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "296": {
+    "origin": {
+      "name": "shift",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "shift",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_SHR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "sum",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": "shr",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "297": {
+    "origin": {
+      "name": "sum",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "term",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "298": {
+    "origin": {
+      "name": "sum",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "sum",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "PLUS",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "term",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": "add",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "299": {
+    "origin": {
+      "name": "sum",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "sum",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "MINUS",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "term",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": "sub",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "300": {
+    "origin": {
+      "name": "term",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "factor",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "301": {
+    "origin": {
+      "name": "term",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "term",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "WILDCARD",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "factor",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": "mul",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "302": {
+    "origin": {
+      "name": "term",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "term",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "SLASH",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "factor",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": "div",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "303": {
+    "origin": {
+      "name": "term",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "term",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "PERCENT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "factor",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 3,
+    "alias": "mod",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "304": {
+    "origin": {
+      "name": "factor",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "power",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "305": {
+    "origin": {
+      "name": "factor",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "PLUS",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "factor",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": "uadd",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "306": {
+    "origin": {
+      "name": "factor",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "MINUS",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "factor",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": "usub",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "307": {
+    "origin": {
+      "name": "power",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "atom",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "308": {
+    "origin": {
+      "name": "power",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "atom",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_POW",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "factor",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": "pow",
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "309": {
+    "origin": {
+      "name": "atom",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "variable_access",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "310": {
+    "origin": {
+      "name": "atom",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "literal",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "311": {
+    "origin": {
+      "name": "atom",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "tuple",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "312": {
+    "origin": {
+      "name": "atom",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "list",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "313": {
+    "origin": {
+      "name": "atom",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "LPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "operation",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "RPAR",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 4,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "314": {
+    "origin": {
+      "name": "_number",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "DEC_NUMBER",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "315": {
+    "origin": {
+      "name": "_number",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "HEX_NUMBER",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "316": {
+    "origin": {
+      "name": "_number",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "BIN_NUMBER",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "317": {
+    "origin": {
+      "name": "_number",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "OCT_NUMBER",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "318": {
+    "origin": {
+      "name": "_number",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "FLOAT_NUMBER",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 4,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "319": {
+    "origin": {
+      "name": "literal",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_number",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "320": {
+    "origin": {
+      "name": "literal",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "STRING",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "321": {
+    "origin": {
+      "name": "literal",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "DOCSTRING",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "322": {
+    "origin": {
+      "name": "literal",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "BOOL",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": true,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "323": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "DOCSTRING",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "324": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "325": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "import",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "326": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "implements",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "327": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "struct_def",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 4,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "328": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "interface_def",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 5,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "329": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "variable_def",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 6,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "330": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "event_def",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 7,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "331": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "function_def",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 8,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "332": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 9,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "333": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__module_star_0",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "DOCSTRING",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 10,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "334": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__module_star_0",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 11,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "335": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__module_star_0",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "import",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 12,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "336": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__module_star_0",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "implements",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 13,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "337": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__module_star_0",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "struct_def",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 14,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "338": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__module_star_0",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "interface_def",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 15,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "339": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__module_star_0",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "variable_def",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 16,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "340": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__module_star_0",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "event_def",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 17,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "341": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__module_star_0",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "function_def",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 18,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "342": {
+    "origin": {
+      "name": "__module_star_0",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__module_star_0",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 19,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "343": {
+    "origin": {
+      "name": "___import_path_star_1",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "DOT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "344": {
+    "origin": {
+      "name": "___import_path_star_1",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "___import_path_star_1",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "DOT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "345": {
+    "origin": {
+      "name": "__import_list_star_2",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "import_alias",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "346": {
+    "origin": {
+      "name": "__import_list_star_2",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        true
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "347": {
+    "origin": {
+      "name": "__import_list_star_2",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__import_list_star_2",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "import_alias",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "348": {
+    "origin": {
+      "name": "__import_list_star_2",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__import_list_star_2",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_import_name",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        false,
+        false,
+        true
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "349": {
+    "origin": {
+      "name": "__import_from_star_3",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "DOT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "350": {
+    "origin": {
+      "name": "__import_from_star_3",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__import_from_star_3",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "DOT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "351": {
+    "origin": {
+      "name": "__dotted_name_star_6",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "DOT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "352": {
+    "origin": {
+      "name": "__dotted_name_star_6",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__dotted_name_star_6",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "DOT",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "353": {
+    "origin": {
+      "name": "__decorators_plus_8",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "decorator",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "354": {
+    "origin": {
+      "name": "__decorators_plus_8",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__decorators_plus_8",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "decorator",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "355": {
+    "origin": {
+      "name": "__parameters_star_9",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "parameter",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "356": {
+    "origin": {
+      "name": "__parameters_star_9",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "357": {
+    "origin": {
+      "name": "__parameters_star_9",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__parameters_star_9",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "parameter",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "358": {
+    "origin": {
+      "name": "__parameters_star_9",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__parameters_star_9",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "359": {
+    "origin": {
+      "name": "__event_body_plus_10",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "variable",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "360": {
+    "origin": {
+      "name": "__event_body_plus_10",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "indexed_event_arg",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "361": {
+    "origin": {
+      "name": "__event_body_plus_10",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__event_body_plus_10",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "variable",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "362": {
+    "origin": {
+      "name": "__event_body_plus_10",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__event_body_plus_10",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "indexed_event_arg",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "363": {
+    "origin": {
+      "name": "__tuple_type_star_11",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_type",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "364": {
+    "origin": {
+      "name": "__tuple_type_star_11",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__tuple_type_star_11",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_type",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "365": {
+    "origin": {
+      "name": "__struct_def_plus_12",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "struct_member",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "366": {
+    "origin": {
+      "name": "__struct_def_plus_12",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__struct_def_plus_12",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "struct_member",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "367": {
+    "origin": {
+      "name": "__interface_def_plus_15",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "interface_function",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "368": {
+    "origin": {
+      "name": "__interface_def_plus_15",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__interface_def_plus_15",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "interface_function",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "369": {
+    "origin": {
+      "name": "__multiple_assign_plus_16",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "variable_access",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "370": {
+    "origin": {
+      "name": "__multiple_assign_plus_16",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "skip_assign",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "371": {
+    "origin": {
+      "name": "__multiple_assign_plus_16",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__multiple_assign_plus_16",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "variable_access",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "372": {
+    "origin": {
+      "name": "__multiple_assign_plus_16",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__multiple_assign_plus_16",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "skip_assign",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "373": {
+    "origin": {
+      "name": "__return_stmt_star_17",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "374": {
+    "origin": {
+      "name": "__return_stmt_star_17",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__return_stmt_star_17",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "375": {
+    "origin": {
+      "name": "__body_plus_18",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "376": {
+    "origin": {
+      "name": "__body_plus_18",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "377": {
+    "origin": {
+      "name": "__body_plus_18",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "_stmt",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 2,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "378": {
+    "origin": {
+      "name": "__body_plus_18",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__body_plus_18",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMENT",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 3,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "379": {
+    "origin": {
+      "name": "__body_plus_18",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__body_plus_18",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_NEWLINE",
+        "filter_out": true,
+        "__type__": "Terminal"
+      }
+    ],
+    "order": 4,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [
+        false,
+        true,
+        false
+      ],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "380": {
+    "origin": {
+      "name": "__body_plus_18",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__body_plus_18",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "_stmt",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 5,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "381": {
+    "origin": {
+      "name": "__if_stmt_star_19",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "ELIF",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "cond_exec",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "382": {
+    "origin": {
+      "name": "__if_stmt_star_19",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__if_stmt_star_19",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "ELIF",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "cond_exec",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "383": {
+    "origin": {
+      "name": "__arguments_star_20",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "argument",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "384": {
+    "origin": {
+      "name": "__arguments_star_20",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__arguments_star_20",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "argument",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "385": {
+    "origin": {
+      "name": "__dict_star_21",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 0,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  },
+  "386": {
+    "origin": {
+      "name": "__dict_star_21",
+      "__type__": "NonTerminal"
+    },
+    "expansion": [
+      {
+        "name": "__dict_star_21",
+        "__type__": "NonTerminal"
+      },
+      {
+        "name": "COMMA",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "NAME",
+        "filter_out": false,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "COLON",
+        "filter_out": true,
+        "__type__": "Terminal"
+      },
+      {
+        "name": "_expr",
+        "__type__": "NonTerminal"
+      }
+    ],
+    "order": 1,
+    "alias": null,
+    "options": {
+      "keep_all_tokens": false,
+      "expand1": false,
+      "priority": null,
+      "template_source": null,
+      "empty_indices": [],
+      "__type__": "RuleOptions"
+    },
+    "__type__": "Rule"
+  }
+};
+
+module.exports = { DATA, MEMO };
@@ -0,0 +1,926 @@
+"use strict";
+
+const { Tree, Token } = require("./vyper");
+const { parseVyper, normalize_source } = require("./parser");
+
+// Binding strength of each operator, mirroring the `operation` ... `power`
+// rules of the grammar. Anything else is an atom.
+const PRECEDENCE = {
+  ternary: 1,
+  or: 2,
+  and: 3,
+  not: 4,
+  lt: 5, gt: 5, eq: 5, ne: 5, le: 5, ge: 5, in: 5, not_in: 5,
+  bit_or: 6,
+  bit_xor: 7, xor: 7,
+  bit_and: 8,
+  shl: 9, shr: 9,
+  add: 10, sub: 10,
+  mul: 11, div: 11, floordiv: 11, mod: 11,
+  uadd: 12, usub: 12, invert: 12,
+  pow: 13,
+};
+const ATOM = 14;
+
+const OPERATORS = {
+  or: "or",
+  and: "and",
+  lt: "<", gt: ">", eq: "==", ne: "!=", le: "<=", ge: ">=", in: "in", not_in: "not in",
+  bit_or: "|",
+  bit_xor: "^", xor: "xor",
+  bit_and: "&",
+  shl: "<<", shr: ">>",
+  add: "+", sub: "-",
+  mul: "*", div: "/", floordiv: "//", mod: "%",
+  pow: "**",
+};
+const UNARY_OPERATORS = { uadd: "+", usub: "-", invert: "~", not: "not " };
+
+// Rendering without any line length limit
+const FLAT = { flat: true, level: 0, used: 0, tail: 0 };
+
+function precedence(node) {
+  return node instanceof Tree && node.data in PRECEDENCE ? PRECEDENCE[node.data] : ATOM;
+}
+
+function span(node) {
+  return node instanceof Token ? node : node.meta;
+}
+
+function child_of(node, data) {
+  return node.children.find((c) => c instanceof Tree && c.data === data) || null;
+}
+
+/**
+  Prints a parse tree back as source, re-inserting the comments that the
+  parser set aside.
+
+  Statements are written out one by one into `lines`. Expressions are
+  rendered to strings, exploding the outermost brackets that don't fit on
+  the line (or hold comments) into one item per line.
+*/
+class Formatter {
+  constructor(source, tokens, comments, options) {
+    const {
+      indent = 4,
+      max_line_length = 100,
+      trailing_commas = true,
+      blank_lines = 2,
+    } = options;
+    this.indent = indent;
+    this.width = max_line_length;
+    this.trailing_commas = trailing_commas;
+    this.blank_lines = blank_lines;
+
+    this.source_lines = source.split("\n");
+    this.tokens = tokens;
+    this.comments = comments;
+    this.next_comment = 0;
+    this.last_line = 0;
+    this.lines = [];
+  }
+
+  pad(level) {
+    return " ".repeat(level * this.indent);
+  }
+
+  //
+  // Comments and blank lines
+  //
+
+  /**
+    Takes the pending comments that start before `line`.
+  */
+  comments_before(line) {
+    const result = [];
+    while (
+      this.next_comment < this.comments.length &&
+      this.comments[this.next_comment].line < line
+    ) {
+      result.push(this.comments[this.next_comment++]);
+    }
+    return result;
+  }
+
+  /**
+    Takes the pending comments up to the end of `line`, stopping at `end_pos`.
+  */
+  comments_through(line, end_pos = Infinity) {
+    const result = [];
+    while (this.next_comment < this.comments.length) {
+      const comment = this.comments[this.next_comment];
+      if (comment.line > line || comment.start_pos >= end_pos) {
+        break;
+      }
+      result.push(comment);
+      this.next_comment++;
+    }
+    return result;
+  }
+
+  has_comments(start_pos, end_pos) {
+    for (let i = this.next_comment; i < this.comments.length; i++) {
+      const { start_pos: pos } = this.comments[i];
+      if (pos >= end_pos) {
+        break;
+      }
+      if (pos > start_pos) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+    Counts the blank source lines between `this.last_line` and `line`.
+  */
+  blank_lines_before(line) {
+    let count = 0;
+    for (let i = this.last_line + 1; i < line; i++) {
+      if (this.source_lines[i - 1].trim() === "") {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  blank(count) {
+    if (!this.lines.length) {
+      return;
+    }
+    for (let i = 0; i < count; i++) {
+      this.lines.push("");
+    }
+  }
+
+  emit(level, text) {
+    const [first, ...rest] = text.split("\n");
+    this.lines.push(this.pad(level) + first, ...rest);
+  }
+
+  emit_comment(level, comment) {
+    this.emit(level, comment.value.trimEnd());
+    this.last_line = Math.max(this.last_line, comment.line);
+  }
+
+  /**
+    Appends trailing comments to the last line written; any beyond the first
+    go on their own lines.
+  */
+  emit_trailing(level, comments) {
+    if (!comments.length) {
+      return;
+    }
+    const [first, ...rest] = comments;
+    this.lines[this.lines.length - 1] += "  " + first.value.trimEnd();
+    this.last_line = Math.max(this.last_line, first.line);
+    for (const comment of rest) {
+      this.emit_comment(level, comment);
+    }
+  }
+
+  //
+  // Blocks
+  //
+
+  /**
+    Writes a sequence of statements or definitions at `level`.
+
+    Comments after the last item belong to the block as long as they come
+    before `end_line` and are indented past `column`, the column of the
+    block's header.
+  */
+  block(items, level, { top = false, column = 0, end_line = Infinity } = {}) {
+    const max_blank = top ? this.blank_lines : 1;
+    let previous = null;
+    items.forEach((item, i) => {
+      const { line } = span(item);
+      const around_function =
+        top && previous !== null && (is_function(item) || is_function(previous));
+
+      let first = true;
+      for (const comment of this.comments_before(line)) {
+        const gap = this.blank_lines_before(comment.line);
+        this.blank(first && around_function ? this.blank_lines : Math.min(gap, max_blank));
+        this.emit_comment(level, comment);
+        first = false;
+      }
+      const gap = this.blank_lines_before(line);
+      if (first && around_function) {
+        this.blank(this.blank_lines);
+      } else if (previous !== null || !first) {
+        this.blank(Math.min(gap, max_blank));
+      }
+
+      const next = i + 1 < items.length ? span(items[i + 1]).line : end_line;
+      this.statement(item, level, next);
+      this.last_line = Math.max(this.last_line, span(item).end_line);
+      previous = item;
+    });
+
+    while (this.next_comment < this.comments.length) {
+      const comment = this.comments[this.next_comment];
+      if (comment.line >= end_line || comment.column <= column) {
+        break;
+      }
+      this.next_comment++;
+      this.blank(Math.min(this.blank_lines_before(comment.line), max_blank));
+      this.emit_comment(level, comment);
+    }
+  }
+
+  /**
+    Writes `header` followed by an indented block. Comments on the header's
+    last line stay there.
+  */
+  compound(header, header_end_line, items, level, node, end_line) {
+    this.emit(level, header);
+    this.emit_trailing(level, this.comments_through(header_end_line));
+    this.last_line = Math.max(this.last_line, header_end_line);
+    this.block(items, level + 1, { column: span(node).column, end_line });
+  }
+
+  /**
+    Writes a simple statement and the comments that end its last line.
+  */
+  simple(text, level, node) {
+    this.emit(level, text);
+    this.emit_trailing(level, this.comments_through(span(node).end_line));
+  }
+
+  statement(node, level, end_line) {
+    const at = { level, used: level * this.indent, tail: 0 };
+
+    if (node instanceof Token) {
+      // Docstrings, and other literals used as statements
+      return this.simple(node.value, level, node);
+    }
+
+    const c = node.children;
+    switch (node.data) {
+      case "function_def":
+        return this.function_def(node, level, end_line);
+
+      case "if_stmt":
+        return this.if_stmt(node, level, end_line);
+
+      case "for_stmt": {
+        const [variable, iterator, body] = c;
+        const prefix = `for ${this.loop_variable(variable)} in `;
+        const iter = this.expr(iterator.children[0], this.after(at, prefix, 1));
+        return this.compound(
+          `${prefix}${iter}:`,
+          span(iterator).end_line,
+          body.children,
+          level,
+          node,
+          end_line
+        );
+      }
+
+      case "struct_def":
+        return this.compound(
+          `struct ${c[0].value}:`,
+          c[0].line,
+          c.slice(1),
+          level,
+          node,
+          end_line
+        );
+
+      case "enum_def":
+      case "flag_def":
+        return this.compound(
+          `${node.data.slice(0, -4)} ${c[0].value}:`,
+          c[0].line,
+          c.slice(1),
+          level,
+          node,
+          end_line
+        );
+
+      case "interface_def":
+        return this.compound(
+          `interface ${c[0].value}:`,
+          c[0].line,
+          c.slice(1),
+          level,
+          node,
+          end_line
+        );
+
+      case "event_def":
+        if (c.length === 1) {
+          return this.simple(`event ${c[0].value}: pass`, level, node);
+        }
+        return this.compound(
+          `event ${c[0].value}:`,
+          c[0].line,
+          c[1].children,
+          level,
+          node,
+          end_line
+        );
+
+      case "interface_function": {
+        const [sig, mutability] = c;
+        const suffix = `: ${mutability.children[0].value}`;
+        return this.simple(this.function_sig(sig, at, suffix), level, node);
+      }
+
+      default:
+        return this.simple(this.simple_statement(node, at), level, node);
+    }
+  }
+
+  function_def(node, level, end_line) {
+    const decorators = child_of(node, "decorators");
+    const sig = child_of(node, "function_sig");
+    const body = child_of(node, "body");
+    const at = { level, used: level * this.indent, tail: 0 };
+
+    for (const decorator of decorators ? decorators.children : []) {
+      if (decorator !== decorators.children[0]) {
+        for (const comment of this.comments_before(span(decorator).line)) {
+          this.emit_comment(level, comment);
+        }
+      }
+      const [name, args] = decorator.children;
+      let text = `@${name.value}`;
+      if (args) {
+        text += this.arguments(args, this.after(at, text, 0), span(decorator));
+      }
+      this.simple(text, level, decorator);
+    }
+    if (decorators) {
+      for (const comment of this.comments_before(span(sig).line)) {
+        this.emit_comment(level, comment);
+      }
+    }
+
+    this.compound(
+      this.function_sig(sig, at, ":"),
+      span(sig).end_line,
+      body.children,
+      level,
+      node,
+      end_line
+    );
+  }
+
+  if_stmt(node, level, end_line) {
+    const branches = node.children;
+    const at = { level, used: level * this.indent, tail: 0 };
+    branches.forEach((branch, i) => {
+      const next =
+        i + 1 < branches.length ? this.header_line(branches[i + 1]) : end_line;
+      if (branch.data === "cond_exec") {
+        const [test, body] = branch.children;
+        const keyword = i === 0 ? "if " : "elif ";
+        if (i > 0) {
+          for (const comment of this.comments_before(span(test).line)) {
+            this.emit_comment(level, comment);
+          }
+        }
+        const text = this.expr(test, this.after(at, keyword, 1));
+        this.compound(
+          `${keyword}${text}:`,
+          span(test).end_line,
+          body.children,
+          level,
+          node,
+          next
+        );
+      } else {
+        const line = this.header_line(branch);
+        for (const comment of this.comments_before(line)) {
+          this.emit_comment(level, comment);
+        }
+        this.compound("else:", line, branch.children[0].children, level, node, next);
+      }
+    });
+  }
+
+  /**
+    Returns the line of the `elif` / `else` keyword opening an `if` branch.
+  */
+  header_line(branch) {
+    if (branch.data === "cond_exec") {
+      return span(branch.children[0]).line;
+    }
+    let i = this.token_index(span(branch).start_pos);
+    while (i > 0 && this.tokens[i].value !== "else") {
+      i--;
+    }
+    return this.tokens[i].line;
+  }
+
+  /**
+    Returns the index of the first token starting at or after `pos`.
+  */
+  token_index(pos) {
+    let lo = 0;
+    let hi = this.tokens.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.tokens[mid].start_pos < pos) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+    return lo;
+  }
+
+  //
+  // Simple statements and definitions
+  //
+
+  /**
+    Returns `at` moved past `prefix`, with `tail` more characters to follow.
+  */
+  after(at, prefix, tail) {
+    return { ...at, used: at.used + prefix.length, tail: at.tail + tail };
+  }
+
+  simple_statement(node, at) {
+    const c = node.children;
+    switch (node.data) {
+      case "import":
+        return this.import(node, at);
+
+      case "variable_def": {
+        // `is_*` modifiers, outermost first, then the type and the value
+        const modifiers = c.slice(1).filter((x) => x instanceof Tree && /^is_/.test(x.data));
+        const [type, value] = c.slice(1 + modifiers.length);
+        const annotation = modifiers.reduceRight(
+          (inner, modifier) => `${modifier.data.slice(3)}(${inner})`,
+          this.type(type)
+        );
+        if (value === undefined) {
+          return `${c[0].value}: ${annotation}`;
+        }
+        const prefix = `${c[0].value}: ${annotation} = `;
+        return prefix + this.expr(value, this.after(at, prefix, 0));
+      }
+
+      case "initializes_decl": {
+        const deps = c.slice(1).map((d) => `${d.children[0].value} := ${d.children[1].value}`);
+        return `initializes: ${c[0].value}` + (deps.length ? `[${deps.join(", ")}]` : "");
+      }
+
+      case "implements":
+        return `implements: ${c[0].children.map((t) => t.value).join(".")}`;
+
+      case "uses_decl":
+      case "exports_decl": {
+        const names = c.map((x) =>
+          x instanceof Tree ? x.children.map((t) => t.value).join(".") : x.value
+        );
+        const list = names.length === 1 ? names[0] : `(${names.join(", ")})`;
+        return `${node.data.slice(0, -5)}: ${list}`;
+      }
+
+      case "enum_member":
+      case "flag_member":
+        return c[0].value;
+
+      case "variable":
+      case "struct_member":
+      case "indexed_event_arg":
+        return this.statement_text(node);
+
+      case "declaration": {
+        const decl = this.statement_text(c[0]);
+        if (c.length === 1) {
+          return decl;
+        }
+        const prefix = `${decl} = `;
+        return prefix + this.expr(c[1], this.after(at, prefix, 0));
+      }
+
+      case "assign": {
+        const [target, value] = c;
+        const prefix =
+          target.data === "multiple_assign"
+            ? `${target.children.map((t) => this.expr(t, FLAT)).join(", ")} = `
+            : `${this.expr(target, FLAT)} = `;
+        return prefix + this.expr(value, this.after(at, prefix, 0));
+      }
+
+      case "aug_assign": {
+        const [target, op, value] = c;
+        const prefix = `${this.expr(target, FLAT)} ${OPERATORS[op.data]}= `;
+        return prefix + this.expr(value, this.after(at, prefix, 0));
+      }
+
+      case "return_stmt":
+        return this.keyword_and_values("return", c, at);
+
+      case "pass_stmt":
+        return "pass";
+
+      case "break_stmt":
+        return "break";
+
+      case "continue_stmt":
+        return "continue";
+
+      case "log_stmt": {
+        const prefix = `log ${c[0].value}`;
+        const args = c[1] || null;
+        return prefix + this.arguments(args, this.after(at, prefix, 0), span(node));
+      }
+
+      case "raise":
+        return "raise";
+
+      case "raise_with_reason":
+        return `raise ${c[0].value}`;
+
+      case "raise_unreachable":
+        return "raise UNREACHABLE";
+
+      case "assert":
+      case "assert_with_reason":
+      case "assert_unreachable": {
+        let reason = "";
+        if (node.data === "assert_with_reason") {
+          reason = `, ${c[1].value}`;
+        } else if (node.data === "assert_unreachable") {
+          reason = ", UNREACHABLE";
+        }
+        return `assert ${this.expr(c[0], this.after(at, "assert ", reason.length))}${reason}`;
+      }
+
+      default:
+        return this.expr(node, at);
+    }
+  }
+
+  /**
+    Renders `name: type` members and declarations.
+  */
+  statement_text(node) {
+    const [name, type] = node.children;
+    switch (node.data) {
+      case "indexed_event_arg":
+        return `${name.value}: indexed(${this.type(type)})`;
+      default:
+        return `${name.value}: ${this.type(type)}`;
+    }
+  }
+
+  /**
+    Renders `return a, b`, letting any of the values split over lines.
+  */
+  keyword_and_values(keyword, values, at) {
+    let text = keyword;
+    values.forEach((value, i) => {
+      text += i === 0 ? " " : ", ";
+      const rest = values.slice(i + 1).map((v) => ", " + this.expr(v, FLAT));
+      const used = text.includes("\n")
+        ? text.length - text.lastIndexOf("\n") - 1
+        : at.used + text.length;
+      text += this.expr(value, { ...at, used, tail: at.tail + rest.join("").length });
+    });
+    return text;
+  }
+
+  import(node, at) {
+    const c = node.children;
+    const from = c[0] instanceof Tree && c[0].data === "import_from" ? c[0] : null;
+    if (!from) {
+      const alias = child_of(node, "import_alias");
+      const dots = c.filter((t) => t instanceof Token && t.type === "DOT");
+      const names = c.filter((t) => t instanceof Token && t.type === "NAME");
+      return `import ${dots.join("")}${names.join(".")}${this.alias(alias)}`;
+    }
+
+    const dots = from.children.filter((t) => t.type === "DOT");
+    const names = from.children.filter((t) => t.type === "NAME");
+    const prefix = `from ${dots.join("")}${names.join(".")} import `;
+    const [what, alias = null] = c.slice(1);
+    if (what instanceof Tree && what.data === "import_list") {
+      const items = [];
+      for (const child of what.children) {
+        if (child instanceof Tree) {
+          items[items.length - 1].last = child;
+        } else {
+          items.push({ first: child, last: child });
+        }
+      }
+      for (const item of items) {
+        const alias = item.last === item.first ? null : item.last;
+        item.render = () => item.first.value + this.alias(alias);
+      }
+      return prefix + this.bracket("(", ")", items, this.after(at, prefix, 0), span(node));
+    }
+    return prefix + what.value + this.alias(alias);
+  }
+
+  alias(node) {
+    return node ? ` as ${node.children[0].value}` : "";
+  }
+
+  loop_variable(node) {
+    const [name, type] = node.children;
+    return type ? `${name.value}: ${this.type(type)}` : name.value;
+  }
+
+  function_sig(sig, at, suffix) {
+    const name = sig.children[0];
+    const params = child_of(sig, "parameters");
+    const returns = child_of(sig, "returns");
+    const prefix = `def ${name.value}`;
+    const tail = (returns ? ` -> ${this.type(returns.children[0])}` : "") + suffix;
+
+    let text;
+    if (params) {
+      const items = params.children.map((param) => ({
+        first: param,
+        last: param,
+        render: (at) => this.parameter(param, at),
+      }));
+      const close = this.token_index(span(params).end_pos);
+      const end_pos = this.tokens
+        .slice(close)
+        .find((t) => t.type === "RPAR").start_pos;
+      text = this.bracket("(", ")", items, this.after(at, prefix, tail.length), {
+        start_pos: span(sig).start_pos,
+        end_pos,
+      });
+    } else {
+      text = "()";
+    }
+    return prefix + text + tail;
+  }
+
+  parameter(node, at) {
+    const [name, type, value] = node.children;
+    const decl = `${name.value}: ${this.type(type)}`;
+    if (value === undefined) {
+      return decl;
+    }
+    return `${decl} = ${this.expr(value, this.after(at, decl + " = ", 0))}`;
+  }
+
+  /**
+    Renders a type annotation, always on one line.
+  */
+  type(node) {
+    if (node instanceof Token) {
+      return node.value;
+    }
+    const c = node.children;
+    switch (node.data) {
+      case "type":
+        return this.type(c[0]);
+      case "static_array":
+        return `${this.type(c[0])}[${c[1].value}]`;
+      case "dyn_array":
+        return `DynArray[${this.type(c[0])}, ${c[1].value}]`;
+      case "bytes_type":
+        return `Bytes[${c[0].value}]`;
+      case "string_type":
+        return `String[${c[0].value}]`;
+      case "hashmap":
+        return `HashMap[${this.type(c[0])}, ${this.type(c[1])}]`;
+      case "tuple_type":
+        return `(${c.map((t) => this.type(t)).join(", ")}${c.length === 1 ? "," : ""})`;
+      default:
+        throw new TypeError(`Unexpected type node: ${node.data}`);
+    }
+  }
+
+  //
+  // Expressions
+  //
+
+  expr(node, at) {
+    if (node instanceof Token) {
+      return node.value;
+    }
+
+    const c = node.children;
+    if (node.data in UNARY_OPERATORS) {
+      const op = UNARY_OPERATORS[node.data];
+      return op + this.operand(c[0], PRECEDENCE[node.data], this.after(at, op, 0));
+    }
+    if (node.data in OPERATORS) {
+      const level = PRECEDENCE[node.data];
+      // Operators are left-associative, except `**`, whose right operand
+      // can also be a unary operation
+      const [left_level, right_level] =
+        node.data === "pow" ? [level + 1, PRECEDENCE.usub] : [level, level + 1];
+      const left = this.operand(c[0], left_level, FLAT);
+      const prefix = `${left} ${OPERATORS[node.data]} `;
+      return prefix + this.operand(c[1], right_level, this.after(at, prefix, 0));
+    }
+    if (node.data === "ternary") {
+      const [body, test, orelse] = c;
+      const prefix =
+        `${this.operand(body, PRECEDENCE.or, FLAT)} if ` +
+        `${this.operand(test, PRECEDENCE.or, FLAT)} else `;
+      return prefix + this.operand(orelse, PRECEDENCE.ternary, this.after(at, prefix, 0));
+    }
+
+    switch (node.data) {
+      case "get_var":
+        return c[0].value;
+
+      case "get_attr":
+        return `${this.expr(c[0], this.after(at, "", c[1].value.length + 1))}.${c[1].value}`;
+
+      case "get_item": {
+        const base = this.expr(c[0], FLAT);
+        // Several indexes, as in `DynArray[uint256, 3]`
+        if (c[1] instanceof Tree && c[1].data === "tuple" && c[1].children.length > 1) {
+          const items = this.expr_items(c[1].children);
+          return base + this.bracket("[", "]", items, this.after(at, base, 0), span(node));
+        }
+        return `${base}[${this.expr(c[1], this.after(at, base + "[", 1))}]`;
+      }
+
+      case "call":
+      case "struct_literal": {
+        const func = this.expr(c[0], FLAT);
+        return func + this.arguments(c[1] || null, this.after(at, func, 0), span(node));
+      }
+
+      case "range_iterator": {
+        // `bound=`, or a keyword that the compiler will reject
+        const keyword = child_of(node, "range_bound") || child_of(node, "kwarg");
+        const items = this.expr_items(c.filter((x) => x !== keyword));
+        if (keyword) {
+          const name = keyword.data === "kwarg" ? keyword.children[0].value : "bound";
+          const value = keyword.children[keyword.children.length - 1];
+          const prefix = `${name}=`;
+          items.push({
+            first: keyword,
+            last: keyword,
+            render: (at) => prefix + this.expr(value, this.after(at, prefix, 0)),
+          });
+        }
+        return "range" + this.bracket("(", ")", items, this.after(at, "range", 0), span(node));
+      }
+
+      case "external_call": {
+        const [kind, target, method, args] = c;
+        const func = `${kind.value} ${this.expr(target, FLAT)}.${method.value}`;
+        return func + this.arguments(args || null, this.after(at, func, 0), span(node));
+      }
+
+      case "skip_assign":
+        return "_";
+
+      case "tuple":
+        if (!c.length) {
+          return "(,)";
+        }
+        return this.bracket("(", ")", this.expr_items(c), at, span(node), c.length === 1);
+
+      case "list":
+        return this.bracket("[", "]", this.expr_items(c), at, span(node));
+
+      case "dict": {
+        const items = [];
+        for (let i = 0; i < c.length; i += 2) {
+          const [key, value] = [c[i], c[i + 1]];
+          items.push({
+            first: key,
+            last: value,
+            render: (at) =>
+              `${key.value}: ${this.expr(value, this.after(at, key.value + ": ", 0))}`,
+          });
+        }
+        return this.bracket("{", "}", items, at, span(node));
+      }
+
+      default:
+        throw new TypeError(`Unexpected expression node: ${node.data}`);
+    }
+  }
+
+  /**
+    Renders an operand, in parentheses if it binds looser than `level`.
+  */
+  operand(node, level, at) {
+    if (precedence(node) >= level) {
+      return this.expr(node, at);
+    }
+    return `(${this.expr(node, this.after(at, "(", 1))})`;
+  }
+
+  expr_items(nodes) {
+    return nodes.map((node) => ({
+      first: node,
+      last: node,
+      render: (at) => this.expr(node, at),
+    }));
+  }
+
+  /**
+    Renders the `(...)` of a call, decorator or `log` statement.
+  */
+  arguments(args, at, range) {
+    if (!args) {
+      return "()";
+    }
+    const items = args.children.map((arg) => ({
+      first: arg,
+      last: arg,
+      render: (at) => {
+        if (arg.data === "kwarg") {
+          const [name, value] = arg.children;
+          return `${name.value}=${this.expr(value, this.after(at, name.value + "=", 0))}`;
+        }
+        return this.expr(arg.children[0], at);
+      },
+    }));
+    return this.bracket("(", ")", items, at, range);
+  }
+
+  /**
+    Renders bracketed, comma separated items on one line if they fit and
+    hold no comments (`range` bounds where to look for them), else one item
+    per line.
+
+    @param {object[]} items `{ first, last, render(at) }`, where `first` and
+      `last` are the item's first and last nodes.
+  */
+  bracket(open, close, items, at, range, single = false) {
+    const flat =
+      open + items.map((item) => item.render(FLAT)).join(", ") + (single ? "," : "") + close;
+    if (
+      at.flat ||
+      !items.length ||
+      (at.used + flat.length + at.tail <= this.width &&
+        !this.has_comments(range.start_pos, range.end_pos))
+    ) {
+      return flat;
+    }
+
+    const level = at.level + 1;
+    const pad = this.pad(level);
+    const lines = [open];
+    items.forEach((item, i) => {
+      for (const comment of this.comments_before(span(item.first).line)) {
+        lines.push(pad + comment.value.trimEnd());
+      }
+      const comma = i + 1 < items.length || this.trailing_commas || single ? "," : "";
+      let text = pad + item.render({ level, used: pad.length, tail: 1 }) + comma;
+      const trailing = this.comments_through(span(item.last).end_line, range.end_pos);
+      if (trailing.length) {
+        text += "  " + trailing.map((c) => c.value.trimEnd()).join(" ");
+      }
+      lines.push(text);
+    });
+    for (const comment of this.comments_through(Infinity, range.end_pos)) {
+      lines.push(pad + comment.value.trimEnd());
+    }
+    lines.push(this.pad(at.level) + close);
+    return lines.join("\n");
+  }
+}
+
+function is_function(node) {
+  return node instanceof Tree && node.data === "function_def";
+}
+
+/**
+  Formats Vyper source code.
+
+  Comments and docstrings are kept, redundant parentheses are dropped, and
+  brackets that don't fit on a line are split into one item per line. The
+  result parses to a tree equal (`eq()`) to the one of `source`, and
+  formatting it again leaves it unchanged.
+
+  @param {string} source The contract source.
+  @param {object} options An object with the following optional properties:
+
+    - indent (number): spaces per indentation level (default 4)
+    - max_line_length (number): the width lines are fit in (default 100)
+    - trailing_commas (bool): end split arguments, parameters, tuples, lists
+      and dicts with a comma (default true)
+    - blank_lines (number): blank lines around top-level functions (default 2)
+    - filename (string): reported back in syntax errors
+
+  @returns {string}
+  @throws {LarkError} The first syntax error in `source`.
+*/
+function format(source, options = {}) {
+  const text = normalize_source(source);
+  const { ast, tokens, comments, errors } = parseVyper(text, {
+    filename: options.filename,
+  });
+  if (errors.length) {
+    throw errors[0].exception;
+  }
+
+  const formatter = new Formatter(text, tokens, comments, options);
+  formatter.block(ast.children, 0, { top: true });
+  return formatter.lines.join("\n") + "\n";
+}
+
+module.exports = { format, Formatter };
@@ -0,0 +1,29 @@
+"use strict";
+
+const { Indenter } = require("./vyper");
+
+/**
+  Post-lexer that turns the leading whitespace of `_NEWLINE` tokens into the
+  `_INDENT` / `_DEDENT` tokens expected by `body`, `struct_def`, `enum_def`,
+  `flag_def`, `interface_def` and `event_body`.
+
+  Newlines inside parentheses, brackets and braces are swallowed, so
+  expressions may span several lines.
+
+  @param {object} options An object with the following optional properties:
+
+    - tab_len (number): how many columns a tab character counts for (default 8)
+*/
+class VyperIndenter extends Indenter {
+  constructor({ tab_len = 8 } = {}) {
+    super();
+    this.NL_type = "_NEWLINE";
+    this.OPEN_PAREN_types = ["LPAR", "LSQB", "LBRACE"];
+    this.CLOSE_PAREN_types = ["RPAR", "RSQB", "RBRACE"];
+    this.INDENT_type = "_INDENT";
+    this.DEDENT_type = "_DEDENT";
+    this.tab_len = tab_len;
+  }
+}
+
+module.exports = { VyperIndenter };
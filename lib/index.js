@@ -1,2 +1,56 @@
 const vyper = require('./vyper')
-export default vyper
\ No newline at end of file
+const ast = require('./ast')
+const { abi } = require('./abi')
+const { keccak256 } = require('./keccak')
+const { signatures } = require('./signatures')
+const { format } = require('./formatter')
+const { cstToSource } = require('./cst')
+const { toCompilerAst } = require('./compiler-ast')
+const { VyperIndenter } = require('./indenter')
+const { get_parser, parseVyper } = require('./parser')
+const { diagnose } = require('./diagnostics')
+const { resolve_type, module_constants, format_type } = require('./types')
+const { check_implements } = require('./interfaces')
+const { literal_value, ExactDecimal, LiteralError } = require('./literals')
+const { mark_struct_literals, check_struct_literals } = require('./structs')
+const { natspec, NatSpecError } = require('./natspec')
+const { parse_pragmas, scan_pragmas, SemverRange } = require('./pragmas')
+const { DIALECTS, dialect_for } = require('./dialects')
+const { analyze_scopes, SymbolTable } = require('./scopes')
+const { check_types, TypeTable } = require('./typecheck')
+
+module.exports = {
+  ...vyper,
+  VyperIndenter,
+  get_parser,
+  parseVyper,
+  toAst: ast.toAst,
+  ast,
+  toCompilerAst,
+  abi,
+  signatures,
+  keccak256,
+  format,
+  cstToSource,
+  diagnose,
+  resolve_type,
+  module_constants,
+  format_type,
+  check_implements,
+  literal_value,
+  ExactDecimal,
+  LiteralError,
+  mark_struct_literals,
+  check_struct_literals,
+  natspec,
+  NatSpecError,
+  parse_pragmas,
+  scan_pragmas,
+  SemverRange,
+  DIALECTS,
+  dialect_for,
+  analyze_scopes,
+  SymbolTable,
+  check_types,
+  TypeTable,
+}
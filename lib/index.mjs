@@ -0,0 +1,50 @@
+import vyper from './index.js'
+
+export const {
+  get_parser,
+  parseVyper,
+  toAst,
+  ast,
+  toCompilerAst,
+  abi,
+  signatures,
+  keccak256,
+  format,
+  cstToSource,
+  diagnose,
+  resolve_type,
+  module_constants,
+  format_type,
+  check_implements,
+  literal_value,
+  ExactDecimal,
+  LiteralError,
+  mark_struct_literals,
+  check_struct_literals,
+  natspec,
+  NatSpecError,
+  parse_pragmas,
+  scan_pragmas,
+  SemverRange,
+  DIALECTS,
+  dialect_for,
+  analyze_scopes,
+  SymbolTable,
+  check_types,
+  TypeTable,
+  VyperIndenter,
+  Lark,
+  Tree,
+  Token,
+  Transformer,
+  Visitor,
+  Interpreter,
+  LarkError,
+  UnexpectedInput,
+  UnexpectedToken,
+  UnexpectedCharacters,
+  UnexpectedEOF,
+  DedentError,
+} = vyper
+
+export default vyper
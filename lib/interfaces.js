@@ -0,0 +1,176 @@
+"use strict";
+
+const { Tree } = require("./vyper");
+const ast = require("./ast");
+
+// From the most to the least restrictive
+const MUTABILITIES = ["pure", "view", "nonpayable", "payable"];
+
+/**
+  Spells out a type annotation of the typed AST, to compare two of them.
+*/
+function type_text(node) {
+  if (node === null) {
+    return "None";
+  }
+  if (node instanceof ast.Name) {
+    return node.id;
+  }
+  if (node instanceof ast.Attribute) {
+    return `${type_text(node.value)}.${node.attr}`;
+  }
+  if (node instanceof ast.Subscript) {
+    return `${type_text(node.value)}[${type_text(node.slice)}]`;
+  }
+  if (node instanceof ast.Tuple) {
+    return `(${node.elements.map(type_text).join(", ")})`;
+  }
+  if (node instanceof ast.Constant) {
+    return String(node.value);
+  }
+  throw new TypeError(`Unexpected type annotation: ${node.ast_type}`);
+}
+
+/**
+  The argument and return types of the getter of a public variable: one
+  argument per `HashMap` key or array index.
+*/
+function getter_signature(annotation) {
+  const args = [];
+  let node = annotation;
+  while (node instanceof ast.Subscript) {
+    const keyword = node.value instanceof ast.Name ? node.value.id : null;
+    if (keyword === "HashMap") {
+      args.push(type_text(node.slice.elements[0]));
+      node = node.slice.elements[1];
+    } else if (keyword === "DynArray") {
+      args.push("uint256");
+      node = node.slice.elements[0];
+    } else if (keyword === "Bytes" || keyword === "String") {
+      break;
+    } else {
+      args.push("uint256");
+      node = node.value;
+    }
+  }
+  return { args, returns: type_text(node) };
+}
+
+function mutability_of(fn) {
+  const names = fn.decorator_list.map((d) => (d instanceof ast.Call ? d.func.id : d.id));
+  return names.find((name) => MUTABILITIES.includes(name)) || "nonpayable";
+}
+
+function is_external(fn) {
+  return fn.decorator_list.some((d) => d instanceof ast.Name && d.id === "external");
+}
+
+/**
+  Compares an implementation (a function, or a public variable and its
+  getter) with the function of the interface it implements, returning what
+  doesn't match. Getters are `view`, which suits any interface function.
+*/
+function function_problems(iface, fn, expected) {
+  const problems = [];
+  const expected_args = expected.args.map((a) => type_text(a.annotation));
+  if (fn instanceof ast.VariableDecl) {
+    const getter = getter_signature(fn.annotation);
+    if (getter.args.join(", ") !== expected_args.join(", ")) {
+      problems.push(
+        `The getter of \`${fn.target.id}\` takes (${getter.args.join(", ")}), ` +
+          `but \`${iface.name}\` declares (${expected_args.join(", ")})`
+      );
+    }
+    const expected_returns = type_text(expected.returns);
+    if (getter.returns !== expected_returns) {
+      problems.push(
+        `The getter of \`${fn.target.id}\` returns ${getter.returns}, ` +
+          `but \`${iface.name}\` declares ${expected_returns}`
+      );
+    }
+    return problems;
+  }
+
+  const args = fn.args.map((a) => type_text(a.annotation));
+  if (!is_external(fn)) {
+    problems.push(`\`${fn.name}\` must be @external to implement \`${iface.name}\``);
+  }
+  if (args.join(", ") !== expected_args.join(", ")) {
+    problems.push(
+      `\`${fn.name}\` takes (${args.join(", ")}), ` +
+        `but \`${iface.name}\` declares (${expected_args.join(", ")})`
+    );
+  }
+  const returns = type_text(fn.returns);
+  const expected_returns = type_text(expected.returns);
+  if (returns !== expected_returns) {
+    problems.push(
+      `\`${fn.name}\` returns ${returns}, but \`${iface.name}\` declares ${expected_returns}`
+    );
+  }
+  const mutability = mutability_of(fn);
+  if (MUTABILITIES.indexOf(mutability) > MUTABILITIES.indexOf(expected.mutability)) {
+    problems.push(
+      `\`${fn.name}\` is ${mutability}, but \`${iface.name}\` declares it ${expected.mutability}`
+    );
+  }
+  return problems;
+}
+
+/**
+  Checks that a contract defines every function of the interfaces it
+  `implements:`, with the same argument and return types, `@external` and
+  at most as much mutability (a `view` function can implement a
+  `nonpayable` one, not the other way round). Public variables implement
+  the functions their getters match.
+
+  Only interfaces defined with `interface` in the same module are checked:
+  those imported from other files are skipped.
+
+  @param {Tree|Module} tree A `module` tree from the parser, or its typed AST.
+  @returns {object[]} The problems found, as `{ interface, name, message,
+    span }`, where `name` is the interface function's and `span` locates the
+    implementation, or the `implements:` statement when there is none.
+*/
+function check_implements(tree) {
+  const module = tree instanceof Tree ? ast.toAst(tree) : tree;
+  const interfaces = new Map();
+  const functions = new Map();
+  for (const node of module.body) {
+    if (node instanceof ast.InterfaceDef) {
+      interfaces.set(node.name, node);
+    } else if (node instanceof ast.FunctionDef) {
+      functions.set(node.name, node);
+    } else if (node instanceof ast.VariableDecl && node.is_public) {
+      functions.set(node.target.id, node);
+    }
+  }
+
+  const result = [];
+  for (const decl of module.body) {
+    if (!(decl instanceof ast.ImplementsDecl) || !(decl.annotation instanceof ast.Name)) {
+      continue;
+    }
+    const iface = interfaces.get(decl.annotation.id);
+    if (!iface) {
+      continue;
+    }
+    for (const expected of iface.body.filter((f) => f instanceof ast.InterfaceFunction)) {
+      const fn = functions.get(expected.name);
+      const messages = fn
+        ? function_problems(iface, fn, expected)
+        : [`Missing function \`${expected.name}\` of interface \`${iface.name}\``];
+      for (const message of messages) {
+        result.push({
+          interface: iface.name,
+          name: expected.name,
+          message,
+          span: fn ? fn.span : decl.span,
+        });
+      }
+    }
+  }
+  return result;
+}
+
+module.exports = { check_implements };
@@ -0,0 +1,116 @@
+"use strict";
+
+/*
+  Keccak-256 as used by Ethereum (the original Keccak padding, not SHA3-256).
+  Lanes of the 5x5 state are 64 bits wide and kept as two 32-bit halves: the
+  low word of lane `i` at `state[2 * i]`, the high word at `state[2 * i + 1]`.
+*/
+
+const RATE = 136;
+
+// Round constants, as [low, high] words
+const ROUND_CONSTANTS = [
+  "0000000000000001", "0000000000008082", "800000000000808a", "8000000080008000",
+  "000000000000808b", "0000000080000001", "8000000080008081", "8000000000008009",
+  "000000000000008a", "0000000000000088", "0000000080008009", "000000008000000a",
+  "000000008000808b", "800000000000008b", "8000000000008089", "8000000000008003",
+  "8000000000008002", "8000000000000080", "000000000000800a", "800000008000000a",
+  "8000000080008081", "8000000000008080", "0000000080000001", "8000000080008008",
+].map((hex) => [parseInt(hex.slice(8), 16), parseInt(hex.slice(0, 8), 16)]);
+
+// Rotation offsets, by lane index x + 5 * y
+const ROTATIONS = [
+  0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56,
+  14,
+];
+
+function rotate(lo, hi, n) {
+  if (n >= 32) {
+    [lo, hi] = [hi, lo];
+    n -= 32;
+  }
+  if (n === 0) {
+    return [lo >>> 0, hi >>> 0];
+  }
+  return [((lo << n) | (hi >>> (32 - n))) >>> 0, ((hi << n) | (lo >>> (32 - n))) >>> 0];
+}
+
+function keccak_f(state) {
+  const c = new Uint32Array(10);
+  const b = new Uint32Array(50);
+  for (const [rc_lo, rc_hi] of ROUND_CONSTANTS) {
+    // θ
+    for (let x = 0; x < 5; x++) {
+      for (let w = 0; w < 2; w++) {
+        const i = 2 * x + w;
+        c[i] = state[i] ^ state[i + 10] ^ state[i + 20] ^ state[i + 30] ^ state[i + 40];
+      }
+    }
+    for (let x = 0; x < 5; x++) {
+      const prev = (x + 4) % 5;
+      const next = (x + 1) % 5;
+      const [lo, hi] = rotate(c[2 * next], c[2 * next + 1], 1);
+      const d_lo = c[2 * prev] ^ lo;
+      const d_hi = c[2 * prev + 1] ^ hi;
+      for (let y = 0; y < 5; y++) {
+        state[2 * (x + 5 * y)] ^= d_lo;
+        state[2 * (x + 5 * y) + 1] ^= d_hi;
+      }
+    }
+    // ρ and π
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        const i = x + 5 * y;
+        const j = y + 5 * ((2 * x + 3 * y) % 5);
+        [b[2 * j], b[2 * j + 1]] = rotate(state[2 * i], state[2 * i + 1], ROTATIONS[i]);
+      }
+    }
+    // χ
+    for (let y = 0; y < 5; y++) {
+      for (let x = 0; x < 5; x++) {
+        const i = 2 * (x + 5 * y);
+        const i1 = 2 * (((x + 1) % 5) + 5 * y);
+        const i2 = 2 * (((x + 2) % 5) + 5 * y);
+        state[i] = b[i] ^ (~b[i1] & b[i2]);
+        state[i + 1] = b[i + 1] ^ (~b[i1 + 1] & b[i2 + 1]);
+      }
+    }
+    // ι
+    state[0] ^= rc_lo;
+    state[1] ^= rc_hi;
+  }
+}
+
+/**
+  Returns the Keccak-256 hash of `data`.
+
+  @param {string|Uint8Array} data Strings are hashed as UTF-8.
+  @returns {Uint8Array} 32 bytes.
+*/
+function keccak256(data) {
+  const bytes = typeof data === "string" ? new TextEncoder().encode(data) : data;
+
+  // Pad to a multiple of the rate with 0x01 0x00 ... 0x80
+  const padded = new Uint8Array((Math.floor(bytes.length / RATE) + 1) * RATE);
+  padded.set(bytes);
+  padded[bytes.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = new Uint32Array(50);
+  const view = new DataView(padded.buffer);
+  for (let offset = 0; offset < padded.length; offset += RATE) {
+    for (let i = 0; i < RATE / 4; i++) {
+      state[i] ^= view.getUint32(offset + 4 * i, true);
+    }
+    keccak_f(state);
+  }
+
+  const digest = new Uint8Array(32);
+  const out = new DataView(digest.buffer);
+  for (let i = 0; i < 8; i++) {
+    out.setUint32(4 * i, state[i], true);
+  }
+  return digest;
+}
+
+module.exports = { keccak256 };
@@ -753,7 +753,7 @@ class Tree {
   _pretty(level, indent_str) {
     if (this.children.length === 1 && !(this.children[0] instanceof Tree)) {
       return [
-        indent_str * level,
+        indent_str.repeat(level),
         this._pretty_label(),
         "\t",
         format("%s", this.children[0]),
@@ -761,12 +761,12 @@ class Tree {
       ];
     }
 
-    let l = [indent_str * level, this._pretty_label(), "\n"];
+    let l = [indent_str.repeat(level), this._pretty_label(), "\n"];
     for (const n of this.children) {
       if (n instanceof Tree) {
         l.push(...n._pretty(level + 1, indent_str));
       } else {
-        l.push(...[indent_str * (level + 1), format("%s", n), "\n"]);
+        l.push(...[indent_str.repeat(level + 1), format("%s", n), "\n"]);
       }
     }
 
@@ -785,19 +785,20 @@ class Tree {
 
   eq(other) {
     if (
-      other &&
-      this &&
-      other &&
-      this &&
-      other.children &&
-      this.children &&
-      other.data &&
-      this.data
+      !(other instanceof Tree) ||
+      this.data !== other.data ||
+      this.children.length !== other.children.length
     ) {
-      return this.data === other.data && this.children === other.children;
-    } else {
       return false;
     }
+
+    return this.children.every((child, i) => {
+      const other_child = other.children[i];
+      if (child instanceof Tree || child instanceof Token) {
+        return child.eq(other_child);
+      }
+      return child === other_child;
+    });
   }
 
   /**
@@ -1608,6 +1609,10 @@ class Token {
     return format("Token(%r, %r)", this.type, this.value);
   }
 
+  toString() {
+    return String(this.value);
+  }
+
   eq(other) {
     if (other instanceof Token && this.type !== other.type) {
       return false;
@@ -1740,13 +1745,15 @@ function _create_unless(terminals, g_regex_flags, re_, use_bytes) {
         - spaces (\s)
     
   */
-function _regexp_has_newline(r) {
+function _regexp_has_newline(r, flags = []) {
   return (
     r.includes("\n") ||
     r.includes("\\n") ||
     r.includes("\\s") ||
     r.includes("[^") ||
-    (r.includes("(?s") && r.includes("."))
+    (r.includes("(?s") && r.includes(".")) ||
+    // Flags are kept apart from the pattern in JavaScript
+    (flags.includes("s") && r.includes("."))
   );
 }
 
@@ -1831,7 +1838,7 @@ class TraditionalLexer extends Lexer {
     // Init
     this.newline_types = frozenset(
       terminals
-        .filter((t) => _regexp_has_newline(t.pattern.to_regexp()))
+        .filter((t) => _regexp_has_newline(t.pattern.to_regexp(), t.pattern.flags))
         .map((t) => t.name)
     );
     this.ignore_types = frozenset(conf.ignore);
@@ -1910,8 +1917,10 @@ class TraditionalLexer extends Lexer {
     while (line_ctr.char_pos < lex_state.text.length) {
       res = this.match(lex_state.text, line_ctr.char_pos);
       if (!res) {
-        allowed = this.scanner.allowed_types - this.ignore_types;
-        if (!allowed) {
+        allowed = new Set(
+          [...this.scanner.allowed_types].filter((t) => !this.ignore_types.has(t))
+        );
+        if (!allowed.size) {
           allowed = new Set(["<END-OF-FILE>"]);
         }
 
@@ -2231,16 +2240,15 @@ class _PropagatePositions {
         return c;
       }
     }
+
+    return null;
   }
 }
 
 const PropagatePositions = callable_class(_PropagatePositions);
 function make_propagate_positions(option) {
   if (callable(option)) {
-    return partial({
-      unknown_param_0: PropagatePositions,
-      node_filter: option,
-    });
+    return (node_builder) => PropagatePositions(node_builder, option);
   } else if (option === true) {
     return PropagatePositions;
   } else if (option === false) {
@@ -2425,7 +2433,8 @@ class ParseTreeBuilder {
     tree_class,
     propagate_positions = false,
     ambiguous = false,
-    maybe_placeholders = false
+    maybe_placeholders = false,
+    keep_all_tokens = false
   ) {
     if (ambiguous) {
       throw new ConfigurationError("Ambiguous not supported")
@@ -2434,6 +2443,7 @@ class ParseTreeBuilder {
     this.tree_class = tree_class;
     this.propagate_positions = propagate_positions;
     this.maybe_placeholders = maybe_placeholders;
+    this.keep_all_tokens = keep_all_tokens;
     this.rule_builders = [...this._init_builders(rules)];
   }
 
@@ -2444,7 +2454,7 @@ class ParseTreeBuilder {
     );
     for (const rule of rules) {
       options = rule.options;
-      keep_all_tokens = options.keep_all_tokens;
+      keep_all_tokens = this.keep_all_tokens || options.keep_all_tokens;
       expand_single_child = options.expand1;
       wrapper_chain = [
         ...filter(null, [
@@ -2702,7 +2712,7 @@ class _Parser {
     // Main LALR-parser loop
     try {
       token = null;
-      for (const token of state.lexer.lex(state)) {
+      for (token of state.lexer.lex(state)) {
         state.feed_token(token);
       }
 
@@ -3465,7 +3475,8 @@ class Lark extends Serialize {
         this.options.tree_class || make_constructor(Tree),
         this.options.propagate_positions,
         this.options.parser !== "lalr" && this.options.ambiguity === "explicit",
-        this.options.maybe_placeholders
+        this.options.maybe_placeholders,
+        this.options.keep_all_tokens
       );
       this._callbacks = this._parse_tree_builder.create_callback(
         this.options.transformer
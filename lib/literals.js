@@ -0,0 +1,230 @@
+"use strict";
+
+class LiteralError extends Error {
+  /**
+    @param {string} message
+    @param {Token} token The literal's token.
+    @param {number} offset Where the mistake is in the token's text.
+  */
+  constructor(message, token, offset = 0) {
+    super(message);
+    this.token = token;
+    this.offset = offset;
+    this.line = token.line;
+    this.column = typeof token.column === "number" ? token.column + offset : null;
+  }
+}
+
+/**
+  A decimal number, kept exact: its value is `digits * 10 ** exponent`,
+  with no trailing zeros in `digits`.
+*/
+class ExactDecimal {
+  constructor(digits, exponent = 0) {
+    while (digits !== 0n && digits % 10n === 0n) {
+      digits /= 10n;
+      exponent += 1;
+    }
+    this.digits = digits;
+    this.exponent = digits === 0n ? 0 : exponent;
+  }
+
+  /**
+    Parses a decimal literal, like `1.5`, `.5`, `2.` or `1e-3`.
+  */
+  static parse(text) {
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+    if (!match || (match[2] === "" && !match[3])) {
+      throw new SyntaxError(`Invalid decimal: ${text}`);
+    }
+    const [, sign, whole, fraction = "", exponent = "0"] = match;
+    const digits = BigInt((whole || "0") + fraction);
+    const scale = Number(exponent) - fraction.length;
+    return new ExactDecimal(sign === "-" ? -digits : digits, scale);
+  }
+
+  equals(other) {
+    return (
+      other instanceof ExactDecimal &&
+      this.digits === other.digits &&
+      this.exponent === other.exponent
+    );
+  }
+
+  /**
+    The value in plain notation, without an exponent: `1.5`, `0.001`, `1000`.
+  */
+  toString() {
+    const negative = this.digits < 0n;
+    let text = (negative ? -this.digits : this.digits).toString();
+    if (this.exponent >= 0) {
+      text += "0".repeat(this.exponent);
+    } else {
+      text = text.padStart(-this.exponent + 1, "0");
+      text = `${text.slice(0, this.exponent)}.${text.slice(this.exponent)}`;
+    }
+    return (negative ? "-" : "") + text;
+  }
+}
+
+const SIMPLE_ESCAPES = {
+  "\n": "",
+  "\\": "\\",
+  "'": "'",
+  '"': '"',
+  a: "\x07",
+  b: "\b",
+  f: "\f",
+  n: "\n",
+  r: "\r",
+  t: "\t",
+  v: "\v",
+};
+
+// Escapes of a fixed number of hex digits: `\x` everywhere, `\u` and `\U` in
+// strings only
+const HEX_ESCAPES = { x: 2, u: 4, U: 8 };
+
+/**
+  Decodes the escapes of a string or bytes literal's body, as Python does.
+  Unknown escapes (`\q`) are kept as they are.
+
+  @returns {number[]} The code points (for strings) or bytes.
+*/
+function _unescape(body, is_bytes, token, start) {
+  const result = [];
+  let i = 0;
+  while (i < body.length) {
+    const code = body.codePointAt(i);
+    const char = String.fromCodePoint(code);
+    if (char !== "\\") {
+      if (is_bytes && code > 0x7f) {
+        throw new LiteralError(
+          "Bytes literals can only hold ASCII characters",
+          token,
+          start + i
+        );
+      }
+      result.push(code);
+      i += char.length;
+      continue;
+    }
+
+    const escape = body[i + 1];
+    if (escape === undefined) {
+      throw new LiteralError("Unterminated escape sequence", token, start + i);
+    }
+    if (escape in SIMPLE_ESCAPES) {
+      if (SIMPLE_ESCAPES[escape]) {
+        result.push(SIMPLE_ESCAPES[escape].charCodeAt(0));
+      }
+      i += 2;
+    } else if (/[0-7]/.test(escape)) {
+      const digits = /^[0-7]{1,3}/.exec(body.slice(i + 1))[0];
+      const value = parseInt(digits, 8);
+      if (is_bytes && value > 0xff) {
+        throw new LiteralError(`Invalid octal escape \\${digits}`, token, start + i);
+      }
+      result.push(value);
+      i += 1 + digits.length;
+    } else if (escape in HEX_ESCAPES && (escape === "x" || !is_bytes)) {
+      const length = HEX_ESCAPES[escape];
+      const digits = body.slice(i + 2, i + 2 + length);
+      if (!new RegExp(`^[0-9a-f]{${length}}$`, "i").test(digits)) {
+        throw new LiteralError(
+          `Malformed \\${escape} escape: expected ${length} hex digits`,
+          token,
+          start + i
+        );
+      }
+      const value = parseInt(digits, 16);
+      if (value > 0x10ffff) {
+        throw new LiteralError(`Invalid code point \\${escape}${digits}`, token, start + i);
+      }
+      result.push(value);
+      i += 2 + length;
+    } else if (escape === "N" && !is_bytes) {
+      throw new LiteralError("Named Unicode escapes are not supported", token, start + i);
+    } else {
+      result.push(0x5c);
+      i += 1;
+    }
+  }
+  return result;
+}
+
+/**
+  Splits a string token into its prefix, and its body without the quotes.
+*/
+function _string_parts(text) {
+  const prefix = /^[a-z]*/i.exec(text)[0];
+  const quote = text.slice(prefix.length, prefix.length + 3);
+  const width = quote === '"""' || quote === "'''" ? 3 : 1;
+  return {
+    prefix: prefix.toLowerCase(),
+    start: prefix.length + width,
+    body: text.slice(prefix.length + width, text.length - width),
+  };
+}
+
+function _hex_bytes(body, token, start) {
+  if (!/^[0-9a-f]*$/i.test(body)) {
+    const offset = body.search(/[^0-9a-f]/i);
+    throw new LiteralError("Hex literals can only hold hex digits", token, start + offset);
+  }
+  if (body.length % 2) {
+    throw new LiteralError("Hex literals need an even number of digits", token, start);
+  }
+  const bytes = new Uint8Array(body.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(body.slice(2 * i, 2 * i + 2), 16);
+  }
+  return bytes;
+}
+
+/**
+  Evaluates a literal token of the parse tree:
+
+    - `DEC_NUMBER`, `HEX_NUMBER`, `OCT_NUMBER` and `BIN_NUMBER`: a BigInt
+    - `FLOAT_NUMBER`: an {@link ExactDecimal}
+    - `STRING` and `DOCSTRING`: the string, with its escapes decoded
+    - `b"..."` strings and `HEX_STRING` (`x"deadbeef"`): a `Uint8Array`
+    - `BOOL`: a boolean
+
+  @param {Token} token
+  @returns {bigint|ExactDecimal|string|Uint8Array|boolean}
+  @throws {LiteralError} For malformed escapes, hex literals or numbers.
+*/
+function literal_value(token) {
+  const text = token.value;
+  switch (token.type) {
+    case "DEC_NUMBER":
+    case "HEX_NUMBER":
+    case "OCT_NUMBER":
+    case "BIN_NUMBER":
+      if (/^0[xob]$/i.test(text)) {
+        throw new LiteralError(`Number without digits: ${text}`, token, 2);
+      }
+      return BigInt(text.toLowerCase());
+    case "FLOAT_NUMBER":
+      return ExactDecimal.parse(text);
+    case "BOOL":
+      return text === "True";
+    case "HEX_STRING": {
+      const { body, start } = _string_parts(text);
+      return _hex_bytes(body, token, start);
+    }
+    case "STRING":
+    case "DOCSTRING": {
+      const { prefix, body, start } = _string_parts(text);
+      if (prefix === "b") {
+        return Uint8Array.from(_unescape(body, true, token, start));
+      }
+      return String.fromCodePoint(..._unescape(body, false, token, start));
+    }
+    default:
+      throw new TypeError(`Not a literal: ${token.type}`);
+  }
+}
+
+module.exports = { literal_value, ExactDecimal, LiteralError };
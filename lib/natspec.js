@@ -0,0 +1,192 @@
+"use strict";
+
+const { Tree } = require("./vyper");
+const ast = require("./ast");
+const { AbiTypes, function_abi } = require("./abi");
+const { canonical_signature } = require("./signatures");
+
+class NatSpecError extends Error {
+  /**
+    @param {string} message
+    @param {object} position The `line` and `column` of the mistake.
+  */
+  constructor(message, { line, column }) {
+    super(message);
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const SINGLE_FIELDS = ["title", "author", "license", "notice", "dev"];
+const PARSE_FIELDS = ["param", "return"];
+const RENAMED = { return: "returns", dev: "details", param: "params" };
+
+// A tag starts a line, and runs until the next one
+const TAG = /(?:^|\n)\s*@(\S+)\s*([\s\S]*?)(?=\n\s*@\S|\s*$)/g;
+
+function _words(text) {
+  return text.split(/\s+/).filter(Boolean).join(" ");
+}
+
+/**
+  Where `offset` in the value of a docstring is, in the source. Escapes are
+  assumed to take as much room as what they stand for.
+*/
+function _position(doc_string, offset) {
+  const before = doc_string.value.slice(0, offset);
+  const nl = before.lastIndexOf("\n");
+  const { line, column } = doc_string.span || { line: null, column: null };
+  if (line === null) {
+    return { line: null, column: null };
+  }
+  return {
+    line: line + before.split("\n").length - 1,
+    column: nl === -1 ? column + 3 + offset : offset - nl,
+  };
+}
+
+/**
+  Parses the tags of a docstring, as the compiler does.
+
+  @param {Str} doc_string
+  @param {string[]} invalid_fields Tags this docstring can't have.
+  @param {string[]} params The function's parameters.
+  @param {number} return_length How many values the function returns.
+*/
+function _parse_docstring(doc_string, invalid_fields, params = [], return_length = 0) {
+  if (doc_string.error) {
+    throw new NatSpecError(doc_string.error.message, doc_string.error);
+  }
+  const docstring = doc_string.value;
+  const natspec = {};
+  let position = null;
+  const fail = (message) => {
+    throw new NatSpecError(message, position);
+  };
+
+  for (const match of docstring.matchAll(TAG)) {
+    let [, tag, value] = match;
+    position = _position(doc_string, match.index + match[0].indexOf("@") + 1);
+
+    if (![...SINGLE_FIELDS, ...PARSE_FIELDS].includes(tag) && !tag.startsWith("custom:")) {
+      fail(`Unknown NatSpec field '@${tag}'`);
+    }
+    if (invalid_fields.includes(tag)) {
+      fail(`'@${tag}' is not a valid field for this docstring`);
+    }
+    if (!value || value.startsWith("@")) {
+      fail(`No description given for tag '@${tag}'`);
+    }
+
+    if (!PARSE_FIELDS.includes(tag)) {
+      if (tag in natspec) {
+        fail(`Duplicate NatSpec field '@${tag}'`);
+      }
+      natspec[RENAMED[tag] || tag] = _words(value);
+      continue;
+    }
+
+    tag = RENAMED[tag];
+    natspec[tag] = natspec[tag] || {};
+    let key;
+    if (tag === "params") {
+      [key] = value.split(/\s+/);
+      value = value.slice(key.length).trim();
+      if (!value) {
+        fail(`No description given for parameter '${key}'`);
+      }
+      if (!params.includes(key)) {
+        fail(`Method has no parameter '${key}'`);
+      }
+    } else {
+      if (!return_length) {
+        fail("Method does not return any values");
+      }
+      const documented = Object.keys(natspec.returns).length;
+      if (documented >= return_length) {
+        fail("Number of documented return values exceeds actual number");
+      }
+      key = `_${documented}`;
+    }
+
+    if (key in natspec[tag]) {
+      fail(`Parameter '${key}' documented more than once`);
+    }
+    natspec[tag][key] = _words(value);
+  }
+
+  if (!Object.keys(natspec).length) {
+    natspec.notice = _words(docstring);
+  } else if (!docstring.trim().startsWith("@")) {
+    fail("NatSpec docstring opens with untagged comment");
+  }
+  return natspec;
+}
+
+/**
+  Returns the NatSpec documentation of a contract, as the compiler's
+  `userdoc` and `devdoc` outputs.
+
+  It is read from the module's docstring (`@title`, `@author`, `@license`,
+  `@notice`, `@dev` and `@custom:*` tags) and from those of its external
+  functions (also `@param` and `@return`, but not `@title` or `@license`),
+  which are documented under their signatures, one per overload. A docstring
+  without tags is a `@notice`.
+
+  @param {Tree|Module} tree A `module` tree from the parser, or its typed AST.
+  @returns {object} `{ userdoc, devdoc }`
+  @throws {NatSpecError} For unknown, repeated or malformed tags, tags that
+    don't match the function they document, and malformed docstrings.
+*/
+function natspec(tree) {
+  const module = tree instanceof Tree ? ast.toAst(tree) : tree;
+  const userdoc = {};
+  const devdoc = {};
+
+  if (module.doc_string) {
+    Object.assign(devdoc, _parse_docstring(module.doc_string, PARSE_FIELDS));
+    if ("notice" in devdoc) {
+      userdoc.notice = devdoc.notice;
+      delete devdoc.notice;
+    }
+  }
+
+  const types = new AbiTypes(module);
+  for (const node of module.body) {
+    if (!(node instanceof ast.FunctionDef) || !node.doc_string) {
+      continue;
+    }
+    const entries = function_abi(types, node).filter((e) => e.type === "function");
+    if (!entries.length) {
+      continue;
+    }
+
+    const { returns } = node;
+    let return_length = returns === null ? 0 : 1;
+    if (returns instanceof ast.Tuple) {
+      return_length = returns.elements.length;
+    }
+    const { notice, ...dev } = _parse_docstring(
+      node.doc_string,
+      ["title", "license"],
+      node.args.map((a) => a.name),
+      return_length
+    );
+    // Each signature of a function with default arguments has the same docs
+    for (const entry of entries) {
+      const signature = canonical_signature(entry);
+      if (notice !== undefined) {
+        userdoc.methods = userdoc.methods || {};
+        userdoc.methods[signature] = { notice };
+      }
+      if (Object.keys(dev).length) {
+        devdoc.methods = devdoc.methods || {};
+        devdoc.methods[signature] = { ...dev };
+      }
+    }
+  }
+
+  return { userdoc, devdoc };
+}
+
+module.exports = { natspec, NatSpecError };
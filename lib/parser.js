@@ -0,0 +1,415 @@
+"use strict";
+
+const vyper = require("./vyper");
+const { VyperIndenter } = require("./indenter");
+const { attach_trivia, leaves } = require("./cst");
+const { RecoveringParser, TolerantIndenter } = require("./recovery");
+const { diagnose } = require("./diagnostics");
+const { mark_struct_literals } = require("./structs");
+const { parse_pragmas, scan_pragmas } = require("./pragmas");
+const { dialect_for, resolve_dialect, get_dialect_parser } = require("./dialects");
+
+const { PostLex, Tree, Token, LarkError, UnexpectedInput, ConfigurationError } = vyper;
+
+const LAYOUT_TOKENS = new Set(["_NEWLINE", "_INDENT", "_DEDENT"]);
+
+/**
+  Node filter for `propagate_positions`: a node's position never includes
+  the line break and indentation that follow it.
+*/
+function skip_layout(child) {
+  return !(child instanceof Token && LAYOUT_TOKENS.has(child.type));
+}
+
+/**
+  Returns a Lark parser for Vyper source code.
+
+  Same as the generated `get_parser()`, except that a {@link VyperIndenter}
+  is used as the post-lexer unless `options.postlex` says otherwise, and that
+  `propagate_positions: true` leaves out trailing newlines and dedents.
+
+  By default, the grammar is that of the latest Vyper version, which also
+  takes some older syntax (untyped loop variables, `enum`). With
+  `options.vyperVersion`, it is the grammar of that version's dialect
+  instead: older ones don't have the newer statements and operators, and
+  the newer keywords (`extcall`, `flag`...) are names there.
+
+  @param {object} options Any option accepted by the generated `get_parser()`, plus:
+
+    - postlex (PostLex|null): replaces the default indenter. Pass `null` to
+      get the raw token stream, without `_INDENT` / `_DEDENT` tokens.
+    - vyperVersion (string|SemverRange): the Vyper version to parse, as
+      accepted by {@link dialect_for}
+
+  @returns {Lark} The parser, whose `dialect` is the dialect it parses (or
+    null for the default grammar).
+  @throws {ConfigurationError} If no dialect matches `vyperVersion`.
+*/
+function get_parser(options = {}) {
+  const { vyperVersion = null, ...rest } = options;
+  const postlex =
+    options.postlex === undefined ? new VyperIndenter() : options.postlex;
+  const propagate_positions =
+    options.propagate_positions === true
+      ? skip_layout
+      : options.propagate_positions;
+  if (vyperVersion === null) {
+    const parser = vyper.get_parser({ ...rest, postlex, propagate_positions });
+    parser.dialect = null;
+    return parser;
+  }
+  const dialect = resolve_dialect(vyperVersion);
+  const parser = get_dialect_parser(dialect, { ...rest, postlex, propagate_positions });
+  parser.dialect = dialect;
+  return parser;
+}
+
+//
+// parseVyper
+//
+
+/**
+  Post-lexer that records the tokens flowing through another post-lexer.
+
+  Comments are picked out of the raw `_NEWLINE` tokens *before* they reach
+  the indenter, because newlines inside brackets never make it past it.
+
+  With `cst`, the skipped tokens are kept as `trivia` (the lexer callbacks
+  add the ignored ones), and `_INDENT` / `_DEDENT` are given an empty value,
+  as they take no room in the source.
+*/
+class TokenCollector extends PostLex {
+  constructor(postlex, { cst = false } = {}) {
+    super();
+    this.postlex = postlex;
+    this.cst = cst;
+    this.reset();
+  }
+
+  reset() {
+    this.tokens = [];
+    this.comments = [];
+    this.trivia = [];
+    this.newlines = [];
+    this.last_token = null;
+  }
+
+  *_raw(stream) {
+    for (const token of stream) {
+      this.last_token = token;
+      if (token.type === "_NEWLINE") {
+        this.comments.push(...comments_in(token));
+        this.newlines.push(token);
+      } else if (token.type === "COMMENT") {
+        this.comments.push(token);
+      }
+      yield token;
+    }
+  }
+
+  *process(stream) {
+    for (let token of this.postlex.process(this._raw(stream))) {
+      if (this.cst && (token.type === "_INDENT" || token.type === "_DEDENT")) {
+        token = Token.new_borrow_pos(token.type, "", token);
+      }
+      this.tokens.push(token);
+      yield token;
+    }
+  }
+
+  /**
+    Returns the skipped tokens: those the lexer ignored, and the `_NEWLINE`s
+    the indenter dropped.
+  */
+  skipped() {
+    const seen = new Set(this.tokens);
+    return [...this.trivia, ...this.newlines.filter((t) => !seen.has(t))];
+  }
+
+  get always_accept() {
+    return this.postlex.always_accept;
+  }
+}
+
+/**
+  Splits the comments out of a `_NEWLINE` token, with their own positions.
+*/
+function comments_in(newline) {
+  const comments = [];
+  const re = /#[^\r\n]*/g;
+  let m;
+  while ((m = re.exec(newline.value)) !== null) {
+    const before = newline.value.slice(0, m.index);
+    const nl = before.lastIndexOf("\n");
+    const line = newline.line + (before.split("\n").length - 1);
+    const column = nl === -1 ? newline.column + m.index : m.index - nl;
+    const start_pos = newline.start_pos + m.index;
+    comments.push(
+      new Token(
+        "COMMENT",
+        m[0],
+        start_pos,
+        line,
+        column,
+        line,
+        column + m[0].length,
+        start_pos + m[0].length
+      )
+    );
+  }
+  return comments;
+}
+
+/**
+  Normalizes line endings to `\n` and makes sure the source ends with one,
+  so the last statement gets its `_NEWLINE`.
+*/
+function normalize_source(source) {
+  const text = source.replace(/\r\n?/g, "\n");
+  return text.endsWith("\n") ? text : text + "\n";
+}
+
+/**
+  Ignored tokens reach the lexer callbacks without an end position.
+*/
+function _set_end(t) {
+  if (t.end_pos === null) {
+    const lines = t.value.split("\n");
+    t.end_line = t.line + lines.length - 1;
+    t.end_column =
+      lines.length === 1 ? t.column + t.value.length : lines[lines.length - 1].length + 1;
+    t.end_pos = t.start_pos + t.value.length;
+  }
+}
+
+const _parsers = new Map();
+
+function _cached_parser(positions, cst, recover, dialect) {
+  const key = `${positions}:${cst}:${recover}:${dialect}`;
+  if (!_parsers.has(key)) {
+    const indenter = recover ? new TolerantIndenter() : new VyperIndenter();
+    const collector = new TokenCollector(indenter, { cst });
+    const lexer_callbacks = {
+      COMMENT: (t) => {
+        _set_end(t);
+        collector.comments.push(t);
+        if (cst) {
+          collector.trivia.push(t);
+        }
+        return t;
+      },
+    };
+    const parser = get_parser({
+      postlex: collector,
+      propagate_positions: positions,
+      keep_all_tokens: cst,
+      lexer_callbacks,
+      vyperVersion: dialect,
+    });
+    if (cst) {
+      // The lexer reads its callbacks on first use, so we can still add
+      // ones for the other ignored terminals (whitespace, line continuations)
+      for (const name of parser.lexer_conf.ignore) {
+        if (!(name in lexer_callbacks)) {
+          lexer_callbacks[name] = (t) => {
+            _set_end(t);
+            collector.trivia.push(t);
+            return t;
+          };
+        }
+      }
+    }
+    const recovering = recover ? new RecoveringParser(parser, indenter) : null;
+    _parsers.set(key, { parser, collector, recovering });
+  }
+  return _parsers.get(key);
+}
+
+/**
+  Takes the newline that was added to `source` back out of a concrete syntax
+  tree, from the last token or trivia that holds text.
+*/
+function _drop_added_newline(tree) {
+  const tokens = [...leaves(tree)];
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    const pieces = [tokens[i], ...tokens[i].trailing];
+    const last = pieces.reverse().find((t) => t.value !== "");
+    if (last) {
+      last.value = last.value.slice(0, -1);
+      last.end_pos -= 1;
+      return;
+    }
+  }
+}
+
+/**
+  Turns the `bound=` keyword argument of the `range()` calls of a tree into
+  `range_bound` nodes, in place. In an abstract tree, the `bound` name is
+  dropped, leaving the value.
+*/
+function _mark_range_bounds(tree, cst) {
+  for (const node of tree.find_data("range_iterator")) {
+    const bound = node.children.find(
+      (c) => c instanceof Tree && c.data === "kwarg" && c.children[0].value === "bound"
+    );
+    if (bound) {
+      bound.data = "range_bound";
+      if (!cst) {
+        bound.children.shift();
+      }
+    }
+  }
+}
+
+function _error(e, { filename, source, last_token, terminals_by_name, dialect }) {
+  const diagnostic = diagnose(e, source, { terminals_by_name, last_token, dialect });
+  if (diagnostic) {
+    return { ...diagnostic, filename, exception: e };
+  }
+  let line = null;
+  let column = null;
+  if (e instanceof UnexpectedInput && e.line !== -1) {
+    ({ line, column } = e);
+  } else if (last_token) {
+    line = last_token.end_line;
+    column = last_token.end_column;
+  }
+  return {
+    code: null,
+    message: e.message,
+    hint: null,
+    fix: null,
+    line,
+    column,
+    end_line: line,
+    end_column: column,
+    context: null,
+    filename,
+    exception: e,
+  };
+}
+
+/**
+  Parses Vyper source code.
+
+  @param {string} source The contract source.
+  @param {object} options An object with the following optional properties:
+
+    - filename (string): reported back in errors (default "<unknown>")
+    - positions (bool): should tree nodes carry line/column info? (default true)
+    - comments (bool): should comments be collected? (default true)
+    - cst (bool): return a concrete syntax tree instead (default false). It
+      keeps every token, including punctuation, keywords and `_NEWLINE`s,
+      and each token carries the whitespace and comments around it in
+      `leading` and `trailing` arrays, so that {@link cstToSource} gives back
+      `source` byte for byte. Line endings are left as they are.
+    - recover (bool): keep parsing after syntax errors (default false). The
+      rest of a broken line, and the block that follows it, is skipped, and
+      `ast` is a partial tree where the skipped tokens (and those of the
+      unfinished statement) make up `error` nodes. Can't be combined with
+      `cst`.
+    - vyperVersion (string|SemverRange|null): parse with the grammar of
+      this Vyper version (see {@link get_parser}), or, with `"auto"`, of the
+      version declared by the source's version pragma, if there is a
+      grammar for it (default null: the grammar of every version)
+
+  Calls of the structs defined in `source` are `struct_literal` nodes (see
+  {@link mark_struct_literals}), and the `bound=` of `range()` is a
+  `range_bound` node.
+
+  @returns {object} An object with the following properties:
+
+    - ast (Tree|null): the `module` tree, or null if the source has errors
+      (unless `recover` is set)
+    - tokens (Token[]): the tokens seen by the parser, including `_INDENT` / `_DEDENT`
+    - comments (Token[]): the `COMMENT` tokens, in source order
+    - pragmas (object): the version and other pragmas declared in comments
+      (see {@link parse_pragmas})
+    - dialect (string|null): the dialect the source was parsed as, or null
+      for the default grammar
+    - errors (object[]): one diagnostic per syntax error, in source order
+      (see {@link diagnose}), with the `filename` and the `exception`.
+      Without `recover`, there is at most one, and none when `ast` is set.
+*/
+function parseVyper(source, options = {}) {
+  const {
+    filename = "<unknown>",
+    positions = true,
+    comments = true,
+    cst = false,
+    recover = false,
+    vyperVersion = null,
+  } = options;
+  if (cst && recover) {
+    throw new ConfigurationError("The cst and recover options can't be combined");
+  }
+  let dialect = null;
+  if (vyperVersion === "auto") {
+    const { version } = scan_pragmas(source);
+    dialect = version && dialect_for(version);
+  } else if (vyperVersion !== null) {
+    dialect = resolve_dialect(vyperVersion);
+  }
+  const { parser, collector, recovering } = _cached_parser(
+    Boolean(positions),
+    Boolean(cst),
+    Boolean(recover),
+    dialect
+  );
+
+  collector.reset();
+  let ast = null;
+  const errors = [];
+  let text = normalize_source(source);
+  if (cst) {
+    // A concrete syntax tree keeps line endings as they are
+    text = source.endsWith("\n") ? source : source + "\n";
+  }
+  const context = {
+    filename,
+    source: text,
+    terminals_by_name: parser.lexer_conf.terminals_by_name,
+    dialect,
+  };
+  if (recovering) {
+    ast = recovering.parse(text, (e, token) => {
+      errors.push(_error(e, { ...context, last_token: token }));
+    });
+    for (const { exception, token } of collector.postlex.errors) {
+      errors.push(_error(exception, { ...context, last_token: token }));
+    }
+    errors.sort((a, b) => a.line - b.line || a.column - b.column);
+  } else {
+    try {
+      ast = parser.parse(text);
+      if (cst) {
+        attach_trivia(ast, collector.skipped());
+        if (text !== source) {
+          _drop_added_newline(ast);
+        }
+      }
+    } catch (e) {
+      if (!(e instanceof LarkError)) {
+        throw e;
+      }
+      errors.push(_error(e, { ...context, last_token: collector.last_token }));
+    }
+  }
+
+  if (ast) {
+    _mark_range_bounds(ast, cst);
+    mark_struct_literals(ast);
+  }
+
+  const all_comments = collector.comments.sort((a, b) => a.start_pos - b.start_pos);
+  return {
+    ast,
+    tokens: collector.tokens,
+    comments: comments ? all_comments : [],
+    pragmas: parse_pragmas(all_comments),
+    dialect,
+    errors,
+  };
+}
+
+module.exports = { get_parser, parseVyper, normalize_source };
@@ -0,0 +1,351 @@
+"use strict";
+
+const { Token } = require("./vyper");
+
+// Pre-releases sort before their release, in this order
+const PRE_RELEASES = { a: 0, alpha: 0, b: 1, beta: 1, rc: 2 };
+
+const VERSION =
+  /^v?(\d+|[x*])(?:\.(\d+|[x*]))?(?:\.(\d+|[x*]))?(?:[-.]?(a|alpha|b|beta|rc)\.?(\d*))?$/i;
+
+const OPTIMIZE_MODES = ["none", "gas", "codesize"];
+
+const EVM_VERSIONS = ["istanbul", "berlin", "london", "paris", "shanghai", "cancun", "prague"];
+
+/**
+  Parses a version, possibly partial (`0.3`, `0.3.x`).
+
+  @returns {object|null} `{ parts, pre }`, where `parts` holds up to three
+    numbers, and `pre` is null or `[rank, number]` for a pre-release.
+*/
+function _partial(text) {
+  const match = VERSION.exec(text);
+  if (!match) {
+    return null;
+  }
+  const parts = [];
+  for (const part of match.slice(1, 4)) {
+    if (part === undefined || /[x*]/i.test(part)) {
+      break;
+    }
+    parts.push(Number(part));
+  }
+  const pre = match[4]
+    ? [PRE_RELEASES[match[4].toLowerCase()], Number(match[5] || 0)]
+    : null;
+  if (pre && parts.length < 3) {
+    return null;
+  }
+  return { parts, pre };
+}
+
+/**
+  Parses a full version, like `0.3.10` or `0.4.0rc6`, into
+  `[major, minor, patch, pre]`.
+*/
+function parse_version(text) {
+  const version = _partial(String(text).trim());
+  if (!version || version.parts.length < 3) {
+    throw new SyntaxError(`Invalid version: ${text}`);
+  }
+  return [...version.parts, version.pre];
+}
+
+function compare_versions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+  const [pa, pb] = [a[3], b[3]];
+  if (pa === null || pb === null) {
+    return pa === pb ? 0 : pa === null ? 1 : -1;
+  }
+  return pa[0] - pb[0] || pa[1] - pb[1];
+}
+
+/**
+  The first version after every version starting with `parts`: `0.4.0` for
+  `0.3`, `1.0.0` for `0`.
+*/
+function _next(parts) {
+  const bumped = parts.slice(0, -1);
+  bumped.push(parts[parts.length - 1] + 1);
+  return _full(bumped);
+}
+
+function _full(parts, pre = null) {
+  return [parts[0] || 0, parts[1] || 0, parts[2] || 0, pre];
+}
+
+/**
+  Turns one comparator of a range, like `^0.3.9` or `>=0.4`, into
+  `{ op, version }` pairs that must all hold.
+*/
+function _comparators(text) {
+  const match = /^(\^|~=|~|==|=|!=|>=|<=|>|<)?(.*)$/.exec(text);
+  const op = match[1] || "=";
+  const version = _partial(match[2]);
+  if (!version || (!version.parts.length && op !== "=" && op !== "==")) {
+    return null;
+  }
+  const { parts, pre } = version;
+  const lower = { op: ">=", version: _full(parts, pre) };
+  const exact = parts.length === 3;
+
+  switch (op) {
+    case "=":
+    case "==":
+      if (!parts.length) {
+        return [];
+      }
+      if (!exact) {
+        return [lower, { op: "<", version: _next(parts) }];
+      }
+      return [{ op: "=", version: _full(parts, pre) }];
+    case "!=":
+      return exact ? [{ op: "!=", version: _full(parts, pre) }] : null;
+    case ">=":
+    case "<":
+      return [{ op, version: _full(parts, pre) }];
+    case ">":
+      return [exact ? { op, version: _full(parts, pre) } : { op: ">=", version: _next(parts) }];
+    case "<=":
+      return [exact ? { op, version: _full(parts, pre) } : { op: "<", version: _next(parts) }];
+    case "^": {
+      // Up to the next change of the first non-zero part
+      const first = parts.findIndex((p) => p !== 0);
+      const kept = first === -1 ? parts : parts.slice(0, first + 1);
+      return [lower, { op: "<", version: _next(kept) }];
+    }
+    case "~":
+      return [lower, { op: "<", version: _next(parts.slice(0, 2)) }];
+    case "~=":
+      if (parts.length < 2) {
+        return null;
+      }
+      return [lower, { op: "<", version: _next(parts.slice(0, -1)) }];
+    default:
+      return null;
+  }
+}
+
+const OPERATORS = {
+  "=": (c) => c === 0,
+  "!=": (c) => c !== 0,
+  ">=": (c) => c >= 0,
+  "<=": (c) => c <= 0,
+  ">": (c) => c > 0,
+  "<": (c) => c < 0,
+};
+
+/**
+  A range of versions, as written in a version pragma. Both the npm-style
+  ranges of older contracts (`^0.3.9`, `~0.2.8`, `0.3.x`, `>=0.2.0 <0.4`,
+  `0.3.0 - 0.3.10`, `... || ...`) and the PEP 440 ones of newer contracts
+  (`~=0.4.0`, `==0.4.*`, `>=0.3.10,<0.5`) are understood. A bare version
+  (`0.3.10`) only matches itself.
+
+  As with npm, a pre-release (`0.4.0rc1`) is only in the range when one of
+  the bounds is a pre-release of the same version.
+*/
+class SemverRange {
+  /**
+    @param {string} text
+    @throws {SyntaxError} If `text` isn't a version range.
+  */
+  constructor(text) {
+    this.text = text.trim();
+    this.sets = this.text.split("||").map((alternative) => {
+      const hyphen = /^\s*(\S+)\s+-\s+(\S+)\s*$/.exec(alternative);
+      const comparators = hyphen
+        ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`]
+        : alternative
+            .replace(/(\^|~=|~|==|=|!=|>=|<=|>|<)\s+/g, "$1")
+            .split(/[\s,]+/)
+            .filter(Boolean);
+      if (!comparators.length) {
+        throw new SyntaxError(`Invalid version range: ${text}`);
+      }
+      return comparators.flatMap((comparator) => {
+        const result = _comparators(comparator);
+        if (result === null) {
+          throw new SyntaxError(`Invalid version range: ${text}`);
+        }
+        return result;
+      });
+    });
+  }
+
+  /**
+    Whether `version` (a string like `0.3.10`) is in the range.
+  */
+  test(version) {
+    const v = parse_version(version);
+    const same_release = (bound) =>
+      bound[3] !== null && [0, 1, 2].every((i) => v[i] === bound[i]);
+    return this.sets.some(
+      (set) =>
+        set.every(({ op, version: bound }) => OPERATORS[op](compare_versions(v, bound))) &&
+        (v[3] === null || set.some(({ version: bound }) => same_release(bound)))
+    );
+  }
+
+  /**
+    The highest of `versions` in the range, or null.
+  */
+  max_satisfying(versions) {
+    const matching = versions.filter((v) => this.test(v));
+    matching.sort((a, b) => compare_versions(parse_version(a), parse_version(b)));
+    return matching.length ? matching[matching.length - 1] : null;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+function _span(token) {
+  return {
+    line: token.line,
+    column: token.column,
+    end_line: token.end_line,
+    end_column: token.end_column,
+    start_pos: token.start_pos,
+    end_pos: token.end_pos,
+  };
+}
+
+/**
+  Reads the pragmas out of comments, as the compiler does:
+
+    - `# @version ^0.3.9` or `# pragma version ~=0.4.0`: `version`, a
+      {@link SemverRange}
+    - `# pragma optimize gas`: `optimize`, one of `none`, `gas` and `codesize`
+    - `# pragma evm-version cancun`: `evm_version`
+    - `# pragma experimental-codegen` and `# pragma enable-decimals`:
+      `experimental_codegen` and `enable_decimals`, booleans
+
+  Pragmas the compiler would reject (unknown, repeated, or with an invalid
+  value) are left out, and reported in `problems` as `{ message, span }`.
+  Only a valid pragma counts as a first one.
+
+  @param {Token[]} comments `COMMENT` tokens, as returned by {@link parseVyper}.
+  @returns {object}
+*/
+function parse_pragmas(comments) {
+  const pragmas = {
+    version: null,
+    optimize: null,
+    evm_version: null,
+    experimental_codegen: false,
+    enable_decimals: false,
+    problems: [],
+  };
+  const seen = new Set();
+
+  for (const comment of comments) {
+    const contents = comment.value.slice(1).trim();
+    let name;
+    let value;
+    if (contents.startsWith("@version")) {
+      [name, value] = ["version", contents.slice("@version".length)];
+    } else if (contents.startsWith("pragma ")) {
+      const pragma = contents.slice("pragma ".length).trim();
+      name = pragma.split(/\s/)[0];
+      value = pragma.slice(name.length);
+    } else {
+      continue;
+    }
+    value = value.trim();
+
+    const problem = (message) => pragmas.problems.push({ message, span: _span(comment) });
+    if (seen.has(name)) {
+      problem(`pragma ${name} specified twice`);
+      continue;
+    }
+    const count = pragmas.problems.length;
+
+    switch (name) {
+      case "version":
+        if (!value) {
+          problem("Version specification cannot be empty");
+          break;
+        }
+        try {
+          pragmas.version = new SemverRange(value);
+        } catch (e) {
+          problem(e.message);
+        }
+        break;
+      case "optimize":
+        if (OPTIMIZE_MODES.includes(value)) {
+          pragmas.optimize = value;
+        } else {
+          problem(`Invalid optimization mode \`${value}\``);
+        }
+        break;
+      case "evm-version":
+        if (EVM_VERSIONS.includes(value)) {
+          pragmas.evm_version = value;
+        } else {
+          problem(`Invalid evm version: \`${value}\``);
+        }
+        break;
+      case "experimental-codegen":
+        pragmas.experimental_codegen = true;
+        break;
+      case "enable-decimals":
+        pragmas.enable_decimals = true;
+        break;
+      default:
+        problem(`Unknown pragma \`${name}\``);
+    }
+    if (pragmas.problems.length === count) {
+      seen.add(name);
+    }
+  }
+  return pragmas;
+}
+
+/**
+  Reads the pragmas of a contract without parsing it, e.g. to pick a parser
+  for the version it declares. Only comments on lines of their own are
+  looked at, which is where pragmas go.
+
+  @param {string} source
+  @returns {object} As {@link parse_pragmas}.
+*/
+function scan_pragmas(source) {
+  const comments = [];
+  let line_start = 0;
+  source.split("\n").forEach((text, i) => {
+    const m = /^([ \t]*)(#[^\r]*)/.exec(text);
+    if (m) {
+      const [value, column] = [m[2], m[1].length + 1];
+      const start_pos = line_start + m[1].length;
+      comments.push(
+        new Token(
+          "COMMENT",
+          value,
+          start_pos,
+          i + 1,
+          column,
+          i + 1,
+          column + value.length,
+          start_pos + value.length
+        )
+      );
+    }
+    line_start += text.length + 1;
+  });
+  return parse_pragmas(comments);
+}
+
+module.exports = {
+  parse_pragmas,
+  scan_pragmas,
+  SemverRange,
+  parse_version,
+  compare_versions,
+};
@@ -0,0 +1,535 @@
+"use strict";
+
+const {
+  Tree,
+  Token,
+  DedentError,
+  UnexpectedCharacters,
+  UnexpectedToken,
+} = require("./vyper");
+const { VyperIndenter } = require("./indenter");
+const { leaves } = require("./cst");
+
+const LAYOUT_TOKENS = new Set(["_NEWLINE", "_INDENT", "_DEDENT"]);
+
+// Trees an `error` node that could not take the place of a placeholder is
+// put back into, whichever is the innermost one around it
+const CONTAINERS = new Set([
+  "module",
+  "body",
+  "struct_def",
+  "enum_def",
+  "flag_def",
+  "interface_def",
+  "event_body",
+]);
+
+/**
+  A {@link VyperIndenter} that carries on after bad indentation.
+
+  A line that dedents to a column between two open blocks stays in the inner
+  one, and the `DedentError` is kept in `errors` along with the `_NEWLINE`
+  it was raised for, instead of being thrown.
+
+  Brackets are counted before their token is passed on, and never below
+  zero. `sync()` forgets the open ones, and while `ignore_brackets` is set
+  they aren't counted at all, so that an unclosed bracket in a broken line
+  doesn't swallow the line breaks of the rest of the file.
+*/
+class TolerantIndenter extends VyperIndenter {
+  constructor(options) {
+    super(options);
+    this.errors = [];
+    this.ignore_brackets = false;
+  }
+
+  process(stream) {
+    this.errors = [];
+    this.ignore_brackets = false;
+    return super.process(stream);
+  }
+
+  sync() {
+    this.paren_level = 0;
+  }
+
+  *handle_NL(token) {
+    if (this.paren_level > 0) {
+      return;
+    }
+
+    yield token;
+    const indent_str = token.value.slice(token.value.lastIndexOf("\n") + 1);
+    const indent =
+      indent_str.split(" ").length - 1 +
+      (indent_str.split("\t").length - 1) * this.tab_len;
+    const levels = this.indent_level;
+    if (indent > levels[levels.length - 1]) {
+      levels.push(indent);
+      yield Token.new_borrow_pos(this.INDENT_type, indent_str, token);
+      return;
+    }
+    while (indent < levels[levels.length - 1]) {
+      const outer = levels[levels.length - 2];
+      if (indent > outer) {
+        this.errors.push({
+          exception: new DedentError(
+            `Unexpected dedent to column ${indent}. Expected dedent to ${outer}`
+          ),
+          token,
+        });
+        return;
+      }
+      levels.pop();
+      yield Token.new_borrow_pos(this.DEDENT_type, indent_str, token);
+    }
+  }
+
+  *_process(stream) {
+    let last_token = null;
+    for (const token of stream) {
+      last_token = token;
+      if (this.ignore_brackets) {
+        // pass
+      } else if (this.OPEN_PAREN_types.includes(token.type)) {
+        this.paren_level += 1;
+      } else if (this.CLOSE_PAREN_types.includes(token.type)) {
+        this.paren_level = Math.max(0, this.paren_level - 1);
+      }
+      if (token.type === this.NL_type) {
+        yield* this.handle_NL(token);
+      } else {
+        yield token;
+      }
+    }
+
+    while (this.indent_level.length > 1) {
+      this.indent_level.pop();
+      yield last_token
+        ? Token.new_borrow_pos(this.DEDENT_type, "", last_token)
+        : new Token(this.DEDENT_type, "");
+    }
+  }
+}
+
+/**
+  Returns the `[start_pos, end_pos]` range covered by a token or tree.
+*/
+function _range(node) {
+  if (node instanceof Token) {
+    return [node.start_pos, node.end_pos];
+  }
+  if (!node.meta.empty) {
+    return [node.meta.start_pos, node.meta.end_pos];
+  }
+  const tokens = [...leaves(node)];
+  return tokens.length
+    ? [tokens[0].start_pos, tokens[tokens.length - 1].end_pos]
+    : [null, null];
+}
+
+/**
+  Puts an `error` node into the innermost container (`module`, `body`, ...)
+  it was cut out of, among the children of that container, by position.
+
+  @param {function} has_error Tells if a tree holds the parse the error was
+    cut out of. Failing that, the error goes into the innermost container
+    around its position.
+*/
+function _insert(root, error, has_error) {
+  const pos = error.meta.start_pos;
+  let container = root;
+  let node = root;
+  while (node) {
+    if (CONTAINERS.has(node.data)) {
+      container = node;
+    }
+    const children = node.children.filter((child) => child instanceof Tree);
+    node =
+      children.find(has_error) ||
+      children.find((child) => {
+        const [start, end] = _range(child);
+        return start !== null && start <= pos && pos < end;
+      });
+  }
+  let index = container.children.findIndex((child) => _range(child)[0] > pos);
+  if (index === -1) {
+    index = container.children.length;
+  }
+  container.children.splice(index, 0, error);
+}
+
+/**
+  Drives the LALR parser of a Lark instance by hand, so that it can carry on
+  after a syntax error.
+
+  When a token is rejected, the rest of its logical line is skipped (along
+  with the block that follows it, if any), and the parser stack is cut back
+  to the deepest point that ends at a line boundary (a `_NEWLINE`, `_INDENT`
+  or `_DEDENT`) and accepts what comes next. The tokens of the partial
+  statement and the skipped ones become an `error` node, which takes the
+  place of a placeholder comment fed to the parser where the grammar allows
+  comments (module level and bodies), or is put back afterwards into the
+  block it was cut out of. Skipping past the `_DEDENT` of a block closes it:
+  parsing resumes outside of it.
+
+  Lark's own `on_error` can't be used for this: resuming a parse restarts
+  the post-lexer, which resets the indenter's state.
+
+  @param {Lark} lark A parser whose post-lexer is a {@link TolerantIndenter},
+    possibly wrapped in another post-lexer with the same `process()`.
+  @param {TolerantIndenter} indenter
+*/
+class RecoveringParser {
+  constructor(lark, indenter) {
+    this.lark = lark;
+    this.indenter = indenter;
+    this.lexer = lark.parser.lexer.lexer;
+    this.callbacks = new Map();
+    for (const [rule, callback] of lark.parser.parser.parser.callbacks) {
+      this.callbacks.set(rule, (children) => {
+        const value = callback(children);
+        this._track(value, children);
+        return value;
+      });
+    }
+  }
+
+  /**
+    Parses `text`, calling `report(exception, token)` for the first error of
+    every broken region. Returns the `module` tree.
+  */
+  parse(text, report) {
+    const { parser_state } = this.lark.parse_interactive("");
+    parser_state.parse_conf.callbacks = this.callbacks;
+    this.state = parser_state;
+    this.report = report;
+    // Tokens in the order they were read, and the index in there of the
+    // first token of every value on the stack
+    this.seen = [];
+    this.first = new WeakMap();
+    // Values that end with a line break, indent or dedent
+    this.boundaries = new WeakSet();
+    this.placeholders = new Map();
+    this.loose = [];
+    // The `error` nodes put aside after each value, and the values that
+    // were reduced from those
+    this.owners = new Map();
+    this.pushed_back = [];
+    this.end_token = null;
+    this.recovering = false;
+
+    const lexer_state = this.lexer.make_lexer_state(text);
+    this.stream = this.lark.parser.lexer.postlexer.process(
+      this._lex(lexer_state)
+    );
+
+    let tree;
+    while (tree === undefined) {
+      const token = this._next();
+      try {
+        if (token.type === "$END") {
+          tree = parser_state.feed_token(token, true);
+        } else {
+          parser_state.feed_token(token);
+        }
+        if (LAYOUT_TOKENS.has(token.type)) {
+          this.boundaries.add(token);
+        }
+        this.recovering = false;
+        this.indenter.ignore_brackets = false;
+      } catch (e) {
+        if (!(e instanceof UnexpectedToken)) {
+          throw e;
+        }
+        this._recover(token, e);
+      }
+    }
+
+    for (const subtree of tree.iter_subtrees()) {
+      subtree.children = subtree.children.map(
+        (child) => this.placeholders.get(child) || child
+      );
+    }
+    for (const error of this.loose) {
+      _insert(tree, error, (child) => (this.owners.get(child) || []).includes(error));
+    }
+    return tree;
+  }
+
+  /**
+    Lexes with the lexer of the parser's state, like the contextual lexer,
+    but turns characters that no terminal matches into `INVALID` tokens.
+    While recovering, the root lexer is used, as the parser's state is about
+    to change.
+  */
+  *_lex(lexer_state) {
+    const { text, line_ctr } = lexer_state;
+    while (true) {
+      const lexer = this.recovering
+        ? this.lexer.root_lexer
+        : this.lexer.lexers[this.state.position];
+      try {
+        yield lexer.next_token(lexer_state, this.state);
+        continue;
+      } catch (e) {
+        if (!(e instanceof UnexpectedCharacters)) {
+          // The end of the input
+          if (line_ctr.char_pos >= text.length) {
+            return;
+          }
+          throw e;
+        }
+      }
+      // Maybe the token is only wrong here, which the parser will report
+      try {
+        yield this.lexer.root_lexer.next_token(lexer_state, this.state);
+        continue;
+      } catch (e) {
+        if (!(e instanceof UnexpectedCharacters)) {
+          if (line_ctr.char_pos >= text.length) {
+            return;
+          }
+          throw e;
+        }
+        if (!this.recovering) {
+          this.report(e, null);
+        }
+      }
+      const char = text[line_ctr.char_pos];
+      const token = new Token(
+        "INVALID",
+        char,
+        line_ctr.char_pos,
+        line_ctr.line,
+        line_ctr.column
+      );
+      line_ctr.feed(char, char === "\n");
+      token.end_line = line_ctr.line;
+      token.end_column = line_ctr.column;
+      token.end_pos = line_ctr.char_pos;
+      yield token;
+    }
+  }
+
+  _peek() {
+    if (!this.pushed_back.length) {
+      this.pushed_back.push(this._read());
+    }
+    return this.pushed_back[0];
+  }
+
+  _read() {
+    const { value, done } = this.stream.next();
+    if (!done) {
+      return value;
+    }
+    if (!this.end_token) {
+      const last = this.seen[this.seen.length - 1];
+      this.end_token = last
+        ? Token.new_borrow_pos("$END", "", last)
+        : new Token("$END", "", 0, 1, 1, 1, 1, 0);
+    }
+    return this.end_token;
+  }
+
+  _next() {
+    const token = this.pushed_back.length ? this.pushed_back.shift() : this._read();
+    this.first.set(token, this.seen.length);
+    this.seen.push(token);
+    return token;
+  }
+
+  _push_back(token) {
+    this.seen.pop();
+    this.pushed_back.unshift(token);
+  }
+
+  _track(value, children) {
+    const errors = children.flatMap((child) => this.owners.get(child) || []);
+    if (errors.length) {
+      this.owners.set(value, errors);
+    }
+    if (!children.length) {
+      this.first.set(value, this.seen.length - 1);
+      return;
+    }
+    this.first.set(value, this.first.get(children[0]));
+    if (this.boundaries.has(children[children.length - 1])) {
+      this.boundaries.add(value);
+    }
+  }
+
+  _recover(token, exception) {
+    if (!this.recovering && token.type !== "INVALID") {
+      this.report(exception, token);
+    }
+    this.recovering = true;
+    this.indenter.sync();
+    this.indenter.ignore_brackets = true;
+
+    const { state_stack, value_stack } = this.state;
+    const from = value_stack.length;
+    let start = this.seen.length - 1;
+    if (token.type === "$END" || token.type === "_DEDENT") {
+      this._push_back(token);
+      start += 1;
+    } else {
+      this._skip_line(token);
+    }
+
+    // The blocks closed by the skipped tokens, which parsing can't resume in
+    let closed = 0;
+    let found;
+    while (!(found = this._sync_point(this._peek(), closed))) {
+      const next = this._next();
+      if (next.type === "_DEDENT") {
+        closed += 1;
+      }
+      this._skip_line(next);
+    }
+    const { depth, placeholder } = found;
+    if (depth - 1 < from) {
+      start = Math.min(start, this.first.get(value_stack[depth - 1]));
+    }
+    state_stack.splice(depth);
+    value_stack.splice(depth - 1);
+
+    const error = this._error_node(this.seen.slice(start), token);
+    if (placeholder.length) {
+      const comment = new Token(
+        "COMMENT",
+        "",
+        error.meta.start_pos,
+        error.meta.line,
+        error.meta.column,
+        error.meta.end_line,
+        error.meta.end_column,
+        error.meta.end_pos
+      );
+      this.placeholders.set(comment, error);
+      this.first.set(comment, start);
+      this.state.feed_token(comment);
+      if (placeholder.length > 1) {
+        const newline = Token.new_borrow_pos("_NEWLINE", "", comment);
+        this.state.feed_token(newline);
+        this.boundaries.add(newline);
+      }
+    } else {
+      this.loose.push(error);
+      if (depth > 1) {
+        const before = value_stack[depth - 2];
+        this.owners.set(before, [...(this.owners.get(before) || []), error]);
+      }
+    }
+  }
+
+  /**
+    Reads up to the end of the logical line that `token` is on, and through
+    the indented block that follows it. Stops before a `_DEDENT` that closes
+    an outer block.
+  */
+  _skip_line(token) {
+    if (token.type === "$END") {
+      this._push_back(token);
+      return;
+    }
+    let depth = token.type === "_INDENT" ? 1 : 0;
+    let at_line_end = token.type === "_NEWLINE" || token.type === "_DEDENT";
+    while (true) {
+      const next = this._peek();
+      if (at_line_end && depth === 0 && next.type !== "_INDENT") {
+        return;
+      }
+      if (next.type === "$END" || (next.type === "_DEDENT" && depth === 0)) {
+        return;
+      }
+      this._next();
+      if (next.type === "_INDENT") {
+        depth += 1;
+      } else if (next.type === "_DEDENT") {
+        depth -= 1;
+      }
+      at_line_end = next.type === "_NEWLINE" || next.type === "_DEDENT";
+    }
+  }
+
+  /**
+    Finds the deepest line boundary on the parser stack that `lookahead` can
+    follow, possibly after a placeholder comment (and `_NEWLINE`), outside
+    of the `closed` innermost open blocks.
+  */
+  _sync_point(lookahead, closed = 0) {
+    const { state_stack, value_stack } = this.state;
+    let deepest = state_stack.length;
+    if (closed) {
+      // Open blocks have their `_INDENT` on the stack
+      const indents = [];
+      value_stack.forEach((value, i) => {
+        if (value instanceof Token && value.type === "_INDENT") {
+          indents.push(i);
+        }
+      });
+      deepest = closed > indents.length ? 1 : indents[indents.length - closed];
+    }
+    for (let depth = deepest; depth >= 1; depth--) {
+      if (depth > 1 && !this.boundaries.has(value_stack[depth - 2])) {
+        continue;
+      }
+      const stack = state_stack.slice(0, depth);
+      for (const placeholder of [["COMMENT"], ["COMMENT", "_NEWLINE"], []]) {
+        if (this._accepts(stack, [...placeholder, lookahead.type])) {
+          return { depth, placeholder };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+    Tells if the parser, with the given state stack, would shift all of
+    `types` in a row.
+  */
+  _accepts(state_stack, types) {
+    const { states, end_state } = this.state.parse_conf;
+    const stack = [...state_stack];
+    for (const type of types) {
+      while (true) {
+        const action = states[stack[stack.length - 1]][type];
+        if (!action) {
+          return false;
+        }
+        const [kind, arg] = action;
+        if (kind.name === "Shift") {
+          stack.push(arg);
+          break;
+        }
+        stack.splice(stack.length - arg.expansion.length);
+        stack.push(states[stack[stack.length - 1]][arg.origin.name][1]);
+        if (type === "$END" && stack[stack.length - 1] === end_state) {
+          break;
+        }
+      }
+    }
+    return true;
+  }
+
+  _error_node(tokens, token) {
+    const children = tokens.filter((t) => !LAYOUT_TOKENS.has(t.type));
+    const error = new Tree("error", children);
+    const first = children.length ? children[0] : token;
+    const last = children.length ? children[children.length - 1] : token;
+    Object.assign(error.meta, {
+      empty: false,
+      line: first.line,
+      column: first.column,
+      start_pos: first.start_pos,
+      end_line: last.end_line,
+      end_column: last.end_column,
+      end_pos: last.end_pos,
+    });
+    return error;
+  }
+}
+
+module.exports = { RecoveringParser, TolerantIndenter };
@@ -0,0 +1,616 @@
+"use strict";
+
+const { Tree, Token, ConfigurationError } = require("./vyper");
+const { leaves } = require("./cst");
+
+// Names every contract can use. Environment variables are objects whose
+// members are read with `.`, as in `msg.sender`.
+const ENVIRONMENT = ["self", "msg", "block", "tx", "chain"];
+
+// The members of addresses, which `self` also has, as in `self.balance`
+const ADDRESS_MEMBERS = ["balance", "codehash", "codesize", "code", "is_contract"];
+
+const BUILTIN_FUNCTIONS = [
+  "abi_decode",
+  "abi_encode",
+  "_abi_decode",
+  "_abi_encode",
+  "abs",
+  "as_wei_value",
+  "blobhash",
+  "blockhash",
+  "ceil",
+  "concat",
+  "convert",
+  "create_copy_of",
+  "create_forwarder_to",
+  "create_from_blueprint",
+  "create_minimal_proxy_to",
+  "ecadd",
+  "ecmul",
+  "ecrecover",
+  "empty",
+  "epsilon",
+  "extract32",
+  "floor",
+  "isqrt",
+  "keccak256",
+  "len",
+  "max",
+  "max_value",
+  "method_id",
+  "min",
+  "min_value",
+  "pow_mod256",
+  "print",
+  "raw_call",
+  "raw_log",
+  "raw_revert",
+  "selfdestruct",
+  "send",
+  "sha256",
+  "shift",
+  "slice",
+  "sqrt",
+  "uint256_addmod",
+  "uint256_mulmod",
+  "uint2str",
+  "unsafe_add",
+  "unsafe_div",
+  "unsafe_mul",
+  "unsafe_sub",
+  "bitwise_and",
+  "bitwise_not",
+  "bitwise_or",
+  "bitwise_xor",
+];
+
+// The constants of Vyper 0.2 and 0.3
+const BUILTIN_CONSTANTS = [
+  "ZERO_ADDRESS",
+  "EMPTY_BYTES32",
+  "MAX_INT128",
+  "MIN_INT128",
+  "MAX_INT256",
+  "MIN_INT256",
+  "MAX_UINT256",
+  "MAX_DECIMAL",
+  "MIN_DECIMAL",
+];
+
+const TYPES = ["address", "bool", "decimal", "Bytes", "String", "DynArray", "HashMap"];
+
+function _is_type_name(name) {
+  if (TYPES.includes(name)) {
+    return true;
+  }
+  let m = /^u?int(\d+)$/.exec(name);
+  if (m) {
+    const bits = Number(m[1]);
+    return bits % 8 === 0 && bits >= 8 && bits <= 256;
+  }
+  m = /^bytes(\d+)$/.exec(name);
+  return m !== null && Number(m[1]) >= 1 && Number(m[1]) <= 32;
+}
+
+// How definitions are described in messages
+const KINDS = {
+  constant: "constant",
+  immutable: "immutable",
+  storage: "storage variable",
+  function: "function",
+  event: "event",
+  struct: "struct",
+  enum: "enum",
+  flag: "flag",
+  interface: "interface",
+  import: "import",
+  parameter: "parameter",
+  local: "local variable",
+  loop_variable: "loop variable",
+};
+
+const BUILTIN_KINDS = {
+  environment: "an environment variable",
+  builtin: "a builtin",
+  type: "a type",
+};
+
+/**
+  The position of a token, or of a tree parsed with `propagate_positions`
+  (null otherwise), as a plain object.
+*/
+function span_of(node) {
+  if (node instanceof Token) {
+    return {
+      line: node.line,
+      column: node.column,
+      end_line: node.end_line,
+      end_column: node.end_column,
+      start_pos: node.start_pos,
+      end_pos: node.end_pos,
+    };
+  }
+  const { meta } = node;
+  if (meta.empty) {
+    return null;
+  }
+  return {
+    line: meta.line,
+    column: meta.column,
+    end_line: meta.end_line,
+    end_column: meta.end_column,
+    start_pos: meta.start_pos,
+    end_pos: meta.end_pos,
+  };
+}
+
+function _by_position(a, b) {
+  if (!a.span || !b.span) {
+    return 0;
+  }
+  return a.span.start_pos - b.span.start_pos;
+}
+
+function _names(tree) {
+  return tree.children.filter((c) => c instanceof Token && c.type === "NAME");
+}
+
+function _subtree(tree, data) {
+  return tree.children.find((c) => c instanceof Tree && c.data === data) || null;
+}
+
+// Only concrete syntax trees give their tokens trivia
+function _is_cst(tree) {
+  const first = leaves(tree).next().value;
+  return Boolean(first && first.leading);
+}
+
+function _describe(def) {
+  if (def.kind in BUILTIN_KINDS) {
+    return BUILTIN_KINDS[def.kind];
+  }
+  const where = def.span ? ` on line ${def.span.line}` : "";
+  return `the ${KINDS[def.kind]}${where}`;
+}
+
+/**
+  A level of name lookup: the module, a function, or a block of one (the body
+  of an `if`, `else` or `for`, with its loop variable).
+*/
+class Scope {
+  constructor(kind, parent = null) {
+    this.kind = kind;
+    this.parent = parent;
+    this.names = new Map();
+  }
+
+  lookup(name) {
+    for (let scope = this; scope !== null; scope = scope.parent) {
+      if (scope.names.has(name)) {
+        return scope.names.get(name);
+      }
+    }
+    return null;
+  }
+}
+
+/**
+  The names of a contract, and which definition each use of a name refers to.
+  Built by {@link analyze_scopes}.
+
+  A definition is a plain object `{ name, kind, node, span }`, where `kind`
+  is one of:
+
+    - `constant`, `immutable`, `storage`, `function`, `event`, `struct`,
+      `enum`, `flag`, `interface` and `import` for the definitions of the
+      module, whose `node` is the defining tree (`variable_def`,
+      `function_def`...), and `span` locates its name
+    - `parameter`, `local` and `loop_variable` for the names of a function,
+      defined by a `parameter`, `declaration` or `loop_variable` tree
+    - `environment` (`self`, `msg`, `block`, `tx` and `chain`), `builtin`
+      (functions like `len`, and the constants of older versions like
+      `ZERO_ADDRESS`) and `type` (`uint256`, `HashMap`...), with a null
+      `node` and `span`
+
+  Uses of names are `get_var` trees, `get_attr` trees of `self` (which refer
+  to storage variables and functions), and `NAME` tokens for the names that
+  aren't expressions: types and their bounds, the events of `log`
+  statements, and the modules and interfaces of `implements:`,
+  `initializes:`, `uses:` and `exports:`.
+*/
+class SymbolTable {
+  /**
+    @param {Tree} module
+    @throws {ConfigurationError} If `module` is a concrete syntax tree.
+  */
+  constructor(module) {
+    if (_is_cst(module)) {
+      throw new ConfigurationError("Scopes can't be analyzed on a concrete syntax tree");
+    }
+    // The contract's own definitions, in source order
+    this.definitions = [];
+    // `{ kind, name, message, span }`, see analyze_scopes()
+    this.problems = [];
+    this._builtins = new Map();
+    this._module = new Scope("module");
+    this._self = new Map();
+    this._bindings = new Map();
+    this._references = new Map();
+    this._defined = new Map();
+    this._reads = new Set();
+    this._analyze(module);
+    for (const def of this.definitions) {
+      if (def.kind === "local" && !this._reads.has(def)) {
+        this._problem("unused", def.name, `\`${def.name}\` is never used`, def.span);
+      }
+    }
+    this.definitions.sort(_by_position);
+    this.problems.sort(_by_position);
+  }
+
+  /**
+    Returns the definition a name refers to: that of a `get_var` tree, a
+    `get_attr` of `self`, or a `NAME` token used as a name (see above), or
+    that of a defining tree (`variable_def`, `parameter`, `declaration`...).
+
+    @param {Tree|Token} node
+    @returns {object|null} The definition, or null when the name is
+      undefined or `node` isn't a name.
+  */
+  definitionOf(node) {
+    return this._bindings.get(node) || this._defined.get(node) || null;
+  }
+
+  /**
+    Returns the uses of a definition, in source order.
+
+    @param {object|Tree} def A definition, or the tree that defines it.
+    @returns {Array<Tree|Token>}
+  */
+  referencesTo(def) {
+    if (def instanceof Tree) {
+      def = this._defined.get(def);
+    }
+    const references = (def && this._references.get(def)) || [];
+    return references
+      .map((node) => ({ node, span: span_of(node) }))
+      .sort(_by_position)
+      .map(({ node }) => node);
+  }
+
+  _problem(kind, name, message, span) {
+    this.problems.push({ kind, name, message, span });
+  }
+
+  _builtin(name) {
+    if (!this._builtins.has(name)) {
+      let kind = null;
+      if (ENVIRONMENT.includes(name)) {
+        kind = "environment";
+      } else if (BUILTIN_FUNCTIONS.includes(name) || BUILTIN_CONSTANTS.includes(name)) {
+        kind = "builtin";
+      } else if (_is_type_name(name)) {
+        kind = "type";
+      }
+      this._builtins.set(name, kind && { name, kind, node: null, span: null });
+    }
+    return this._builtins.get(name);
+  }
+
+  /**
+    Adds a definition to `names` (a scope's, or the `self` members), or
+    reports it when the name is taken.
+  */
+  _define(names, kind, name_token, node, outer = null) {
+    const name = name_token.value;
+    const def = { name, kind, node, span: span_of(name_token) };
+    this.definitions.push(def);
+    this._defined.set(node, def);
+    this._references.set(def, []);
+
+    if (names.has(name)) {
+      const previous = names.get(name);
+      this._problem(
+        "duplicate",
+        name,
+        `\`${name}\` is already defined${previous.span ? ` on line ${previous.span.line}` : ""}`,
+        def.span
+      );
+      return def;
+    }
+    names.set(name, def);
+    const shadowed = outer && (outer.lookup(name) || this._builtin(name));
+    if (shadowed) {
+      this._problem("shadowing", name, `\`${name}\` shadows ${_describe(shadowed)}`, def.span);
+    }
+    return def;
+  }
+
+  _bind(node, def) {
+    this._bindings.set(node, def);
+    this._references.get(def).push(node);
+  }
+
+  /**
+    Binds `node` to the definition of `name` in `scope`.
+  */
+  _use(node, name, scope) {
+    const def = scope.lookup(name) || this._builtin(name);
+    if (!def) {
+      this._problem("undefined", name, `\`${name}\` is not defined`, span_of(node));
+      return null;
+    }
+    if (!this._references.has(def)) {
+      this._references.set(def, []);
+    }
+    this._bind(node, def);
+    return def;
+  }
+
+  _analyze(module) {
+    // Names of the module can be used before they are defined
+    for (const item of module.children) {
+      if (item instanceof Tree) {
+        this._define_item(item);
+      }
+    }
+    for (const item of module.children) {
+      if (!(item instanceof Tree)) {
+        continue;
+      }
+      switch (item.data) {
+        case "function_def":
+          this._function(item);
+          break;
+        case "implements":
+        case "exports_decl":
+          for (const dotted of item.find_data("dotted_name")) {
+            this._use(dotted.children[0], dotted.children[0].value, this._module);
+          }
+          break;
+        case "initializes_decl": {
+          const [name, ...dependencies] = item.children;
+          this._use(name, name.value, this._module);
+          for (const dependency of dependencies) {
+            this._use(dependency.children[1], dependency.children[1].value, this._module);
+          }
+          break;
+        }
+        case "uses_decl":
+          for (const name of _names(item)) {
+            this._use(name, name.value, this._module);
+          }
+          break;
+        case "import":
+          break;
+        default:
+          this._visit(item, this._module);
+      }
+    }
+  }
+
+  _define_item(item) {
+    const module = this._module.names;
+    const [name] = _names(item);
+    switch (item.data) {
+      case "variable_def": {
+        const modifiers = item.children.map((c) => c instanceof Tree && c.data);
+        if (modifiers.includes("is_constant")) {
+          this._define(module, "constant", name, item);
+        } else if (modifiers.includes("is_immutable")) {
+          this._define(module, "immutable", name, item);
+        } else {
+          this._define(this._self, "storage", name, item);
+        }
+        break;
+      }
+      case "function_def":
+        this._define(this._self, "function", _names(_subtree(item, "function_sig"))[0], item);
+        break;
+      case "event_def":
+      case "struct_def":
+      case "enum_def":
+      case "flag_def":
+      case "interface_def":
+        this._define(module, item.data.replace("_def", ""), name, item);
+        break;
+      case "import": {
+        // Each name of `from a import b, c as d`, or the last one of `import a.b`
+        const list = _subtree(item, "import_list") || item;
+        const names = _names(list);
+        const imported = _subtree(item, "import_from") ? names : names.slice(-1);
+        for (const imported_name of imported) {
+          const next = list.children[list.children.indexOf(imported_name) + 1];
+          const alias = next instanceof Tree && next.data === "import_alias";
+          this._define(module, "import", alias ? next.children[0] : imported_name, item);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  _function(item) {
+    const sig = _subtree(item, "function_sig");
+    const scope = new Scope("function", this._module);
+    const parameters = _subtree(sig, "parameters");
+    for (const parameter of parameters ? parameters.children : []) {
+      if (!(parameter instanceof Tree)) {
+        continue;
+      }
+      // Default values can't refer to the other parameters
+      const [name, type, value] = parameter.children;
+      this._type(type, this._module);
+      if (value) {
+        this._visit(value, this._module);
+      }
+      this._define(scope.names, "parameter", name, parameter, this._module);
+    }
+    const returns = _subtree(sig, "returns");
+    if (returns) {
+      this._type(returns.children[0], this._module);
+    }
+    const body = _subtree(item, "body");
+    if (body) {
+      this._body(body, scope);
+    }
+  }
+
+  _body(body, scope) {
+    for (const stmt of body.children) {
+      if (stmt instanceof Tree) {
+        this._statement(stmt, scope);
+      }
+    }
+  }
+
+  _statement(stmt, scope) {
+    switch (stmt.data) {
+      case "declaration": {
+        const [variable, value] = stmt.children;
+        const [name, type] = variable.children;
+        if (value) {
+          this._visit(value, scope);
+        }
+        this._type(type, scope);
+        this._define(scope.names, "local", name, stmt, scope.parent);
+        break;
+      }
+      case "assign": {
+        const [target, value] = stmt.children;
+        this._visit(value, scope);
+        const targets = target.data === "multiple_assign" ? target.children : [target];
+        for (const t of targets) {
+          if (t.data === "get_var") {
+            // Assigning a variable doesn't use it
+            this._use(t, t.children[0].value, scope);
+          } else {
+            this._visit(t, scope);
+          }
+        }
+        break;
+      }
+      case "for_stmt": {
+        const [variable, iterator, body] = stmt.children;
+        this._visit(iterator, scope);
+        const block = new Scope("block", scope);
+        const [name, type] = variable.children;
+        if (type) {
+          this._type(type, scope);
+        }
+        this._define(block.names, "loop_variable", name, variable, scope);
+        this._body(body, block);
+        break;
+      }
+      case "if_stmt":
+        for (const branch of stmt.children) {
+          if (!(branch instanceof Tree)) {
+            continue;
+          }
+          const body = branch.children[branch.children.length - 1];
+          if (branch.data === "cond_exec") {
+            this._visit(branch.children[0], scope);
+          }
+          this._body(body, new Scope("block", scope));
+        }
+        break;
+      case "log_stmt": {
+        const [name, ...rest] = stmt.children;
+        this._use(name, name.value, scope);
+        rest.forEach((c) => c instanceof Tree && this._visit(c, scope));
+        break;
+      }
+      default:
+        this._visit(stmt, scope);
+    }
+  }
+
+  /**
+    Binds the names used in an expression.
+  */
+  _visit(tree, scope) {
+    if (!(tree instanceof Tree)) {
+      return;
+    }
+    if (tree.data === "get_var") {
+      this._read(this._use(tree, tree.children[0].value, scope));
+      return;
+    }
+    if (tree.data === "get_attr") {
+      const [value, attr] = tree.children;
+      if (value instanceof Tree && value.data === "get_var" && value.children[0].value === "self") {
+        this._use(value, "self", this._module);
+        const def = this._self.get(attr.value);
+        if (def) {
+          this._bind(tree, def);
+        } else if (!ADDRESS_MEMBERS.includes(attr.value)) {
+          const name = `self.${attr}`;
+          this._problem("undefined", name, `\`${name}\` is not defined`, span_of(tree));
+        }
+        return;
+      }
+    }
+    if (tree.data === "type") {
+      this._type(tree, scope);
+      return;
+    }
+    for (const child of tree.children) {
+      if (child instanceof Tree) {
+        this._visit(child, scope);
+      }
+    }
+  }
+
+  _read(def) {
+    if (def) {
+      this._reads.add(def);
+    }
+  }
+
+  /**
+    Binds the names of a `type` tree: those of types, and of the constants
+    used as bounds.
+  */
+  _type(type, scope) {
+    for (const node of type.iter_subtrees_topdown()) {
+      node.children.forEach((child, i) => {
+        if (!(child instanceof Token) || child.type !== "NAME") {
+          return;
+        }
+        const is_bound =
+          ["bytes_type", "string_type"].includes(node.data) ||
+          (["static_array", "dyn_array"].includes(node.data) && i === 1);
+        this._read(this._use(child, child.value, is_bound ? scope : this._module));
+      });
+    }
+  }
+}
+
+/**
+  Resolves the names of a contract: binds every use of a name to its
+  definition (see {@link SymbolTable}), and reports, in `problems`, as
+  `{ kind, name, message, span }`, where `kind` is one of:
+
+    - `undefined`: a name (or `self.name`) that isn't defined, or not yet
+      where it is used
+    - `duplicate`: a name defined twice in the same scope
+    - `shadowing`: a parameter, local or loop variable named as something
+      of an outer scope: the module's constants, structs, events..., the
+      names of the function, builtins, environment variables or types
+    - `unused`: a local variable that is never read
+
+  Locals are scoped as in Vyper: to the function, or to the body of the
+  `if`, `else` or `for` they are declared in, from their declaration on.
+  Storage variables and functions are only reached through `self`.
+
+  @param {Tree} tree A `module` tree from the parser, parsed without `cst`.
+  @returns {SymbolTable}
+  @throws {ConfigurationError} If `tree` is a concrete syntax tree.
+*/
+function analyze_scopes(tree) {
+  return new SymbolTable(tree);
+}
+
+module.exports = { analyze_scopes, SymbolTable, span_of };
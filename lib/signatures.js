@@ -0,0 +1,57 @@
+"use strict";
+
+const { abi } = require("./abi");
+const { keccak256 } = require("./keccak");
+
+function to_hex(bytes) {
+  return "0x" + Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+  Returns the canonical type of an ABI parameter: tuples are spelled out as
+  `(t1,t2)`, keeping any array suffix (`(uint256,address)[2]`).
+*/
+function canonical_type(param) {
+  if (param.type.startsWith("tuple")) {
+    const components = param.components.map(canonical_type).join(",");
+    return `(${components})${param.type.slice("tuple".length)}`;
+  }
+  return param.type;
+}
+
+function canonical_signature(entry) {
+  return `${entry.name}(${entry.inputs.map(canonical_type).join(",")})`;
+}
+
+/**
+  Returns the canonical signatures of a contract's external functions (one per
+  overload created by default arguments), public getters and events, in the
+  order of `abi(tree)`.
+
+  Functions get their 4-byte `selector`, events their `topic` (topic0), both
+  as `0x`-prefixed hex strings:
+
+      { type: "function", name: "transfer",
+        signature: "transfer(address,uint256)", selector: "0xa9059cbb" }
+
+  @param {Tree|Module} tree A `module` tree from the parser, or its typed AST.
+  @returns {object[]}
+*/
+function signatures(tree) {
+  const result = [];
+  for (const entry of abi(tree)) {
+    if (entry.type !== "function" && entry.type !== "event") {
+      continue;
+    }
+    const signature = canonical_signature(entry);
+    const hash = to_hex(keccak256(signature));
+    if (entry.type === "function") {
+      result.push({ type: "function", name: entry.name, signature, selector: hash.slice(0, 10) });
+    } else {
+      result.push({ type: "event", name: entry.name, signature, topic: hash });
+    }
+  }
+  return result;
+}
+
+module.exports = { signatures, canonical_type, canonical_signature };
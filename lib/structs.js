@@ -0,0 +1,104 @@
+"use strict";
+
+const { Tree, Token } = require("./vyper");
+const ast = require("./ast");
+
+function _name_of(tree) {
+  return tree.children.find((c) => c instanceof Token && c.type === "NAME");
+}
+
+/**
+  Returns the structs defined in a `module` tree, as a map from their name to
+  the names of their members.
+*/
+function _struct_members(module) {
+  const structs = new Map();
+  for (const item of module.children) {
+    if (item instanceof Tree && item.data === "struct_def") {
+      const members = item.children.filter(
+        (c) => c instanceof Tree && c.data === "struct_member"
+      );
+      structs.set(_name_of(item).value, members.map((m) => _name_of(m).value));
+    }
+  }
+  return structs;
+}
+
+/**
+  Turns the `call` nodes of a `module` tree whose callee is a struct defined
+  in the module into `struct_literal` nodes, in place. Their children are left
+  as they are: the struct's `get_var`, and the `arguments`, which are either
+  keywords (`Point(x=1, y=2)`) or a single `dict` (`Point({x: 1, y: 2})`).
+
+  {@link parseVyper} does this for the trees it returns.
+
+  @param {Tree} module
+  @returns {Tree} The same tree.
+*/
+function mark_struct_literals(module) {
+  const structs = _struct_members(module);
+  if (!structs.size) {
+    return module;
+  }
+  for (const node of module.iter_subtrees()) {
+    const callee = node.data === "call" ? node.children[0] : null;
+    if (
+      callee instanceof Tree &&
+      callee.data === "get_var" &&
+      structs.has(_name_of(callee).value)
+    ) {
+      node.data = "struct_literal";
+    }
+  }
+  return module;
+}
+
+/**
+  Checks the struct literals of a contract against the structs they build:
+  members are given by name, and each name is one of the struct's members.
+
+  @param {Tree|Module} tree A `module` tree from the parser, or its typed AST.
+  @returns {object[]} The problems found, as `{ struct, name, message, span }`,
+    where `name` is the unknown member's (null when members aren't given by
+    name) and `span` locates it.
+*/
+function check_struct_literals(tree) {
+  const module = tree instanceof Tree ? ast.toAst(mark_struct_literals(tree)) : tree;
+  const structs = new Map();
+  for (const node of module.body) {
+    if (node instanceof ast.StructDef) {
+      const members = node.body.filter((m) => m instanceof ast.StructMember);
+      structs.set(node.name, new Set(members.map((m) => m.name)));
+    }
+  }
+
+  const result = [];
+  for (const literal of module.find_all(ast.StructLiteral)) {
+    const members = structs.get(literal.name);
+    if (!members) {
+      continue;
+    }
+    if (literal.args.length && !literal.is_dict) {
+      result.push({
+        struct: literal.name,
+        name: null,
+        message: `The members of \`${literal.name}\` must be given by name`,
+        span: literal.span,
+      });
+      continue;
+    }
+    for (const member of literal.members) {
+      if (!members.has(member.name)) {
+        result.push({
+          struct: literal.name,
+          name: member.name,
+          message: `\`${literal.name}\` has no member \`${member.name}\``,
+          span: member.span,
+        });
+      }
+    }
+  }
+  return result;
+}
+
+module.exports = { mark_struct_literals, check_struct_literals };
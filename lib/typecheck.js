@@ -0,0 +1,1497 @@
+"use strict";
+
+const { Tree, Token } = require("./vyper");
+const { literal_value, LiteralError } = require("./literals");
+const { resolve_type, module_constants, format_type } = require("./types");
+const { analyze_scopes, span_of } = require("./scopes");
+
+function named(name) {
+  return { kind: "name", name };
+}
+
+function sized(kind, bound) {
+  return { kind, bound: BigInt(bound), bound_text: String(bound) };
+}
+
+const BOOL = named("bool");
+const UINT256 = named("uint256");
+const INT256 = named("int256");
+const ADDRESS = named("address");
+const BYTES32 = named("bytes32");
+const DECIMAL = named("decimal");
+
+// The members of environment variables and addresses
+const MEMBERS = {
+  // `msg.data` has no bound
+  msg: {
+    sender: ADDRESS,
+    value: UINT256,
+    gas: UINT256,
+    mana: UINT256,
+    data: { kind: "bytes_type", bound: null, bound_text: "..." },
+  },
+  block: {
+    number: UINT256,
+    timestamp: UINT256,
+    coinbase: ADDRESS,
+    difficulty: UINT256,
+    prevrandao: BYTES32,
+    gaslimit: UINT256,
+    basefee: UINT256,
+    blobbasefee: UINT256,
+    prevhash: BYTES32,
+  },
+  tx: { origin: ADDRESS, gasprice: UINT256 },
+  chain: { id: UINT256 },
+  address: { balance: UINT256, codehash: BYTES32, codesize: UINT256, is_contract: BOOL },
+};
+
+const BUILTIN_CONSTANTS = {
+  ZERO_ADDRESS: ADDRESS,
+  EMPTY_BYTES32: BYTES32,
+  MAX_INT128: named("int128"),
+  MIN_INT128: named("int128"),
+  MAX_INT256: INT256,
+  MIN_INT256: INT256,
+  MAX_UINT256: UINT256,
+  MAX_DECIMAL: DECIMAL,
+  MIN_DECIMAL: DECIMAL,
+};
+
+// Operators, as written in messages
+const OPERATORS = {
+  add: "+",
+  sub: "-",
+  mul: "*",
+  div: "/",
+  floordiv: "//",
+  mod: "%",
+  pow: "**",
+  shl: "<<",
+  shr: ">>",
+  bit_and: "&",
+  bit_or: "|",
+  bit_xor: "^",
+  xor: "xor",
+  and: "and",
+  or: "or",
+  lt: "<",
+  gt: ">",
+  le: "<=",
+  ge: ">=",
+  eq: "==",
+  ne: "!=",
+  in: "in",
+  not_in: "not in",
+  uadd: "+",
+  usub: "-",
+  invert: "~",
+  not: "not",
+};
+
+// Operations on integer literals, which give a literal
+const FOLDED = {
+  add: (a, b) => a + b,
+  sub: (a, b) => a - b,
+  mul: (a, b) => a * b,
+  floordiv: (a, b) => (b === 0n ? null : a / b),
+  mod: (a, b) => (b === 0n ? null : a % b),
+  pow: (a, b) => (b < 0n || b > 256n ? null : a ** b),
+};
+
+const ARITHMETIC = ["add", "sub", "mul", "div", "floordiv", "mod", "pow"];
+const BITWISE = ["bit_and", "bit_or", "bit_xor", "xor"];
+const ORDERING = ["lt", "gt", "le", "ge"];
+
+/**
+  The signedness and size of an integer type, or null.
+*/
+function _integer(type) {
+  const m = type && type.kind === "name" && /^(u?)int(\d+)$/.exec(type.name);
+  return m ? { signed: m[1] === "", bits: Number(m[2]) } : null;
+}
+
+function _in_range(value, type) {
+  const { signed, bits } = _integer(type);
+  const min = signed ? -(2n ** BigInt(bits - 1)) : 0n;
+  const max = (signed ? 2n ** BigInt(bits - 1) : 2n ** BigInt(bits)) - 1n;
+  return value >= min && value <= max;
+}
+
+function _bytes_m(type) {
+  const m = type && type.kind === "name" && /^bytes(\d+)$/.exec(type.name);
+  return m ? Number(m[1]) : null;
+}
+
+function _is_numeric(type) {
+  return _integer(type) !== null || _is(type, "decimal");
+}
+
+function _is(type, name) {
+  return type !== null && type.kind === "name" && type.name === name;
+}
+
+// Literals take the type their context expects. Until then, they are
+// `{ kind: "literal", literal, value }`.
+const LITERAL_DESCRIPTIONS = {
+  int: "an integer literal",
+  decimal: "a decimal literal",
+  hex: "a hex literal",
+  string: "a string literal",
+  bytes: "a bytes literal",
+  list: "a list literal",
+};
+
+function _literal(type, literal = null) {
+  return type !== null && type.kind === "literal" && (!literal || type.literal === literal);
+}
+
+/**
+  The type a literal has without context.
+*/
+function _concrete(type) {
+  if (!_literal(type)) {
+    return type;
+  }
+  switch (type.literal) {
+    case "int":
+      return type.value < 0n ? INT256 : UINT256;
+    case "decimal":
+      return DECIMAL;
+    case "hex":
+      if (type.digits === 40) {
+        return ADDRESS;
+      }
+      if (type.digits % 2 === 0 && type.digits <= 64) {
+        return named(`bytes${type.digits / 2}`);
+      }
+      return UINT256;
+    case "string":
+      return sized("string_type", type.value.length);
+    case "bytes":
+      return sized("bytes_type", type.value.length);
+    case "list":
+      return type.items.length
+        ? { ...sized("static_array", type.items.length), item: _concrete(type.items[0]) }
+        : null;
+    default:
+      return null;
+  }
+}
+
+function _describe(type) {
+  if (_literal(type)) {
+    return LITERAL_DESCRIPTIONS[type.literal];
+  }
+  return `\`${format_type(type)}\``;
+}
+
+/**
+  The type of an expression as given by typeOf(): names that aren't values,
+  like those of structs or `msg`, have none.
+*/
+function _public(type) {
+  if (type === null || type.kind === "definition" || type.kind === "environment") {
+    return null;
+  }
+  return _concrete(type);
+}
+
+function _same(a, b) {
+  return a === null || b === null || format_type(a) === format_type(b);
+}
+
+function _fits(bound, limit) {
+  return bound === null || limit === null || bound <= limit;
+}
+
+/**
+  Can a value of type `from` be used where a `to` is expected? Unknown types
+  (null) go anywhere.
+*/
+function _assignable(from, to) {
+  if (from === null || to === null) {
+    return true;
+  }
+  if (_literal(from)) {
+    switch (from.literal) {
+      case "int":
+        return _integer(to) !== null && _in_range(from.value, to);
+      case "decimal":
+        return _is(to, "decimal");
+      case "hex":
+        return (
+          (_integer(to) !== null && _in_range(from.value, to)) ||
+          _bytes_m(to) * 2 === from.digits ||
+          (_is(to, "address") && from.digits === 40)
+        );
+      case "string":
+        return to.kind === "string_type" && _fits(BigInt(from.value.length), to.bound);
+      case "bytes":
+        return to.kind === "bytes_type" && _fits(BigInt(from.value.length), to.bound);
+      case "list": {
+        const n = BigInt(from.items.length);
+        return (
+          ((to.kind === "static_array" && (to.bound === null || to.bound === n)) ||
+            (to.kind === "dyn_array" && _fits(n, to.bound))) &&
+          from.items.every((item) => _assignable(item, to.item))
+        );
+      }
+      default:
+        return true;
+    }
+  }
+  if (from.kind !== to.kind) {
+    return false;
+  }
+  switch (from.kind) {
+    case "bytes_type":
+    case "string_type":
+      return _fits(from.bound, to.bound);
+    case "dyn_array":
+      return _fits(from.bound, to.bound) && _same(from.item, to.item);
+    case "tuple_type":
+      return (
+        from.items.length === to.items.length &&
+        from.items.every((item, i) => _assignable(item, to.items[i]))
+      );
+    default:
+      return _same(from, to);
+  }
+}
+
+function _name_of(tree) {
+  return tree.children.find((c) => c instanceof Token && c.type === "NAME");
+}
+
+function _subtree(tree, data) {
+  return tree.children.find((c) => c instanceof Tree && c.data === data) || null;
+}
+
+/**
+  The member trees of a definition, leaving out what error recovery skipped.
+*/
+function _members(tree) {
+  return tree.children.filter((c) => c instanceof Tree && c.data !== "error");
+}
+
+function _type_tree(tree) {
+  return _subtree(tree, "type");
+}
+
+/**
+  Splits an `arguments` tree (or null) into positional and keyword arguments.
+*/
+function _arguments(tree) {
+  const args = [];
+  const kwargs = [];
+  for (const argument of tree ? tree.children : []) {
+    if (argument.data === "kwarg") {
+      kwargs.push({ name: argument.children[0].value, value: argument.children[1] });
+    } else {
+      args.push(argument.children[0]);
+    }
+  }
+  return { args, kwargs };
+}
+
+function _plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+// Builtins taking two numbers of the same type, and returning one
+function _numeric_builtin(name) {
+  return { arity: [2, 2], check: (c, args, node) => c._same_numeric(name, args, node) };
+}
+
+/**
+  Builtin functions, by name: the number of positional arguments they take,
+  and how to check them and get the type of the result, given the checker
+  and the arguments. Those that aren't listed are only checked for their
+  arguments' own types.
+*/
+const BUILTINS = {
+  len: {
+    arity: [1, 1],
+    check: (c, [x]) => {
+      c._expect_kind(x, c._expr(x), ["bytes_type", "string_type", "dyn_array"]);
+      return UINT256;
+    },
+  },
+  empty: { arity: [1, 1], check: (c, [t]) => c._type_argument(t) },
+  min_value: { arity: [1, 1], check: (c, [t]) => c._type_argument(t) },
+  max_value: { arity: [1, 1], check: (c, [t]) => c._type_argument(t) },
+  epsilon: { arity: [1, 1], check: (c, [t]) => c._type_argument(t) },
+  convert: {
+    arity: [2, 2],
+    check: (c, [x, t]) => {
+      c._expr(x);
+      return c._type_argument(t);
+    },
+  },
+  abi_decode: {
+    arity: [2, 2],
+    check: (c, [x, t]) => {
+      c._expect_kind(x, c._expr(x), ["bytes_type"]);
+      return c._type_argument(t);
+    },
+  },
+  min: _numeric_builtin("min"),
+  max: _numeric_builtin("max"),
+  unsafe_add: _numeric_builtin("unsafe_add"),
+  unsafe_sub: _numeric_builtin("unsafe_sub"),
+  unsafe_mul: _numeric_builtin("unsafe_mul"),
+  unsafe_div: _numeric_builtin("unsafe_div"),
+  abs: { arity: [1, 1], check: (c, [x]) => c._expr(x, INT256) },
+  sqrt: { arity: [1, 1], check: (c, [x]) => c._expr(x, DECIMAL) },
+  isqrt: { arity: [1, 1], check: (c, [x]) => c._expr(x, UINT256) },
+  floor: { arity: [1, 1], check: (c, [x]) => c._expr(x, DECIMAL) && INT256 },
+  ceil: { arity: [1, 1], check: (c, [x]) => c._expr(x, DECIMAL) && INT256 },
+  keccak256: { arity: [1, 1], check: (c, [x]) => c._hashed(x) },
+  sha256: { arity: [1, 1], check: (c, [x]) => c._hashed(x) },
+  blockhash: { arity: [1, 1], check: (c, [x]) => c._expr(x, UINT256) && BYTES32 },
+  blobhash: { arity: [1, 1], check: (c, [x]) => c._expr(x, UINT256) && BYTES32 },
+  ecrecover: {
+    arity: [4, 4],
+    check: (c, [hash, ...rest]) => {
+      c._expr(hash, BYTES32);
+      rest.forEach((x) => c._expr(x));
+      return ADDRESS;
+    },
+  },
+  uint256_addmod: {
+    arity: [3, 3],
+    check: (c, args) => args.every((x) => c._expr(x, UINT256)) && UINT256,
+  },
+  uint256_mulmod: {
+    arity: [3, 3],
+    check: (c, args) => args.every((x) => c._expr(x, UINT256)) && UINT256,
+  },
+  pow_mod256: {
+    arity: [2, 2],
+    check: (c, args) => args.every((x) => c._expr(x, UINT256)) && UINT256,
+  },
+  as_wei_value: {
+    arity: [2, 2],
+    check: (c, [x, unit]) => {
+      c._expr(x);
+      c._expr(unit);
+      return UINT256;
+    },
+  },
+  concat: { arity: [2, Infinity], check: (c, args) => c._concat(args) },
+  slice: {
+    arity: [3, 3],
+    check: (c, [x, start, length]) => {
+      const type = c._expr(x);
+      c._expect_kind(x, type, ["bytes_type", "string_type"]);
+      c._expr(start, UINT256);
+      c._expr(length, UINT256);
+      if (!type || (type.kind !== "bytes_type" && type.kind !== "string_type")) {
+        return null;
+      }
+      // As long as `length`, when it is known
+      const size = c._bound(length);
+      return size === null ? type : sized(type.kind, size);
+    },
+  },
+  uint2str: {
+    arity: [1, 1],
+    check: (c, [x]) => {
+      c._expect_kind(x, c._expr(x), ["integer"]);
+      return sized("string_type", 78);
+    },
+  },
+};
+
+/**
+  The types of a contract's expressions, and the type errors in it. Built by
+  {@link check_types}.
+*/
+class TypeTable {
+  /**
+    @param {Tree} module
+  */
+  constructor(module) {
+    // The symbol table names are resolved with
+    this.scopes = analyze_scopes(module);
+    // `{ message, node, span }`, see check_types()
+    this.problems = [];
+    this._types = new Map();
+    this._constants = module_constants(module);
+    this._structs = new Map();
+    this._functions = new Map();
+    this._interfaces = new Map();
+    this._events = new Map();
+    this._enums = new Map();
+    // Literals, until they are given a type
+    this._literals = new Map();
+    // The types of loop variables without an annotation
+    this._inferred = new Map();
+    this._function = null;
+
+    this._collect(module);
+    for (const item of module.children) {
+      if (!(item instanceof Tree)) {
+        continue;
+      }
+      if (item.data === "function_def") {
+        this._check_function(item);
+      } else if (item.data === "variable_def") {
+        const value = item.children[item.children.length - 1];
+        if (!(value instanceof Tree && value.data === "type")) {
+          this._expr(value, this._annotation(_type_tree(item)));
+        }
+      }
+    }
+    this.problems.sort((a, b) =>
+      a.span && b.span ? a.span.start_pos - b.span.start_pos : 0
+    );
+  }
+
+  /**
+    Returns the type of an expression of the tree (a tree, or a token for a
+    literal), as described by {@link resolve_type}. Literals have the type
+    their context gives them: `1` is a `uint8` in `x + 1` when `x` is.
+
+    @param {Tree|Token} node
+    @returns {object|null} The type, or null if it is unknown or `node`
+      isn't an expression with a value.
+  */
+  typeOf(node) {
+    return this._types.get(node) || null;
+  }
+
+  _problem(message, node) {
+    this.problems.push({ message, node, span: span_of(node) });
+  }
+
+  _annotation(type_tree) {
+    return type_tree ? resolve_type(type_tree, this._constants) : null;
+  }
+
+  _signature(sig) {
+    const parameters = _subtree(sig, "parameters");
+    const returns = _subtree(sig, "returns");
+    return {
+      name: _name_of(sig).value,
+      params: (parameters ? parameters.children : [])
+        .filter((p) => p instanceof Tree)
+        .map((p) => ({
+          name: p.children[0].value,
+          type: this._annotation(p.children[1]),
+          optional: p.children.length > 2,
+        })),
+      returns: returns ? this._annotation(returns.children[0]) : null,
+    };
+  }
+
+  _collect(module) {
+    for (const item of module.children) {
+      if (!(item instanceof Tree)) {
+        continue;
+      }
+      const name = _name_of(item);
+      switch (item.data) {
+        case "struct_def":
+          this._structs.set(
+            name.value,
+            new Map(
+              _members(item)
+                .map((m) => [m.children[0].value, this._annotation(_type_tree(m))])
+            )
+          );
+          break;
+        case "function_def":
+          this._functions.set(
+            _name_of(_subtree(item, "function_sig")).value,
+            this._signature(_subtree(item, "function_sig"))
+          );
+          break;
+        case "interface_def":
+          this._interfaces.set(
+            name.value,
+            new Map(
+              _members(item)
+                .map((f) => {
+                  const signature = this._signature(_subtree(f, "function_sig"));
+                  return [signature.name, signature];
+                })
+            )
+          );
+          break;
+        case "event_def": {
+          const body = _subtree(item, "event_body");
+          this._events.set(
+            name.value,
+            (body ? _members(body) : [])
+              .map((m) => ({ name: m.children[0].value, type: this._annotation(_type_tree(m)) }))
+          );
+          break;
+        }
+        case "enum_def":
+        case "flag_def":
+          this._enums.set(
+            name.value,
+            new Set(_members(item).map((m) => m.children[0].value))
+          );
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+    The declared type of a definition of the symbol table.
+  */
+  _declared(def) {
+    switch (def.kind) {
+      case "constant":
+      case "immutable":
+      case "storage":
+      case "parameter":
+        return this._annotation(_type_tree(def.node));
+      case "local":
+        return this._annotation(_type_tree(def.node.children[0]));
+      case "loop_variable":
+        return this._inferred.has(def)
+          ? this._inferred.get(def)
+          : this._annotation(_type_tree(def.node));
+      case "environment":
+        return def.name === "self" ? ADDRESS : { kind: "environment", name: def.name };
+      case "builtin":
+        return BUILTIN_CONSTANTS[def.name] || { kind: "definition", def };
+      default:
+        // Names of types, structs, events...
+        return { kind: "definition", def };
+    }
+  }
+
+  //
+  // Statements
+  //
+
+  _check_function(item) {
+    const sig = _subtree(item, "function_sig");
+    this._function = this._functions.get(_name_of(sig).value);
+    const parameters = _subtree(sig, "parameters");
+    for (const parameter of parameters ? parameters.children : []) {
+      if (parameter instanceof Tree && parameter.children.length > 2) {
+        this._expr(parameter.children[2], this._annotation(parameter.children[1]));
+      }
+    }
+    const body = _subtree(item, "body");
+    if (body) {
+      this._body(body);
+    }
+    this._function = null;
+  }
+
+  _body(body) {
+    for (const stmt of body.children) {
+      if (stmt instanceof Tree) {
+        this._statement(stmt);
+      }
+    }
+  }
+
+  _statement(stmt) {
+    const c = stmt.children;
+    switch (stmt.data) {
+      case "declaration":
+        if (c.length > 1) {
+          this._expr(c[1], this._annotation(_type_tree(c[0])));
+        }
+        break;
+      case "assign":
+        this._assign(c[0], c[1]);
+        break;
+      case "aug_assign": {
+        const target = this._expr(c[0]);
+        this._operation(stmt, c[1].data, c[0], target, c[2]);
+        break;
+      }
+      case "return_stmt":
+        this._return(stmt);
+        break;
+      case "assert":
+      case "assert_with_reason":
+      case "assert_unreachable":
+        this._expr(c[0], BOOL);
+        break;
+      case "if_stmt":
+        for (const branch of c) {
+          if (branch.data === "cond_exec") {
+            this._expr(branch.children[0], BOOL);
+          }
+          this._body(branch.children[branch.children.length - 1]);
+        }
+        break;
+      case "for_stmt":
+        this._for(stmt);
+        break;
+      case "log_stmt":
+        this._log(stmt);
+        break;
+      case "pass_stmt":
+      case "break_stmt":
+      case "continue_stmt":
+      case "raise":
+      case "raise_with_reason":
+      case "raise_unreachable":
+        break;
+      default:
+        this._expr(stmt);
+    }
+  }
+
+  _assign(target, value) {
+    if (target.data !== "multiple_assign") {
+      this._expr(value, this._expr(target));
+      return;
+    }
+    const targets = target.children.map((t) =>
+      t.data === "skip_assign" ? null : this._expr(t)
+    );
+    const type = this._expr(value);
+    if (_public(type) === null) {
+      return;
+    }
+    if (type.kind !== "tuple_type" || type.items.length !== targets.length) {
+      this._problem(
+        `Expected a tuple of ${targets.length} values, but got ${_describe(type)}`,
+        value
+      );
+      return;
+    }
+    if (value.data === "tuple") {
+      value.children.forEach((item, i) =>
+        this._expect(item, this._literal_or_type(item), targets[i])
+      );
+      return;
+    }
+    type.items.forEach((item, i) => {
+      if (!_assignable(item, targets[i])) {
+        this._problem(`Expected ${_describe(targets[i])}, but got ${_describe(item)}`, value);
+      }
+    });
+  }
+
+  _return(stmt) {
+    const values = stmt.children;
+    const expected = this._function && this._function.returns;
+    if (!this._function) {
+      values.forEach((v) => this._expr(v));
+      return;
+    }
+    if (!values.length) {
+      if (expected) {
+        this._problem(`Expected a return value of type ${_describe(expected)}`, stmt);
+      }
+      return;
+    }
+    if (!expected) {
+      values.forEach((v) => this._expr(v));
+      this._problem(`\`${this._function.name}\` doesn't return a value`, stmt);
+      return;
+    }
+    if (values.length === 1) {
+      this._expr(values[0], expected);
+      return;
+    }
+    if (expected.kind !== "tuple_type" || expected.items.length !== values.length) {
+      values.forEach((v) => this._expr(v));
+      this._problem(
+        `Expected a return value of type ${_describe(expected)}, but got ${values.length}`,
+        stmt
+      );
+      return;
+    }
+    values.forEach((v, i) => this._expr(v, expected.items[i]));
+  }
+
+  _for(stmt) {
+    const [variable, iterator, body] = stmt.children;
+    const annotation = this._annotation(_type_tree(variable));
+    const [source] = iterator.children;
+    let item = null;
+    if (source.data === "range_iterator") {
+      const bounds = source.children.filter(
+        (c) => !(c instanceof Tree && (c.data === "range_bound" || c.data === "kwarg"))
+      );
+      const types = bounds.map((b) => this._raw(b));
+      item = annotation || _concrete(types.find((t) => !_literal(t)) || UINT256);
+      bounds.forEach((b, i) => this._expect(b, types[i], item));
+      const bound = _subtree(source, "range_bound");
+      if (bound) {
+        this._expr(bound.children[0], UINT256);
+      }
+    } else {
+      const type = this._raw(source);
+      const array = _public(type);
+      if (_literal(type, "list") && annotation) {
+        // The items of a list literal take the type of the variable
+        const expected = { ...sized("static_array", type.items.length), item: annotation };
+        this._expect(source, type, expected);
+      } else if (array !== null && array.kind !== "static_array" && array.kind !== "dyn_array") {
+        this._problem(`Expected an array to iterate over, but got ${_describe(array)}`, source);
+      } else if (array !== null) {
+        item = array.item;
+        if (annotation && !_assignable(item, annotation)) {
+          this._problem(
+            `Expected ${_describe(annotation)} items, but got ${_describe(item)}`,
+            source
+          );
+        }
+      }
+      item = annotation || item;
+    }
+    const def = this.scopes.definitionOf(variable);
+    if (def && !annotation) {
+      this._inferred.set(def, item);
+    }
+    this._body(body);
+  }
+
+  _log(stmt) {
+    const [name, args_tree] = stmt.children;
+    const members = this._events.get(name.value);
+    const { args, kwargs } = _arguments(args_tree instanceof Tree ? args_tree : null);
+    if (!members) {
+      args.forEach((a) => this._expr(a));
+      kwargs.forEach((k) => this._expr(k.value));
+      return;
+    }
+    this._call_arguments(name.value, members, args, kwargs, stmt);
+  }
+
+  /**
+    Checks the arguments of a call against the parameters of a function or
+    event, `{ name, type, optional }`.
+  */
+  _call_arguments(name, params, args, kwargs, node) {
+    const required = params.filter((p) => !p.optional).length;
+    const given = args.length + kwargs.length;
+    if (given < required || given > params.length) {
+      const count =
+        required === params.length
+          ? _plural(params.length, "argument")
+          : `${required} to ${_plural(params.length, "argument")}`;
+      this._problem(
+        `\`${name}\` takes ${count}, but ${given} ${given === 1 ? "was" : "were"} given`,
+        node
+      );
+    }
+    args.forEach((arg, i) => this._expr(arg, i < params.length ? params[i].type : null));
+    for (const { name: key, value } of kwargs) {
+      const param = params.find((p) => p.name === key);
+      if (!param) {
+        this._problem(`\`${name}\` has no parameter \`${key}\``, value);
+      }
+      this._expr(value, param ? param.type : null);
+    }
+  }
+
+  //
+  // Expressions
+  //
+
+  /**
+    Infers the type of an expression and records it. With `expected`, also
+    checks that the expression can be used as one of that type.
+
+    @returns {object|null} The type, or null if it is unknown, or doesn't
+      fit `expected`.
+  */
+  _expr(node, expected = null) {
+    const type = this._infer(node);
+    this._types.set(node, _public(type));
+    if (_literal(type)) {
+      this._literals.set(node, type);
+    }
+    if (expected !== null) {
+      return this._expect(node, type, expected) ? expected : null;
+    }
+    return _concrete(type);
+  }
+
+  /**
+    Checks that `node`, of type `type`, can be used as a value of type
+    `expected`, and gives literals that type.
+  */
+  _expect(node, type, expected) {
+    if (_public(type) === null && !_literal(type, "list")) {
+      return true;
+    }
+    if (
+      node instanceof Tree &&
+      (node.data === "list" || node.data === "tuple") &&
+      ["static_array", "dyn_array", "tuple_type"].includes(expected.kind)
+    ) {
+      return this._expect_items(node, type, expected);
+    }
+    if (node instanceof Tree && node.data === "ternary" && _literal(type)) {
+      const [yes, , no] = node.children;
+      const ok = [yes, no]
+        .map((branch) => this._expect(branch, this._literal_or_type(branch), expected))
+        .every(Boolean);
+      if (ok) {
+        this._types.set(node, expected);
+        this._literals.delete(node);
+      }
+      return ok;
+    }
+    if (!_assignable(type, expected)) {
+      if (_literal(type, "int") && _integer(expected)) {
+        this._problem(`\`${type.value}\` is out of range for \`${format_type(expected)}\``, node);
+      } else {
+        this._problem(`Expected ${_describe(expected)}, but got ${_describe(type)}`, node);
+      }
+      return false;
+    }
+    if (_literal(type)) {
+      this._types.set(node, expected);
+      this._literals.delete(node);
+      if (node instanceof Tree && (node.data === "usub" || node.data === "uadd")) {
+        this._types.set(node.children[0], expected);
+      }
+    }
+    return true;
+  }
+
+  _expect_items(node, type, expected) {
+    const items = node.children.filter((c) => !(c instanceof Token && c.type === "COMMENT"));
+    const n = BigInt(items.length);
+    let fits;
+    if (expected.kind === "tuple_type") {
+      fits = node.data === "tuple" && expected.items.length === items.length;
+    } else if (expected.kind === "static_array") {
+      fits = node.data === "list" && (expected.bound === null || expected.bound === n);
+    } else {
+      fits = node.data === "list" && _fits(n, expected.bound);
+    }
+    if (!fits) {
+      this._problem(`Expected ${_describe(expected)}, but got ${_describe(type)}`, node);
+      return false;
+    }
+    let ok = true;
+    items.forEach((item, i) => {
+      const want = expected.kind === "tuple_type" ? expected.items[i] : expected.item;
+      ok = this._expect(item, this._literal_or_type(item), want) && ok;
+    });
+    if (ok) {
+      this._types.set(node, expected);
+    }
+    return ok;
+  }
+
+  /**
+    The type of an expression already inferred, as a literal for literals.
+  */
+  _literal_or_type(node) {
+    return this._literals.get(node) || this.typeOf(node);
+  }
+
+  /**
+    Infers the type of an expression, and records it, as {@link _expr}, but
+    returns literals as such.
+  */
+  _raw(node) {
+    this._expr(node);
+    return this._literal_or_type(node);
+  }
+
+  _infer(node) {
+    if (node instanceof Token) {
+      return this._token(node);
+    }
+    const c = node.children;
+    switch (node.data) {
+      case "get_var":
+        return this._get_var(node);
+      case "get_attr":
+        return this._get_attr(node);
+      case "get_item":
+        return this._get_item(node);
+      case "call":
+        return this._call(node);
+      case "struct_literal":
+        return this._struct_literal(node);
+      case "external_call":
+        return this._external_call(node);
+      case "tuple": {
+        const items = c.map((item) => this._expr(item));
+        return { kind: "tuple_type", items };
+      }
+      case "list": {
+        const items = c.map((item) => this._raw(item));
+        return { kind: "literal", literal: "list", items };
+      }
+      case "ternary": {
+        const [yes, test, no] = c;
+        this._expr(test, BOOL);
+        const [ya, na] = [this._raw(yes), this._raw(no)];
+        if (_literal(ya) && _literal(na) && ya.literal === na.literal) {
+          // Both are checked against the type expected of the whole
+          return ya;
+        }
+        const [a, b] = this._unify(yes, ya, no, na);
+        if (_public(a) && _public(b) && !_same(a, b)) {
+          this._problem(
+            `The branches have different types: ${_describe(a)} and ${_describe(b)}`,
+            node
+          );
+          return null;
+        }
+        return a && b;
+      }
+      case "and":
+      case "or":
+        c.forEach((x) => this._expr(x, BOOL));
+        return BOOL;
+      case "not":
+        this._expr(c[0], BOOL);
+        return BOOL;
+      case "usub":
+      case "uadd":
+      case "invert":
+        return this._unary(node);
+      case "dict":
+        c.forEach((x) => x instanceof Tree && this._expr(x));
+        return null;
+      default:
+        if (node.data in OPERATORS) {
+          return this._operation(node, node.data, c[0], this._infer(c[0]), c[1]);
+        }
+        c.forEach((x) => x instanceof Tree && this._expr(x));
+        return null;
+    }
+  }
+
+  _token(token) {
+    let value;
+    try {
+      value = literal_value(token);
+    } catch (e) {
+      if (e instanceof LiteralError || e instanceof SyntaxError) {
+        return null;
+      }
+      throw e;
+    }
+    switch (token.type) {
+      case "DEC_NUMBER":
+      case "OCT_NUMBER":
+      case "BIN_NUMBER":
+        return { kind: "literal", literal: "int", value };
+      case "HEX_NUMBER":
+        return { kind: "literal", literal: "hex", value, digits: token.value.length - 2 };
+      case "FLOAT_NUMBER":
+        return { kind: "literal", literal: "decimal", value };
+      case "BOOL":
+        return BOOL;
+      case "HEX_STRING":
+        return { kind: "literal", literal: "bytes", value };
+      default:
+        return { kind: "literal", literal: typeof value === "string" ? "string" : "bytes", value };
+    }
+  }
+
+  _get_var(node) {
+    const def = this.scopes.definitionOf(node);
+    return def ? this._declared(def) : null;
+  }
+
+  _get_attr(node) {
+    const [value, attr] = node.children;
+    const def = this.scopes.definitionOf(node);
+    if (def) {
+      // `self.x`
+      this._expr(value);
+      return def.kind === "storage" ? this._declared(def) : null;
+    }
+    const type = this._infer(value);
+    this._types.set(value, _public(type));
+    if (type === null) {
+      return null;
+    }
+    let members = null;
+    let owner = null;
+    if (type.kind === "environment") {
+      [members, owner] = [MEMBERS[type.name], type.name];
+    } else if (type.kind === "definition") {
+      const { kind, name } = type.def;
+      if (kind !== "enum" && kind !== "flag") {
+        return null;
+      }
+      if (!this._enums.get(name).has(attr.value)) {
+        this._problem(`\`${name}\` has no member \`${attr}\``, node);
+        return null;
+      }
+      return named(name);
+    } else if (_is(type, "address") || this._interfaces.has(type.name)) {
+      [members, owner] = [MEMBERS.address, format_type(type)];
+      if (attr.value === "address" && !_is(type, "address")) {
+        return ADDRESS;
+      }
+    } else if (type.kind === "name" && this._structs.has(type.name)) {
+      members = Object.fromEntries(this._structs.get(type.name));
+      owner = type.name;
+    } else {
+      return null;
+    }
+    if (!(attr.value in members)) {
+      this._problem(`\`${owner}\` has no member \`${attr}\``, node);
+      return null;
+    }
+    return members[attr.value];
+  }
+
+  _get_item(node) {
+    const [value, index] = node.children;
+    const type = this._expr(value);
+    if (type === null) {
+      this._expr(index);
+      return null;
+    }
+    switch (type.kind) {
+      case "hashmap":
+        this._expr(index, type.key);
+        return type.value;
+      case "static_array":
+      case "dyn_array": {
+        const index_type = this._infer(index);
+        if (_literal(index_type)) {
+          this._expect(index, index_type, UINT256);
+        } else if (index_type !== null && !_integer(index_type)) {
+          this._problem(`Expected an integer index, but got ${_describe(index_type)}`, index);
+        }
+        if (!_literal(index_type)) {
+          this._types.set(index, index_type);
+        }
+        return type.item;
+      }
+      case "tuple_type": {
+        const index_type = this._infer(index);
+        this._expect(index, index_type, UINT256);
+        const i = _literal(index_type, "int") ? Number(index_type.value) : null;
+        return i !== null && i < type.items.length ? type.items[i] : null;
+      }
+      default:
+        this._expr(index);
+        if (type.kind === "definition" || type.kind === "environment") {
+          return null;
+        }
+        this._problem(`${_describe(type)} can't be indexed`, value);
+        return null;
+    }
+  }
+
+  _call(node) {
+    const [func, args_tree] = node.children;
+    const { args, kwargs } = _arguments(args_tree || null);
+    const def = this.scopes.definitionOf(func);
+
+    // Internal functions: `self.f()`
+    if (def && def.kind === "function") {
+      this._types.set(func, null);
+      const signature = this._functions.get(def.name);
+      this._call_arguments(def.name, signature.params, args, kwargs, node);
+      return signature.returns;
+    }
+
+    // Builtins, struct literals and interface casts: `len(x)`, `Point(x=1)`,
+    // `Token(addr)`
+    if (func.data === "get_var" && def) {
+      if (def.kind === "struct") {
+        return this._struct_literal(node);
+      }
+      if (def.kind === "builtin" && def.name in BUILTINS) {
+        const { arity, check } = BUILTINS[def.name];
+        kwargs.forEach((k) => this._expr(k.value));
+        if (args.length < arity[0] || args.length > arity[1]) {
+          const count =
+            arity[0] === arity[1]
+              ? _plural(arity[0], "argument")
+              : `at least ${_plural(arity[0], "argument")}`;
+          this._problem(`\`${def.name}\` takes ${count}, but ${args.length} were given`, node);
+          args.forEach((a) => this._expr(a));
+          return null;
+        }
+        return check(this, args, node);
+      }
+      if (def.kind === "interface" || def.kind === "import") {
+        if (args.length === 1 && !kwargs.length) {
+          this._expr(args[0], ADDRESS);
+        } else {
+          args.forEach((a) => this._expr(a));
+        }
+        return def.kind === "interface" ? named(def.name) : null;
+      }
+    }
+
+    // Calls of an interface's methods, without `extcall` (before Vyper 0.4)
+    if (func.data === "get_attr") {
+      const target = this._expr(func.children[0]);
+      if (target && target.kind === "name" && this._interfaces.has(target.name)) {
+        return this._method(target.name, func.children[1], args, kwargs, node);
+      }
+      if (target && target.kind === "definition") {
+        args.forEach((a) => this._expr(a));
+        kwargs.forEach((k) => this._expr(k.value));
+        return null;
+      }
+    } else {
+      this._expr(func);
+    }
+    args.forEach((a) => this._expr(a));
+    kwargs.forEach((k) => this._expr(k.value));
+    return null;
+  }
+
+  _method(iface, method, args, kwargs, node) {
+    const signature = this._interfaces.get(iface).get(method.value);
+    if (!signature) {
+      this._problem(`\`${iface}\` has no member \`${method}\``, node);
+      args.forEach((a) => this._expr(a));
+      return null;
+    }
+    // Keywords are call options, like `value=`
+    kwargs.forEach((k) => this._expr(k.value));
+    this._call_arguments(method.value, signature.params, args, [], node);
+    return signature.returns;
+  }
+
+  _external_call(node) {
+    const [, target, method, args_tree] = node.children;
+    const { args, kwargs } = _arguments(args_tree || null);
+    const type = this._expr(target);
+    if (type && type.kind === "name" && this._interfaces.has(type.name)) {
+      return this._method(type.name, method, args, kwargs, node);
+    }
+    args.forEach((a) => this._expr(a));
+    kwargs.forEach((k) => this._expr(k.value));
+    return null;
+  }
+
+  _struct_literal(node) {
+    const [func, args_tree] = node.children;
+    const name = func.children[0].value;
+    const members = this._structs.get(name);
+    const { args, kwargs } = _arguments(args_tree || null);
+    if (!members) {
+      args.forEach((a) => this._expr(a));
+      kwargs.forEach((k) => this._expr(k.value));
+      return named(name);
+    }
+    let given = kwargs;
+    if (args.length === 1 && args[0].data === "dict") {
+      const dict = args[0].children;
+      given = [];
+      for (let i = 0; i < dict.length; i += 2) {
+        given.push({ name: dict[i].value, value: dict[i + 1] });
+      }
+    } else {
+      args.forEach((a) => this._expr(a));
+    }
+    for (const { name: member, value } of given) {
+      // Unknown members are reported by check_struct_literals()
+      this._expr(value, members.get(member) || null);
+    }
+    const names = new Set(given.map((g) => g.name));
+    const missing = [...members.keys()].filter((m) => !names.has(m));
+    if (missing.length && !(args.length && args[0].data !== "dict")) {
+      this._problem(
+        `Missing ${missing.length === 1 ? "member" : "members"} ${missing
+          .map((m) => `\`${m}\``)
+          .join(", ")} of \`${name}\``,
+        node
+      );
+    }
+    return named(name);
+  }
+
+  //
+  // Operators
+  //
+
+  /**
+    Gives a literal operand the type of the other one.
+  */
+  _unify(left, lt, right, rt) {
+    if (_literal(lt) && _public(rt) !== null && !_literal(rt)) {
+      return [this._expect(left, lt, rt) ? rt : null, rt];
+    }
+    if (_literal(rt) && _public(lt) !== null && !_literal(lt)) {
+      return [lt, this._expect(right, rt, lt) ? lt : null];
+    }
+    return [_concrete(lt), _concrete(rt)];
+  }
+
+  /**
+    Checks a binary operation, or an augmented assignment, and returns its
+    type.
+  */
+  _operation(node, op, left, lt, right) {
+    if (!(left instanceof Tree && this._types.has(left))) {
+      this._types.set(left, _public(lt));
+    }
+    let rt = this._infer(right);
+    this._types.set(right, _public(rt));
+    const symbol = OPERATORS[op];
+    const fail = (a, b) => {
+      this._problem(`Can't apply \`${symbol}\` to ${_describe(a)} and ${_describe(b)}`, node);
+      return null;
+    };
+
+    if (op === "shl" || op === "shr") {
+      if (_literal(rt)) {
+        rt = this._expect(right, rt, UINT256) ? UINT256 : null;
+      }
+      lt = _concrete(lt);
+      if (lt === null || rt === null) {
+        return lt;
+      }
+      return _integer(lt) && _integer(rt) ? lt : fail(lt, rt);
+    }
+    if (op === "in" || op === "not_in") {
+      const container = _concrete(rt);
+      if (container === null) {
+        return BOOL;
+      }
+      if (container.kind === "static_array" || container.kind === "dyn_array") {
+        this._expect(left, lt, container.item);
+        return BOOL;
+      }
+      if (container.kind === "name" && this._enums.has(container.name)) {
+        this._expect(left, lt, container);
+        return BOOL;
+      }
+      return fail(lt, container);
+    }
+
+    if (_literal(lt, "int") && _literal(rt, "int") && op in FOLDED) {
+      const value = FOLDED[op](lt.value, rt.value);
+      return value === null ? null : { kind: "literal", literal: "int", value };
+    }
+    const [a, b] = this._unify(left, lt, right, rt);
+    if (a === null || b === null) {
+      return ORDERING.includes(op) || op === "eq" || op === "ne" ? BOOL : null;
+    }
+    if (_public(a) === null || _public(b) === null) {
+      return null;
+    }
+    if (!_same(a, b)) {
+      return _literal(lt) && _literal(rt) ? fail(lt, rt) : fail(a, b);
+    }
+    const is_enum = a.kind === "name" && this._enums.has(a.name);
+    if (ARITHMETIC.includes(op)) {
+      const ok =
+        op === "pow" || op === "floordiv" ? _integer(a) !== null : _is_numeric(a);
+      return ok ? a : fail(a, b);
+    }
+    if (BITWISE.includes(op)) {
+      return _integer(a) || is_enum || (op === "xor" && _is(a, "bool")) ? a : fail(a, b);
+    }
+    if (ORDERING.includes(op)) {
+      return _is_numeric(a) ? BOOL : fail(a, b);
+    }
+    if (op === "eq" || op === "ne") {
+      const comparable = !["hashmap", "static_array", "dyn_array", "tuple_type"].includes(a.kind) &&
+        !(a.kind === "name" && this._structs.has(a.name));
+      return comparable ? BOOL : fail(a, b);
+    }
+    if (op === "and" || op === "or") {
+      return _is(a, "bool") ? a : fail(a, b);
+    }
+    return null;
+  }
+
+  _unary(node) {
+    const [operand] = node.children;
+    const type = this._infer(operand);
+    const symbol = OPERATORS[node.data];
+    if (_literal(type, "int") || _literal(type, "decimal")) {
+      if (node.data === "usub") {
+        const value =
+          type.literal === "int" ? -type.value : type.value;
+        return { ...type, value };
+      }
+      if (node.data === "uadd") {
+        return type;
+      }
+    }
+    const concrete = _concrete(type);
+    this._types.set(operand, _public(concrete));
+    if (concrete === null) {
+      return null;
+    }
+    const integer = _integer(concrete);
+    const ok =
+      node.data === "usub"
+        ? (integer && integer.signed) || _is(concrete, "decimal")
+        : node.data === "uadd"
+          ? _is_numeric(concrete)
+          : (integer && !integer.signed) ||
+            (concrete.kind === "name" && this._enums.has(concrete.name));
+    if (!ok) {
+      this._problem(`Can't apply \`${symbol}\` to ${_describe(concrete)}`, node);
+      return null;
+    }
+    return concrete;
+  }
+
+  //
+  // Helpers for builtins
+  //
+
+  /**
+    Resolves a type given as an argument, like the `uint256` of
+    `empty(uint256)` or the `Bytes[32]` of `convert(x, Bytes[32])`.
+  */
+  _type_argument(node) {
+    let type = null;
+    if (node instanceof Tree && node.data === "get_var") {
+      const def = this.scopes.definitionOf(node);
+      if (def && ["type", "struct", "interface", "enum", "flag"].includes(def.kind)) {
+        type = named(def.name);
+      }
+    } else if (node instanceof Tree && node.data === "get_item") {
+      const [base, index] = node.children;
+      const base_name = base.data === "get_var" ? base.children[0].value : null;
+      const is_pair =
+        index instanceof Tree && index.data === "tuple" && index.children.length === 2;
+      const size = this._bound(is_pair ? index.children[1] : index);
+      if (base_name === "DynArray" && is_pair) {
+        const item = this._type_argument(index.children[0]);
+        type = item && size !== null ? { ...sized("dyn_array", size), item } : null;
+      } else if (is_pair) {
+        type = null;
+      } else if (base_name === "Bytes" || base_name === "String") {
+        const kind = base_name === "Bytes" ? "bytes_type" : "string_type";
+        type = size === null ? null : sized(kind, size);
+      } else {
+        const item = this._type_argument(base);
+        type = item && size !== null ? { ...sized("static_array", size), item } : null;
+      }
+    } else if (node instanceof Tree && node.data === "tuple") {
+      const items = node.children.map((c) => this._type_argument(c));
+      type = items.every(Boolean) ? { kind: "tuple_type", items } : null;
+    }
+    if (type === null) {
+      this._expr(node);
+    }
+    return type;
+  }
+
+  /**
+    The value of a size given as an integer literal or a constant, or null.
+  */
+  _bound(node) {
+    if (node instanceof Token) {
+      return /^\d|^0x/i.test(node.value) ? BigInt(node.value.toLowerCase()) : null;
+    }
+    if (node.data === "get_var" && this._constants.has(node.children[0].value)) {
+      return this._constants.get(node.children[0].value);
+    }
+    return null;
+  }
+
+  _expect_kind(node, type, kinds) {
+    if (type === null || type.kind === "definition" || type.kind === "environment") {
+      return;
+    }
+    const ok = kinds.some((kind) => (kind === "integer" ? _integer(type) : type.kind === kind));
+    if (!ok) {
+      const names = {
+        bytes_type: "`Bytes`",
+        string_type: "`String`",
+        dyn_array: "`DynArray`",
+        integer: "an integer",
+      };
+      const expected = kinds.map((k) => names[k]);
+      const list =
+        expected.length > 1
+          ? `${expected.slice(0, -1).join(", ")} or ${expected[expected.length - 1]}`
+          : expected[0];
+      this._problem(`Expected ${list}, but got ${_describe(type)}`, node);
+    }
+  }
+
+  _same_numeric(name, [a, b], node) {
+    const [lt, rt] = this._unify(a, this._infer(a), b, this._infer(b));
+    this._types.set(a, _public(lt));
+    this._types.set(b, _public(rt));
+    if (_public(lt) === null || _public(rt) === null) {
+      return null;
+    }
+    if (!_same(lt, rt) || !_is_numeric(lt)) {
+      this._problem(`Can't apply \`${name}\` to ${_describe(lt)} and ${_describe(rt)}`, node);
+      return null;
+    }
+    return lt;
+  }
+
+  _hashed(node) {
+    const type = this._expr(node);
+    if (type !== null && !_is(type, "bytes32")) {
+      this._expect_kind(node, type, ["bytes_type", "string_type"]);
+    }
+    return BYTES32;
+  }
+
+  _concat(args) {
+    let kind = null;
+    let bound = 0n;
+    for (const arg of args) {
+      const type = this._expr(arg);
+      const m = _bytes_m(type);
+      const arg_kind = m !== null ? "bytes_type" : type && type.kind;
+      if (type === null || type.bound === null) {
+        return null;
+      }
+      if (arg_kind !== "bytes_type" && arg_kind !== "string_type") {
+        this._expect_kind(arg, type, ["bytes_type", "string_type"]);
+        return null;
+      }
+      if (kind !== null && kind !== arg_kind) {
+        this._problem("Can't concatenate `Bytes` and `String`", arg);
+        return null;
+      }
+      kind = arg_kind;
+      bound += m !== null ? BigInt(m) : type.bound;
+    }
+    return sized(kind, bound);
+  }
+}
+
+/**
+  Infers the types of the expressions of a contract and checks them, as the
+  compiler would, for the types it knows: integers, `decimal`, `address`,
+  `bool`, `bytesN`, `Bytes[N]`, `String[N]`, arrays, `HashMap`s, tuples,
+  and the structs, enums, flags and interfaces defined in the contract.
+  Names are resolved with {@link analyze_scopes}.
+
+  Checked are assignments, declarations, default values, `return`s,
+  conditions, loops, `log`s and arguments against the types they go to;
+  operands of arithmetic, bitwise, boolean and comparison operators;
+  `HashMap` keys and array indexes; members of structs, enums, addresses
+  and environment variables (`msg.sender`, `block.timestamp`...); and the
+  calls of internal functions, of interfaces defined in the contract, and of
+  builtins like `len()`, `empty()`, `convert()`, `min()` or `concat()`.
+  What can't be typed (imported interfaces, other builtins...) is left
+  unchecked.
+
+  Integer literals take the type their context expects, and are checked to
+  be in its range.
+
+  @param {Tree} tree A `module` tree from the parser.
+  @returns {TypeTable} Whose `typeOf(node)` gives the type of an expression
+    (see {@link resolve_type}), and `problems` the type errors, as
+    `{ message, node, span }`, where `node` is the offending expression.
+*/
+function check_types(tree) {
+  return new TypeTable(tree);
+}
+
+module.exports = { check_types, TypeTable };
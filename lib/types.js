@@ -0,0 +1,126 @@
+"use strict";
+
+const { Tree, Token } = require("./vyper");
+
+const NUMBERS = new Set(["DEC_NUMBER", "HEX_NUMBER"]);
+
+/**
+  Returns the integer constants of a `module` tree, by name: those declared
+  with `constant(...)` and a number, or the name of an earlier one, as value.
+
+  @param {Tree} module
+  @returns {Map<string, bigint>}
+*/
+function module_constants(module) {
+  const constants = new Map();
+  for (const item of module.children) {
+    if (!(item instanceof Tree) || item.data !== "variable_def") {
+      continue;
+    }
+    const [name, ...rest] = item.children;
+    const is_constant = rest.some((x) => x instanceof Tree && x.data === "is_constant");
+    let value = rest[rest.length - 1];
+    if (value instanceof Tree && value.data === "get_var") {
+      [value] = value.children;
+    }
+    if (is_constant && value instanceof Token) {
+      const bound = _bound(value, constants).bound;
+      if (bound !== null) {
+        constants.set(name.value, bound);
+      }
+    }
+  }
+  return constants;
+}
+
+function _bound(token, constants) {
+  let bound = null;
+  if (NUMBERS.has(token.type)) {
+    bound = BigInt(token.value.toLowerCase());
+  } else if (token.type === "NAME" && constants.has(token.value)) {
+    bound = constants.get(token.value);
+  }
+  return { bound, bound_text: token.value };
+}
+
+/**
+  Describes a type annotation of the parse tree as a plain object, with
+  its bounds resolved to numbers:
+
+    - `{ kind: "name", name }` for `uint256`, `address`, structs, ...
+    - `{ kind: "static_array", item, bound, bound_text }` for `T[N]`
+    - `{ kind: "dyn_array", item, bound, bound_text }` for `DynArray[T, N]`
+    - `{ kind: "bytes_type", bound, bound_text }` for `Bytes[N]`
+    - `{ kind: "string_type", bound, bound_text }` for `String[N]`
+    - `{ kind: "hashmap", key, value }` for `HashMap[K, V]`
+    - `{ kind: "tuple_type", items }` for `(T1, T2)`
+
+  `bound` is a BigInt, or null when it names a constant that isn't in
+  `constants`. `bound_text` is the bound as written.
+
+  @param {Tree|Token} node A `type` tree, or any node below one.
+  @param {Map<string, bigint>} constants Values of the constants bounds may
+    name, e.g. from {@link module_constants}.
+  @returns {object}
+*/
+function resolve_type(node, constants = new Map()) {
+  if (node instanceof Token) {
+    return { kind: "name", name: node.value };
+  }
+  const c = node.children;
+  switch (node.data) {
+    case "type":
+      return resolve_type(c[0], constants);
+    case "static_array":
+    case "dyn_array":
+      return {
+        kind: node.data,
+        item: resolve_type(c[0], constants),
+        ..._bound(c[1], constants),
+      };
+    case "bytes_type":
+    case "string_type":
+      return { kind: node.data, ..._bound(c[0], constants) };
+    case "hashmap":
+      return {
+        kind: node.data,
+        key: resolve_type(c[0], constants),
+        value: resolve_type(c[1], constants),
+      };
+    case "tuple_type":
+      return { kind: node.data, items: c.map((t) => resolve_type(t, constants)) };
+    default:
+      throw new TypeError(`Unexpected type node: ${node.data}`);
+  }
+}
+
+/**
+  Writes a type described by {@link resolve_type} as it is in Vyper source:
+  `uint256`, `DynArray[address, 5]`, `HashMap[address, Bytes[32]]`, ...
+
+  @param {object} type
+  @returns {string}
+*/
+function format_type(type) {
+  const bound = type.bound === null || type.bound === undefined ? type.bound_text : type.bound;
+  switch (type.kind) {
+    case "name":
+      return type.name;
+    case "static_array":
+      return `${format_type(type.item)}[${bound}]`;
+    case "dyn_array":
+      return `DynArray[${format_type(type.item)}, ${bound}]`;
+    case "bytes_type":
+      return `Bytes[${bound}]`;
+    case "string_type":
+      return `String[${bound}]`;
+    case "hashmap":
+      return `HashMap[${format_type(type.key)}, ${format_type(type.value)}]`;
+    case "tuple_type":
+      return `(${type.items.map(format_type).join(", ")})`;
+    default:
+      throw new TypeError(`Unexpected type: ${type.kind}`);
+  }
+}
+
+module.exports = { resolve_type, module_constants, format_type };
@@ -0,0 +1,18 @@
+const assert = require("assert");
+const { parseVyper } = require("../lib/index.js");
+
+
+//
+// Helpers shared by the tests
+//
+
+
+// The parse tree of `source`, which must have no syntax errors
+function parse(source) {
+  const { ast, errors } = parseVyper(source);
+  assert(!errors.length, errors.map((e) => e.message).join("\n"));
+  return ast;
+}
+
+
+module.exports = { parse };
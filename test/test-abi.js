@@ -0,0 +1,142 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { parseVyper, abi } = require("../lib/index.js");
+
+
+//
+// Test ABI generation
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+function abi_of(source) {
+  return abi(parseVyper(source).ast);
+}
+
+
+const POINT = [
+  { name: "x", type: "int128" },
+  { name: "y", type: "int128" },
+];
+
+
+class TestAbi extends TestCase {
+  test_functions() {
+    const result = abi_of(`struct Point:
+    x: int128
+    y: int128
+
+@external
+def __init__(owner: address):
+    pass
+
+@external
+@view
+def get(p: Point, data: Bytes[100], n: uint256 = 1) -> (Point, String[10]):
+    return p, "a"
+
+@external
+@payable
+def deposit():
+    pass
+
+@internal
+def _hidden():
+    pass
+`);
+    this.assertEqual(result, [
+      {
+        type: "constructor",
+        inputs: [{ name: "owner", type: "address" }],
+        outputs: [],
+        stateMutability: "nonpayable",
+      },
+      {
+        type: "function",
+        name: "get",
+        inputs: [
+          { name: "p", type: "tuple", components: POINT },
+          { name: "data", type: "bytes" },
+        ],
+        outputs: [
+          { name: "", type: "tuple", components: POINT },
+          { name: "", type: "string" },
+        ],
+        stateMutability: "view",
+      },
+      {
+        type: "function",
+        name: "get",
+        inputs: [
+          { name: "p", type: "tuple", components: POINT },
+          { name: "data", type: "bytes" },
+          { name: "n", type: "uint256" },
+        ],
+        outputs: [
+          { name: "", type: "tuple", components: POINT },
+          { name: "", type: "string" },
+        ],
+        stateMutability: "view",
+      },
+      {
+        type: "function",
+        name: "deposit",
+        inputs: [],
+        outputs: [],
+        stateMutability: "payable",
+      },
+    ]);
+  }
+
+
+  test_getters() {
+    const result = abi_of(`N: constant(uint256) = 3
+allowance: public(HashMap[address, HashMap[address, uint256]])
+grid: public(int128[N][2])
+`);
+    this.assertEqual(
+      result.map((f) => [f.name, f.inputs.map((i) => `${i.name}:${i.type}`), f.outputs[0].type]),
+      [
+        ["allowance", ["arg0:address", "arg1:address"], "uint256"],
+        ["grid", ["arg0:uint256", "arg1:uint256"], "int128"],
+      ]
+    );
+  }
+
+
+  test_hex_sizes() {
+    const [f] = abi_of(`M: constant(uint256) = 0x2
+
+@external
+def f(a: uint256[0x3], b: bytes32[M]):
+    pass
+`);
+    this.assertEqual(f.inputs.map((i) => i.type), ["uint256[3]", "bytes32[2]"]);
+  }
+
+
+  test_events() {
+    const [event] = abi_of(`event Transfer:
+    sender: indexed(address)
+    value: uint256
+`);
+    this.assertEqual(event, {
+      type: "event",
+      name: "Transfer",
+      inputs: [
+        { name: "sender", type: "address", indexed: true },
+        { name: "value", type: "uint256", indexed: false },
+      ],
+      anonymous: false,
+    });
+  }
+}
+
+
+module.exports = { TestAbi };
@@ -0,0 +1,144 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { toAst, get_parser, ast } = require("../lib/index.js");
+const { parse: parse_tree } = require("./helpers.js");
+
+
+//
+// Test typed AST
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+function parse(source) {
+  return toAst(parse_tree(source));
+}
+
+
+class TestAst extends TestCase {
+  test_module() {
+    const m = parse(`"""Module docs"""
+from vyper.interfaces import ERC20
+import a.b as c
+
+struct Point:
+    x: int128
+
+owner: public(address)
+MAX: constant(uint256) = 10
+balances: HashMap[address, uint256[3]]
+`);
+    assert(m instanceof ast.Module);
+    this.assertEqual(m.doc_string.value, "Module docs");
+    this.assertEqual(
+      m.body.map((n) => n.ast_type),
+      ["ImportFrom", "Import", "StructDef", "VariableDecl", "VariableDecl", "VariableDecl"]
+    );
+    const [from, imp, struct, owner, max, balances] = m.body;
+    this.assertEqual([from.module, from.names[0].name], ["vyper.interfaces", "ERC20"]);
+    this.assertEqual([imp.name, imp.alias], ["a.b", "c"]);
+    this.assertEqual(struct.body[0].name, "x");
+    this.assertEqual([owner.is_public, owner.is_constant], [true, false]);
+    this.assertEqual([max.is_constant, max.value.value], [true, 10n]);
+    this.assertEqual(balances.annotation.value.id, "HashMap");
+    const [key, value] = balances.annotation.slice.elements;
+    this.assertEqual([key.id, value.value.id, value.slice.value], ["address", "uint256", 3n]);
+  }
+
+
+  test_state_variable_modifiers() {
+    const m = parse(`MAX: public(constant(uint256)) = 1
+owner: immutable(address)
+lock: transient(bool)
+total: public(transient(uint256))
+`);
+    this.assertEqual(
+      m.body.map((n) => [
+        n.target.id,
+        n.annotation.id,
+        n.is_constant,
+        n.is_public,
+        n.is_immutable,
+        n.is_transient,
+      ]),
+      [
+        ["MAX", "uint256", true, true, false, false],
+        ["owner", "address", false, false, true, false],
+        ["lock", "bool", false, false, false, true],
+        ["total", "uint256", false, true, false, true],
+      ]
+    );
+    this.assertEqual(m.body[0].value.value, 1n);
+  }
+
+
+  test_function() {
+    const m = parse(`@external
+@nonreentrant("lock")
+def f(a: uint256, b: bool = True) -> uint256:
+    x: uint256 = a * 2 + 1
+    if b:
+        return x
+    elif a > 1:
+        pass
+    else:
+        raise "no"
+    self.total += x
+    return x
+`);
+    const f = m.body[0];
+    assert(f instanceof ast.FunctionDef);
+    this.assertEqual(f.name, "f");
+    this.assertEqual(f.args.map((a) => a.name), ["a", "b"]);
+    this.assertEqual(f.args[1].default.value, true);
+    this.assertEqual(f.returns.id, "uint256");
+    this.assertEqual(f.decorator_list[0].id, "external");
+    this.assertEqual(f.decorator_list[1].func.id, "nonreentrant");
+    this.assertEqual(
+      f.body.map((n) => n.ast_type),
+      ["AnnAssign", "If", "AugAssign", "Return"]
+    );
+
+    const decl = f.body[0];
+    assert(decl.value instanceof ast.BinOp);
+    assert(decl.value.op instanceof ast.Add);
+    assert(decl.value.left.op instanceof ast.Mult);
+
+    const branch = f.body[1];
+    this.assertEqual(branch.orelse.length, 1);
+    assert(branch.orelse[0] instanceof ast.If);
+    assert(branch.orelse[0].orelse[0] instanceof ast.Raise);
+  }
+
+
+  test_spans_and_parents() {
+    const m = parse("x: uint256\n\n@external\ndef f():\n    log Foo(msg.sender)\n\n");
+    const f = m.body[1];
+    this.assertEqual(
+      [f.span.line, f.span.column, f.span.end_line, f.span.end_column],
+      [3, 1, 5, 24]
+    );
+    const call = f.body[0].value;
+    assert(call instanceof ast.Call);
+    this.assertEqual(call.args[0].span.column, 13);
+    assert(call.parent === f.body[0]);
+    assert(call.args[0].get_ancestor(ast.FunctionDef) === f);
+    assert(m.parent === null);
+  }
+
+
+  test_without_positions() {
+    const tree = get_parser().parse("def f():\n    return 1\n");
+    const ret = toAst(tree).find_all(ast.Return)[0];
+    this.assertEqual([ret.span.line, ret.value.span.column], [2, 12]);
+  }
+}
+
+
+module.exports = { TestAst };
@@ -0,0 +1,96 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { parseVyper, toAst, toCompilerAst } = require("../lib/index.js");
+
+
+//
+// Test compiler AST export
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+const SOURCE = `event Transfer:
+    sender: indexed(address)
+    value: uint256
+
+balances: public(HashMap[address, uint256])
+
+@external
+def f(a: uint256 = 1) -> uint256:
+    """Docs"""
+    return self.balances[msg.sender] + a
+`;
+
+
+class TestCompilerAst extends TestCase {
+  setUp() {
+    this.result = toCompilerAst(parseVyper(SOURCE).ast, { filename: "t.vy" });
+  }
+
+
+  test_module() {
+    const { contract_name, ast } = this.result;
+    this.assertEqual(contract_name, "t.vy");
+    this.assertEqual(
+      _.pick(ast, ["ast_type", "node_id", "name", "lineno", "col_offset"]),
+      { ast_type: "Module", node_id: 0, name: "t.vy", lineno: 1, col_offset: 0 }
+    );
+    this.assertEqual(
+      ast.body.map((n) => n.ast_type),
+      ["EventDef", "VariableDecl", "FunctionDef"]
+    );
+  }
+
+
+  test_positions() {
+    const decl = this.result.ast.body[1];
+    this.assertEqual(
+      _.pick(decl.target, ["id", "lineno", "col_offset", "end_lineno", "end_col_offset", "src"]),
+      { id: "balances", lineno: 5, col_offset: 0, end_lineno: 5, end_col_offset: 8, src: "65:8:0" }
+    );
+  }
+
+
+  test_node_ids() {
+    const ids = [];
+    JSON.stringify(this.result, (key, value) => {
+      if (key === "node_id") ids.push(value);
+      return value;
+    });
+    this.assertEqual(ids, _.range(ids.length));
+  }
+
+
+  test_layout() {
+    const [event, decl, fn] = this.result.ast.body;
+    const indexed = event.body[0];
+    this.assertEqual(indexed.ast_type, "AnnAssign");
+    this.assertEqual(indexed.target.id, "sender");
+    this.assertEqual(indexed.annotation.func.id, "indexed");
+
+    this.assertEqual([decl.is_public, decl.annotation.value.id], [true, "HashMap"]);
+    this.assertEqual(decl.annotation.slice.ast_type, "Index");
+
+    this.assertEqual(fn.args.ast_type, "arguments");
+    this.assertEqual(fn.args.args[0].arg, "a");
+    this.assertEqual(fn.args.defaults[0].value, 1);
+    this.assertEqual(fn.doc_string.value, "Docs");
+    this.assertEqual(fn.body.map((n) => n.ast_type), ["Return"]);
+    this.assertEqual(fn.body[0].value.op.ast_type, "Add");
+  }
+
+
+  test_typed_ast_input() {
+    const module = toAst(parseVyper(SOURCE).ast);
+    this.assertEqual(toCompilerAst(module, { filename: "t.vy" }), this.result);
+  }
+}
+
+
+module.exports = { TestCompilerAst };
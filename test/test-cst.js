@@ -0,0 +1,102 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { parseVyper, cstToSource, Tree } = require("../lib/index.js");
+
+
+//
+// Test the concrete syntax tree
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+const SOURCE = `# @version 0.3.7
+"""Docs"""
+
+@external
+def f(a: uint256,  # first
+      b: uint256) -> uint256:
+    x: uint256 = (a + \\
+        b)  # sum
+    return x
+`;
+
+
+function tokens(tree) {
+  return tree.scan_values((v) => !(v instanceof Tree));
+}
+
+
+class TestCst extends TestCase {
+  test_round_trip() {
+    for (const source of [
+      SOURCE,
+      SOURCE.replace(/\n/g, "\r\n"),
+      SOURCE.trimEnd(),
+      SOURCE + "\n  # the end",
+      "",
+    ]) {
+      const { ast, errors } = parseVyper(source, { cst: true });
+      this.assertEqual(errors, []);
+      this.assertEqual(cstToSource(ast), source);
+    }
+  }
+
+
+  test_all_tokens() {
+    const { ast } = parseVyper(SOURCE, { cst: true });
+    const values = [...tokens(ast)].map((t) => t.value);
+    for (const value of ["def", "(", ",", ")", "->", ":", "="]) {
+      assert(values.includes(value), value);
+    }
+    assert(
+      [...tokens(ast)]
+        .filter((t) => t.type === "_INDENT" || t.type === "_DEDENT")
+        .every((t) => t.value === "")
+    );
+  }
+
+
+  test_trivia() {
+    const { ast } = parseVyper(SOURCE, { cst: true });
+    const all = [...tokens(ast)];
+    const trivia = (t) => [
+      t.leading.map((x) => [x.type, x.value]),
+      t.trailing.map((x) => [x.type, x.value]),
+    ];
+
+    const comma = all.find((t) => t.value === ",");
+    this.assertEqual(trivia(comma), [
+      [],
+      [
+        ["WS", "  "],
+        ["_NEWLINE", "# first\n      "],
+      ],
+    ]);
+    const plus = all.find((t) => t.value === "+");
+    this.assertEqual(trivia(plus), [
+      [],
+      [
+        ["WS", " "],
+        ["LINE_CONT", "\\\n"],
+      ],
+    ]);
+    const b = all.filter((t) => t.value === "b")[1];
+    this.assertEqual(trivia(b), [[["WS", "        "]], []]);
+  }
+
+
+  test_default_mode() {
+    // Without `cst`, punctuation is still filtered out
+    const { ast } = parseVyper(SOURCE);
+    assert(![...tokens(ast)].some((t) => t.value === ":"));
+  }
+}
+
+
+module.exports = { TestCst };
@@ -0,0 +1,120 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { parseVyper, diagnose, get_parser, DedentError } = require("../lib/index.js");
+
+
+//
+// Test diagnostics
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+function first_error(source, options = {}) {
+  const { errors } = parseVyper(source, options);
+  assert(errors.length > 0, source);
+  return errors[0];
+}
+
+
+function apply(source, { start_pos, end_pos, text }) {
+  return source.slice(0, start_pos) + text + source.slice(end_pos);
+}
+
+
+class TestDiagnostics extends TestCase {
+  test_missing_def_colon() {
+    for (const source of [
+      "def f()\n    pass\n",
+      "x: uint256\n\n@external\ndef f(a: uint256) -> uint256  # f\n    return a\n",
+    ]) {
+      for (const recover of [false, true]) {
+        const error = first_error(source, { recover });
+        this.assertEqual(error.code, "E101");
+        this.assertEqual(parseVyper(apply(source, error.fix)).errors, []);
+      }
+    }
+    const error = first_error("def f()\n    pass\n");
+    this.assertEqual(
+      [error.line, error.column, error.end_line, error.end_column],
+      [1, 8, 1, 8]
+    );
+    this.assertEqual(error.context, "def f()\n       ^\n");
+  }
+
+
+  test_decorator_newline() {
+    for (const source of [
+      "@external def f():\n    pass\n",
+      "x: uint256\n@external\n@view  def f() -> uint256:\n    return 1\n",
+    ]) {
+      const error = first_error(source);
+      this.assertEqual(error.code, "E102");
+      this.assertEqual(parseVyper(apply(source, error.fix)).errors, []);
+    }
+  }
+
+
+  test_constant_syntax() {
+    this.assertEqual(first_error("constant X: uint256 = 1\n").code, "E103");
+    this.assertEqual(first_error("y: address\nX: constant uint256 = 1\n").code, "E103");
+    this.assertEqual(first_error("X: constant(uint256)\n").code, "E104");
+    const error = first_error("y: address\nX: uint256 = 1\n");
+    this.assertEqual(error.code, "E105");
+    this.assertEqual([error.line, error.column, error.end_column], [2, 12, 13]);
+    assert(error.hint.includes("constant("));
+  }
+
+
+  test_indentation() {
+    const dedent = first_error("def f():\n    pass\n  pass\n");
+    this.assertEqual(dedent.code, "E107");
+    assert(dedent.exception instanceof DedentError);
+    this.assertEqual([dedent.line, dedent.column, dedent.end_column], [3, 3, 3]);
+    this.assertEqual(dedent.context, "  pass\n  ^\n");
+
+    this.assertEqual(first_error("def f():\n\tif True:\n\t\tpass\n    pass\n").code, "E106");
+    this.assertEqual(first_error("def f():\n    pass\n\tpass\n").code, "E106");
+    this.assertEqual(first_error("x: uint256\n    y: uint256\n").code, "E108");
+  }
+
+
+  test_unexpected_token() {
+    const error = first_error("def f(:\n    pass\n", { filename: "f.vy" });
+    this.assertEqual(error.code, "E100");
+    this.assertEqual(error.message, 'Unexpected ":", expected ")" or a name');
+    this.assertEqual(error.filename, "f.vy");
+    this.assertEqual(error.fix, null);
+
+    const eof = first_error("def f():\n    x = (1 +");
+    this.assertEqual(eof.message, "Unexpected end of block");
+    this.assertEqual([eof.line, eof.column], [2, 13]);
+    this.assertEqual(eof.context, "    x = (1 +\n            ^\n");
+
+    this.assertEqual(first_error("def f():\n    x = $\n").code, "E109");
+  }
+
+
+  test_diagnose() {
+    const source = "foo bar\n";
+    const parser = get_parser();
+    try {
+      parser.parse(source);
+      assert(false);
+    } catch (e) {
+      const diagnostic = diagnose(e, source, {
+        terminals_by_name: parser.lexer_conf.terminals_by_name,
+      });
+      this.assertEqual(diagnostic.message, 'Unexpected name "bar", expected ":"');
+      this.assertEqual([diagnostic.line, diagnostic.column], [1, 5]);
+    }
+  }
+}
+
+
+module.exports = { TestDiagnostics };
@@ -0,0 +1,122 @@
+const _ = require("lodash");
+const assert = require("assert");
+const {
+  parseVyper,
+  get_parser,
+  dialect_for,
+  DIALECTS,
+  SemverRange,
+  ConfigurationError,
+} = require("../lib/index.js");
+
+
+//
+// Test the grammars of older Vyper versions
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+function fn(...lines) {
+  return `@external\ndef f():\n${lines.map((line) => `    ${line}\n`).join("")}`;
+}
+
+
+// Sources, and the dialects that accept them
+const SOURCES = [
+  ["flag: uint256\n", DIALECTS],
+  [fn("extcall: uint256 = 1"), ["0.2", "0.3"]],
+  [fn("extcall Foo(x).bar()"), ["0.4"]],
+  ["enum E:\n    A\n", ["0.3", "0.4"]],
+  ["flag F:\n    A\n", ["0.4"]],
+  [fn("for i in range(3):", "    pass"), ["0.2", "0.3"]],
+  [fn("for i: uint256 in range(3):", "    pass"), ["0.4"]],
+  [fn("x: uint256 = 3 // 2"), ["0.4"]],
+  [fn("x: uint256 = 3 / 2"), DIALECTS],
+  ["x: transient(uint256)\n", ["0.4"]],
+  ['x: constant(Bytes[2]) = x"0102"\n', ["0.4"]],
+  ["x: DynArray[uint256, 3]\n", ["0.3", "0.4"]],
+  ["x: uint256[3]\n", DIALECTS],
+  [fn("x: uint256 = a & b | c ^ d"), ["0.3", "0.4"]],
+  [fn("x: int256 = ~a"), ["0.3", "0.4"]],
+  [fn("x |= 1"), ["0.3", "0.4"]],
+  [fn("x: uint256 = a if c else b"), ["0.3", "0.4"]],
+  [fn("x: int128 = -a ** 2 << 1"), DIALECTS],
+];
+
+
+class TestDialects extends TestCase {
+  test_dialect_for() {
+    this.assertEqual(
+      ["0.2", "0.3.10", "^0.3.9", ">=0.2.0 <0.4", "~=0.4.0", "*", "^0.1"].map(dialect_for),
+      ["0.2", "0.3", "0.3", "0.3", "0.4", "0.4", null]
+    );
+    this.assertEqual(dialect_for(new SemverRange("~0.2.8")), "0.2");
+    assert.throws(() => dialect_for("latest"), SyntaxError);
+  }
+
+
+  test_get_parser() {
+    this.assertEqual(get_parser().dialect, null);
+    const parser = get_parser({ vyperVersion: "^0.3.9", propagate_positions: true });
+    this.assertEqual(parser.dialect, "0.3");
+    const tree = parser.parse("uses: uint256\n");
+    this.assertEqual(tree.children[0].data, "variable_def");
+    this.assertEqual(tree.children[0].meta.end_column, 14);
+    for (const version of ["1.0", "latest"]) {
+      assert.throws(() => get_parser({ vyperVersion: version }), ConfigurationError);
+    }
+  }
+
+
+  test_parse() {
+    for (const [source, accepted] of SOURCES) {
+      if (accepted.includes("0.4")) {
+        assert(parseVyper(source).ast, source);
+      }
+      for (const dialect of DIALECTS) {
+        const { ast, errors } = parseVyper(source, { vyperVersion: dialect });
+        const ok = accepted.includes(dialect);
+        this.assertEqual([source, dialect, ast !== null], [source, dialect, ok]);
+        this.assertEqual(errors.length, ok ? 0 : 1);
+      }
+    }
+  }
+
+
+  test_auto() {
+    const source = "# @version ^0.3.9\nuses: uint256\n";
+    this.assertEqual(parseVyper(source, { vyperVersion: "auto" }).dialect, "0.3");
+    this.assertEqual(parseVyper(source).dialect, null);
+    const newer = "# pragma version ~=0.4.0\n";
+    this.assertEqual(parseVyper(newer, { vyperVersion: "auto" }).dialect, "0.4");
+    for (const other of ["x: uint256\n", "# @version ^0.1.0\nx: uint256\n", "# @version ?\n"]) {
+      this.assertEqual(parseVyper(other, { vyperVersion: "auto" }).dialect, null);
+    }
+  }
+
+
+  test_diagnostics() {
+    const source = "@external\ndef f() -> uint256\n    return 1\n";
+    for (const dialect of DIALECTS) {
+      for (const recover of [false, true]) {
+        const { errors } = parseVyper(source, { vyperVersion: dialect, recover });
+        this.assertEqual(errors.map((e) => [e.code, e.line]), [["E101", 2]]);
+      }
+    }
+    const { errors } = parseVyper(fn("for i: uint256 in range(3):", "    pass"), {
+      vyperVersion: "0.3",
+    });
+    this.assertEqual(errors.map((e) => [e.code, e.message, e.line]), [
+      ["E100", 'Unexpected ":", expected "in"', 3],
+    ]);
+  }
+}
+
+
+module.exports = { TestDialects };
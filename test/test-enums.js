@@ -0,0 +1,130 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { parseVyper, toAst, toCompilerAst, format, abi, ast } = require("../lib/index.js");
+const { parse } = require("./helpers.js");
+
+
+//
+// Test enum and flag declarations
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+const SOURCE = `enum Roles:
+    ADMIN
+    USER  # not admin
+
+flag Action:
+    BUY
+    SELL
+
+
+@external
+def f(r: Roles) -> Action:
+    return Action.BUY
+`;
+
+
+class TestEnums extends TestCase {
+  test_parse() {
+    const tree = parse(SOURCE);
+    this.assertEqual(
+      tree.children.map((c) => c.data),
+      ["enum_def", "flag_def", "function_def"]
+    );
+    const [roles, action] = tree.children;
+    this.assertEqual(roles.children[0].value, "Roles");
+    this.assertEqual(
+      roles.children.slice(1).map((m) => [m.data, m.children[0].value]),
+      [
+        ["enum_member", "ADMIN"],
+        ["enum_member", "USER"],
+      ]
+    );
+    this.assertEqual(
+      action.children.slice(1).map((m) => [m.data, m.children[0].value]),
+      [
+        ["flag_member", "BUY"],
+        ["flag_member", "SELL"],
+      ]
+    );
+  }
+
+
+  test_typed_ast() {
+    const [roles, action] = toAst(parse(SOURCE)).body;
+    assert(roles instanceof ast.EnumDef);
+    assert(action instanceof ast.FlagDef);
+    this.assertEqual(roles.name, "Roles");
+    this.assertEqual(
+      action.body.map((m) => [m.ast_type, m.value.id]),
+      [
+        ["Expr", "BUY"],
+        ["Expr", "SELL"],
+      ]
+    );
+    this.assertEqual([roles.body[1].span.line, roles.body[1].span.column], [3, 5]);
+
+    const compiled = toCompilerAst(parse(SOURCE)).ast.body[0];
+    this.assertEqual(
+      [compiled.ast_type, compiled.name, compiled.body[0].value.id],
+      ["EnumDef", "Roles", "ADMIN"]
+    );
+  }
+
+
+  test_keywords_as_names() {
+    const tree = parse(`flag: public(bool)
+enum: uint256
+
+
+@external
+def f() -> uint256:
+    assert self.flag
+    return self.enum
+`);
+    this.assertEqual(
+      tree.children.slice(0, 2).map((c) => [c.data, c.children[0].value]),
+      [
+        ["variable_def", "flag"],
+        ["variable_def", "enum"],
+      ]
+    );
+  }
+
+
+  test_invalid() {
+    for (const source of [
+      "enum Roles:\n    ADMIN: uint256\n",
+      "flag Action:\n",
+      "flag Action: BUY\n",
+    ]) {
+      assert(parseVyper(source).errors.length, source);
+    }
+  }
+
+
+  test_format() {
+    this.assertEqual(format(SOURCE), SOURCE);
+    this.assertEqual(
+      format("flag   Action :\n  BUY\n  SELL\n"),
+      "flag Action:\n    BUY\n    SELL\n"
+    );
+  }
+
+
+  test_abi() {
+    const [f] = abi(parse(SOURCE));
+    this.assertEqual(f.inputs, [{ name: "r", type: "uint256" }]);
+    this.assertEqual(f.outputs, [{ name: "", type: "uint256" }]);
+  }
+}
+
+
+module.exports = { TestEnums };
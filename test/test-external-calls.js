@@ -0,0 +1,100 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { parseVyper, toAst, toCompilerAst, format, ast, Tree } = require("../lib/index.js");
+const { parse } = require("./helpers.js");
+
+
+//
+// Test extcall and staticcall
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+const SOURCE = `@external
+def f(a: address) -> uint256:
+    extcall Token(a).transfer(msg.sender, 1)
+    x: uint256 = staticcall self.token.balanceOf(a) + 1
+    extcall IFoo(staticcall self.registry.get(a)).bar(b=1)
+    return staticcall Token(a).totalSupply()
+`;
+
+
+class TestExternalCalls extends TestCase {
+  test_parse() {
+    const calls = [...parse(SOURCE).find_data("external_call")];
+    const transfer = calls.find((call) => call.children[2].value === "transfer");
+    const [kind, target, method, args] = transfer.children;
+    this.assertEqual([kind.type, kind.value, method.value], ["EXTCALL", "extcall", "transfer"]);
+    assert(target instanceof Tree && target.data === "call");
+    this.assertEqual(target.children[0].children[0].value, "Token");
+    this.assertEqual(args.children.length, 2);
+
+    this.assertEqual(
+      calls.map((call) => [call.children[0].value, call.children[2].value]).sort(),
+      [
+        ["extcall", "bar"],
+        ["extcall", "transfer"],
+        ["staticcall", "balanceOf"],
+        ["staticcall", "get"],
+        ["staticcall", "totalSupply"],
+      ]
+    );
+  }
+
+
+  test_typed_ast() {
+    const module = toAst(parse(SOURCE));
+    const calls = module.find_all(ast.ExternalCall);
+    this.assertEqual(
+      calls.map((call) => [call.kind, call.method, call.target.ast_type]),
+      [
+        ["extcall", "transfer", "Call"],
+        ["staticcall", "balanceOf", "Attribute"],
+        ["extcall", "bar", "Call"],
+        ["staticcall", "get", "Attribute"],
+        ["staticcall", "totalSupply", "Call"],
+      ]
+    );
+    const [transfer] = calls;
+    assert(transfer instanceof ast.ExtCall);
+    this.assertEqual(transfer.value.args.length, 2);
+    this.assertEqual([transfer.span.column, transfer.span.end_column], [5, 45]);
+    this.assertEqual([transfer.value.span.column, transfer.value.func.span.end_column], [13, 30]);
+    assert(calls[1].parent instanceof ast.BinOp);
+
+    const compiled = toCompilerAst(parse(SOURCE)).ast.body[0].body[0].value;
+    this.assertEqual(
+      [compiled.ast_type, compiled.value.ast_type, compiled.value.func.attr],
+      ["ExtCall", "Call", "transfer"]
+    );
+  }
+
+
+  test_invalid() {
+    for (const source of [
+      "def f():\n    extcall a(1)\n",
+      "def f():\n    staticcall a.b\n",
+      "def f():\n    x = extcall\n",
+    ]) {
+      assert(parseVyper(source).errors.length, source);
+    }
+  }
+
+
+  test_format() {
+    this.assertEqual(format(SOURCE), SOURCE);
+    this.assertEqual(
+      format("def f():\n    extcall  Token( a ) .transfer(b,c)\n"),
+      "def f():\n    extcall Token(a).transfer(b, c)\n"
+    );
+  }
+}
+
+
+module.exports = { TestExternalCalls };
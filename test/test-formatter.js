@@ -0,0 +1,124 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { parseVyper, format, UnexpectedInput } = require("../lib/index.js");
+
+
+//
+// Test the formatter
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+const SOURCE = `# @version 0.3.7
+"""
+@title Test
+"""
+from . import (x, y as z)
+struct Point:
+    x: int128  # x coord
+    y: int128
+event Empty: pass
+MAX: constant(uint256) = (10 + 2) * 3
+@external
+def f(a: uint256, b: bool = True) -> uint256:  # header
+    """Docs"""
+    x: uint256 = (a * 2) + (1)
+    # before if
+    if b and not (a > 1):
+        return x
+    else:
+        raise "no"
+    y, _ = self.g(a, b, c=(1,), d=[1, 2], e={a: 1})
+    return x - (y - 1)
+    # end of f
+def h(a: uint256,  # first
+      b: uint256):
+    log Foo(a,
+        b  # second
+    )
+`;
+
+
+class TestFormatter extends TestCase {
+  test_format() {
+    this.assertEqual(
+      format(SOURCE),
+      `# @version 0.3.7
+"""
+@title Test
+"""
+from . import (x, y as z)
+struct Point:
+    x: int128  # x coord
+    y: int128
+event Empty: pass
+MAX: constant(uint256) = (10 + 2) * 3
+
+
+@external
+def f(a: uint256, b: bool = True) -> uint256:  # header
+    """Docs"""
+    x: uint256 = a * 2 + 1
+    # before if
+    if b and not a > 1:
+        return x
+    else:
+        raise "no"
+    y, _ = self.g(a, b, c=(1,), d=[1, 2], e={a: 1})
+    return x - (y - 1)
+    # end of f
+
+
+def h(
+    a: uint256,  # first
+    b: uint256,
+):
+    log Foo(
+        a,
+        b,  # second
+    )
+`
+    );
+  }
+
+
+  test_round_trip() {
+    const formatted = format(SOURCE);
+    assert(parseVyper(formatted).ast.eq(parseVyper(SOURCE).ast));
+    this.assertEqual(format(formatted), formatted);
+  }
+
+
+  test_options() {
+    const source = "def f():\n    return self.g(aaaa, bbbb)\ndef g(a: uint256, b: uint256):\n    pass\n";
+    this.assertEqual(
+      format(source, { indent: 2, max_line_length: 20, trailing_commas: false, blank_lines: 1 }),
+      `def f():
+  return self.g(
+    aaaa,
+    bbbb
+  )
+
+def g(
+  a: uint256,
+  b: uint256
+):
+  pass
+`
+    );
+  }
+
+
+  test_syntax_error() {
+    assert.throws(() => format("def f(:\n"), UnexpectedInput);
+  }
+}
+
+
+module.exports = { TestFormatter };
@@ -0,0 +1,86 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { get_parser, VyperIndenter, Tree } = require("../lib/index.js");
+
+
+//
+// Test Indenter
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+const CONTRACT = `struct Point:
+    x: int128
+    y: int128
+
+event Moved:
+    who: indexed(address)
+    to: int128
+
+interface Token:
+    def balanceOf(owner: address) -> uint256: view
+
+@external
+def move(
+    x: int128,
+    y: int128
+):
+    if x > y:
+        # comment with a different indentation
+            pass
+    else:
+        log Moved(msg.sender, x)
+`;
+
+
+class TestIndenter extends TestCase {
+  test_parse_contract() {
+    const tree = get_parser().parse(CONTRACT);
+    this.assertEqual(tree.data, "module");
+    this.assertEqual(
+      tree.children.map((c) => c.data),
+      ["struct_def", "event_def", "interface_def", "function_def"]
+    );
+  }
+
+
+  test_token_stream() {
+    const types = Array.from(
+      get_parser().lex("def f():\n    pass\n"),
+      (t) => t.type
+    );
+    this.assertEqual(types, [
+      "_FUNC_DECL",
+      "NAME",
+      "LPAR",
+      "RPAR",
+      "COLON",
+      "_NEWLINE",
+      "_INDENT",
+      "_PASS",
+      "_NEWLINE",
+      "_DEDENT",
+    ]);
+  }
+
+
+  test_override_postlex() {
+    const without = get_parser({ postlex: null });
+    assert.throws(() => without.parse(CONTRACT));
+
+    const custom = new VyperIndenter({ tab_len: 4 });
+    const tree = get_parser({ postlex: custom }).parse(
+      "def f():\n\tx: uint256 = 1\n    return x\n"
+    );
+    assert(tree instanceof Tree);
+  }
+}
+
+
+module.exports = { TestIndenter };
@@ -0,0 +1,126 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { parseVyper, toAst, toCompilerAst, format, abi, check_implements, ast } = require(
+  "../lib/index.js"
+);
+const { parse } = require("./helpers.js");
+
+
+//
+// Test implements: and the interface check
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+const INTERFACE = `interface Token:
+    def transfer(to: address, amount: uint256) -> bool: nonpayable
+    def balanceOf(owner: address) -> uint256: view
+    def name() -> String[10]: view
+    def allowance(owner: address, spender: address) -> uint256: view
+
+implements: Token
+`;
+
+
+class TestInterfaces extends TestCase {
+  test_implements() {
+    const tree = parse("from ethereum.ercs import IERC20\n\nimplements: IERC20\nimplements: lib.I\n");
+    this.assertEqual(tree.children.map((c) => c.data), ["import", "implements", "implements"]);
+    const [, token, dotted] = toAst(tree).body;
+    assert(token instanceof ast.ImplementsDecl);
+    this.assertEqual(token.annotation.id, "IERC20");
+    this.assertEqual([dotted.annotation.value.id, dotted.annotation.attr], ["lib", "I"]);
+    this.assertEqual(toCompilerAst(tree).ast.body[1].ast_type, "ImplementsDecl");
+    this.assertEqual(format("implements:  IERC20\n"), "implements: IERC20\n");
+    assert(parseVyper("implements: a, b\n").errors.length);
+  }
+
+
+  test_deploy() {
+    const source = "@deploy\n@payable\ndef __init__(a: uint256):\n    pass\n";
+    const [init] = toAst(parse(source)).body;
+    this.assertEqual(init.decorator_list.map((d) => d.id), ["deploy", "payable"]);
+    this.assertEqual(abi(parse(source)), [
+      {
+        type: "constructor",
+        inputs: [{ name: "a", type: "uint256" }],
+        outputs: [],
+        stateMutability: "payable",
+      },
+    ]);
+  }
+
+
+  test_check_passes() {
+    const source =
+      INTERFACE +
+      `name: public(String[10])
+allowance: public(HashMap[address, HashMap[address, uint256]])
+
+@external
+def transfer(to: address, value: uint256) -> bool:
+    return True
+
+@external
+@pure
+def balanceOf(owner: address) -> uint256:
+    return 0
+`;
+    this.assertEqual(check_implements(parse(source)), []);
+    this.assertEqual(check_implements(toAst(parse(source))), []);
+  }
+
+
+  test_check_problems() {
+    const source =
+      INTERFACE +
+      `name: public(String[11])
+
+@external
+@payable
+def transfer(to: address, amount: uint128) -> bool:
+    return True
+
+@internal
+def balanceOf(owner: address):
+    pass
+`;
+    const problems = check_implements(parse(source));
+    this.assertEqual(
+      problems.map((p) => [p.interface, p.name, p.span.line]),
+      [
+        ["Token", "transfer", 10],
+        ["Token", "transfer", 10],
+        ["Token", "balanceOf", 15],
+        ["Token", "balanceOf", 15],
+        ["Token", "balanceOf", 15],
+        ["Token", "name", 8],
+        ["Token", "allowance", 7],
+      ]
+    );
+    this.assertEqual(problems.map((p) => p.message), [
+      "`transfer` takes (address, uint128), but `Token` declares (address, uint256)",
+      "`transfer` is payable, but `Token` declares it nonpayable",
+      "`balanceOf` must be @external to implement `Token`",
+      "`balanceOf` returns None, but `Token` declares uint256",
+      "`balanceOf` is nonpayable, but `Token` declares it view",
+      "The getter of `name` returns String[11], but `Token` declares String[10]",
+      "Missing function `allowance` of interface `Token`",
+    ]);
+  }
+
+
+  test_check_other_files() {
+    const source = "from ethereum.ercs import IERC20\n\nimplements: IERC20\n";
+    this.assertEqual(check_implements(parse(source)), []);
+  }
+}
+
+
+module.exports = { TestInterfaces };
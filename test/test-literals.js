@@ -0,0 +1,177 @@
+const _ = require("lodash");
+const assert = require("assert");
+const {
+  parseVyper,
+  toAst,
+  toCompilerAst,
+  format,
+  literal_value,
+  ExactDecimal,
+  LiteralError,
+  Token,
+  ast,
+  abi,
+  signatures,
+  natspec,
+  NatSpecError,
+  check_struct_literals,
+  check_implements,
+} = require("../lib/index.js");
+
+
+//
+// Test literal values
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+function value_of(source) {
+  const { ast: tree, errors } = parseVyper(`def f():\n    x = ${source}\n`);
+  assert(!errors.length, errors.map((e) => e.message).join("\n"));
+  return literal_value([...tree.find_data("assign")][0].children[1]);
+}
+
+
+function token(type, value) {
+  const t = new Token(type, value);
+  t.line = 1;
+  t.column = 5;
+  return t;
+}
+
+
+class TestLiterals extends TestCase {
+  test_numbers() {
+    this.assertEqual(
+      ["0", "42", "0xFF", "0o17", "0b101", "115792089237316195423570985008687907853269984665640564039457584007913129639935"]
+        .map(value_of),
+      [0n, 42n, 255n, 15n, 5n, 2n ** 256n - 1n]
+    );
+    assert.throws(() => literal_value(token("HEX_NUMBER", "0x")), LiteralError);
+  }
+
+
+  test_decimals() {
+    const value = value_of("1.50");
+    assert(value instanceof ExactDecimal);
+    this.assertEqual([value.digits, value.exponent], [15n, -1]);
+    this.assertEqual(
+      ["1.5", "0.001", "1e3", "2.", "1.25e-1", ".5", "0.0", "123.456"].map((text) =>
+        value_of(text).toString()
+      ),
+      ["1.5", "0.001", "1000", "2", "0.125", "0.5", "0", "123.456"]
+    );
+    assert(value_of("0.10").equals(value_of("1e-1")));
+    // Exact, where a double isn't
+    this.assertEqual(value_of("0.1000000000000000000001").toString(), "0.1000000000000000000001");
+  }
+
+
+  test_strings() {
+    this.assertEqual(value_of(String.raw`"a\tb\n\"c\" \\ \x41é\U0001F600"`), 'a\tb\n"c" \\ Aé😀');
+    this.assertEqual(value_of(String.raw`'it\'s \101 \q'`), "it's A \\q");
+    this.assertEqual(literal_value(token("DOCSTRING", '"""one\\\ntwo\\n"""')), "onetwo\n");
+    this.assertEqual(value_of("True"), true);
+  }
+
+
+  test_bytes() {
+    this.assertEqual(value_of(String.raw`b"\x00ab\n\377"`), Uint8Array.from([0, 97, 98, 10, 255]));
+    this.assertEqual(value_of('x"DEADbeef"'), Uint8Array.from([0xde, 0xad, 0xbe, 0xef]));
+    this.assertEqual(value_of("x''"), new Uint8Array(0));
+  }
+
+
+  test_errors() {
+    for (const [type, text, message, column] of [
+      ["STRING", String.raw`"ab\x4"`, "Malformed \\x escape: expected 2 hex digits", 8],
+      ["STRING", String.raw`"\u12"`, "Malformed \\u escape: expected 4 hex digits", 6],
+      ["STRING", String.raw`"\U00110000"`, "Invalid code point \\U00110000", 6],
+      ["STRING", String.raw`"\N{BULLET}"`, "Named Unicode escapes are not supported", 6],
+      ["STRING", 'b"café"', "Bytes literals can only hold ASCII characters", 10],
+      ["STRING", String.raw`b"\777"`, "Invalid octal escape \\777", 7],
+      ["HEX_STRING", 'x"abc"', "Hex literals need an even number of digits", 7],
+      ["HEX_STRING", 'x"abzz"', "Hex literals can only hold hex digits", 9],
+    ]) {
+      try {
+        literal_value(token(type, text));
+        assert(false, text);
+      } catch (e) {
+        assert(e instanceof LiteralError, text);
+        this.assertEqual([e.message, e.line, e.column], [message, 1, column]);
+      }
+    }
+  }
+
+
+  test_typed_ast() {
+    const source = String.raw`def f():
+    a = "café"
+    b = b"\x01\x02"
+    c = x"0a0b"
+    d = 1.50
+`;
+    const [a, b, c, d] = toAst(parseVyper(source).ast).body[0].body.map((s) => s.value);
+    this.assertEqual(a.value, "café");
+    assert(b instanceof ast.Bytes);
+    this.assertEqual(b.value, Uint8Array.from([1, 2]));
+    assert(c instanceof ast.HexBytes);
+    this.assertEqual(c.value, Uint8Array.from([10, 11]));
+    this.assertEqual(d.value, "1.50");
+
+    const compiled = toCompilerAst(parseVyper(source).ast).ast.body[0].body;
+    this.assertEqual(
+      compiled.map((s) => [s.value.ast_type, s.value.value]),
+      [
+        ["Str", "café"],
+        ["Bytes", "0x0102"],
+        ["HexBytes", "0x0a0b"],
+        ["Decimal", "1.50"],
+      ]
+    );
+    this.assertEqual(format(source), source);
+
+  }
+
+
+  test_malformed() {
+    // Parsed, but rejected by `literal_value()`
+    const source = String.raw`@external
+def f(a: Bytes[2] = x"zz") -> Bytes[2]:
+    """\x"""
+    b: Bytes[2] = b"\x"
+    return x"abc"
+`;
+    const tree = parseVyper(source).ast;
+    const module = toAst(tree);
+    const [fn] = module.body;
+    const malformed = [fn.args[0].default, fn.doc_string, fn.body[0].value, fn.body[1].value];
+    this.assertEqual(
+      malformed.map((n) => [n.ast_type, n.value, n.error.message, n.error.line, n.error.column]),
+      [
+        ["HexBytes", null, "Hex literals can only hold hex digits", 2, 23],
+        ["Str", null, "Malformed \\x escape: expected 2 hex digits", 3, 8],
+        ["Bytes", null, "Malformed \\x escape: expected 2 hex digits", 4, 21],
+        ["HexBytes", null, "Hex literals need an even number of digits", 5, 14],
+      ]
+    );
+    assert(malformed.every((n) => n.error instanceof LiteralError));
+
+    // What is built on the typed AST doesn't throw
+    this.assertEqual(abi(module).map((e) => e.name), ["f", "f"]);
+    this.assertEqual(signatures(module).length, 2);
+    this.assertEqual(check_struct_literals(module), []);
+    this.assertEqual(check_implements(module), []);
+    this.assertEqual(toCompilerAst(tree).ast.body[0].body[1].value.value, null);
+    assert.throws(() => natspec(module), NatSpecError);
+  }
+}
+
+
+module.exports = { TestLiterals };
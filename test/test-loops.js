@@ -0,0 +1,136 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { parseVyper, toAst, toCompilerAst, format, ast, Tree } = require("../lib/index.js");
+const { parse } = require("./helpers.js");
+
+
+//
+// Test for loops
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+const SOURCE = `def f():
+    for i: uint256 in range(0, 5):
+        pass
+    for x: DynArray[uint8, 3] in self.xs:
+        pass
+    for p: Point in points:
+        pass
+    for i: uint256 in range(n, bound=MAX):
+        pass
+    for j in range(a, a + 10, bound=10):
+        pass
+`;
+
+
+function kinds(tree) {
+  return tree.children.map((c) => (c instanceof Tree ? c.data : c.type));
+}
+
+
+class TestLoops extends TestCase {
+  test_parse() {
+    const loops = [...parse(SOURCE).find_data("for_stmt")];
+    this.assertEqual(kinds(loops[0]), ["loop_variable", "loop_iterator", "body"]);
+
+    const [variable, iterator] = loops[1].children;
+    this.assertEqual(kinds(variable), ["NAME", "type"]);
+    this.assertEqual(variable.children[1].children[0].data, "dyn_array");
+    this.assertEqual(kinds(iterator), ["get_attr"]);
+
+    const range = loops[4].children[1].children[0];
+    this.assertEqual(range.data, "range_iterator");
+    this.assertEqual(kinds(range), ["get_var", "add", "range_bound"]);
+    this.assertEqual(kinds(loops[3].children[1].children[0]), ["get_var", "range_bound"]);
+  }
+
+
+  test_bound_as_name() {
+    const source = `@external
+def f(bound: uint256):
+    for i: uint256 in range(0, bound, bound=bound):
+        pass
+`;
+    const [range] = parse(source).find_data("range_iterator");
+    this.assertEqual(kinds(range), ["DEC_NUMBER", "get_var", "range_bound"]);
+    this.assertEqual(range.children[2].children[0].children[0].value, "bound");
+
+    const [loop] = toAst(parse(source)).body[0].body;
+    this.assertEqual([loop.range_end.id, loop.range_bound.id], ["bound", "bound"]);
+    this.assertEqual(format(source), source);
+
+    const cst = parseVyper(source, { cst: true }).ast;
+    const [kept] = cst.find_data("range_bound");
+    this.assertEqual(kept.children.slice(0, 2).map((t) => t.value), ["bound", "="]);
+  }
+
+
+  test_typed_ast() {
+    const loops = toAst(parse(SOURCE)).body[0].body;
+    assert(loops.every((loop) => loop instanceof ast.For));
+    const [counted, dyn, struct, bounded, ranged] = loops;
+
+    this.assertEqual([counted.target.id, counted.annotation.id], ["i", "uint256"]);
+    this.assertEqual([counted.range_start.value, counted.range_end.value], [0n, 5n]);
+    this.assertEqual(counted.range_bound, null);
+    this.assertEqual(
+      [counted.iter.func.id, counted.iter.func.span.column, counted.iter.func.span.end_column],
+      ["range", 23, 28]
+    );
+
+    this.assertEqual(dyn.annotation.value.id, "DynArray");
+    assert(!dyn.is_range);
+    this.assertEqual([dyn.range_start, dyn.range_end, dyn.range_bound], [null, null, null]);
+    this.assertEqual(struct.annotation.id, "Point");
+
+    this.assertEqual(bounded.range_start, null);
+    this.assertEqual([bounded.range_end.id, bounded.range_bound.id], ["n", "MAX"]);
+    this.assertEqual(ranged.annotation, null);
+    assert(ranged.range_end instanceof ast.BinOp);
+    this.assertEqual(ranged.range_bound.value, 10n);
+  }
+
+
+  test_compiler_ast() {
+    const [, , , bounded] = toCompilerAst(parse(SOURCE)).ast.body[0].body;
+    this.assertEqual(
+      [bounded.target.ast_type, bounded.target.annotation.id],
+      ["AnnAssign", "uint256"]
+    );
+    this.assertEqual(
+      [bounded.iter.func.id, bounded.iter.keywords[0].arg, bounded.iter.keywords[0].value.id],
+      ["range", "bound", "MAX"]
+    );
+  }
+
+
+  test_format() {
+    this.assertEqual(format(SOURCE), SOURCE);
+    this.assertEqual(
+      format("def f():\n    for i:uint256 in range( 5 , bound = N , ):\n        pass\n"),
+      "def f():\n    for i: uint256 in range(5, bound=N):\n        pass\n"
+    );
+  }
+
+
+  test_invalid() {
+    for (const source of [
+      "def f():\n    for i: in range(5):\n        pass\n",
+      "def f():\n    for i in range():\n        pass\n",
+      "def f():\n    for i in range(bound=5):\n        pass\n",
+      "def f():\n    for i in range(1, 2, 3):\n        pass\n",
+    ]) {
+      assert(parseVyper(source).errors.length, source);
+    }
+  }
+}
+
+
+module.exports = { TestLoops };
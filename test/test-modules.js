@@ -0,0 +1,130 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { parseVyper, toAst, toCompilerAst, format, ast } = require("../lib/index.js");
+const { parse } = require("./helpers.js");
+
+
+//
+// Test the Vyper 0.4 module system
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+const SOURCE = `import snekmate.auth.ownable as ownable
+from . import erc20
+
+initializes: ownable
+initializes: erc20[ownable := ownable]
+uses: (ownable, erc20)
+exports: ownable.owner
+exports: (erc20.transfer, erc20.__interface__)
+`;
+
+
+function dotted(node) {
+  return node instanceof ast.Attribute ? `${dotted(node.value)}.${node.attr}` : node.id;
+}
+
+
+class TestModules extends TestCase {
+  test_parse() {
+    const tree = parse(SOURCE);
+    this.assertEqual(tree.children.map((c) => c.data), [
+      "import",
+      "import",
+      "initializes_decl",
+      "initializes_decl",
+      "uses_decl",
+      "exports_decl",
+      "exports_decl",
+    ]);
+    const [dependency] = tree.children[3].children.slice(1);
+    this.assertEqual(dependency.data, "module_dependency");
+    this.assertEqual(dependency.children.map((t) => t.value), ["ownable", "ownable"]);
+    this.assertEqual(
+      tree.children[6].children.map((n) => [n.data, n.children.map((t) => t.value)]),
+      [
+        ["dotted_name", ["erc20", "transfer"]],
+        ["dotted_name", ["erc20", "__interface__"]],
+      ]
+    );
+  }
+
+
+  test_typed_ast() {
+    const [imp, , init, init_with, uses, exports, exports_many] = toAst(parse(SOURCE)).body;
+    this.assertEqual([imp.name, imp.alias], ["snekmate.auth.ownable", "ownable"]);
+    assert(init instanceof ast.InitializesDecl);
+    this.assertEqual(init.annotation.id, "ownable");
+
+    const { value, slice } = init_with.annotation;
+    assert(slice instanceof ast.NamedExpr);
+    this.assertEqual([value.id, slice.target.id, slice.value.id], ["erc20", "ownable", "ownable"]);
+    this.assertEqual(
+      [init_with.annotation.span.column, init_with.annotation.span.end_column],
+      [14, 39]
+    );
+
+    assert(uses instanceof ast.UsesDecl);
+    this.assertEqual(uses.annotation.elements.map((n) => n.id), ["ownable", "erc20"]);
+    assert(exports instanceof ast.ExportsDecl);
+    this.assertEqual(dotted(exports.annotation), "ownable.owner");
+    this.assertEqual(
+      exports_many.annotation.elements.map(dotted),
+      ["erc20.transfer", "erc20.__interface__"]
+    );
+
+    const compiled = toCompilerAst(parse(SOURCE)).ast.body;
+    this.assertEqual(
+      compiled.slice(2).map((n) => n.ast_type),
+      ["InitializesDecl", "InitializesDecl", "UsesDecl", "ExportsDecl", "ExportsDecl"]
+    );
+    this.assertEqual(compiled[3].annotation.slice.value.ast_type, "NamedExpr");
+  }
+
+
+  test_keywords_as_names() {
+    const tree = parse(`uses: uint256
+exports: address
+initializes: public(DynArray[uint256, 3])
+`);
+    this.assertEqual(
+      tree.children.map((c) => [c.data, c.children[0].value]),
+      [
+        ["variable_def", "uses"],
+        ["variable_def", "exports"],
+        ["variable_def", "initializes"],
+      ]
+    );
+  }
+
+
+  test_invalid() {
+    for (const source of [
+      "initializes: a.b\n",
+      "initializes: a[b]\n",
+      "uses: a.b\n",
+      "exports: a.b = 1\n",
+    ]) {
+      assert(parseVyper(source).errors.length, source);
+    }
+  }
+
+
+  test_format() {
+    this.assertEqual(format(SOURCE), SOURCE);
+    this.assertEqual(
+      format("initializes:a[ b:=c,d :=e ]\nuses :(a ,)\nexports: (a.b)\n"),
+      "initializes: a[b := c, d := e]\nuses: a\nexports: a.b\n"
+    );
+  }
+}
+
+
+module.exports = { TestModules };
@@ -0,0 +1,184 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { toAst, toCompilerAst, format, natspec, NatSpecError, ast } = require("../lib/index.js");
+const { parse } = require("./helpers.js");
+
+
+//
+// Test docstrings and NatSpec
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+const SOURCE = `"""
+@title Token
+@license MIT
+@author Alice
+@notice A token
+@dev Some
+    details
+@custom:security security@example.com
+"""
+
+
+event Transfer:
+    """A transfer"""
+    sender: indexed(address)
+    value: uint256
+
+
+@external
+def transfer(to: address, amount: uint256 = 1) -> bool:
+    """
+    @notice Sends \`amount\` tokens
+    @param to The receiver
+    @param amount How much
+    @return Whether it worked
+    """
+    return True
+
+
+@external
+@view
+def pair() -> (uint256, bool):
+    """
+    @dev Two values
+    @return The first
+    @return The second
+    """
+    return 1, True
+
+
+@external
+def untagged():
+    "Does nothing"
+    pass
+
+
+@internal
+def hidden():
+    """@notice Not in the output"""
+    pass
+`;
+
+
+class TestNatSpec extends TestCase {
+  test_docstrings() {
+    const module = toAst(parse(SOURCE));
+    assert(module.doc_string.value.startsWith("\n@title Token"));
+
+    const [event, transfer, pair, untagged] = module.body;
+    assert(event.doc_string instanceof ast.Str);
+    this.assertEqual(event.doc_string.value, "A transfer");
+    this.assertEqual(event.body.map((arg) => arg.name), ["sender", "value"]);
+
+    this.assertEqual(transfer.doc_string.span.line, 20);
+    this.assertEqual(transfer.body.map((s) => s.ast_type), ["Return"]);
+    this.assertEqual(pair.body.map((s) => s.ast_type), ["Return"]);
+    this.assertEqual(untagged.doc_string.value, "Does nothing");
+    this.assertEqual(untagged.body.map((s) => s.ast_type), ["Pass"]);
+
+    const compiled = toCompilerAst(parse(SOURCE)).ast;
+    this.assertEqual(compiled.body[1].doc_string.value, transfer.doc_string.value);
+    this.assertEqual(compiled.body[0].body.length, 2);
+  }
+
+
+  test_format() {
+    const source = 'event E:\n    """Docs"""\n    a: uint256\n';
+    this.assertEqual(format(source), source);
+    this.assertEqual(format(SOURCE), SOURCE);
+  }
+
+
+  test_natspec() {
+    const { userdoc, devdoc } = natspec(parse(SOURCE));
+    this.assertEqual(userdoc, {
+      notice: "A token",
+      methods: {
+        "transfer(address)": { notice: "Sends `amount` tokens" },
+        "transfer(address,uint256)": { notice: "Sends `amount` tokens" },
+        "untagged()": { notice: "Does nothing" },
+      },
+    });
+    const transfer = {
+      params: { to: "The receiver", amount: "How much" },
+      returns: { _0: "Whether it worked" },
+    };
+    this.assertEqual(devdoc, {
+      title: "Token",
+      license: "MIT",
+      author: "Alice",
+      details: "Some details",
+      "custom:security": "security@example.com",
+      methods: {
+        "transfer(address)": transfer,
+        "transfer(address,uint256)": transfer,
+        "pair()": { details: "Two values", returns: { _0: "The first", _1: "The second" } },
+      },
+    });
+    this.assertEqual(natspec(toAst(parse(SOURCE))), { userdoc, devdoc });
+    this.assertEqual(natspec(parse("x: uint256\n")), { userdoc: {}, devdoc: {} });
+  }
+
+
+  test_default_arguments() {
+    const { userdoc, devdoc } = natspec(
+      parse(`@external
+def f(a: uint256, b: uint256 = 1, c: bool = False):
+    """
+    @notice Does f
+    @param c Whether to
+    """
+    pass
+`)
+    );
+    const signatures = ["f(uint256)", "f(uint256,uint256)", "f(uint256,uint256,bool)"];
+    this.assertEqual(Object.keys(userdoc.methods), signatures);
+    this.assertEqual(Object.keys(devdoc.methods), signatures);
+    for (const signature of signatures) {
+      this.assertEqual(userdoc.methods[signature], { notice: "Does f" });
+      this.assertEqual(devdoc.methods[signature], { params: { c: "Whether to" } });
+    }
+
+    // Each signature has its own entry
+    devdoc.methods["f(uint256)"].details = "Changed";
+    this.assertEqual(devdoc.methods["f(uint256,uint256)"], { params: { c: "Whether to" } });
+  }
+
+
+  test_errors() {
+    const fn = (docstring, signature = "f(a: uint256) -> uint256") =>
+      `@external\ndef ${signature}:\n    """\n    ${docstring}\n    """\n    return 1\n`;
+    for (const [source, message, line, column] of [
+      ['"""@foo bar"""\n', "Unknown NatSpec field '@foo'", 1, 5],
+      ['"""@param a b"""\n', "'@param' is not a valid field for this docstring", 1, 5],
+      ['"""\nSome text\n@notice x\n"""\n', "NatSpec docstring opens with untagged comment", 3, 2],
+      [fn("@title T"), "'@title' is not a valid field for this docstring", 4, 6],
+      [fn("@notice"), "No description given for tag '@notice'", 4, 6],
+      [fn("@notice a\n    @notice b"), "Duplicate NatSpec field '@notice'", 5, 6],
+      [fn("@param b x"), "Method has no parameter 'b'", 4, 6],
+      [fn("@param a"), "No description given for parameter 'a'", 4, 6],
+      [fn("@param a x\n    @param a y"), "Parameter 'a' documented more than once", 5, 6],
+      [fn("@return x\n    @return y"), "Number of documented return values exceeds actual number", 5, 6],
+      [fn("@return x", "f()"), "Method does not return any values", 4, 6],
+    ]) {
+      try {
+        natspec(parse(source));
+        assert(false, source);
+      } catch (e) {
+        assert(e instanceof NatSpecError, source);
+        this.assertEqual([e.message, e.line, e.column], [message, line, column]);
+      }
+    }
+  }
+}
+
+
+module.exports = { TestNatSpec };
@@ -0,0 +1,104 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { parseVyper, Tree, DedentError } = require("../lib/index.js");
+
+
+//
+// Test parseVyper
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+class TestParseVyper extends TestCase {
+  test_result_shape() {
+    const result = parseVyper("x: uint256\n");
+    this.assertEqual(
+      Object.keys(result),
+      ["ast", "tokens", "comments", "pragmas", "dialect", "errors"]
+    );
+    assert(result.ast instanceof Tree);
+    this.assertEqual(result.errors, []);
+    this.assertEqual(
+      result.tokens.map((t) => t.type),
+      ["NAME", "COLON", "NAME", "_NEWLINE"]
+    );
+  }
+
+
+  test_line_endings() {
+    const crlf = parseVyper("@external\r\ndef f():\r\n    pass");
+    const lf = parseVyper("@external\ndef f():\n    pass\n");
+    this.assertEqual(crlf.errors, []);
+    this.assertEqual(
+      crlf.tokens.map((t) => [t.type, t.value]),
+      lf.tokens.map((t) => [t.type, t.value])
+    );
+  }
+
+
+  test_comments() {
+    const { comments } = parseVyper(
+      "# @version 0.3.7\nx: uint256  # storage\ndef f(a: uint256,  # first\n      b: uint256):\n    pass\n"
+    );
+    this.assertEqual(
+      comments.map((c) => [c.value, c.line, c.column]),
+      [
+        ["# @version 0.3.7", 1, 1],
+        ["# storage", 2, 13],
+        ["# first", 3, 20],
+      ]
+    );
+    this.assertEqual(parseVyper("# a\n", { comments: false }).comments, []);
+  }
+
+
+  test_positions() {
+    const { ast } = parseVyper("x: uint256\ny: address\n");
+    this.assertEqual(ast.children[1].meta.line, 2);
+    const docs = parseVyper('"""\nDocs\n"""\nx: uint256\n');
+    this.assertEqual(docs.ast.children[1].meta.line, 4);
+    const bare = parseVyper("x: uint256\n", { positions: false });
+    assert(bare.ast.children[0].meta.empty);
+  }
+
+
+  test_state_variables() {
+    const { ast, errors } = parseVyper(
+      "X: public(constant(uint256)) = 1\nowner: immutable(address)\n"
+    );
+    this.assertEqual(errors, []);
+    const [x, owner] = ast.children;
+    this.assertEqual(
+      x.children.map((c) => (c instanceof Tree ? c.data : c.value)),
+      ["X", "is_public", "is_constant", "type", "1"]
+    );
+    this.assertEqual(
+      owner.children.map((c) => (c instanceof Tree ? c.data : c.value)),
+      ["owner", "is_immutable", "type"]
+    );
+    this.assertEqual(parseVyper("owner: immutable(address) = 1\n").errors.length, 1);
+  }
+
+
+  test_errors() {
+    const result = parseVyper("def f(:\n    pass\n", { filename: "f.vy" });
+    this.assertEqual(result.ast, null);
+    this.assertEqual(
+      result.errors.map(({ filename, line, column }) => [filename, line, column]),
+      [["f.vy", 1, 7]]
+    );
+
+    const dedent = parseVyper("def f():\n    pass\n  pass\n");
+    assert(dedent.errors[0].exception instanceof DedentError);
+    this.assertEqual(dedent.errors[0].line, 3);
+  }
+}
+
+
+module.exports = { TestParseVyper };
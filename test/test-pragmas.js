@@ -0,0 +1,164 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { parseVyper, parse_pragmas, scan_pragmas, SemverRange } = require("../lib/index.js");
+
+
+//
+// Test pragmas and version ranges
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+const SOURCE = `# @version ^0.3.9
+#pragma optimize gas
+# pragma evm-version cancun
+# pragma enable-decimals
+
+x: uint256  # not a pragma
+`;
+
+
+// Ranges, versions in them, and versions outside them
+const RANGES = [
+  ["^0.3.9", ["0.3.9", "0.3.10"], ["0.3.8", "0.4.0", "0.4.0rc1"]],
+  ["^0.2", ["0.2.0", "0.2.16"], ["0.1.9", "0.3.0"]],
+  ["^0.0.3", ["0.0.3"], ["0.0.4"]],
+  ["~0.2.8", ["0.2.8", "0.2.16"], ["0.2.7", "0.3.0"]],
+  ["0.3.x", ["0.3.0", "0.3.10"], ["0.2.16", "0.4.0"]],
+  [">=0.2.0 <0.4", ["0.2.0", "0.3.10"], ["0.1.0", "0.4.0"]],
+  [">= 0.3.1, < 0.3.3", ["0.3.1", "0.3.2"], ["0.3.0", "0.3.3"]],
+  ["0.3.0 - 0.3", ["0.3.0", "0.3.10"], ["0.2.16", "0.4.0"]],
+  ["^0.2.8 || ^0.3.1", ["0.2.8", "0.3.10"], ["0.3.0", "0.4.0"]],
+  ["> 0.3", ["0.4.0"], ["0.3.10"]],
+  ["<=0.3", ["0.3.10"], ["0.4.0"]],
+  ["~=0.4.0", ["0.4.0", "0.4.3"], ["0.3.10", "0.5.0"]],
+  ["~=0.4", ["0.4.0", "0.9.0"], ["0.3.10", "1.0.0"]],
+  ["==0.4.*", ["0.4.0", "0.4.3"], ["0.5.0"]],
+  [">=0.3.10,<0.5,!=0.4.1", ["0.3.10", "0.4.0", "0.4.3"], ["0.4.1", "0.5.0"]],
+  ["0.3.10", ["0.3.10", "v0.3.10"], ["0.3.9", "0.3.11"]],
+  ["==0.4.0rc6", ["0.4.0rc6"], ["0.4.0rc5", "0.4.0"]],
+  [">=0.4.0b1", ["0.4.0b1", "0.4.0rc1", "0.4.0", "0.4.1"], ["0.4.0a3", "0.4.1rc1"]],
+  ["*", ["0.1.0", "0.4.0"], ["0.4.0rc1"]],
+];
+
+
+class TestPragmas extends TestCase {
+  test_parse() {
+    const { pragmas } = parseVyper(SOURCE);
+    assert(pragmas.version instanceof SemverRange);
+    this.assertEqual(
+      [
+        String(pragmas.version),
+        pragmas.optimize,
+        pragmas.evm_version,
+        pragmas.enable_decimals,
+        pragmas.experimental_codegen,
+        pragmas.problems,
+      ],
+      ["^0.3.9", "gas", "cancun", true, false, []]
+    );
+    this.assertEqual(parseVyper(SOURCE, { comments: false }).pragmas, pragmas);
+    this.assertEqual(
+      String(parseVyper("# pragma version ~=0.4.0\n# pragma experimental-codegen\n").pragmas.version),
+      "~=0.4.0"
+    );
+    this.assertEqual(parseVyper("x: uint256\n").pragmas, {
+      version: null,
+      optimize: null,
+      evm_version: null,
+      experimental_codegen: false,
+      enable_decimals: false,
+      problems: [],
+    });
+  }
+
+
+  test_problems() {
+    const { pragmas } = parseVyper(`# @version ^0.3.9
+# pragma version 0.3.10
+# pragma optimize fast
+# pragma evm-version frontier
+# pragma nonsense
+# pragma evm-version london
+x: uint256  # pragma optimize codesize
+# @version
+`);
+    this.assertEqual(
+      pragmas.problems.map((p) => [p.message, p.span.line, p.span.column]),
+      [
+        ["pragma version specified twice", 2, 1],
+        ["Invalid optimization mode `fast`", 3, 1],
+        ["Invalid evm version: `frontier`", 4, 1],
+        ["Unknown pragma `nonsense`", 5, 1],
+        ["pragma version specified twice", 8, 1],
+      ]
+    );
+    // Only a valid pragma counts as a first one
+    this.assertEqual(
+      [String(pragmas.version), pragmas.optimize, pragmas.evm_version],
+      ["^0.3.9", "codesize", "london"]
+    );
+    this.assertEqual(
+      parse_pragmas(parseVyper("# @version\n# pragma optimize codesize\n").comments).problems.map(
+        (p) => p.message
+      ),
+      ["Version specification cannot be empty"]
+    );
+    this.assertEqual(
+      parseVyper("# @version ^0.3 <\n").pragmas.problems.map((p) => p.message),
+      ["Invalid version range: ^0.3 <"]
+    );
+  }
+
+
+  test_scan() {
+    const source = '"""Docs"""\n\n  # pragma version ~=0.4.0\nx: uint256 # pragma optimize gas\n';
+    const pragmas = scan_pragmas(source);
+    this.assertEqual([String(pragmas.version), pragmas.optimize], ["~=0.4.0", null]);
+    this.assertEqual(scan_pragmas(SOURCE), parseVyper(SOURCE).pragmas);
+    this.assertEqual(
+      _.pick(scan_pragmas("x: uint256\r\n# pragma foo\r\n").problems[0].span, [
+        "line",
+        "column",
+        "start_pos",
+        "end_pos",
+      ]),
+      { line: 2, column: 1, start_pos: 12, end_pos: 24 }
+    );
+  }
+
+
+  test_ranges() {
+    for (const [text, inside, outside] of RANGES) {
+      const range = new SemverRange(text);
+      for (const version of inside) {
+        assert(range.test(version), `${version} should be in ${text}`);
+      }
+      for (const version of outside) {
+        assert(!range.test(version), `${version} should not be in ${text}`);
+      }
+    }
+    this.assertEqual(
+      new SemverRange("^0.3.7").max_satisfying(["0.2.16", "0.3.10", "0.3.9", "0.4.0"]),
+      "0.3.10"
+    );
+    this.assertEqual(new SemverRange("^0.5").max_satisfying(["0.3.10", "0.4.0"]), null);
+  }
+
+
+  test_invalid_ranges() {
+    for (const text of ["", "^", "~=1", "latest", ">=0.3 <", "0.3 ||", "!=0.3", "0.4rc1"]) {
+      assert.throws(() => new SemverRange(text), SyntaxError, text);
+    }
+    assert.throws(() => new SemverRange("^0.3").test("0.3"), SyntaxError);
+  }
+}
+
+
+module.exports = { TestPragmas };
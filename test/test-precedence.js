@@ -0,0 +1,141 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { parseVyper, toAst, toCompilerAst, format, ast, Tree } = require("../lib/index.js");
+
+
+//
+// Test operator precedence
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+// Expressions and the shape of their parse tree, as Python parses them
+// (except `xor`, which binds like `^`)
+const CORPUS = [
+  ["1 + 2 * 3", "(add 1 (mul 2 3))"],
+  ["1 * 2 + 3", "(add (mul 1 2) 3)"],
+  ["a - b - c", "(sub (sub a b) c)"],
+  ["a - -b", "(sub a (usub b))"],
+  ["2 ** 3 ** 2", "(pow 2 (pow 3 2))"],
+  ["-x ** 2", "(usub (pow x 2))"],
+  ["2 ** -1", "(pow 2 (usub 1))"],
+  ["-a.b[0] ** 2", "(usub (pow (get_item (get_attr a b) 0) 2))"],
+  ["a * b % c", "(mod (mul a b) c)"],
+  ["a % b ** c", "(mod a (pow b c))"],
+  ["a // b * c", "(mul (floordiv a b) c)"],
+  ["a << 1 + b", "(shl a (add 1 b))"],
+  ["a & b << 2", "(bit_and a (shl b 2))"],
+  ["a | b ^ c & d", "(bit_or a (bit_xor b (bit_and c d)))"],
+  ["a ^ b xor c", "(xor (bit_xor a b) c)"],
+  ["a & b xor c | d", "(bit_or (xor (bit_and a b) c) d)"],
+  ["~a & b", "(bit_and (invert a) b)"],
+  ["~~a", "(invert (invert a))"],
+  ["a | b == c", "(eq (bit_or a b) c)"],
+  ["a + 1 < b * 2", "(lt (add a 1) (mul b 2))"],
+  ["a not in b", "(not_in a b)"],
+  ["not a in b", "(not (in a b))"],
+  ["not not a", "(not (not a))"],
+  ["not a == b and c", "(and (not (eq a b)) c)"],
+  ["a or b and c", "(or a (and b c))"],
+  ["a and b or c and d", "(or (and a b) (and c d))"],
+  ["a and b and c", "(and (and a b) c)"],
+  ["a if b else c", "(ternary a b c)"],
+  ["a if b else c if d else e", "(ternary a b (ternary c d e))"],
+  ["a or b if c and d else e", "(ternary (or a b) (and c d) e)"],
+  ["x + 1 if x > 0 else -x", "(ternary (add x 1) (gt x 0) (usub x))"],
+  ["(a + b) * c", "(mul (add a b) c)"],
+  ["(a if b else c) + 1", "(add (ternary a b c) 1)"],
+  ["(a or b) and c", "(and (or a b) c)"],
+  ["(2 ** 3) ** 2", "(pow (pow 2 3) 2)"],
+  ["(-2) ** 2", "(pow (usub 2) 2)"],
+];
+
+
+function expression(source) {
+  const { ast: tree, errors } = parseVyper(`def f():\n    x = ${source}\n`);
+  assert(!errors.length, errors.map((e) => e.message).join("\n"));
+  return [...tree.find_data("assign")][0].children[1];
+}
+
+
+function shape(node) {
+  if (!(node instanceof Tree)) {
+    return node.value;
+  }
+  if (node.data === "get_var") {
+    return node.children[0].value;
+  }
+  return `(${node.data} ${node.children.map(shape).join(" ")})`;
+}
+
+
+class TestPrecedence extends TestCase {
+  test_corpus() {
+    for (const [source, expected] of CORPUS) {
+      this.assertEqual([source, shape(expression(source))], [source, expected]);
+    }
+  }
+
+
+  test_format() {
+    // Parentheses are kept where they are needed, and only there
+    for (const [source, expected] of CORPUS) {
+      const formatted = format(`def f():\n    x = ${source}\n`);
+      const reparsed = formatted.slice("def f():\n    x = ".length, -1);
+      this.assertEqual([source, shape(expression(reparsed))], [source, expected]);
+    }
+    this.assertEqual(
+      format("def f():\n    x = (a * b) + (c if (d) else (e or f))\n"),
+      "def f():\n    x = a * b + (c if d else e or f)\n"
+    );
+  }
+
+
+  test_aug_assign() {
+    const source = "def f():\n    x &= 1\n    x |= 2\n    x ^= 3\n    x //= 4\n";
+    this.assertEqual(format(source), source);
+    const ops = toAst(parseVyper(source).ast).body[0].body.map((s) => s.op.ast_type);
+    this.assertEqual(ops, ["BitAnd", "BitOr", "BitXor", "FloorDiv"]);
+  }
+
+
+  test_typed_ast() {
+    const value = (source) => {
+      const [f] = toAst(parseVyper(`def f():\n    x = ${source}\n`).ast).body;
+      return f.body[0].value;
+    };
+
+    const ternary = value("a if b else c");
+    assert(ternary instanceof ast.IfExp);
+    this.assertEqual(
+      [ternary.body.id, ternary.test.id, ternary.orelse.id],
+      ["a", "b", "c"]
+    );
+    this.assertEqual(
+      ["a & b", "a | b", "a ^ b", "a xor b", "a // b"].map((s) => value(s).op.ast_type),
+      ["BitAnd", "BitOr", "BitXor", "BitXor", "FloorDiv"]
+    );
+    this.assertEqual(value("~a").op.ast_type, "Invert");
+    this.assertEqual(value("a not in b").op.ast_type, "NotIn");
+
+    const compiled = toCompilerAst(parseVyper("def f():\n    x = a if ~b else c\n").ast);
+    const exp = compiled.ast.body[0].body[0].value;
+    this.assertEqual([exp.ast_type, exp.test.op.ast_type], ["IfExp", "Invert"]);
+  }
+
+
+  test_invalid() {
+    for (const source of ["a if b", "a not b", "a in not b", "a ~ b", "a if b else"]) {
+      assert(parseVyper(`def f():\n    x = ${source}\n`).errors.length, source);
+    }
+  }
+}
+
+
+module.exports = { TestPrecedence };
@@ -0,0 +1,195 @@
+const _ = require("lodash");
+const assert = require("assert");
+const {
+  parseVyper,
+  toAst,
+  toCompilerAst,
+  abi,
+  ast,
+  Tree,
+  DedentError,
+  UnexpectedCharacters,
+  ConfigurationError,
+} = require("../lib/index.js");
+
+
+//
+// Test the error-recovering parse
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+const SOURCE = `x: uint256
+y: = 3
+
+@external
+def f(a: uint256) -> uint256:
+    b: uint256 = = 1
+    return a
+
+def g(:
+    pass
+
+struct S:
+    a: uint256
+    b uint256
+    c: address
+
+@external
+def h():
+    x = $ 3
+    if x:
+        pass
+      pass
+    foo(1,
+    bar()
+`;
+
+
+function kinds(tree) {
+  return tree.children.map((c) => (c instanceof Tree ? c.data : c.type));
+}
+
+
+function values(error) {
+  return error.children.map((t) => t.value);
+}
+
+
+class TestRecovery extends TestCase {
+  test_valid_source() {
+    const source = "x: uint256\n\n@external\ndef f():\n    pass\n";
+    const result = parseVyper(source, { recover: true });
+    this.assertEqual(result.errors, []);
+    assert(result.ast.eq(parseVyper(source).ast));
+  }
+
+
+  test_all_errors() {
+    const { errors } = parseVyper(SOURCE, { recover: true, filename: "c.vy" });
+    this.assertEqual(
+      errors.map(({ filename, line, column }) => [filename, line, column]),
+      [
+        ["c.vy", 2, 4],
+        ["c.vy", 6, 18],
+        ["c.vy", 9, 7],
+        ["c.vy", 14, 7],
+        ["c.vy", 19, 9],
+        ["c.vy", 22, 7],
+        ["c.vy", 24, 10],
+      ]
+    );
+    assert(errors[4].exception instanceof UnexpectedCharacters);
+    assert(errors[5].exception instanceof DedentError);
+  }
+
+
+  test_partial_tree() {
+    const { ast } = parseVyper(SOURCE, { recover: true });
+    this.assertEqual(kinds(ast), [
+      "variable_def",
+      "error",
+      "function_def",
+      "error",
+      "struct_def",
+      "function_def",
+    ]);
+    this.assertEqual(values(ast.children[1]), ["y", ":", "=", "3"]);
+    this.assertEqual(values(ast.children[3]), ["def", "g", "(", ":", "pass"]);
+
+    const f_body = ast.children[2].children[2];
+    this.assertEqual(kinds(f_body), ["error", "return_stmt"]);
+    this.assertEqual(values(f_body.children[0]), ["b", ":", "uint256", "=", "=", "1"]);
+
+    const struct = ast.children[4];
+    this.assertEqual(kinds(struct), ["NAME", "struct_member", "error", "struct_member"]);
+
+    const h_body = ast.children[5].children[2];
+    this.assertEqual(kinds(h_body), ["error", "if_stmt", "error"]);
+    this.assertEqual(values(h_body.children[0]), ["x", "=", "$", "3"]);
+  }
+
+
+  test_typed_ast() {
+    const { ast: tree } = parseVyper(SOURCE, { recover: true });
+    const module = toAst(tree);
+    const [, error, f, , struct] = module.body;
+    assert(error instanceof ast.ErrorNode);
+    this.assertEqual(error.tokens.map((t) => t.value), ["y", ":", "=", "3"]);
+    this.assertEqual([error.span.line, error.span.column, error.span.end_column], [2, 1, 7]);
+    this.assertEqual(f.body.map((s) => s.ast_type), ["ErrorNode", "Return"]);
+    this.assertEqual(struct.body.map((s) => s.ast_type), [
+      "StructMember",
+      "ErrorNode",
+      "StructMember",
+    ]);
+
+    // And what is built on it
+    this.assertEqual(abi(module).map((e) => e.name), ["f", "h"]);
+    const compiled = toCompilerAst(tree).ast.body[1];
+    this.assertEqual([compiled.ast_type, compiled.tokens], ["ErrorNode", ["y", ":", "=", "3"]]);
+  }
+
+
+  test_error_positions() {
+    const { ast } = parseVyper(SOURCE, { recover: true, positions: false });
+    const { meta } = ast.children[1];
+    this.assertEqual(
+      [meta.line, meta.column, meta.end_line, meta.end_column],
+      [2, 1, 2, 7]
+    );
+  }
+
+
+  test_unexpected_indent() {
+    const { ast, errors } = parseVyper(
+      "x: uint256\n    y: uint256\n    z: uint256\nw: uint256\n",
+      { recover: true }
+    );
+    this.assertEqual(errors.length, 1);
+    this.assertEqual(kinds(ast), ["variable_def", "error", "variable_def"]);
+    this.assertEqual(values(ast.children[1]), ["y", ":", "uint256", "z", ":", "uint256"]);
+  }
+
+
+  test_end_of_file() {
+    for (const source of ["def", "def f():\n", "struct S:\n    a uint256\n", "x: (\n"]) {
+      const { ast, errors } = parseVyper(source, { recover: true });
+      this.assertEqual(errors.length, 1);
+      this.assertEqual(kinds(ast), ["error"]);
+    }
+  }
+
+
+  test_broken_block() {
+    // The only member of the struct is broken: its block ends with it
+    let { ast, errors } = parseVyper("struct S:\n    a uint256\nz: address\n", { recover: true });
+    this.assertEqual(errors.map((e) => [e.line, e.column]), [[2, 7]]);
+    this.assertEqual(kinds(ast), ["error", "variable_def"]);
+    this.assertEqual(values(ast.children[0]), ["struct", "S", ":", "a", "uint256"]);
+
+    // The last member is broken: its error stays in the struct
+    ({ ast, errors } = parseVyper("struct S:\n    a: uint256\n    b uint256\n", { recover: true }));
+    this.assertEqual(errors.length, 1);
+    this.assertEqual(kinds(ast), ["struct_def"]);
+    this.assertEqual(kinds(ast.children[0]), ["NAME", "struct_member", "error"]);
+    this.assertEqual(values(ast.children[0].children[2]), ["b", "uint256"]);
+  }
+
+
+  test_cst() {
+    assert.throws(
+      () => parseVyper("x: uint256\n", { recover: true, cst: true }),
+      ConfigurationError
+    );
+  }
+}
+
+
+module.exports = { TestRecovery };
@@ -0,0 +1,243 @@
+const _ = require("lodash");
+const assert = require("assert");
+const {
+  parseVyper,
+  analyze_scopes,
+  SymbolTable,
+  Tree,
+  ConfigurationError,
+} = require("../lib/index.js");
+const { parse } = require("./helpers.js");
+
+
+//
+// Test name resolution
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+const SOURCE = `from ethereum.ercs import IERC20
+import lib as token_lib
+
+implements: IERC20
+
+struct Point:
+    x: uint256
+
+MAX: constant(uint256) = 10
+owner: immutable(address)
+points: public(HashMap[address, Point])
+history: DynArray[uint256, MAX]
+
+event Moved:
+    who: indexed(address)
+
+
+@external
+def move(x: uint256, p: Point = empty(Point)) -> uint256:
+    total: uint256 = x
+    for i: uint256 in range(MAX):
+        total += i
+    if total > MAX:
+        clipped: uint256 = MAX
+        total = clipped
+    self.points[msg.sender] = Point(x=total)
+    log Moved(owner)
+    return self.helper(p.x)
+
+
+@internal
+def helper(y: uint256) -> uint256:
+    return unsafe_add(y, block.timestamp)
+`;
+
+
+// `[kind, name, line]` of the definition of each `get_var` with that name
+function get_vars(tree, table, name) {
+  return [...tree.find_pred((t) => t.data === "get_var" && t.children[0].value === name)]
+    .sort((a, b) => a.meta.start_pos - b.meta.start_pos)
+    .map((t) => table.definitionOf(t))
+    .map((def) => def && [def.kind, def.name, def.span && def.span.line]);
+}
+
+
+function lines(nodes) {
+  return nodes.map((n) => (n instanceof Tree ? n.meta.line : n.line));
+}
+
+
+class TestScopes extends TestCase {
+  test_definitions() {
+    const table = analyze_scopes(parse(SOURCE));
+    assert(table instanceof SymbolTable);
+    this.assertEqual(
+      table.definitions.map((d) => [d.kind, d.name, d.span.line]),
+      [
+        ["import", "IERC20", 1],
+        ["import", "token_lib", 2],
+        ["struct", "Point", 6],
+        ["constant", "MAX", 9],
+        ["immutable", "owner", 10],
+        ["storage", "points", 11],
+        ["storage", "history", 12],
+        ["event", "Moved", 14],
+        ["function", "move", 19],
+        ["parameter", "x", 19],
+        ["parameter", "p", 19],
+        ["local", "total", 20],
+        ["loop_variable", "i", 21],
+        ["local", "clipped", 24],
+        ["function", "helper", 32],
+        ["parameter", "y", 32],
+      ]
+    );
+    this.assertEqual(table.problems, []);
+  }
+
+
+  test_definition_of() {
+    const tree = parse(SOURCE);
+    const table = analyze_scopes(tree);
+    this.assertEqual(get_vars(tree, table, "total"), [
+      ["local", "total", 20],
+      ["local", "total", 20],
+      ["local", "total", 20],
+      ["local", "total", 20],
+    ]);
+    this.assertEqual(get_vars(tree, table, "MAX"), [
+      ["constant", "MAX", 9],
+      ["constant", "MAX", 9],
+      ["constant", "MAX", 9],
+    ]);
+    this.assertEqual(get_vars(tree, table, "msg"), [["environment", "msg", null]]);
+    this.assertEqual(get_vars(tree, table, "unsafe_add"), [["builtin", "unsafe_add", null]]);
+    this.assertEqual(get_vars(tree, table, "Point"), [
+      ["struct", "Point", 6],
+      ["struct", "Point", 6],
+    ]);
+
+    // `self.x` refers to the storage variable or function
+    const self_attrs = [...tree.find_data("get_attr")]
+      .filter((t) => t.children[0].data === "get_var" && t.children[0].children[0].value === "self")
+      .sort((a, b) => a.meta.start_pos - b.meta.start_pos);
+    this.assertEqual(
+      self_attrs.map((t) => table.definitionOf(t).name),
+      ["points", "helper"]
+    );
+
+    // A defining tree is its own definition
+    const declarations = [...tree.find_data("declaration")];
+    this.assertEqual(
+      declarations.map((d) => table.definitionOf(d).name).sort(),
+      ["clipped", "total"]
+    );
+    this.assertEqual(table.definitionOf(tree), null);
+  }
+
+
+  test_references_to() {
+    const table = analyze_scopes(parse(SOURCE));
+    const find = (name) => table.definitions.find((d) => d.name === name);
+    this.assertEqual(lines(table.referencesTo(find("MAX"))), [12, 21, 23, 24]);
+    this.assertEqual(lines(table.referencesTo(find("Point"))), [11, 19, 19, 26]);
+    this.assertEqual(lines(table.referencesTo(find("IERC20"))), [4]);
+    this.assertEqual(lines(table.referencesTo(find("Moved"))), [27]);
+    this.assertEqual(lines(table.referencesTo(find("helper"))), [28]);
+    this.assertEqual(lines(table.referencesTo(find("p"))), [28]);
+    this.assertEqual(table.referencesTo(find("history")), []);
+    this.assertEqual(
+      table.referencesTo(find("total").node),
+      table.referencesTo(find("total"))
+    );
+  }
+
+
+  test_problems() {
+    const table = analyze_scopes(
+      parse(`X: constant(uint256) = 1
+x: uint256
+x: bool
+
+event E:
+    a: uint256
+
+@external
+def f(a: uint256, a: bool, E: uint256):
+    b: uint256 = c
+    c: uint256 = 1
+    if a > 1:
+        d: uint256 = 2
+    d += 1
+    for X in range(3):
+        len: uint256 = 1
+    unused: Foo = self.missing
+    assigned: uint256 = 0
+    assigned = 1
+    log Missing()
+    assert self.balance > 0 and self.is_contract
+`)
+    );
+    this.assertEqual(
+      table.problems.map((p) => [p.kind, p.name, p.message, p.span.line, p.span.column]),
+      [
+        ["duplicate", "x", "`x` is already defined on line 2", 3, 1],
+        ["duplicate", "a", "`a` is already defined on line 9", 9, 19],
+        ["shadowing", "E", "`E` shadows the event on line 5", 9, 28],
+        ["unused", "b", "`b` is never used", 10, 5],
+        ["undefined", "c", "`c` is not defined", 10, 18],
+        ["unused", "c", "`c` is never used", 11, 5],
+        ["unused", "d", "`d` is never used", 13, 9],
+        ["undefined", "d", "`d` is not defined", 14, 5],
+        ["shadowing", "X", "`X` shadows the constant on line 1", 15, 9],
+        ["shadowing", "len", "`len` shadows a builtin", 16, 9],
+        ["unused", "len", "`len` is never used", 16, 9],
+        ["unused", "unused", "`unused` is never used", 17, 5],
+        ["undefined", "Foo", "`Foo` is not defined", 17, 13],
+        ["undefined", "self.missing", "`self.missing` is not defined", 17, 19],
+        ["unused", "assigned", "`assigned` is never used", 18, 5],
+        ["undefined", "Missing", "`Missing` is not defined", 20, 9],
+      ]
+    );
+  }
+
+
+  test_imports() {
+    const table = analyze_scopes(
+      parse(`from . import (a, b as c)
+import x.y
+import z.w as v
+from m import *
+
+initializes: a[c := v]
+uses: (y, nope)
+exports: a.f
+`)
+    );
+    this.assertEqual(
+      table.definitions.map((d) => d.name),
+      ["a", "c", "y", "v"]
+    );
+    const find = (name) => table.definitions.find((d) => d.name === name);
+    this.assertEqual(lines(table.referencesTo(find("a"))), [6, 8]);
+    this.assertEqual(lines(table.referencesTo(find("v"))), [6]);
+    this.assertEqual(
+      table.problems.map((p) => p.message),
+      ["`nope` is not defined"]
+    );
+  }
+
+
+  test_cst() {
+    const { ast } = parseVyper(SOURCE, { cst: true });
+    assert.throws(() => analyze_scopes(ast), ConfigurationError);
+  }
+}
+
+
+module.exports = { TestScopes };
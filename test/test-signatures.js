@@ -0,0 +1,98 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { parseVyper, signatures, keccak256 } = require("../lib/index.js");
+
+
+//
+// Test selectors and event topics
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+function hex(bytes) {
+  return Buffer.from(bytes).toString("hex");
+}
+
+
+class TestSignatures extends TestCase {
+  test_keccak256() {
+    this.assertEqual(
+      hex(keccak256("")),
+      "c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470"
+    );
+    this.assertEqual(
+      hex(keccak256(new TextEncoder().encode("Transfer(address,address,uint256)"))),
+      "ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef"
+    );
+    // Longer than one block
+    this.assertEqual(keccak256("a".repeat(300)).length, 32);
+  }
+
+
+  test_signatures() {
+    const result = signatures(parseVyper(`struct Point:
+    x: int128
+    y: int128
+
+event Transfer:
+    sender: indexed(address)
+    receiver: indexed(address)
+    value: uint256
+
+balanceOf: public(HashMap[address, uint256])
+
+@external
+def __init__():
+    pass
+
+@external
+def transfer(to: address, amount: uint256) -> bool:
+    return True
+
+@external
+def f(p: Point[2], d: Bytes[10], s: String[5], t: (uint256, bool), n: uint8 = 1):
+    pass
+`).ast);
+    this.assertEqual(result, [
+      {
+        type: "event",
+        name: "Transfer",
+        signature: "Transfer(address,address,uint256)",
+        topic: "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef",
+      },
+      {
+        type: "function",
+        name: "balanceOf",
+        signature: "balanceOf(address)",
+        selector: "0x70a08231",
+      },
+      {
+        type: "function",
+        name: "transfer",
+        signature: "transfer(address,uint256)",
+        selector: "0xa9059cbb",
+      },
+      {
+        type: "function",
+        name: "f",
+        signature: "f((int128,int128)[2],bytes,string,(uint256,bool))",
+        selector: "0xc73f1483",
+      },
+      {
+        type: "function",
+        name: "f",
+        signature: "f((int128,int128)[2],bytes,string,(uint256,bool),uint8)",
+        selector: "0x65763dd5",
+      },
+    ]);
+  }
+}
+
+
+module.exports = { TestSignatures };
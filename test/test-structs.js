@@ -0,0 +1,124 @@
+const _ = require("lodash");
+const assert = require("assert");
+const {
+  parseVyper,
+  get_parser,
+  toAst,
+  toCompilerAst,
+  format,
+  mark_struct_literals,
+  check_struct_literals,
+  ast,
+} = require("../lib/index.js");
+const { parse } = require("./helpers.js");
+
+
+//
+// Test struct literals
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+const SOURCE = `struct Point:
+    x: int128
+    y: int128
+
+
+@external
+def f() -> Point:
+    a: Point = Point(x=1, y=2)
+    b: Point = Point({x: 1, y: 2})
+    c: Point = Point(x=-1, z=0)
+    d: Point = Point({x: 1, w: self.y})
+    e: Point = Point(1, 2)
+    return convert(Point(x=0, y=0).x, uint256)
+`;
+
+
+class TestStructs extends TestCase {
+  test_parse() {
+    const literals = [...parse(SOURCE).find_data("struct_literal")].sort(
+      (a, b) => a.meta.line - b.meta.line
+    );
+    this.assertEqual(literals.length, 6);
+    this.assertEqual(literals[0].children[1].children.map((c) => c.data), ["kwarg", "kwarg"]);
+    this.assertEqual(literals[1].children[1].children[0].children[0].data, "dict");
+    // Other calls are left alone
+    this.assertEqual([...parse(SOURCE).find_data("call")].length, 1);
+    this.assertEqual([...parse("def f():\n    x = Point(x=1)\n").find_data("call")].length, 1);
+  }
+
+
+  test_mark() {
+    const tree = get_parser().parse(SOURCE);
+    this.assertEqual([...tree.find_data("struct_literal")].length, 0);
+    assert(mark_struct_literals(tree) === tree);
+    this.assertEqual([...tree.find_data("struct_literal")].length, 6);
+
+    const cst = parseVyper(SOURCE, { cst: true }).ast;
+    this.assertEqual([...cst.find_data("struct_literal")].length, 6);
+  }
+
+
+  test_typed_ast() {
+    const body = toAst(parse(SOURCE)).body[1].body;
+    const [keywords, dict] = body.map((s) => s.value);
+    assert(keywords instanceof ast.StructLiteral);
+    this.assertEqual([keywords.name, keywords.is_dict], ["Point", false]);
+    this.assertEqual(
+      keywords.members.map((m) => [m.name, m.value.value]),
+      [["x", 1n], ["y", 2n]]
+    );
+    this.assertEqual([dict.name, dict.is_dict, dict.keywords], ["Point", true, []]);
+    this.assertEqual(
+      dict.members.map((m) => [m.name, m.value.value, m.span.column]),
+      [["x", 1n, 23], ["y", 2n, 29]]
+    );
+  }
+
+
+  test_compiler_ast() {
+    const [a, b] = toCompilerAst(parse(SOURCE)).ast.body[1].body.map((s) => s.value);
+    this.assertEqual(
+      [a.ast_type, a.func.id, a.args, a.keywords.map((k) => k.arg)],
+      ["Call", "Point", [], ["x", "y"]]
+    );
+    this.assertEqual(
+      [b.ast_type, b.args.map((arg) => arg.ast_type), b.keywords],
+      ["Call", ["Dict"], []]
+    );
+  }
+
+
+  test_format() {
+    this.assertEqual(format(SOURCE), SOURCE);
+    this.assertEqual(
+      format("struct P:\n    a: bool\n\n\nx: constant(P) = P( a = True )\n"),
+      "struct P:\n    a: bool\n\n\nx: constant(P) = P(a=True)\n"
+    );
+  }
+
+
+  test_check() {
+    const problems = check_struct_literals(parse(SOURCE));
+    this.assertEqual(
+      problems.map((p) => [p.struct, p.name, p.message, p.span.line, p.span.column]),
+      [
+        ["Point", "z", "`Point` has no member `z`", 10, 28],
+        ["Point", "w", "`Point` has no member `w`", 11, 29],
+        ["Point", null, "The members of `Point` must be given by name", 12, 16],
+      ]
+    );
+    this.assertEqual(check_struct_literals(toAst(parse(SOURCE))), problems);
+    this.assertEqual(check_struct_literals(get_parser().parse(SOURCE)).length, 3);
+  }
+}
+
+
+module.exports = { TestStructs };
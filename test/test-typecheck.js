@@ -0,0 +1,291 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { check_types, TypeTable, format_type } = require("../lib/index.js");
+const { parse } = require("./helpers.js");
+
+
+//
+// Test type inference and checking
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+const SOURCE = `interface Pool:
+    def swap(amount: uint256, min_out: uint256 = 0) -> uint256: nonpayable
+
+struct Position:
+    amount: uint256
+    owner: address
+
+flag Role:
+    ADMIN
+    USER
+
+event Swapped:
+    who: indexed(address)
+    amount: uint256
+
+MAX: constant(uint256) = 10
+pool: Pool
+positions: HashMap[address, DynArray[Position, MAX]]
+roles: HashMap[address, Role]
+name: String[32]
+
+
+@external
+def swap(amount: uint256, limit: uint8 = 3) -> uint256:
+    assert Role.ADMIN in self.roles[msg.sender]
+    out: uint256 = extcall self.pool.swap(amount, min_out=1)
+    total: uint256 = out + self.fees(amount) * 2
+    for i in range(limit):
+        total -= convert(i, uint256)
+    for position: Position in self.positions[msg.sender]:
+        total += position.amount
+    self.positions[msg.sender].append(Position(amount=out, owner=msg.sender))
+    label: String[64] = concat(self.name, " swap")
+    log Swapped(msg.sender, min(total, block.timestamp))
+    return total if len(label) > 0 else empty(uint256)
+
+
+@internal
+@pure
+def fees(amount: uint256) -> uint256:
+    return amount // 100
+`;
+
+
+// `[line, message]` of each problem
+function problems(source) {
+  return check_types(parse(source)).problems.map((p) => [p.span.line, p.message]);
+}
+
+
+function in_function(body) {
+  return `struct Point:
+    x: uint256
+    y: int128
+
+interface Token:
+    def transfer(to: address, amount: uint256) -> bool: nonpayable
+
+event Moved:
+    amount: uint256
+
+points: HashMap[address, Point]
+
+
+@external
+def f(a: uint8, b: int128, s: String[5], t: Bytes[3]) -> bool:
+${body
+  .trim()
+  .split("\n")
+  .map((line) => `    ${line}`)
+  .join("\n")}
+    return True
+`;
+}
+
+
+class TestTypecheck extends TestCase {
+  test_valid() {
+    const table = check_types(parse(SOURCE));
+    assert(table instanceof TypeTable);
+    this.assertEqual(table.problems, []);
+  }
+
+
+  test_type_of() {
+    const tree = parse(SOURCE);
+    const table = check_types(tree);
+    const types = (data) =>
+      [...tree.find_data(data)]
+        .sort((a, b) => a.meta.start_pos - b.meta.start_pos)
+        .map((t) => table.typeOf(t) && format_type(table.typeOf(t)));
+
+    this.assertEqual(types("external_call"), ["uint256"]);
+    this.assertEqual(types("mul"), ["uint256"]);
+    this.assertEqual(types("call"), [
+      "uint256",
+      "uint256",
+      null,
+      "String[37]",
+      "uint256",
+      "uint256",
+      "uint256",
+    ]);
+    this.assertEqual(types("get_item"), [
+      "Role",
+      "DynArray[Position, 10]",
+      "DynArray[Position, 10]",
+    ]);
+    this.assertEqual(types("struct_literal"), ["Position"]);
+    this.assertEqual(types("ternary"), ["uint256"]);
+    this.assertEqual(types("in"), ["bool"]);
+
+    // Literals take the type of their context
+    const [bound] = tree.find_pred((t) => t.data === "range_iterator");
+    this.assertEqual(format_type(table.typeOf(bound.children[0])), "uint8");
+    const [fee] = tree.find_data("floordiv");
+    this.assertEqual(format_type(table.typeOf(fee.children[1])), "uint256");
+
+    // Names of types have none
+    const [role] = tree.find_pred((t) => t.data === "get_var" && t.children[0].value === "Role");
+    this.assertEqual(table.typeOf(role), null);
+    this.assertEqual(table.typeOf(tree), null);
+  }
+
+
+  test_operators() {
+    this.assertEqual(
+      problems(
+        in_function(`
+c: uint256 = a + b
+d: int128 = -a
+e: bool = not a
+g: bool = s < s
+h: uint8 = a << 2
+k: decimal = 1.5 + 1
+m: bool = self.points[msg.sender] == self.points[msg.sender]
+n: uint8 = ~a
+q: uint256 = 2 ** 8 + 1
+`)
+      ),
+      [
+        [16, "Can't apply `+` to `uint8` and `int128`"],
+        [17, "Can't apply `-` to `uint8`"],
+        [18, "Expected `bool`, but got `uint8`"],
+        [19, "Can't apply `<` to `String[5]` and `String[5]`"],
+        [21, "Can't apply `+` to a decimal literal and an integer literal"],
+        [22, "Can't apply `==` to `Point` and `Point`"],
+      ]
+    );
+  }
+
+
+  test_literals() {
+    this.assertEqual(
+      problems(
+        in_function(`
+c: uint8 = 256
+d: int8 = -129
+e: int8 = -128 if a > 0 else 127
+g: DynArray[uint8, 2] = [1, 300]
+h: DynArray[uint8, 2] = [1, 2, 3]
+k: bytes4 = 0x1234
+m: address = 0x0000000000000000000000000000000000000001
+n: String[3] = "abcd"
+p: Bytes[2] = b"ab"
+q: uint256 = 1.5
+r: (uint8, bool) = (1, 2)
+`)
+      ),
+      [
+        [16, "`256` is out of range for `uint8`"],
+        [17, "`-129` is out of range for `int8`"],
+        [19, "`300` is out of range for `uint8`"],
+        [20, "Expected `DynArray[uint8, 2]`, but got a list literal"],
+        [21, "Expected `bytes4`, but got a hex literal"],
+        [23, "Expected `String[3]`, but got a string literal"],
+        [25, "Expected `uint256`, but got a decimal literal"],
+        [26, "Expected `bool`, but got an integer literal"],
+      ]
+    );
+  }
+
+
+  test_statements() {
+    this.assertEqual(
+      problems(
+        in_function(`
+c: String[3] = s
+if a:
+    pass
+assert b
+for i: uint8 in [1, 2, 256]:
+    pass
+x: uint256 = 0
+y: bool = False
+x, y = (1, 2)
+log Moved(True)
+return 1
+`)
+      ),
+      [
+        [16, "Expected `String[3]`, but got `String[5]`"],
+        [17, "Expected `bool`, but got `uint8`"],
+        [19, "Expected `bool`, but got `int128`"],
+        [20, "`256` is out of range for `uint8`"],
+        [24, "Expected `bool`, but got an integer literal"],
+        [25, "Expected `uint256`, but got `bool`"],
+        [26, "Expected `bool`, but got an integer literal"],
+      ]
+    );
+  }
+
+
+  test_members_and_calls() {
+    this.assertEqual(
+      problems(
+        in_function(`
+c: int128 = self.points[msg.sender].z
+d: Point = self.points[1]
+e: Point = Point(x=1)
+g: uint256 = msg.foo
+ok: bool = Token(msg.sender).transfer(1)
+h: uint256 = a[0]
+k: uint256 = len(a)
+m: Bytes[8] = concat(s, t)
+n: uint256 = max(a, b)
+p: uint256 = sqrt(a, b)
+q: DynArray[uint8, 3] = empty(DynArray[uint8, 3])
+r: DynArray[uint8, 3] = empty(DynArray[uint256, 3])
+u: Bytes[2] = slice(t, 0, 2)
+v: String[1] = slice(s, 0, 2)
+w: uint256 = len(msg.data)
+x: Bytes[4] = slice(msg.data, 0, 4)
+`)
+      ),
+      [
+        [16, "`Point` has no member `z`"],
+        [17, "Expected `address`, but got an integer literal"],
+        [18, "Missing member `y` of `Point`"],
+        [19, "`msg` has no member `foo`"],
+        [20, "`transfer` takes 2 arguments, but 1 was given"],
+        [20, "Expected `address`, but got an integer literal"],
+        [21, "`uint8` can't be indexed"],
+        [22, "Expected `Bytes`, `String` or `DynArray`, but got `uint8`"],
+        [23, "Can't concatenate `Bytes` and `String`"],
+        [24, "Can't apply `max` to `uint8` and `int128`"],
+        [25, "`sqrt` takes 1 argument, but 2 were given"],
+        [27, "Expected `DynArray[uint8, 3]`, but got `DynArray[uint256, 3]`"],
+        [29, "Expected `String[1]`, but got `String[2]`"],
+      ]
+    );
+  }
+
+
+  test_unknown() {
+    // What can't be typed isn't checked
+    this.assertEqual(
+      problems(`from ethereum.ercs import IERC20
+import lib
+
+@external
+def f(token: IERC20) -> uint256:
+    x: uint256 = lib.helper(1) + staticcall token.balanceOf(self)
+    y: uint256 = raw_call(self, b"", max_outsize=32)[0]
+    return x + undefined
+`),
+      []
+    );
+  }
+}
+
+
+module.exports = { TestTypecheck };
@@ -0,0 +1,109 @@
+const _ = require("lodash");
+const assert = require("assert");
+const { parseVyper, resolve_type, module_constants, toAst, format } = require("../lib/index.js");
+const { parse } = require("./helpers.js");
+
+
+//
+// Test type annotations
+//
+
+
+class TestCase {
+  assertEqual(a, b) {
+    assert(_.isEqual(a, b), "Not equal:", a, b);
+  }
+}
+
+
+const SOURCE = `MAX: constant(uint256) = 5
+LIMIT: constant(uint256) = MAX
+
+a: DynArray[DynArray[address, 3], MAX]
+b: HashMap[address, DynArray[uint256, LIMIT]]
+c: Bytes[0x20]
+d: String[100]
+e: uint256[3][4]
+f: (uint256, Bytes[3])[2]
+g: DynArray[uint256, UNKNOWN]
+`;
+
+
+function types(source) {
+  const ast = parse(source);
+  const constants = module_constants(ast);
+  return ast.children
+    .filter((d) => !d.children.some((c) => c.data === "is_constant"))
+    .map((d) => resolve_type(d.children[d.children.length - 1], constants));
+}
+
+
+class TestTypes extends TestCase {
+  test_tree() {
+    const { ast } = parseVyper(SOURCE);
+    this.assertEqual(
+      ast.children.slice(2).map((d) => d.children[1].children[0].data),
+      ["dyn_array", "hashmap", "bytes_type", "string_type", "static_array", "static_array", "dyn_array"]
+    );
+  }
+
+
+  test_resolve_type() {
+    const [a, b, c, d, e, f, g] = types(SOURCE);
+    const address = { kind: "name", name: "address" };
+    const uint256 = { kind: "name", name: "uint256" };
+    this.assertEqual(a, {
+      kind: "dyn_array",
+      item: { kind: "dyn_array", item: address, bound: 3n, bound_text: "3" },
+      bound: 5n,
+      bound_text: "MAX",
+    });
+    this.assertEqual(b, {
+      kind: "hashmap",
+      key: address,
+      value: { kind: "dyn_array", item: uint256, bound: 5n, bound_text: "LIMIT" },
+    });
+    this.assertEqual(c, { kind: "bytes_type", bound: 32n, bound_text: "0x20" });
+    this.assertEqual(d, { kind: "string_type", bound: 100n, bound_text: "100" });
+    this.assertEqual([e.bound, e.item.kind, e.item.bound], [4n, "static_array", 3n]);
+    this.assertEqual(f.item.items.map((t) => t.kind), ["name", "bytes_type"]);
+    this.assertEqual([g.bound, g.bound_text], [null, "UNKNOWN"]);
+  }
+
+
+  test_typed_ast() {
+    const m = toAst(parseVyper(SOURCE).ast);
+    const a = m.body[2].annotation;
+    this.assertEqual(
+      [a.value.id, a.slice.elements[0].value.id, a.slice.elements[1].id],
+      ["DynArray", "DynArray", "MAX"]
+    );
+    const c = m.body[4].annotation;
+    this.assertEqual([c.value.id, c.slice.value], ["Bytes", "0x20"]);
+  }
+
+
+  test_format() {
+    assert.strictEqual(format(SOURCE), SOURCE);
+  }
+
+
+  test_type_arguments() {
+    const source = `@external
+def f(b: DynArray[uint8, 2]):
+    x: DynArray[uint256, 3] = empty(DynArray[uint256, 3])
+    y: DynArray[uint8, 2] = convert(b, DynArray[uint8, MAX])
+`;
+    const m = toAst(parseVyper(source).ast);
+    const [x, y] = m.body[0].body.map((s) => s.value.args[s.value.args.length - 1]);
+    this.assertEqual(
+      [x.value.id, x.slice.ast_type, x.slice.elements[0].id, x.slice.elements[1].value],
+      ["DynArray", "Tuple", "uint256", 3n]
+    );
+    this.assertEqual(y.slice.elements.map((e) => e.id), ["uint8", "MAX"]);
+    assert.strictEqual(format(source), source);
+  }
+}
+
+
+module.exports = { TestTypes };